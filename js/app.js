@@ -16,6 +16,21 @@ import { SearchManager } from './searchManager.js';
 import { MemoryManager } from './memoryManager.js';
 import { WorkflowManager } from './workflowManager.js';
 import { WorkflowDialog } from './dialogs/workflowDialog.js';
+import { WorkflowRunManager } from './workflowRunManager.js';
+import { WorkflowRunDialog } from './dialogs/workflowRunDialog.js';
+import { DataFileManager } from './dataFileManager.js';
+import { DraftManager } from './draftManager.js';
+import { DraftRecoveryDialog } from './dialogs/draftRecoveryDialog.js';
+import { ValidationReportDialog } from './dialogs/validationReportDialog.js';
+import { SaveReviewDialog } from './dialogs/saveReviewDialog.js';
+import { MergeImportDialog } from './dialogs/mergeImportDialog.js';
+import { ExternalChangeDialog } from './dialogs/externalChangeDialog.js';
+import { TrashDialog } from './dialogs/trashDialog.js';
+import { BookmarkImportDialog } from './dialogs/bookmarkImportDialog.js';
+import { PortalTransferDialog } from './dialogs/portalTransferDialog.js';
+import { LinkTableImportDialog } from './dialogs/linkTableImportDialog.js';
+import { CommandPaletteDialog } from './dialogs/commandPaletteDialog.js';
+import { DataValidationError } from './schema.js';
 
 /**
  * DOMContentLoaded イベントリスナー。DOMが完全にロードされた後にアプリケーションを初期化します。
@@ -49,12 +64,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   /**
    * @callback onDirtyCallback
-   * @description データに変更があった際に呼び出されるコールバック。UIの保存ボタンの状態を更新します。
-   * @param {boolean} isDirty - 変更があるかどうか。
+   * @description データに変更があった際（元に戻す／やり直すを含む）に呼び出されるコールバック。UIの保存ボタンと履歴ボタンの状態を更新します。
    */
   const onDirtyCallback = () => {
     if (ui) {
-      ui.updateSaveButtonState(true);
+      ui.updateSaveButtonState(dataManager.hasUnsavedChanges);
+      ui.updateHistoryButtons();
     }
   };
 
@@ -63,6 +78,20 @@ document.addEventListener('DOMContentLoaded', async () => {
    * @description アプリケーションのデータを管理するインスタンス。
    */
   const dataManager = new DataManager(onDirtyCallback);
+
+  /**
+   * @type {DataFileManager}
+   * @description 直接上書き保存に使う data.json のファイルハンドルを管理するインスタンス。
+   */
+  const dataFileManager = new DataFileManager();
+  await dataFileManager.restore();
+  dataManager.dataFile = dataFileManager;
+
+  /**
+   * @type {DraftManager}
+   * @description 未保存の変更を IndexedDB に下書きとして自動保存するインスタンス。
+   */
+  const draftManager = new DraftManager();
   
   /**
    * @type {function(): void}
@@ -111,6 +140,7 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   const memoryManager = new MemoryManager();
   ui.memoryManager = memoryManager;
+  searchManager.memoryManager = memoryManager;
 
   /**
    * @type {WorkflowManager}
@@ -124,6 +154,8 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   const portalDialog = new PortalDialog(dataManager, configManager, (...args) => ui.setPageTitle(...args));
   ui.portalDialog = portalDialog;
+  // 切り替え時の変更内容は下書きに残っているため、離脱確認は出さない
+  portalDialog.onBeforeReload = () => { ui.allowUnload = true; };
 
   uiRenderCallback = () => ui.render();
 
@@ -133,16 +165,124 @@ document.addEventListener('DOMContentLoaded', async () => {
   const workflowDialog = new WorkflowDialog(workflowManager, dataManager, configManager, () => uiRenderCallback());
   ui.workflowDialog = workflowDialog;
 
+  /**
+   * @type {WorkflowRunManager}
+   * @description ワークフローの実行状況と完了した実行の記録（localStorage）。
+   */
+  const workflowRunManager = new WorkflowRunManager();
+  ui.workflowRunManager = workflowRunManager;
+
+  /**
+   * @type {WorkflowRunDialog}
+   * @description ワークフローを1ステップずつ実行するダイアログ。
+   */
+  const workflowRunDialog = new WorkflowRunDialog(workflowRunManager, searchManager, memoryManager, configManager, () => uiRenderCallback());
+  ui.workflowRunDialog = workflowRunDialog;
+
+  /**
+   * @type {ValidationReportDialog}
+   * @description データ検証結果（エラー・警告）の表示ダイアログ。読み込み失敗時にも使うため先に初期化します。
+   */
+  const validationReportDialog = new ValidationReportDialog();
+  validationReportDialog.init();
+  ui.validationReportDialog = validationReportDialog;
+
+  /**
+   * @type {SaveReviewDialog}
+   * @description 保存前の差分確認ダイアログ。個々の変更を元に戻した後は画面とタグパネルを更新します。
+   */
+  const saveReviewDialog = new SaveReviewDialog(dataManager, configManager, () => ui.refresh());
+  ui.saveReviewDialog = saveReviewDialog;
+
+  /**
+   * @type {MergeImportDialog}
+   * @description 読み込んだ JSON を現在のポータルへマージするダイアログ。
+   */
+  const mergeImportDialog = new MergeImportDialog(dataManager, configManager, () => ui.refresh());
+  ui.mergeImportDialog = mergeImportDialog;
+
+  /**
+   * @type {ExternalChangeDialog}
+   * @description data.json が読み込み後に外部で更新されていた場合の3方向マージダイアログ。
+   */
+  const externalChangeDialog = new ExternalChangeDialog(dataManager, configManager, () => ui.refresh());
+  ui.externalChangeDialog = externalChangeDialog;
+
+  /**
+   * @type {TrashDialog}
+   * @description 削除したカテゴリ・リンク・ワークフローを元に戻すゴミ箱ダイアログ。
+   */
+  const trashDialog = new TrashDialog(dataManager, () => ui.refresh());
+  ui.trashDialog = trashDialog;
+
+  /**
+   * @type {BookmarkImportDialog}
+   * @description ブラウザのブックマーク HTML を取り込むダイアログ。
+   */
+  const bookmarkImportDialog = new BookmarkImportDialog(dataManager, configManager, () => ui.refresh());
+  ui.bookmarkImportDialog = bookmarkImportDialog;
+
+  /**
+   * @type {PortalTransferDialog}
+   * @description カテゴリやリンクを別のポータルへ移動・コピーするダイアログ。
+   */
+  const portalTransferDialog = new PortalTransferDialog(dataManager, configManager, () => ui.refresh());
+  ui.portalTransferDialog = portalTransferDialog;
+
+  /**
+   * @type {LinkTableImportDialog}
+   * @description CSV / TSV のリンク一覧を列の対応を指定して取り込むダイアログ。
+   */
+  const linkTableImportDialog = new LinkTableImportDialog(dataManager, configManager, () => ui.refresh());
+  ui.linkTableImportDialog = linkTableImportDialog;
+
+  /**
+   * @type {CommandPaletteDialog}
+   * @description Ctrl+K で開く、リンク・カテゴリ・ワークフロー・ポータル・コマンドのコマンドパレット。
+   */
+  const commandPaletteDialog = new CommandPaletteDialog(dataManager, configManager, ui);
 
   const activePortalId = configManager.getActivePortalId();
 
   // データをロード（常に data/data.json から）
-  const loadResult = await dataManager.load(activePortalId);
+  let loadResult = await dataManager.load(activePortalId);
+
+  // fetch できない環境（file:// など）でも、許可済みのデータファイルが接続されていればそこから読み込む
+  if (!loadResult.success && dataFileManager.isConnected() && await dataFileManager.ensurePermission('read', false)) {
+    try {
+      const data = await dataManager.loadFromDataFile(activePortalId);
+      loadResult = { success: true, data };
+    } catch (e) {
+      console.error('Failed to load connected data file:', e);
+    }
+  }
 
   // ページタイトルとサブタイトルを設定
   ui.setPageTitle(activePortal.title, activePortal.subtitle);
 
   if (loadResult.success) {
+    // 読み込んだ内容と異なる下書きが残っていれば、復元するかどうかを確認する
+    // （他のポータルで後から保存された変更を巻き戻さないよう、このポータルの部分だけを比較・復元する）
+    const draft = await draftManager.getDraft(activePortalId);
+    if (draft) {
+      const loadedDocument = dataManager.toDocument();
+      const draftDocument = dataManager.applyDraftPortal(draft.document);
+      if (JSON.stringify(draftDocument) === JSON.stringify(loadedDocument)) {
+        await draftManager.clearDraft(activePortalId);
+      } else {
+        const draftRecoveryDialog = new DraftRecoveryDialog();
+        draftRecoveryDialog.init();
+        const choice = await draftRecoveryDialog.open({ ...draft, document: draftDocument }, loadedDocument);
+        if (choice === 'restore') {
+          dataManager.restoreDocument(draftDocument);
+        } else if (choice === 'discard') {
+          await draftManager.clearDraft(activePortalId);
+        }
+      }
+    }
+    // 以降の変更はすべて下書きとして自動保存する
+    dataManager.draftManager = draftManager;
+
     // data.json に存在するが configManager 未登録のポータルを自動登録
     // （GitHub Pages など localStorage が空の環境でもポータル一覧に表示されるようにする）
     Object.keys(dataManager.allPortals).forEach(portalId => {
@@ -160,11 +300,26 @@ document.addEventListener('DOMContentLoaded', async () => {
     portalDialog.init(() => ui.render());
     iconPickerDialog.init();
     workflowDialog.init();
+    workflowRunDialog.init();
+    saveReviewDialog.init();
+    mergeImportDialog.init();
+    externalChangeDialog.init();
+    trashDialog.init();
+    bookmarkImportDialog.init();
+    portalTransferDialog.init();
+    linkTableImportDialog.init();
+    commandPaletteDialog.init();
 
+    await ui.showValidationWarnings('data.json');
+
+  } else if (loadResult.error instanceof DataValidationError) {
+    console.error('data/data.json is invalid:', loadResult.error.report);
+    document.getElementById('errorArea').style.display = 'block';
+    await validationReportDialog.open(loadResult.error.report, 'data/data.json');
   } else {
     console.error('Failed to load data/data.json:', loadResult.error);
     document.getElementById('errorArea').style.display = 'block';
-    alert('データの自動読み込みに失敗しました (data/data.json)。\nWebサーバー経由でない場合、セキュリティ制限が原因の可能性があります。\n\n下の「ファイルを選択」ボタンから手動でファイルを読み込んでください。');
+    alert('データの自動読み込みに失敗しました (data/data.json)。\nWebサーバー経由でない場合、セキュリティ制限が原因の可能性があります。\n\n`npm run serve` でコンパニオンサーバーを起動して http://localhost:8080/ を開くか、\n下の「ファイルを選択」ボタンから手動でファイルを読み込んでください。');
   }
   // 保存ボタンの状態を更新
   ui.updateSaveButtonState(dataManager.hasUnsavedChanges);
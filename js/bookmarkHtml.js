@@ -0,0 +1,140 @@
+/**
+ * @file bookmarkHtml.js
+ * @brief ブラウザ（Chrome / Firefox / Edge など）のブックマーク HTML（Netscape Bookmark File 形式）の読み込みと書き出しを行うユーティリティ。
+ *        フォルダをカテゴリ、ブックマークをリンクとして扱います。
+ * @module bookmarkHtml
+ */
+
+/**
+ * @constant {string} ROOT_FOLDER_TITLE
+ * @description どのフォルダにも属さないブックマークをまとめるカテゴリ名。
+ */
+export const ROOT_FOLDER_TITLE = 'ブックマーク';
+
+/**
+ * @constant {string[]} ALLOWED_SCHEMES
+ * @description 取り込むブックマークの URL スキーム（小文字）。javascript: や data: などはカードのリンクとして開けてしまうため取り込みません。
+ */
+const ALLOWED_SCHEMES = ['http', 'https', 'ftp', 'file', 'opendir'];
+
+/**
+ * URL のスキームが取り込み可能なもの（ALLOWED_SCHEMES）かどうかを、大文字・小文字を区別せずに判定します。
+ * @param {string} url
+ * @returns {boolean}
+ */
+function hasAllowedScheme(url) {
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  return !!match && ALLOWED_SCHEMES.includes(match[1].toLowerCase());
+}
+
+/**
+ * @typedef {object} BookmarkFolder
+ * @property {string} key - 読み込んだファイル内で一意なキー（プレビューでの選択に使用）。
+ * @property {string} title - フォルダ名（カテゴリのタイトルになります）。
+ * @property {string[]} path - ルートからのフォルダ名の並び（自身を含む）。
+ * @property {Array<{title: string, url: string, tags?: string[]}>} links - フォルダ直下のブックマーク。
+ */
+
+/**
+ * DL 要素に対応するフォルダ名を返します。
+ * フォルダ名の H3 は、DL の直前の兄弟要素、またはその DL を含む DT の子要素として現れます。
+ * @param {Element} dl
+ * @returns {string|null} フォルダ名。ルートの DL の場合は `null`。
+ */
+function folderTitleOf(dl) {
+  let prev = dl.previousElementSibling;
+  while (prev && prev.tagName === 'P') prev = prev.previousElementSibling;
+  if (prev && prev.tagName === 'H3') return prev.textContent.trim();
+  const heading = dl.parentElement && dl.parentElement.tagName === 'DT'
+    ? [...dl.parentElement.children].find(el => el.tagName === 'H3')
+    : null;
+  return heading ? heading.textContent.trim() : null;
+}
+
+/**
+ * ブックマーク HTML を解析し、ブックマークを直接含むフォルダの一覧を返します。
+ * 入れ子のフォルダは平坦化され、出現順に並びます。フォルダに属さないブックマークは ROOT_FOLDER_TITLE にまとめます。
+ * スキームが ALLOWED_SCHEMES 以外のブックマーク（ブックマークレットや data: URL など）は読み飛ばします。
+ * @param {string} html - ブックマーク HTML の内容。
+ * @returns {Array<BookmarkFolder>}
+ * @throws {Error} ブックマークが1件も見つからない場合。
+ */
+export function parseBookmarkHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const folders = new Map();
+
+  doc.querySelectorAll('a[href]').forEach(anchor => {
+    const url = anchor.getAttribute('href').trim();
+    if (!hasAllowedScheme(url)) return;
+
+    const path = [];
+    for (let el = anchor.parentElement; el; el = el.parentElement) {
+      if (el.tagName !== 'DL') continue;
+      const title = folderTitleOf(el);
+      if (title !== null) path.unshift(title);
+    }
+    const key = path.length > 0 ? path.join('\u0000') : '';
+    if (!folders.has(key)) {
+      folders.set(key, { key, title: path[path.length - 1] ?? ROOT_FOLDER_TITLE, path, links: [] });
+    }
+
+    const link = { title: anchor.textContent.trim() || url, url };
+    const tags = (anchor.getAttribute('tags') || '').split(',').map(t => t.trim()).filter(Boolean);
+    if (tags.length > 0) link.tags = tags;
+    folders.get(key).links.push(link);
+  });
+
+  if (folders.size === 0) {
+    throw new Error('ブックマークが見つかりません。ブラウザからエクスポートしたブックマーク HTML を指定してください。');
+  }
+  return [...folders.values()];
+}
+
+/**
+ * HTML として安全に出力できるよう、文字列をエスケープします。
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * カテゴリとリンクを、ブラウザで読み込めるブックマーク HTML に変換します。
+ * 全体を `folderTitle` のフォルダにまとめ、カテゴリごとにその下のフォルダとして書き出します。
+ * @param {Array<Category>} categories - 書き出すカテゴリ。
+ * @param {string} folderTitle - 全体をまとめるフォルダ名（ポータル名など）。
+ * @param {Date} [now=new Date()] - ADD_DATE に使用する日時。
+ * @returns {string}
+ */
+export function exportBookmarkHtml(categories, folderTitle, now = new Date()) {
+  const addDate = Math.floor(now.getTime() / 1000);
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3 ADD_DATE="${addDate}">${escapeHtml(folderTitle)}</H3>`,
+    '    <DL><p>'
+  ];
+  categories.forEach(category => {
+    lines.push(`        <DT><H3 ADD_DATE="${addDate}">${escapeHtml(category.title)}</H3>`);
+    lines.push('        <DL><p>');
+    (category.links || []).forEach(link => {
+      const tags = link.tags && link.tags.length > 0 ? ` TAGS="${escapeHtml(link.tags.join(','))}"` : '';
+      lines.push(`            <DT><A HREF="${escapeHtml(link.url)}" ADD_DATE="${addDate}"${tags}>${escapeHtml(link.title)}</A>`);
+    });
+    lines.push('        </DL><p>');
+  });
+  lines.push('    </DL><p>');
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
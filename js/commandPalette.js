@@ -0,0 +1,110 @@
+/**
+ * @file commandPalette.js
+ * @brief コマンドパレットの候補をあいまい検索で絞り込み、並べ替えるユーティリティ。
+ * @module commandPalette
+ */
+
+import { normalizeForSearch, romajiToHiragana } from './textNormalize.js';
+
+/**
+ * @typedef {object} PaletteItem
+ * @property {string} key - 候補を識別するキー（`link:<id>`、`cmd:save` など。最近使った候補の記録に使用）。
+ * @property {string} title - 表示名（検索の対象）。
+ * @property {string} [detail] - 補足（カテゴリ名など。表示名より低い重みで検索の対象）。
+ */
+
+/**
+ * @constant {number} DETAIL_WEIGHT
+ * @description 補足（detail）で一致した場合に掛ける重み。
+ */
+const DETAIL_WEIGHT = 0.5;
+
+/**
+ * @constant {number} RECENT_BONUS
+ * @description 最近使った候補に加える点数の最大値（直前に使った候補ほど大きくなります）。
+ */
+const RECENT_BONUS = 1;
+
+/**
+ * @constant {RegExp} WORD_BOUNDARY
+ * @description 単語の区切りとみなす文字（この直後から一致した場合は先頭一致に近い扱いにします）。
+ */
+const WORD_BOUNDARY = /[\s/_\-・「」（）()]/;
+
+/**
+ * 正規化済みの語が、正規化済みのテキストにどの程度一致するかを返します。
+ * 先頭一致 > 単語の先頭からの一致 > 途中の一致 > 文字が順番どおりに現れる（飛び飛びの）一致、の順に高い点数です。
+ * @param {string} term
+ * @param {string} text
+ * @returns {number|null} 点数（一致しない場合は `null`）。
+ */
+function termScore(term, text) {
+  if (text.startsWith(term)) return 3;
+  const index = text.indexOf(term);
+  if (index !== -1) return WORD_BOUNDARY.test(text[index - 1]) ? 2.5 : 2;
+
+  // 飛び飛びの一致は、途切れた回数が少ないほど高い点数にする
+  let pos = 0;
+  let last = -1;
+  let gaps = 0;
+  for (const ch of term) {
+    const found = text.indexOf(ch, pos);
+    if (found === -1) return null;
+    if (last !== -1 && found > last + 1) gaps++;
+    last = found;
+    pos = found + ch.length;
+  }
+  return 1 / (1 + gaps);
+}
+
+/**
+ * 検索語がテキストにあいまいに一致するかどうかと、その点数を返します。
+ * 空白で区切った語がすべて一致する必要があり、点数は語ごとの点数の合計です。
+ * 全角・半角、ひらがな・カタカナは区別せず、ローマ字の語はひらがなでも探します。
+ * @param {string} query - 検索語。
+ * @param {string} text - 対象のテキスト。
+ * @returns {number|null} 点数（検索語が空の場合は 0、一致しない場合は `null`）。
+ */
+export function scorePaletteText(query, text) {
+  const target = normalizeForSearch(text);
+  const terms = normalizeForSearch(query).split(/\s+/).filter(Boolean);
+  let total = 0;
+  for (const term of terms) {
+    const kana = romajiToHiragana(term);
+    const scores = [termScore(term, target), kana ? termScore(kana, target) : null].filter(score => score !== null);
+    if (scores.length === 0) return null;
+    total += Math.max(...scores);
+  }
+  return total;
+}
+
+/**
+ * 候補を検索語で絞り込み、一致の度合いの高い順に並べます。
+ * 検索語が空の場合は、最近使った候補を使った順に先頭へ並べ、残りは元の順番のままにします。
+ * 検索語がある場合は、最近使った候補ほど少し高い点数にし、同点の場合は元の順番にします。
+ * @param {Array<PaletteItem>} items - 候補（元の順番が既定の並び順です）。
+ * @param {string} query - 検索語。
+ * @param {string[]} [recentKeys=[]] - 最近使った候補のキー（新しい順）。
+ * @returns {Array<PaletteItem>}
+ */
+export function rankPaletteItems(items, query, recentKeys = []) {
+  const recentIndex = new Map(recentKeys.map((key, index) => [key, index]));
+  const recency = (item) => recentIndex.has(item.key) ? RECENT_BONUS * (1 - recentIndex.get(item.key) / recentKeys.length) : 0;
+
+  if (!query.trim()) {
+    const recent = items.filter(item => recentIndex.has(item.key))
+      .sort((a, b) => recentIndex.get(a.key) - recentIndex.get(b.key));
+    return [...recent, ...items.filter(item => !recentIndex.has(item.key))];
+  }
+
+  return items
+    .map((item, index) => {
+      const title = scorePaletteText(query, item.title);
+      const detail = item.detail ? scorePaletteText(query, `${item.title} ${item.detail}`) : null;
+      const scores = [title, detail === null ? null : detail * DETAIL_WEIGHT].filter(score => score !== null);
+      return scores.length > 0 ? { item, index, score: Math.max(...scores) + recency(item) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
@@ -0,0 +1,34 @@
+/**
+ * @file contentHash.js
+ * @brief データの内容が変わったかどうかを判定するための、軽量なハッシュ関数。
+ *        暗号用途ではなく、読み込み後に data.json が外部で更新されたことの検出に使用します。
+ * @module contentHash
+ */
+
+/**
+ * 文字列から 53bit のハッシュ値（cyrb53）を計算し、16進数文字列で返します。
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * JSON として解釈済みの値のハッシュ値を計算します。
+ * 空白や改行などの書式の違いは無視され、内容が同じであれば同じ値になります。
+ * @param {any} value
+ * @returns {string}
+ */
+export function hashDocument(value) {
+  return hashString(JSON.stringify(value ?? null));
+}
@@ -0,0 +1,153 @@
+/**
+ * @file dataFileManager.js
+ * @brief File System Access API を使って data.json への書き込み先（ファイルハンドル）を管理するクラス。
+ * @module DataFileManager
+ */
+
+import { IdbStore } from './idbStore.js';
+
+/**
+ * @constant {string} HANDLE_KEY
+ * @description IndexedDB にファイルハンドルを保存するためのキー。
+ */
+const HANDLE_KEY = 'dataFileHandle';
+
+/**
+ * @class DataFileManager
+ * @brief 「データファイルを接続」で選択された data.json のファイルハンドルを保持し、
+ *        IndexedDB に永続化してセッションをまたいで再利用します。
+ *        API や書き込み許可が得られない場合、呼び出し側はダウンロード保存にフォールバックします。
+ */
+export class DataFileManager {
+  /**
+   * @property {FileSystemFileHandle|null} handle - 接続中のファイルハンドル。
+   */
+  handle = null;
+  /**
+   * @property {IdbStore} store - ファイルハンドルの永続化先。
+   */
+  store;
+
+  /**
+   * DataFileManager の新しいインスタンスを作成します。
+   * @param {IdbStore} [store] - ハンドルの保存先。省略時は専用の IndexedDB を使用します。
+   */
+  constructor(store = new IdbStore('portalDataFile')) {
+    this.store = store;
+  }
+
+  /**
+   * ブラウザが File System Access API に対応しているかを返します。
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && typeof window.showOpenFilePicker === 'function';
+  }
+
+  /**
+   * データファイルが接続済みかどうかを返します。
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.handle;
+  }
+
+  /**
+   * 接続中のファイル名を返します。
+   * @returns {string} ファイル名。未接続の場合は空文字。
+   */
+  getFileName() {
+    return this.handle ? this.handle.name : '';
+  }
+
+  /**
+   * IndexedDB に保存されたファイルハンドルを復元します。
+   * @async
+   * @returns {Promise<boolean>} 復元できた場合は `true`。
+   */
+  async restore() {
+    if (!this.isSupported()) return false;
+    try {
+      this.handle = (await this.store.get(HANDLE_KEY)) || null;
+    } catch (e) {
+      console.error('Failed to restore data file handle:', e);
+      this.handle = null;
+    }
+    return !!this.handle;
+  }
+
+  /**
+   * ファイル選択ピッカーを開き、選択された JSON ファイルを書き込み先として接続します。
+   * ユーザー操作（クリックなど）の中から呼び出す必要があります。
+   * @async
+   * @returns {Promise<boolean>} 接続できた場合は `true`。ユーザーがキャンセルした場合は `false`。
+   */
+  async connect() {
+    if (!this.isSupported()) return false;
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        types: [{ description: 'JSON', accept: { 'application/json': ['.json'] } }],
+        multiple: false
+      });
+      this.handle = handle;
+      await this.store.set(HANDLE_KEY, handle);
+      return true;
+    } catch (e) {
+      if (e && e.name === 'AbortError') return false;
+      throw e;
+    }
+  }
+
+  /**
+   * データファイルの接続を解除し、保存済みのハンドルも削除します。
+   * @async
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.handle = null;
+    await this.store.delete(HANDLE_KEY);
+  }
+
+  /**
+   * 接続中のファイルに対する許可状態を確認し、必要であれば許可を要求します。
+   * @async
+   * @param {'read'|'readwrite'} [mode='readwrite'] - 要求するアクセスモード。
+   * @param {boolean} [request=true] - 未許可の場合にダイアログで許可を求めるかどうか。
+   * @returns {Promise<boolean>} 許可されている場合は `true`。
+   */
+  async ensurePermission(mode = 'readwrite', request = true) {
+    if (!this.handle) return false;
+    if (typeof this.handle.queryPermission !== 'function') return true;
+    try {
+      if (await this.handle.queryPermission({ mode }) === 'granted') return true;
+      if (!request) return false;
+      return await this.handle.requestPermission({ mode }) === 'granted';
+    } catch (e) {
+      console.error('Failed to obtain data file permission:', e);
+      return false;
+    }
+  }
+
+  /**
+   * 接続中のファイルを File オブジェクトとして取得します。
+   * @async
+   * @returns {Promise<File>}
+   */
+  async getFile() {
+    if (!this.handle) throw new Error('Data file is not connected.');
+    return this.handle.getFile();
+  }
+
+  /**
+   * 接続中のファイルにテキストを書き込みます（全体を置き換え）。
+   * @async
+   * @param {string} text - 書き込む内容。
+   * @returns {Promise<void>}
+   */
+  async write(text) {
+    if (!this.handle) throw new Error('Data file is not connected.');
+    const writable = await this.handle.createWritable();
+    await writable.write(text);
+    await writable.close();
+  }
+}
@@ -4,10 +4,90 @@
  * @module DataManager
  */
 
+import { HistoryManager } from './historyManager.js';
+import { CURRENT_SCHEMA_VERSION, migrateDocument, parseDocument } from './schema.js';
+import { applyMergePlan, mergeThreeWay, normalizeUrl } from './documentMerge.js';
+import { diffDocuments } from './documentDiff.js';
+import { hashDocument } from './contentHash.js';
+import { exportBookmarkHtml } from './bookmarkHtml.js';
+import { exportLinkTable } from './linkTable.js';
+import { renderStaticPortal } from './staticExport.js';
+import { renderPortalsMarkdown } from './markdownExport.js';
+import { renderWorkflowCalendar } from './icalExport.js';
+
+/**
+ * @constant {string} SERVER_DATA_URL
+ * @description コンパニオンサーバー（tools/portalServer.js）が提供するデータAPIのURL。
+ */
+const SERVER_DATA_URL = 'api/data';
+
+/**
+ * @constant {number} TRASH_RETENTION_DAYS
+ * @description ゴミ箱に入れた項目を自動で完全に削除するまでの日数の既定値。
+ */
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * @constant {string} LINK_TABLE_DEFAULT_CATEGORY
+ * @description CSV / TSV の取り込みで、カテゴリ名が無い行を追加するカテゴリの名前。
+ */
+export const LINK_TABLE_DEFAULT_CATEGORY = '読み込んだリンク';
+
+/**
+ * @constant {object} IMPORTED_LINK_DEFAULTS
+ * @description ファイルから取り込んだリンクに無い項目の既定値（リンクの一括追加と同じ）。
+ */
+const IMPORTED_LINK_DEFAULTS = { icon: 'link', badge: 'doc', memo: '' };
+
+/**
+ * @description `_generateId` の連番。同じミリ秒に続けて生成しても ID が重複しないようにします。
+ */
+let idSequence = 0;
+
+/**
+ * @typedef {object} TrashEntry
+ * @property {string} id - ゴミ箱内の項目のID。
+ * @property {'category'|'link'|'workflow'} type - 削除した項目の種類。
+ * @property {string} deletedAt - 削除日時（ISO 8601）。
+ * @property {object} item - 削除した項目（カテゴリの場合は中のリンクを含む）。
+ * @property {number} index - 削除前の位置（カテゴリ・ワークフローは一覧内、リンクはカテゴリ内のインデックス）。
+ * @property {string} [catId] - リンクの場合、削除前に所属していたカテゴリのID。
+ * @property {string} [catTitle] - リンクの場合、削除前に所属していたカテゴリのタイトル。
+ */
+
+/**
+ * @typedef {object} SmartCollection
+ * @property {string} id - スマートコレクションのID。
+ * @property {string} title - サイドバーに表示する名前。
+ * @property {string} query - 検索キーワード（searchQuery.js の検索式）。
+ * @property {string[]} tags - AND で絞り込むタグ。
+ * @property {string} freq - 頻度の絞り込み（空文字は絞り込まない）。
+ * @property {string} badge - バッジの絞り込み（空文字は絞り込まない）。
+ */
+
+/**
+ * @typedef {object} ExternalChange
+ * @property {{schemaVersion: number, portals: object, workflows: object}} document - 外部で更新された data.json の内容（現行形式に変換済み）。
+ * @property {string} hash - その内容のハッシュ値。
+ * @property {string|null} etag - コンパニオンサーバーから取得した場合の ETag。
+ * @property {'server'|'file'|'static'} kind - 読み直した保存先の種類。
+ */
+
+/**
+ * @class SaveConflictError
+ * @brief 保存先のデータが読み込み後に他で更新されていたため、保存を中断したことを表すエラー。
+ */
+export class SaveConflictError extends Error {
+  constructor(message = 'The data file has been modified since it was loaded.') {
+    super(message);
+    this.name = 'SaveConflictError';
+  }
+}
+
 /**
  * @class DataManager
  * @brief アプリケーションのカテゴリとリンクのデータを管理するクラス。
- *        データの取得、追加、更新、削除、移動、保存（ダウンロード）、インポートなどの機能を提供します。
+ *        データの取得、追加、更新、削除、移動、保存（ファイル書き込みまたはダウンロード）、インポートなどの機能を提供します。
  */
 export class DataManager {
   /**
@@ -22,6 +102,18 @@ export class DataManager {
    * @property {object} allWorkflows - すべてのポータルのワークフローデータを保持するオブジェクト。
    */
   allWorkflows = {};
+  /**
+   * @property {Object<string, Array<TrashEntry>>} allTrash - すべてのポータルのゴミ箱（削除した項目）を保持するオブジェクト。
+   */
+  allTrash = {};
+  /**
+   * @property {Object<string, Array<SmartCollection>>} allCollections - すべてのポータルのスマートコレクション（保存した検索条件）を保持するオブジェクト。
+   */
+  allCollections = {};
+  /**
+   * @property {number} trashRetentionDays - ゴミ箱に入れた項目を自動で完全に削除するまでの日数。
+   */
+  trashRetentionDays = TRASH_RETENTION_DAYS;
   /**
    * @property {boolean} hasUnsavedChanges - 未保存の変更があるかどうかを示すフラグ。
    */
@@ -30,6 +122,41 @@ export class DataManager {
    * @property {function(): void} onDirty - データに変更があった際に呼び出されるコールバック関数。
    */
   onDirty;
+  /**
+   * @property {DataFileManager|null} dataFile - 接続済みのデータファイル（File System Access API）。app.jsで後から設定されます。
+   */
+  dataFile = null;
+  /**
+   * @property {{etag: string|null}|null} server - コンパニオンサーバー経由で読み込んだ場合の接続情報。未使用時は `null`。
+   */
+  server = null;
+  /**
+   * @property {string} activePortalId - 現在 `data` として編集中のポータルID。
+   */
+  activePortalId = 'default';
+  /**
+   * @property {HistoryManager} history - 元に戻す／やり直すためのスナップショット履歴。
+   */
+  history = new HistoryManager();
+  /**
+   * @property {DraftManager|null} draftManager - 未保存の状態を下書きとして自動保存する先。app.jsで後から設定されます。
+   */
+  draftManager = null;
+  /**
+   * @property {ValidationReport|null} validationReport - 直近に読み込んだドキュメントの検証結果（マイグレーション・警告）。
+   */
+  validationReport = null;
+  /**
+   * @property {string|null} _savedDocumentJson - 最後に読み込み・保存した時点のドキュメント（JSON文字列）。保存前の差分確認に使用します。
+   * @private
+   */
+  _savedDocumentJson = null;
+  /**
+   * @property {Set<string>} _knownSourceHashes - 読み込み元（data.json）の内容として把握済みのハッシュ値。
+   *           読み込んだ内容と、このタブから保存した内容が含まれます。これ以外の内容であれば外部で更新されたと判断します。
+   * @private
+   */
+  _knownSourceHashes = new Set();
 
   /**
    * DataManagerの新しいインスタンスを作成します。
@@ -68,30 +195,178 @@ export class DataManager {
   }
 
   /**
-   * データに変更があったことをマークし、`onDirty` コールバックを呼び出します。
+   * データに変更があったことをマークし、変更後の状態を履歴に記録して `onDirty` コールバックを呼び出します。
    */
   markAsDirty() {
-    this.hasUnsavedChanges = true;
+    this.history.record(this._createSnapshot());
+    this.hasUnsavedChanges = !this.history.isAtSaved();
+    this._persistDraft();
     if (this.onDirty) {
       this.onDirty();
     }
   }
   
   /**
-   * 変更が保存されたことをマークします。
+   * 変更が保存されたことをマークします。現在の状態が履歴上の保存済み状態になります。
    */
   markAsClean() {
     this.hasUnsavedChanges = false;
+    this.history.markSaved();
+    this._rememberSavedDocument();
+    this._persistDraft();
+  }
+
+  /**
+   * 最後に読み込み・保存した時点のドキュメントを返します（深いコピー）。
+   * @returns {{schemaVersion: number, portals: object, workflows: object, trash: object, collections: object}}
+   */
+  getSavedDocument() {
+    return this._savedDocumentJson ? JSON.parse(this._savedDocumentJson) : { schemaVersion: CURRENT_SCHEMA_VERSION, portals: {}, workflows: {}, trash: {}, collections: {} };
+  }
+
+  /**
+   * 現在のドキュメントを、保存済みの比較元として記憶します。
+   * @private
+   */
+  _rememberSavedDocument() {
+    this._savedDocumentJson = JSON.stringify(this.toDocument());
+  }
+
+  /**
+   * 現在の全ポータル・全ワークフローを data.json と同じ形式のドキュメントとして返します。
+   * アクティブなポータルには編集中の `data` が反映されます。
+   * @returns {{schemaVersion: number, portals: object, workflows: object, trash: object, collections: object}}
+   */
+  toDocument() {
+    return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      portals: { ...this.allPortals, [this.activePortalId]: this.data },
+      workflows: this.allWorkflows,
+      trash: this.allTrash,
+      collections: this.allCollections
+    };
+  }
+
+  /**
+   * ドキュメント全体（下書きなど）で現在のデータを置き換えます。
+   * 変更として履歴に記録されるため、元に戻すことができます。
+   * 古いスキーマのドキュメントは現行形式へ変換されます。
+   * @param {{portals?: object, workflows?: object}} document - 置き換えるドキュメント。
+   */
+  restoreDocument(document) {
+    const { document: copy } = migrateDocument(document, { portalId: this.activePortalId });
+    this.allPortals = copy.portals;
+    this.allWorkflows = copy.workflows;
+    this.allTrash = copy.trash || {};
+    this.allCollections = copy.collections || {};
+    this.data = this.allPortals[this.activePortalId] ?? [];
+    this.markAsDirty();
+  }
+
+  /**
+   * 現在のドキュメントに、下書きのうちアクティブなポータルの部分（カテゴリ・ワークフロー・ゴミ箱・スマートコレクション）だけを重ねたドキュメントを返します。
+   * 下書きはポータルごとに保存されるため、他のポータルの部分は下書きの後に別のポータルで保存された内容より古い場合があります。
+   * @param {{portals?: object, workflows?: object, trash?: object, collections?: object}} draftDocument - 下書きのドキュメント全体。
+   * @returns {{schemaVersion: number, portals: object, workflows: object, trash: object, collections: object}} 復元後のドキュメント。
+   */
+  applyDraftPortal(draftDocument) {
+    const { document: draft } = migrateDocument(draftDocument, { portalId: this.activePortalId });
+    const result = JSON.parse(JSON.stringify(this.toDocument()));
+    ['portals', 'workflows', 'trash', 'collections'].forEach(key => {
+      const slice = draft[key]?.[this.activePortalId];
+      if (slice === undefined) {
+        delete result[key][this.activePortalId];
+      } else {
+        result[key][this.activePortalId] = slice;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * 未保存の変更があれば下書きとして保存し、なければ下書きを削除します。
+   * @private
+   */
+  _persistDraft() {
+    if (!this.draftManager) return;
+    if (this.hasUnsavedChanges) {
+      this.draftManager.saveDraft(this.activePortalId, JSON.parse(JSON.stringify(this.toDocument())));
+    } else {
+      this.draftManager.clearDraft(this.activePortalId);
+    }
+  }
+
+  /**
+   * 履歴を破棄し、現在の状態を保存済みの起点とします。データの読み込み直後に呼び出します。
+   */
+  resetHistory() {
+    this.history.reset(this._createSnapshot());
+    this.hasUnsavedChanges = false;
+    this._rememberSavedDocument();
+    this._persistDraft();
+  }
+
+  /**
+   * 直前の変更を取り消します。保存済みの状態まで戻った場合は未保存フラグが解除されます。
+   * @returns {boolean} 取り消しが行われた場合は `true`。
+   */
+  undo() {
+    const snapshot = this.history.undo();
+    if (snapshot === null) return false;
+    this._applySnapshot(snapshot);
+    return true;
+  }
+
+  /**
+   * 取り消した変更をやり直します。
+   * @returns {boolean} やり直しが行われた場合は `true`。
+   */
+  redo() {
+    const snapshot = this.history.redo();
+    if (snapshot === null) return false;
+    this._applySnapshot(snapshot);
+    return true;
+  }
+
+  /**
+   * 現在の全データ（アクティブポータル・全ポータル・全ワークフロー）をスナップショット文字列にします。
+   * @private
+   * @returns {string}
+   */
+  _createSnapshot() {
+    return JSON.stringify({ data: this.data, portals: this.allPortals, workflows: this.allWorkflows, trash: this.allTrash, collections: this.allCollections });
   }
 
   /**
-   * ユニークなIDを生成します。
+   * スナップショットの内容でデータを置き換え、未保存フラグを履歴に合わせて更新します。
+   * @private
+   * @param {string} snapshot - `_createSnapshot()` で作成した文字列。
+   */
+  _applySnapshot(snapshot) {
+    const { data, portals, workflows, trash, collections } = JSON.parse(snapshot);
+    this.data = data;
+    this.allPortals = portals;
+    this.allWorkflows = workflows;
+    this.allTrash = trash;
+    this.allCollections = collections || {};
+    if (this.activePortalId in this.allPortals) {
+      this.allPortals[this.activePortalId] = this.data;
+    }
+    this.hasUnsavedChanges = !this.history.isAtSaved();
+    this._persistDraft();
+    if (this.onDirty) {
+      this.onDirty();
+    }
+  }
+
+  /**
+   * ユニークなIDを生成します。時刻に連番を付けるため、ループ内で続けて生成しても重複しません。
    * @private
    * @param {string} prefix - IDのプレフィックス (例: 'cat', 'link')。
    * @returns {string} 生成されたユニークID。
    */
   _generateId(prefix) {
-    return `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    return `${prefix}_${Date.now()}_${idSequence++}`;
   }
 
   /**
@@ -116,28 +391,75 @@ export class DataManager {
   }
 
   /**
-   * 常に data/data.json を fetch し、指定ポータルIDのカテゴリをロードします。
+   * 読み込んだ JSON をマイグレーション・検証し、全ポータルのデータとして取り込みます。
+   * 旧形式（カテゴリ配列）の場合は対象ポータルのみを置き換え、他のポータルとワークフロー・ゴミ箱・スマートコレクションは残します。
+   * @private
+   * @param {any} json - JSON.parse 済みの値。
+   * @param {string} portalId - アクティブにするポータルID。
+   * @param {string} [legacyPortalId=portalId] - 旧形式のデータを格納するポータルID。
+   * @returns {ValidationReport} 検証結果。
+   * @throws {DataValidationError} データ形式が不正な場合（現在のデータは変更されません）。
+   */
+  _applyParsedDocument(json, portalId, legacyPortalId = portalId) {
+    const { document, report } = parseDocument(json, { portalId: legacyPortalId });
+    this.allPortals = report.fromVersion === 0 ? { ...this.allPortals, ...document.portals } : document.portals;
+    this.allWorkflows = report.fromVersion === 0 ? this.allWorkflows : document.workflows;
+    this.allTrash = report.fromVersion === 0 ? this.allTrash : document.trash || {};
+    this.allCollections = report.fromVersion === 0 ? this.allCollections : document.collections || {};
+    this.data = this.allPortals[portalId] ?? [];
+    this.activePortalId = portalId;
+    this.validationReport = report;
+    return report;
+  }
+
+  /**
+   * コンパニオンサーバーからデータを取得します。
+   * サーバーが起動していない（静的配信や file:// の）場合は `null` を返します。
+   * @private
+   * @async
+   * @returns {Promise<{parsed: any, etag: string|null}|null>}
+   */
+  async _fetchFromServer() {
+    try {
+      const response = await fetch(SERVER_DATA_URL, { cache: 'no-store' });
+      if (!response.ok || !response.headers.get('X-Portal-Server')) {
+        return null;
+      }
+      return { parsed: await response.json(), etag: response.headers.get('ETag') };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * データをロードします。コンパニオンサーバーが起動していればその API から、
+   * そうでなければ data/data.json を fetch し、指定ポータルIDのカテゴリをロードします。
    * @async
    * @param {string} [portalId='default'] - ロードするポータルのID。
-   * @returns {Promise<{success: boolean, data?: Array<Category>, error?: Error}>}
+   * @returns {Promise<{success: boolean, data?: Array<Category>, report?: ValidationReport, error?: Error}>}
+   *          検証エラーの場合、`error` は DataValidationError になります。
    */
   async load(portalId = 'default') {
     try {
-      const response = await fetch('data/data.json', { cache: 'no-store' });
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const parsed = await response.json();
-      // 旧形式（配列）への後方互換対応
-      if (Array.isArray(parsed)) {
-        this.allPortals = { default: parsed };
-        this.allWorkflows = {};
+      let parsed;
+      const fromServer = await this._fetchFromServer();
+      if (fromServer) {
+        parsed = fromServer.parsed;
+        this.server = { etag: fromServer.etag };
       } else {
-        this.allPortals = parsed.portals || {};
-        this.allWorkflows = parsed.workflows || {};
+        const response = await fetch('data/data.json', { cache: 'no-store' });
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        parsed = await response.json();
+        this.server = null;
       }
-      this.data = this.allPortals[portalId] ?? [];
-      return { success: true, data: this.data };
+      // 旧形式（配列）は default ポータルのデータとして扱う
+      const report = this._applyParsedDocument(parsed, portalId, 'default');
+      this._knownSourceHashes = new Set([hashDocument(parsed)]);
+      this.resetHistory();
+      this._purgeExpiredTrashAfterLoad();
+      return { success: true, data: this.data, report };
     } catch (e) {
       console.error('Data load failed:', e);
       return { success: false, error: e };
@@ -146,25 +468,20 @@ export class DataManager {
 
   /**
    * ユーザーが選択したファイルからデータを手動で読み込みます。
-   * 新形式（{portals:{...}}）と旧形式（カテゴリ配列）の両方に対応します。
+   * 旧形式のドキュメントは現行形式へ変換され、検証結果は `validationReport` に保持されます。
    * @async
    * @param {File} file - 読み込むファイルオブジェクト。
    * @param {string} [portalId='default'] - 対象ポータルID（旧形式の場合に使用）。
    * @returns {Promise<Array<Category>>} 読み込まれたデータを含むPromise。
+   * @throws {DataValidationError} データ形式が不正な場合。
    */
   async loadFromFile(file, portalId = 'default') {
     try {
       const json = await this._readJsonFile(file);
-      if (json && typeof json === 'object' && !Array.isArray(json) && json.portals) {
-        this.allPortals = json.portals;
-        this.allWorkflows = json.workflows || {};
-      } else if (Array.isArray(json)) {
-        this.allPortals[portalId] = json;
-        this.allWorkflows = {};
-      } else {
-        throw new Error('Invalid data format.');
-      }
-      this.data = this.allPortals[portalId] ?? [];
+      this._applyParsedDocument(json, portalId);
+      this._knownSourceHashes = new Set([hashDocument(json)]);
+      this.resetHistory();
+      this._purgeExpiredTrashAfterLoad();
       return this.data;
     } catch (err) {
       throw err;
@@ -178,20 +495,13 @@ export class DataManager {
    * @param {File} file - インポートするファイルオブジェクト。
    * @param {string} [portalId='default'] - 対象ポータルID。
    * @returns {Promise<void>}
+   * @throws {DataValidationError} データ形式が不正な場合。
    */
   async importData(file, portalId = 'default') {
     try {
       const json = await this._readJsonFile(file);
-      if (json && typeof json === 'object' && !Array.isArray(json) && json.portals) {
-        this.allPortals = json.portals;
-        this.allWorkflows = json.workflows || {};
-      } else if (Array.isArray(json)) {
-        this.allPortals[portalId] = json;
-        this.allWorkflows = {};
-      } else {
-        throw new Error('Invalid data format.');
-      }
-      this.data = this.allPortals[portalId] ?? [];
+      this._applyParsedDocument(json, portalId);
+      this.purgeExpiredTrash();
       this.markAsDirty();
     } catch (err) {
       throw err;
@@ -199,25 +509,381 @@ export class DataManager {
   }
 
   /**
-   * 全ポータルデータを data.json としてダウンロード（保存）します。
+   * ユーザーが選択したファイルを読み込み、現行形式へ変換・検証したドキュメントを返します。
+   * 現在のデータは変更しません（マージ前のプレビューに使用します）。
+   * @async
+   * @param {File} file - 読み込むファイルオブジェクト。
+   * @param {string} [portalId='default'] - 旧形式（カテゴリ配列）を格納するポータルID。
+   * @returns {Promise<{document: {schemaVersion: number, portals: object, workflows: object}, report: ValidationReport}>}
+   * @throws {DataValidationError} データ形式が不正な場合。
+   */
+  async readDocumentFile(file, portalId = 'default') {
+    const json = await this._readJsonFile(file);
+    return parseDocument(json, { portalId });
+  }
+
+  /**
+   * マージプランを現在のポータルに適用します。データは変更されたものとしてマークされます。
+   * @param {MergePlan} plan - documentMerge.planMerge で作成したプラン（現在のポータルのデータを基に作成したもの）。
+   * @param {Object<string, MergeResolution>} [resolutions={}] - 項目キーごとの解決方法。
+   * @returns {number} 取り込み・変更した項目数。
+   */
+  mergeImport(plan, resolutions = {}) {
+    const merged = applyMergePlan(
+      { categories: this.data, workflows: this.allWorkflows[this.activePortalId] || [] },
+      plan, resolutions, (prefix) => this._generateId(prefix)
+    );
+    this.data = merged.categories;
+    this.allPortals[this.activePortalId] = this.data;
+    this.allWorkflows[this.activePortalId] = merged.workflows;
+    if (merged.applied > 0) this.markAsDirty();
+    return merged.applied;
+  }
+
+  /**
+   * ブックマーク HTML から読み込んだフォルダを、指定ポータルのカテゴリとして取り込みます。
+   * 同じ名前のカテゴリがあればそこへ追加し、無ければ末尾に新しいカテゴリを作成します。
+   * 追加先のカテゴリに同じ URL（正規化して比較）のリンクがある場合は取り込みません。
+   * ID はポータル内で未使用のものを割り当て、アイコン・バッジ・メモは一括追加と同じ既定値にします。
+   * @param {string} portalId - 取り込み先のポータルID。
+   * @param {Array<BookmarkFolder>} folders - bookmarkHtml.parseBookmarkHtml で読み込んだフォルダ。
+   * @returns {{categories: number, links: number, skipped: number}} 作成したカテゴリ数、追加したリンク数、重複のためスキップしたリンク数。
+   */
+  importBookmarks(portalId, folders) {
+    const categories = this._categoriesOf(portalId);
+    const result = { categories: 0, links: 0, skipped: 0 };
+    const added = [];
+    folders.forEach(folder => {
+      let category = categories.find(c => (c.title || '').trim() === folder.title);
+      if (!category) {
+        category = { id: null, title: folder.title, isOpen: true, links: [] };
+        categories.push(category);
+        added.push([category, 'cat']);
+        result.categories++;
+      }
+      const urls = new Set(category.links.map(l => normalizeUrl(l.url)));
+      folder.links.forEach(link => {
+        const url = normalizeUrl(link.url);
+        if (urls.has(url)) {
+          result.skipped++;
+          return;
+        }
+        urls.add(url);
+        const newLink = { id: null, ...IMPORTED_LINK_DEFAULTS, ...link };
+        category.links.push(newLink);
+        added.push([newLink, 'link']);
+        result.links++;
+      });
+    });
+    this._claimIds(categories, added);
+    if (result.categories > 0 || result.links > 0) this.markAsDirty();
+    return result;
+  }
+
+  /**
+   * 指定ポータルのカテゴリとリンクを、ブラウザで読み込めるブックマーク HTML としてダウンロードします。
+   * @param {string} portalId - 書き出すポータルのID。
+   * @param {string} [folderTitle=portalId] - 全体をまとめるフォルダ名（ポータル名など）。
+   */
+  exportBookmarks(portalId, folderTitle = portalId) {
+    const html = exportBookmarkHtml(this._categoriesOf(portalId), folderTitle);
+    this._download(html, 'bookmarks.html', 'text/html');
+  }
+
+  /**
+   * 指定ポータルのリンクを、1行1リンクの CSV / TSV としてダウンロードします。
+   * @param {string} portalId - 書き出すポータルのID。
+   * @param {'csv'|'tsv'} [format='csv'] - ファイル形式。
+   */
+  exportLinkTable(portalId, format = 'csv') {
+    const text = exportLinkTable(this._categoriesOf(portalId), format === 'tsv' ? '\t' : ',');
+    // Excel で開いたときに UTF-8 として認識されるよう BOM を付ける
+    this._download('\uFEFF' + text, `links.${format}`, format === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
+  }
+
+  /**
+   * 指定ポータルを、このアプリが無くても閲覧できる1つの HTML ファイル（読み取り専用のスナップショット）としてダウンロードします。
+   * @param {string} portalId - 書き出すポータルのID。
+   * @param {{title?: string, subtitle?: string, includeWorkflows?: boolean}} [options] - ページのタイトル・説明と、ワークフローを含めるかどうか。
+   */
+  exportStaticHtml(portalId, { title = portalId, subtitle = '', includeWorkflows = false } = {}) {
+    const html = renderStaticPortal({
+      title,
+      subtitle,
+      categories: this._categoriesOf(portalId),
+      workflows: includeWorkflows ? (this.allWorkflows[portalId] || []) : []
+    });
+    this._download(html, `${portalId}.html`, 'text/html');
+  }
+
+  /**
+   * 指定ポータルのリンク一覧とワークフローを、Wiki などに貼り付けられる Markdown としてダウンロードします。
+   * 複数のポータルを指定した場合は、水平線で区切った1つのファイルにまとめます。
+   * @param {Array<{id: string, title?: string, subtitle?: string}>} portals - 書き出すポータルのIDと、見出しにするポータル名・説明。
+   * @param {{includeLinks?: boolean, includeWorkflows?: boolean}} [options] - リンク一覧・ワークフローを含めるかどうか（既定はどちらも含める）。
+   */
+  exportMarkdown(portals, { includeLinks = true, includeWorkflows = true } = {}) {
+    const markdown = renderPortalsMarkdown(portals.map(({ id, title = id, subtitle = '' }) => ({
+      title,
+      subtitle,
+      categories: this._categoriesOf(id),
+      workflows: this.allWorkflows[id] || []
+    })), { includeLinks, includeWorkflows });
+    const fileName = portals.length === 1 ? `${portals[0].id}.md` : 'portals.md';
+    this._download(markdown, fileName, 'text/markdown');
+  }
+
+  /**
+   * 指定ポータルの繰り返しの予定・頻度のあるワークフローを、カレンダーアプリに取り込める iCalendar（.ics）としてダウンロードします。
+   * @param {string} portalId - 書き出すポータルのID。
+   * @param {{title?: string, workflowId?: string|null}} [options] - カレンダー名と、1つのワークフローだけを書き出す場合のID。
+   * @returns {number} 書き出したワークフローの数（0 の場合はダウンロードしません）。
+   */
+  exportCalendar(portalId, { title = portalId, workflowId = null } = {}) {
+    const workflows = (this.allWorkflows[portalId] || []).filter(wf => !workflowId || wf.id === workflowId);
+    const { ics, count } = renderWorkflowCalendar({ portalId, title, categories: this._categoriesOf(portalId), workflows });
+    if (count > 0) {
+      this._download(ics, workflowId ? `${portalId}-${workflowId}.ics` : `${portalId}.ics`, 'text/calendar');
+    }
+    return count;
+  }
+
+  /**
+   * 表から読み込んだリンクを取り込んだ場合の結果を、データを変更せずに求めます（取り込み前のプレビュー用）。
+   * 追加先は `targetCatId` のカテゴリ、指定が無ければ行のカテゴリ名と同じ名前のカテゴリ（無ければ作成）です。
+   * カテゴリ名も無い行は LINK_TABLE_DEFAULT_CATEGORY に追加します。
+   * ポータル内のリンク、または先に現れた行と正規化した URL が同じ行は重複として扱います。
+   * @param {string} portalId - 取り込み先のポータルID。
+   * @param {Array<LinkTableEntry>} entries - linkTable.rowsToLinks で変換した行。
+   * @param {{targetCatId?: string|null}} [options]
+   * @returns {Array<{entry: LinkTableEntry, status: 'new'|'duplicate'|'invalid', catTitle: string, newCategory: boolean, duplicateOf?: string}>}
+   *          行ごとの結果。`duplicateOf` は重複先のカテゴリ名です。
+   */
+  planLinkTableImport(portalId, entries, { targetCatId = null } = {}) {
+    const categories = this._categoriesOf(portalId);
+    const target = targetCatId ? categories.find(c => c.id === targetCatId) : null;
+    const urls = new Map();
+    categories.forEach(c => c.links.forEach(l => urls.set(normalizeUrl(l.url), c.title)));
+
+    return entries.map(entry => {
+      const catTitle = target ? target.title : (entry.category || LINK_TABLE_DEFAULT_CATEGORY);
+      const newCategory = !target && !categories.some(c => (c.title || '').trim() === catTitle);
+      if (!entry.link.url) return { entry, status: 'invalid', catTitle, newCategory };
+      const url = normalizeUrl(entry.link.url);
+      if (urls.has(url)) return { entry, status: 'duplicate', catTitle, newCategory, duplicateOf: urls.get(url) };
+      urls.set(url, catTitle);
+      return { entry, status: 'new', catTitle, newCategory };
+    });
+  }
+
+  /**
+   * 表から読み込んだリンクを取り込みます。追加先と重複の判定は planLinkTableImport と同じです。
+   * ID はポータル内で未使用のものを割り当て、表に無いアイコン・バッジ・メモは一括追加と同じ既定値にします。
+   * @param {string} portalId - 取り込み先のポータルID。
+   * @param {Array<LinkTableEntry>} entries - linkTable.rowsToLinks で変換した行。
+   * @param {{targetCatId?: string|null, skipDuplicates?: boolean}} [options] - `skipDuplicates` が `false` の場合は重複する行も追加します。
+   * @returns {{categories: number, links: number, skipped: number}} 作成したカテゴリ数、追加したリンク数、取り込まなかった行数。
+   */
+  importLinkTable(portalId, entries, { targetCatId = null, skipDuplicates = true } = {}) {
+    const categories = this._categoriesOf(portalId);
+    const result = { categories: 0, links: 0, skipped: 0 };
+    const added = [];
+    this.planLinkTableImport(portalId, entries, { targetCatId }).forEach(({ entry, status, catTitle }) => {
+      if (status === 'invalid' || (status === 'duplicate' && skipDuplicates)) {
+        result.skipped++;
+        return;
+      }
+      let category = targetCatId
+        ? categories.find(c => c.id === targetCatId)
+        : categories.find(c => (c.title || '').trim() === catTitle);
+      if (!category) {
+        category = { id: null, title: catTitle, isOpen: true, links: [] };
+        categories.push(category);
+        added.push([category, 'cat']);
+        result.categories++;
+      }
+      const newLink = { id: null, ...IMPORTED_LINK_DEFAULTS, ...entry.link };
+      category.links.push(newLink);
+      added.push([newLink, 'link']);
+      result.links++;
+    });
+    this._claimIds(categories, added);
+    if (result.categories > 0 || result.links > 0) this.markAsDirty();
+    return result;
+  }
+
+  /**
+   * 全ポータルデータを data.json として保存します。
+   * コンパニオンサーバー経由で読み込んでいればサーバーへ PUT し、
+   * データファイルが接続済みで書き込みが許可されていれば直接上書きし、
+   * どちらも使えなければ data.json としてダウンロードします。
    * データは保存済みとしてマークされます。
+   * @async
    * @param {string} [portalId='default'] - 現在アクティブなポータルID（allPortals を更新するために使用）。
+   * @returns {Promise<{method: 'server'|'file'|'download'}>} 実際に使用された保存方法。
+   * @throws {SaveConflictError} サーバー上の data.json が読み込み後に更新されていた場合。
    */
-  save(portalId = 'default') {
+  async save(portalId = 'default') {
     this.allPortals[portalId] = this.data;
-    const dataStr = JSON.stringify({ portals: this.allPortals, workflows: this.allWorkflows }, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
+    const dataStr = JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, portals: this.allPortals, workflows: this.allWorkflows, trash: this.allTrash, collections: this.allCollections }, null, 2);
+
+    let method = 'download';
+    if (this.server && await this._saveToServer(dataStr)) {
+      method = 'server';
+    } else if (this.dataFile && this.dataFile.isConnected() && await this.dataFile.ensurePermission('readwrite')) {
+      try {
+        await this.dataFile.write(dataStr);
+        method = 'file';
+      } catch (e) {
+        console.error('Writing to data file failed, falling back to download:', e);
+      }
+    }
+    if (method === 'download') {
+      this._download(dataStr, 'data.json');
+    }
+
+    // ダウンロードした内容も、利用者が data.json を置き換えた後の内容として把握しておく
+    this._knownSourceHashes.add(hashDocument(JSON.parse(dataStr)));
+    this.markAsClean();
+    return { method };
+  }
+
+  /**
+   * 保存先（読み込み元）の data.json を読み直し、最後に読み込み・保存した後に外部で更新されていないかを確認します。
+   * 内容はハッシュ値で比較するため、書式（空白・改行）だけの違いは更新とみなしません。
+   * @async
+   * @returns {Promise<ExternalChange|null>} 外部で更新されていた場合はその内容。更新が無い、または読み直せない場合は `null`。
+   * @throws {DataValidationError} 更新後の data.json の形式が不正な場合。
+   */
+  async checkExternalChanges() {
+    const source = await this._readSource();
+    if (!source) return null;
+    const hash = hashDocument(source.json);
+    if (this._knownSourceHashes.has(hash)) return null;
+    const { document } = parseDocument(source.json, { portalId: 'default' });
+    return { document, hash, etag: source.etag ?? null, kind: source.kind };
+  }
+
+  /**
+   * 最後に読み込み・保存した内容を共通の祖先として、現在のデータと外部で更新された内容を3方向マージします。
+   * 現在のデータは変更しません（適用は adoptExternalDocument() で行います）。
+   * @param {ExternalChange} external - checkExternalChanges() が返した内容。
+   * @param {Object<string, MergeResolution>} [resolutions={}] - 競合キーごとの解決方法。
+   * @returns {{document: {portals: object, workflows: object}, conflicts: Array<ThreeWayConflict>, theirsApplied: number}}
+   */
+  mergeExternalChanges(external, resolutions = {}) {
+    return mergeThreeWay(
+      this.getSavedDocument(), this.toDocument(), external.document,
+      resolutions, (prefix) => this._generateId(prefix)
+    );
+  }
+
+  /**
+   * 外部で更新された内容を、以後の比較の基準（最後に読み込んだ内容）として受け入れます。
+   * マージ結果が渡された場合は、それで現在のデータを置き換えます（Undo 可能な変更として記録されます）。
+   * マージ結果が外部の内容と同じ（自分の変更が無い）場合は、保存済みとしてマークします。
+   * @param {ExternalChange} external - checkExternalChanges() が返した内容。
+   * @param {{portals: object, workflows: object}|null} [mergedDocument=null] - 3方向マージの結果。`null` の場合は現在のデータを変更しません（上書き保存する場合）。
+   */
+  adoptExternalDocument(external, mergedDocument = null) {
+    this._savedDocumentJson = JSON.stringify(external.document);
+    this._knownSourceHashes.add(external.hash);
+    if (this.server && external.etag) {
+      this.server.etag = external.etag;
+    }
+    if (mergedDocument) {
+      this.restoreDocument(mergedDocument);
+      if (diffDocuments(external.document, this.toDocument()).length === 0) {
+        this.markAsClean();
+      }
+    }
+  }
+
+  /**
+   * 保存先（読み込み元）の data.json を読み直します。
+   * コンパニオンサーバー、接続済みのデータファイル（許可済みの場合のみ）、data/data.json の順に試します。
+   * @private
+   * @async
+   * @returns {Promise<{kind: 'server'|'file'|'static', json: any, etag?: string|null}|null>} 読み直せない場合は `null`。
+   */
+  async _readSource() {
+    if (this.server) {
+      const fromServer = await this._fetchFromServer();
+      return fromServer ? { kind: 'server', json: fromServer.parsed, etag: fromServer.etag } : null;
+    }
+    if (this.dataFile && this.dataFile.isConnected() && await this.dataFile.ensurePermission('read', false)) {
+      const file = await this.dataFile.getFile();
+      return { kind: 'file', json: await this._readJsonFile(file) };
+    }
+    try {
+      const response = await fetch('data/data.json', { cache: 'no-store' });
+      return response.ok ? { kind: 'static', json: await response.json() } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * コンパニオンサーバーへデータを PUT します。
+   * 読み込み時の ETag を If-Match に指定し、他で更新されていた場合は上書きしません。
+   * @private
+   * @async
+   * @param {string} dataStr - 保存するJSON文字列。
+   * @returns {Promise<boolean>} 保存できた場合は `true`。サーバーに到達できなかった場合は `false`。
+   * @throws {SaveConflictError} サーバー上のデータが更新されていた場合。
+   */
+  async _saveToServer(dataStr) {
+    let response;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.server.etag) headers['If-Match'] = this.server.etag;
+      response = await fetch(SERVER_DATA_URL, { method: 'PUT', headers, body: dataStr });
+    } catch (e) {
+      console.error('Saving to portal server failed, falling back:', e);
+      return false;
+    }
+    if (response.status === 412) {
+      throw new SaveConflictError();
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    this.server.etag = response.headers.get('ETag');
+    return true;
+  }
+
+  /**
+   * 接続済みのデータファイルから全ポータルデータを読み込みます。
+   * @async
+   * @param {string} [portalId='default'] - 対象ポータルID。
+   * @returns {Promise<Array<Category>>} 読み込まれたデータを含むPromise。
+   */
+  async loadFromDataFile(portalId = 'default') {
+    if (!this.dataFile || !(await this.dataFile.ensurePermission('read'))) {
+      throw new Error('Data file is not accessible.');
+    }
+    const file = await this.dataFile.getFile();
+    return this.loadFromFile(file, portalId);
+  }
+
+  /**
+   * 文字列をファイルとしてダウンロードさせます。
+   * @private
+   * @param {string} text - ファイルの内容。
+   * @param {string} fileName - ダウンロード時のファイル名。
+   * @param {string} [type='application/json'] - MIMEタイプ。
+   */
+  _download(text, fileName, type = 'application/json') {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'data.json';
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-
-    this.markAsClean();
   }
 
   /**
@@ -248,13 +914,14 @@ export class DataManager {
   }
   
   /**
-   * 指定されたIDのカテゴリを削除します。
+   * 指定されたIDのカテゴリを、中のリンクごとゴミ箱に移動します。
    * @param {string} id - 削除するカテゴリのID。
    */
   deleteCategory(id) {
-    const initialLength = this.data.length;
-    this.data = this.data.filter(c => c.id !== id);
-    if (this.data.length < initialLength) {
+    const index = this.data.findIndex(c => c.id === id);
+    if (index !== -1) {
+      const [category] = this.data.splice(index, 1);
+      this._pushTrash(this.activePortalId, { type: 'category', item: category, index });
       this.markAsDirty();
     }
   }
@@ -308,21 +975,183 @@ export class DataManager {
   }
 
   /**
-   * 指定されたカテゴリ内の指定されたIDを持つリンクを削除します。
+   * 指定されたカテゴリ内の指定されたIDを持つリンクを、ゴミ箱に移動します。
    * @param {string} catId - リンクが属するカテゴリのID。
    * @param {string} linkId - 削除するリンクのID。
    */
   deleteLink(catId, linkId) {
     const cat = this.getCategory(catId);
     if (cat) {
-      const initialLinksLength = cat.links.length;
-      cat.links = cat.links.filter(l => l.id !== linkId);
-      if (cat.links.length < initialLinksLength) {
+      const index = cat.links.findIndex(l => l.id === linkId);
+      if (index !== -1) {
+        const [link] = cat.links.splice(index, 1);
+        this._pushTrash(this.activePortalId, { type: 'link', item: link, index, catId, catTitle: cat.title });
         this.markAsDirty();
       }
     }
   }
 
+  // --- ゴミ箱 ---
+
+  /**
+   * 指定ポータルのゴミ箱の項目を、新しく削除した順に返します（深いコピー）。
+   * @param {string} [portalId=this.activePortalId] - 対象のポータルID。
+   * @returns {Array<TrashEntry>}
+   */
+  getTrash(portalId = this.activePortalId) {
+    return JSON.parse(JSON.stringify(this.allTrash[portalId] || [])).reverse();
+  }
+
+  /**
+   * 削除した項目をゴミ箱に追加し、データを変更されたものとしてマークします。
+   * ワークフローの削除など、DataManager 以外で削除した項目に使用します。
+   * @param {string} portalId - 対象のポータルID。
+   * @param {'category'|'link'|'workflow'} type - 項目の種類。
+   * @param {object} item - 削除した項目。
+   * @param {{index: number, catId?: string, catTitle?: string}} location - 削除前の位置。
+   */
+  moveToTrash(portalId, type, item, location) {
+    this._pushTrash(portalId, { type, item, ...location });
+    this.markAsDirty();
+  }
+
+  /**
+   * ゴミ箱の項目を元の位置に戻します。
+   * リンクの元のカテゴリがゴミ箱にあればカテゴリごと戻し、どこにも無ければ同じ名前のカテゴリを作り直します。
+   * 元の位置が範囲外になっている場合は末尾に戻します。
+   * @param {string} entryId - ゴミ箱の項目のID。
+   * @param {string} [portalId=this.activePortalId] - 対象のポータルID。
+   * @returns {boolean} 元に戻した場合は `true`。
+   */
+  restoreFromTrash(entryId, portalId = this.activePortalId) {
+    const entry = this._takeTrashEntry(portalId, entryId);
+    if (!entry) return false;
+    this._restoreEntry(portalId, entry);
+    this.markAsDirty();
+    return true;
+  }
+
+  /**
+   * 指定ポータルのゴミ箱を空にします（項目は完全に削除されます）。
+   * @param {string} [portalId=this.activePortalId] - 対象のポータルID。
+   * @returns {number} 完全に削除した項目数。
+   */
+  emptyTrash(portalId = this.activePortalId) {
+    const count = (this.allTrash[portalId] || []).length;
+    if (count > 0) {
+      delete this.allTrash[portalId];
+      this.markAsDirty();
+    }
+    return count;
+  }
+
+  /**
+   * 保持期間（trashRetentionDays）を過ぎたゴミ箱の項目を、すべてのポータルから完全に削除します。
+   * 読み込み直後とゴミ箱への追加時に自動で呼び出されます。このメソッド自体は変更済みのマークを付けません。
+   * @param {number} [now=Date.now()] - 現在時刻（ミリ秒）。
+   * @returns {number} 完全に削除した項目数。
+   */
+  purgeExpiredTrash(now = Date.now()) {
+    const limit = now - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    let purged = 0;
+    Object.keys(this.allTrash).forEach(portalId => {
+      const kept = this.allTrash[portalId].filter(entry => !(Date.parse(entry.deletedAt) < limit));
+      purged += this.allTrash[portalId].length - kept.length;
+      if (kept.length > 0) {
+        this.allTrash[portalId] = kept;
+      } else {
+        delete this.allTrash[portalId];
+      }
+    });
+    return purged;
+  }
+
+  /**
+   * 読み込み直後に、保持期間を過ぎたゴミ箱の項目を完全に削除します。
+   * 削除した場合は読み込んだファイルと内容が変わるため、通常の変更として扱い（未保存になり、元に戻すこともできます）、
+   * 保存前の差分にも表示されるようにします。
+   * @private
+   * @returns {number} 完全に削除した項目数。
+   */
+  _purgeExpiredTrashAfterLoad() {
+    const purged = this.purgeExpiredTrash();
+    if (purged > 0) this.markAsDirty();
+    return purged;
+  }
+
+  /**
+   * ゴミ箱に項目を追加します。保持期間を過ぎた項目はこのとき削除されます。
+   * @private
+   * @param {string} portalId
+   * @param {{type: string, item: object, index: number, catId?: string, catTitle?: string}} entry
+   */
+  _pushTrash(portalId, entry) {
+    this.purgeExpiredTrash();
+    if (!this.allTrash[portalId]) this.allTrash[portalId] = [];
+    this.allTrash[portalId].push({ id: this._generateId('trash'), deletedAt: new Date().toISOString(), ...entry });
+  }
+
+  /**
+   * ゴミ箱から項目を取り出します。
+   * @private
+   * @param {string} portalId
+   * @param {string} entryId
+   * @returns {TrashEntry|null}
+   */
+  _takeTrashEntry(portalId, entryId) {
+    const entries = this.allTrash[portalId] || [];
+    const index = entries.findIndex(e => e.id === entryId);
+    if (index === -1) return null;
+    const [entry] = entries.splice(index, 1);
+    if (entries.length === 0) delete this.allTrash[portalId];
+    return entry;
+  }
+
+  /**
+   * 指定ポータルのカテゴリ配列を返します。アクティブなポータルの場合は編集中の `data` です。
+   * @private
+   * @param {string} portalId
+   * @returns {Array<Category>}
+   */
+  _categoriesOf(portalId) {
+    if (portalId === this.activePortalId) return this.data;
+    if (!this.allPortals[portalId]) this.allPortals[portalId] = [];
+    return this.allPortals[portalId];
+  }
+
+  /**
+   * ゴミ箱の項目を元の位置に挿入します。
+   * @private
+   * @param {string} portalId
+   * @param {TrashEntry} entry
+   */
+  _restoreEntry(portalId, entry) {
+    // 削除後に同じ ID の項目が（外部の変更のマージなどで）戻っている場合は、新しい ID で戻す
+    const insertAt = (list, item) => {
+      if (list.some(i => i.id === item.id)) item.id = this._generateId({ category: 'cat', link: 'link', workflow: 'wf' }[entry.type]);
+      list.splice(Math.min(entry.index ?? list.length, list.length), 0, item);
+    };
+    if (entry.type === 'category') {
+      insertAt(this._categoriesOf(portalId), entry.item);
+    } else if (entry.type === 'link') {
+      const categories = this._categoriesOf(portalId);
+      let category = categories.find(c => c.id === entry.catId);
+      if (!category) {
+        const parent = (this.allTrash[portalId] || []).find(e => e.type === 'category' && e.item.id === entry.catId);
+        if (parent) {
+          this._restoreEntry(portalId, this._takeTrashEntry(portalId, parent.id));
+        } else {
+          categories.push({ id: entry.catId, title: entry.catTitle ?? '復元したリンク', isOpen: true, links: [] });
+        }
+        category = categories.find(c => c.id === entry.catId);
+      }
+      insertAt(category.links, entry.item);
+    } else if (entry.type === 'workflow') {
+      if (!this.allWorkflows[portalId]) this.allWorkflows[portalId] = [];
+      insertAt(this.allWorkflows[portalId], entry.item);
+    }
+  }
+
   /**
    * 指定されたカテゴリ内のリンクの順序を移動します。
    * @param {number} catIndex - リンクが属するカテゴリのインデックス。
@@ -340,6 +1169,30 @@ export class DataManager {
     this.markAsDirty();
   }
 
+  /**
+   * リンクを別のカテゴリ（または同じカテゴリ内の別の位置）へ移動します。
+   * @param {number} fromCatIndex - 移動元カテゴリのインデックス。
+   * @param {number} fromIndex - 移動元リンクのインデックス。
+   * @param {number} toCatIndex - 移動先カテゴリのインデックス。
+   * @param {number} [toIndex] - 移動先での挿入位置（移動元から取り除いた後のインデックス）。省略した場合は末尾に追加します。
+   */
+  moveLinkToCategory(fromCatIndex, fromIndex, toCatIndex, toIndex) {
+    const from = this.data[fromCatIndex];
+    const to = this.data[toCatIndex];
+    // 境界チェック
+    if (!from || !to || fromIndex < 0 || fromIndex >= from.links.length) {
+      return;
+    }
+    const maxIndex = from === to ? to.links.length - 1 : to.links.length;
+    const index = toIndex === undefined ? maxIndex : Math.max(0, Math.min(toIndex, maxIndex));
+    if (from === to && index === fromIndex) {
+      return;
+    }
+    const [item] = from.links.splice(fromIndex, 1);
+    to.links.splice(index, 0, item);
+    this.markAsDirty();
+  }
+
   /**
    * 指定されたカテゴリに複数のリンクを一括で追加します。
    * @param {string} catId - リンクを追加するカテゴリのID。
@@ -356,4 +1209,143 @@ export class DataManager {
       this.markAsDirty();
     }
   }
+
+  // --- スマートコレクション ---
+
+  /**
+   * 指定ポータルのスマートコレクションを返します（深いコピー）。
+   * @param {string} [portalId=this.activePortalId] - 対象のポータルID。
+   * @returns {Array<SmartCollection>}
+   */
+  getCollections(portalId = this.activePortalId) {
+    return JSON.parse(JSON.stringify(this.allCollections[portalId] || []));
+  }
+
+  /**
+   * 検索条件をスマートコレクションとして保存します。
+   * @param {string} portalId - 保存先のポータルID。
+   * @param {{title: string, query?: string, tags?: string[], freq?: string, badge?: string}} collectionData - 名前と検索条件。
+   * @returns {SmartCollection} 追加されたスマートコレクション。
+   */
+  addCollection(portalId, { title, query = '', tags = [], freq = '', badge = '' }) {
+    const collection = { id: this._generateId('col'), title, query, tags: [...tags], freq, badge };
+    if (!this.allCollections[portalId]) this.allCollections[portalId] = [];
+    this.allCollections[portalId].push(collection);
+    this.markAsDirty();
+    return JSON.parse(JSON.stringify(collection));
+  }
+
+  /**
+   * スマートコレクションの名前・検索条件を更新します。
+   * @param {string} portalId
+   * @param {string} collectionId
+   * @param {Partial<SmartCollection>} collectionData - 更新する項目。
+   * @returns {boolean} 更新した場合は `true`。
+   */
+  updateCollection(portalId, collectionId, collectionData) {
+    const collection = (this.allCollections[portalId] || []).find(c => c.id === collectionId);
+    if (!collection) return false;
+    Object.assign(collection, collectionData, { id: collectionId });
+    this.markAsDirty();
+    return true;
+  }
+
+  /**
+   * スマートコレクションを削除します。保存した検索条件だけを削除し、リンクには影響しません。
+   * @param {string} portalId
+   * @param {string} collectionId
+   * @returns {boolean} 削除した場合は `true`。
+   */
+  deleteCollection(portalId, collectionId) {
+    const collections = this.allCollections[portalId] || [];
+    const index = collections.findIndex(c => c.id === collectionId);
+    if (index === -1) return false;
+    collections.splice(index, 1);
+    if (collections.length === 0) delete this.allCollections[portalId];
+    this.markAsDirty();
+    return true;
+  }
+
+  // --- ポータル間の移動・コピー ---
+
+  /**
+   * アクティブなポータルのカテゴリを、中のリンクごと別のポータルの末尾へ移動またはコピーします。
+   * 移動先で重複しない限り ID をそのまま引き継ぐため、移動先のワークフローからも同じ ID で参照でき、
+   * 元のポータルへ戻した場合もワークフローのステップの参照が保たれます。
+   * @param {string} catId - 移動するカテゴリのID。
+   * @param {string} targetPortalId - 移動先のポータルID（アクティブなポータル以外）。
+   * @param {{copy?: boolean}} [options] - `copy` が `true` の場合は元のカテゴリを残します。
+   * @returns {Category|null} 移動先に追加したカテゴリ。移動できなかった場合は `null`。
+   */
+  transferCategory(catId, targetPortalId, { copy = false } = {}) {
+    const index = this.data.findIndex(c => c.id === catId);
+    if (index === -1 || !targetPortalId || targetPortalId === this.activePortalId) return null;
+
+    const category = JSON.parse(JSON.stringify(this.data[index]));
+    const target = this._categoriesOf(targetPortalId);
+    this._claimIds(target, [[category, 'cat'], ...category.links.map(link => [link, 'link'])]);
+    target.push(category);
+    if (!copy) this.data.splice(index, 1);
+    this.markAsDirty();
+    return category;
+  }
+
+  /**
+   * アクティブなポータルのリンクを、別のポータルのカテゴリの末尾へ移動またはコピーします。
+   * 移動先のカテゴリを指定しない場合は、同じ名前のカテゴリへ、無ければ同じ名前のカテゴリを作って追加します。
+   * ID の扱いは transferCategory と同じです。
+   * @param {string} catId - リンクが属するカテゴリのID。
+   * @param {string} linkId - 移動するリンクのID。
+   * @param {string} targetPortalId - 移動先のポータルID（アクティブなポータル以外）。
+   * @param {{copy?: boolean, targetCatId?: string|null}} [options] - `copy` が `true` の場合は元のリンクを残します。
+   * @returns {{catId: string, link: Link}|null} 移動先のカテゴリIDと追加したリンク。移動できなかった場合は `null`。
+   */
+  transferLink(catId, linkId, targetPortalId, { copy = false, targetCatId = null } = {}) {
+    const source = this.getCategory(catId);
+    const index = source ? source.links.findIndex(l => l.id === linkId) : -1;
+    if (index === -1 || !targetPortalId || targetPortalId === this.activePortalId) return null;
+
+    const link = JSON.parse(JSON.stringify(source.links[index]));
+    const target = this._categoriesOf(targetPortalId);
+    let category = target.find(c => c.id === targetCatId)
+      ?? target.find(c => (c.title || '').trim() === (source.title || '').trim());
+    const items = [[link, 'link']];
+    if (!category) {
+      category = { id: source.id, title: source.title, isOpen: true, links: [] };
+      items.unshift([category, 'cat']);
+    }
+    this._claimIds(target, items);
+    if (!target.includes(category)) target.push(category);
+    category.links.push(link);
+    if (!copy) source.links.splice(index, 1);
+    this.markAsDirty();
+    return { catId: category.id, link };
+  }
+
+  /**
+   * 指定ポータルのワークフローのステップのうち、指定したリンクを参照しているものの数を返します。
+   * ワークフローはポータルごとのため、リンクを別のポータルへ移動するとこれらのステップはリンクを参照できなくなります。
+   * @param {string} portalId - ワークフローのポータルID。
+   * @param {Array<string>} linkIds - 対象のリンクID。
+   * @returns {number}
+   */
+  countWorkflowReferences(portalId, linkIds) {
+    const ids = new Set(linkIds);
+    return (this.allWorkflows[portalId] || [])
+      .reduce((count, wf) => count + (wf.steps || []).filter(step => step.linkId && ids.has(step.linkId)).length, 0);
+  }
+
+  /**
+   * 追加する項目の ID が、追加先のカテゴリ・リンクの ID と重複する場合に新しい ID を振ります。
+   * @private
+   * @param {Array<Category>} categories - 追加先のポータルのカテゴリ配列。
+   * @param {Array<[object, string]>} items - 追加する項目と、ID のプレフィックスの組。
+   */
+  _claimIds(categories, items) {
+    const used = new Set(categories.flatMap(c => [c.id, ...(c.links || []).map(l => l.id)]));
+    items.forEach(([item, prefix]) => {
+      while (!item.id || used.has(item.id)) item.id = this._generateId(prefix);
+      used.add(item.id);
+    });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * @file bookmarkImportDialog.js
+ * @brief ブラウザのブックマーク HTML を読み込み、取り込むフォルダと取り込み先のポータルを選ぶダイアログを管理するクラス。
+ * @module BookmarkImportDialog
+ */
+
+import { parseBookmarkHtml } from '../bookmarkHtml.js';
+
+/**
+ * @class BookmarkImportDialog
+ * @brief ブックマーク HTML のフォルダをカテゴリとしてプレビューし、選択したフォルダを指定ポータルへ取り込みます。
+ *        同じ名前のカテゴリがあればそこへ追加し、同じ URL のリンクは取り込みません。
+ */
+export class BookmarkImportDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - 設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {function(): void} onChange - 取り込んだ後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+  /**
+   * @property {Array<BookmarkFolder>} folders - 読み込んだフォルダ。
+   */
+  folders = [];
+  /**
+   * @property {function({categories: number, links: number, skipped: number}|null): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * BookmarkImportDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {function(): void} onChange - 取り込んだ後に呼び出されるコールバック。
+   */
+  constructor(dataManager, configManager, onChange) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('bookmarkImportDialog');
+    document.getElementById('bookmarkSelectAll').addEventListener('change', (e) => {
+      this.dialog.querySelectorAll('.bookmark-folder-check').forEach(check => { check.checked = e.target.checked; });
+      this._updateSummary();
+    });
+    document.getElementById('bookmarkCancelBtn').addEventListener('click', () => this._finish(null));
+    document.getElementById('bookmarkApplyBtn').addEventListener('click', () => {
+      const selected = [...this.dialog.querySelectorAll('.bookmark-folder-check:checked')]
+        .map(check => this.folders[Number(check.dataset.index)]);
+      const portalId = document.getElementById('bookmarkTargetPortal').value;
+      const result = this.dataManager.importBookmarks(portalId, selected);
+      this.onChange();
+      this._finish(result);
+    });
+    this.dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this._finish(null);
+    });
+  }
+
+  /**
+   * ファイルを読み込んでダイアログを開き、取り込みの完了を待ちます。
+   * @async
+   * @param {File} file - ブックマーク HTML ファイル。
+   * @returns {Promise<{categories: number, links: number, skipped: number}|null>} 取り込み結果。キャンセルした場合は `null`。
+   * @throws {Error} ブックマークが見つからない場合（ダイアログは開きません）。
+   */
+  async open(file) {
+    this.folders = parseBookmarkHtml(await file.text());
+
+    document.getElementById('bookmarkImportFileName').textContent = file.name;
+    const select = document.getElementById('bookmarkTargetPortal');
+    select.innerHTML = '';
+    Object.entries(this.configManager.getConfig().portals).forEach(([id, portal]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = portal.title ? `${portal.title} (${id})` : id;
+      select.appendChild(option);
+    });
+    select.value = this.configManager.getActivePortalId();
+    document.getElementById('bookmarkSelectAll').checked = true;
+
+    this._render();
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+
+  /**
+   * フォルダの一覧を描画します。
+   * @private
+   */
+  _render() {
+    const area = document.getElementById('bookmarkImportArea');
+    area.innerHTML = '';
+    const list = document.createElement('ul');
+    list.className = 'diff-list';
+    this.folders.forEach((folder, index) => {
+      const item = document.createElement('li');
+      item.className = 'diff-item diff-added';
+      const label = document.createElement('label');
+      label.className = 'bookmark-folder';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.className = 'bookmark-folder-check';
+      check.dataset.index = String(index);
+      check.checked = true;
+      check.addEventListener('change', () => this._updateSummary());
+      label.appendChild(check);
+      label.appendChild(document.createTextNode(` ${folder.title}（リンク ${folder.links.length} 件）`));
+      item.appendChild(label);
+      if (folder.path.length > 1) {
+        const path = document.createElement('div');
+        path.className = 'bookmark-folder-path';
+        path.textContent = folder.path.join(' / ');
+        item.appendChild(path);
+      }
+      list.appendChild(item);
+    });
+    area.appendChild(list);
+    this._updateSummary();
+  }
+
+  /**
+   * 選択中のフォルダ数とリンク数を表示します。
+   * @private
+   */
+  _updateSummary() {
+    const selected = [...this.dialog.querySelectorAll('.bookmark-folder-check:checked')]
+      .map(check => this.folders[Number(check.dataset.index)]);
+    const links = selected.reduce((sum, folder) => sum + folder.links.length, 0);
+    document.getElementById('bookmarkImportSummary').textContent =
+      `${this.folders.length} 個のフォルダのうち ${selected.length} 個（リンク ${links} 件）を取り込みます。同じ名前のカテゴリがあればそこへ追加し、同じ URL のリンクはスキップします。`;
+    document.getElementById('bookmarkApplyBtn').disabled = selected.length === 0;
+  }
+
+  /**
+   * 結果で Promise を解決し、ダイアログを閉じます。
+   * @private
+   * @param {{categories: number, links: number, skipped: number}|null} result
+   */
+  _finish(result) {
+    if (this.dialog.open) this.dialog.close();
+    if (this._resolve) {
+      this._resolve(result);
+      this._resolve = null;
+    }
+  }
+}
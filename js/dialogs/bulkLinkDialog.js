@@ -5,11 +5,13 @@
  */
 
 import { IconPickerDialog } from './iconPickerDialog.js';
+import { parseLinkText } from '../linkTextParser.js';
 
 /**
  * @class BulkLinkDialog
  * @brief 複数のリンクを一括で追加するためのモーダルダイアログを制御します。
  *        IconPickerDialog と連携してアイコン選択機能を提供します。
+ *        貼り付けたテキスト（Markdown・TSV / CSV・URL の一覧など）を読み取って行を作成し、確認・修正してから追加できます。
  */
 export class BulkLinkDialog {
   dataManager;
@@ -29,6 +31,7 @@ export class BulkLinkDialog {
   }
 
   initEventListeners() {
+    document.getElementById('bulkPasteParseBtn').addEventListener('click', () => this._applyPastedText());
     this.dialog.addEventListener('close', () => {
       if (this.dialog.returnValue === 'save') {
         const categoryId = document.getElementById('bulkLinkCategorySelect').value;
@@ -66,6 +69,36 @@ export class BulkLinkDialog {
     });
   }
 
+  /**
+   * 貼り付け欄のテキストを読み取り、入力行として追加します。
+   * サンプル行と空の行は取り除き、タイトルを URL から作成した行は確認しやすいよう強調表示します。
+   * @private
+   */
+  _applyPastedText() {
+    const textarea = document.getElementById('bulkPasteInput');
+    const summary = document.getElementById('bulkPasteSummary');
+    const links = parseLinkText(textarea.value);
+    if (links.length === 0) {
+      summary.textContent = 'リンクが見つかりませんでした。';
+      return;
+    }
+
+    const inputArea = document.getElementById('bulk-link-input-area');
+    inputArea.querySelectorAll('.bulk-link-row').forEach(row => {
+      const isEmpty = !row.querySelector('.input-title').value.trim() && !row.querySelector('.input-url').value.trim();
+      if (isEmpty || row.dataset.sample === 'true') row.remove();
+    });
+    links.forEach(link => {
+      const row = this._createRow(link);
+      if (link.titleFromUrl) row.querySelector('.input-title').classList.add('derived-title');
+      inputArea.appendChild(row);
+    });
+
+    const derived = links.filter(link => link.titleFromUrl).length;
+    summary.textContent = `${links.length} 件のリンクを読み取りました。` + (derived > 0 ? `うち ${derived} 件はタイトルを URL から作成しています（強調表示）。` : '');
+    textarea.value = '';
+  }
+
   /**
    * アイコン値が Material Symbol 名かどうかを判定します。
    * @private
@@ -104,8 +137,8 @@ export class BulkLinkDialog {
     const row = document.createElement('div');
     row.className = 'bulk-link-row';
     row.innerHTML = `
-      <input type="text" class="input-title" placeholder="タイトル" value="${link.title || ''}">
-      <input type="url" class="input-url" placeholder="URL" value="${link.url || ''}">
+      <input type="text" class="input-title" placeholder="タイトル">
+      <input type="url" class="input-url" placeholder="URL">
       <div class="bulk-icon-cell">
         <div class="bulk-icon-preview-wrap">
           <span class="icon icon-md bulk-icon-preview">${initialIcon}</span>
@@ -128,8 +161,15 @@ export class BulkLinkDialog {
         <option value="idea"    ${link.badge === 'idea'    ? 'selected' : ''}>Idea</option>
         <option value="company" ${link.badge === 'company' ? 'selected' : ''}>Company</option>
       </select>
-      <input type="text" class="input-memo" placeholder="メモ" value="${link.memo || ''}">
+      <input type="text" class="input-memo" placeholder="メモ">
+      <button type="button" class="action-btn btn-delete bulk-row-remove" title="この行を削除"><span class="icon icon-sm">close</span></button>
     `;
+    // 貼り付けたテキスト由来の値に引用符などが含まれても崩れないよう、値はプロパティで設定する
+    row.querySelector('.input-title').value = link.title || '';
+    row.querySelector('.input-url').value = link.url || '';
+    row.querySelector('.input-memo').value = link.memo || '';
+    row.querySelector('.input-title').addEventListener('input', (e) => e.target.classList.remove('derived-title'));
+    row.querySelector('.bulk-row-remove').addEventListener('click', () => row.remove());
 
     const iconInput = row.querySelector('.input-icon');
     const previewSpan = row.querySelector('.bulk-icon-preview');
@@ -168,17 +208,21 @@ export class BulkLinkDialog {
     const inputArea = document.getElementById('bulk-link-input-area');
     inputArea.innerHTML = '';
 
-    inputArea.appendChild(this._createRow({
+    const sampleRow = this._createRow({
       title: 'Example Link',
       url: 'https://example.com/',
       icon: 'lightbulb',
       badge: 'doc',
       memo: 'これはサンプルです'
-    }));
+    });
+    sampleRow.dataset.sample = 'true';
+    inputArea.appendChild(sampleRow);
 
     for (let i = 0; i < 5; i++) {
       inputArea.appendChild(this._createRow());
     }
+    document.getElementById('bulkPasteInput').value = '';
+    document.getElementById('bulkPasteSummary').textContent = '';
 
     this.dialog.showModal();
   }
@@ -0,0 +1,351 @@
+/**
+ * @file commandPaletteDialog.js
+ * @brief Ctrl+K で開き、リンク・カテゴリ・ワークフロー・ポータル・コマンドをキーボードだけで探して実行するコマンドパレットを管理するクラス。
+ * @module CommandPaletteDialog
+ */
+
+import { rankPaletteItems } from '../commandPalette.js';
+import { isLocalLink, localPathOf } from '../linkCard.js';
+
+/**
+ * @constant {number} RESULT_LIMIT
+ * @description 一覧に表示する候補の最大数。
+ */
+const RESULT_LIMIT = 50;
+
+/**
+ * @constant {number} RECENT_LIMIT
+ * @description 記憶しておく最近使った候補の数。
+ */
+const RECENT_LIMIT = 20;
+
+/**
+ * @constant {object} KIND_LABELS
+ * @description 候補の種類の表示名とアイコン。
+ */
+const KIND_LABELS = {
+  link: { label: 'リンク', icon: 'link' },
+  category: { label: 'カテゴリ', icon: 'folder' },
+  workflow: { label: 'ワークフロー', icon: 'account_tree' },
+  portal: { label: 'ポータル', icon: 'swap_horiz' },
+  command: { label: 'コマンド', icon: 'bolt' }
+};
+
+/**
+ * @constant {Array<{mode: string, label: string}>} VIEW_MODES
+ * @description 表示を切り替えるコマンドの一覧。
+ */
+const VIEW_MODES = [
+  { mode: 'card', label: 'カード' },
+  { mode: 'table', label: 'テーブル' },
+  { mode: 'memory', label: '思い出しモード' },
+  { mode: 'workflow', label: '作業フロー' }
+];
+
+/**
+ * @typedef {object} PaletteEntry
+ * @property {string} key - 候補を識別するキー。
+ * @property {'link'|'category'|'workflow'|'portal'|'command'} kind - 候補の種類。
+ * @property {string} title - 表示名。
+ * @property {string} [detail] - 補足（カテゴリ名など）。
+ * @property {function(): void} run - Enter で実行する処理。
+ * @property {string} [copyText] - Ctrl+Enter でコピーする文字列（リンクの URL）。
+ */
+
+/**
+ * @class CommandPaletteDialog
+ * @brief 現在のポータルのリンク（Enter で開く、Ctrl+Enter で URL をコピー）・カテゴリ（開いて移動）・ワークフロー（表示）、
+ *        別のポータル（切り替え）、編集モードの切り替え・保存・リンクの追加・表示の切り替え・一括で開くなどのコマンドを、
+ *        あいまい検索で絞り込んで実行します。最近使った候補を先に表示します。
+ */
+export class CommandPaletteDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - 設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {UI} ui - コマンドの実行先となる UI。
+   */
+  ui;
+  /**
+   * @property {Array<PaletteEntry>} entries - パレットを開いた時点の全候補。
+   */
+  entries = [];
+  /**
+   * @property {Array<PaletteEntry>} results - 表示中の候補。
+   */
+  results = [];
+  /**
+   * @property {number} index - キー操作で選択中の候補の位置。
+   */
+  index = 0;
+  static RECENT_KEY = 'portalCommandPaletteRecent';
+
+  /**
+   * CommandPaletteDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {UI} ui - コマンドの実行先となる UI。
+   */
+  constructor(dataManager, configManager, ui) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.ui = ui;
+  }
+
+  /**
+   * ダイアログの初期化と、Ctrl+K（Mac は ⌘K）のショートカットの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('commandPaletteDialog');
+    const input = document.getElementById('commandPaletteInput');
+    input.addEventListener('input', () => this._update());
+    input.addEventListener('keydown', (e) => this._handleKeydown(e));
+    // 枠の外（背景）をクリックしたら閉じる
+    this.dialog.addEventListener('click', (e) => {
+      if (e.target === this.dialog) this.dialog.close();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+      if (document.querySelector('dialog[open]') && !this.dialog.open) return;
+      e.preventDefault();
+      if (this.dialog.open) {
+        this.dialog.close();
+      } else {
+        this.open();
+      }
+    });
+  }
+
+  /**
+   * コマンドパレットを開きます。
+   */
+  open() {
+    this.entries = this._buildEntries();
+    const input = document.getElementById('commandPaletteInput');
+    input.value = '';
+    this._update();
+    this.dialog.showModal();
+    input.focus();
+  }
+
+  /**
+   * 現在のデータから候補を作成します。
+   * @private
+   * @returns {Array<PaletteEntry>}
+   */
+  _buildEntries() {
+    const ui = this.ui;
+    const portalId = this.configManager.getActivePortalId();
+    const categories = this.dataManager.getData();
+    const entries = [];
+
+    // コマンド
+    entries.push({
+      key: 'cmd:edit-mode', kind: 'command',
+      title: ui.isEditMode ? '編集モードを終了' : '編集モードに切り替え',
+      run: () => ui.setEditMode(!ui.isEditMode)
+    });
+    if (this.dataManager.hasUnsavedChanges) {
+      entries.push({ key: 'cmd:save', kind: 'command', title: '保存', detail: 'JSONを保存', run: () => ui.save() });
+    }
+    VIEW_MODES.forEach(({ mode, label }) => {
+      entries.push({ key: `cmd:view:${mode}`, kind: 'command', title: `表示を切り替え: ${label}`, run: () => ui.setViewMode(mode) });
+    });
+    categories.forEach(category => {
+      entries.push({
+        key: `cmd:add-link:${category.id}`, kind: 'command',
+        title: `「${category.title}」にリンクを追加`,
+        run: () => ui.linkDialog.open(category.id)
+      });
+      if (category.links.length > 0) {
+        entries.push({
+          key: `cmd:open-all:${category.id}`, kind: 'command',
+          title: `「${category.title}」のリンクをすべて開く`,
+          run: () => ui.openCategoryLinks(category)
+        });
+      }
+    });
+
+    // リンク・カテゴリ
+    categories.forEach(category => {
+      entries.push({
+        key: `category:${category.id}`, kind: 'category', title: category.title,
+        run: () => ui.revealItem(portalId, { type: 'category', id: category.id })
+      });
+      category.links.forEach(link => {
+        entries.push({
+          key: `link:${link.id}`, kind: 'link', title: link.title || link.url, detail: category.title,
+          run: () => this._openLink(link),
+          copyText: isLocalLink(link) ? localPathOf(link) : link.url
+        });
+      });
+    });
+
+    // ワークフロー
+    (ui.workflowManager ? ui.workflowManager.getWorkflows(portalId) : []).forEach(workflow => {
+      entries.push({
+        key: `workflow:${workflow.id}`, kind: 'workflow', title: workflow.title,
+        run: () => ui.revealItem(portalId, { type: 'workflow', id: workflow.id })
+      });
+    });
+
+    // 別のポータル
+    Object.entries(this.configManager.getConfig().portals || {}).forEach(([id, portal]) => {
+      if (id === portalId) return;
+      entries.push({
+        key: `portal:${id}`, kind: 'portal', title: portal.title || id, detail: 'ポータルを切り替え',
+        run: () => ui.switchPortal(id)
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * 入力に合わせて候補を絞り込み、一覧を描画します。
+   * @private
+   */
+  _update() {
+    const query = document.getElementById('commandPaletteInput').value;
+    this.results = rankPaletteItems(this.entries, query, this._getRecentKeys()).slice(0, RESULT_LIMIT);
+    this.index = 0;
+    this._render();
+  }
+
+  /**
+   * 候補の一覧を描画します。
+   * @private
+   */
+  _render() {
+    const list = document.getElementById('commandPaletteList');
+    list.innerHTML = '';
+    if (this.results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'command-palette-empty';
+      empty.textContent = '一致する項目はありません。';
+      list.appendChild(empty);
+      return;
+    }
+    this.results.forEach((entry, i) => {
+      const item = document.createElement('li');
+      item.className = 'command-palette-item';
+      item.id = `commandPaletteItem${i}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(i === this.index));
+      item.classList.toggle('selected', i === this.index);
+
+      const icon = document.createElement('span');
+      icon.className = 'icon icon-sm';
+      icon.textContent = KIND_LABELS[entry.kind].icon;
+      const title = document.createElement('span');
+      title.className = 'command-palette-title';
+      title.textContent = entry.title;
+      item.appendChild(icon);
+      item.appendChild(title);
+      if (entry.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'command-palette-detail';
+        detail.textContent = entry.detail;
+        item.appendChild(detail);
+      }
+      const kind = document.createElement('span');
+      kind.className = 'command-palette-kind';
+      kind.textContent = KIND_LABELS[entry.kind].label;
+      item.appendChild(kind);
+
+      // 入力欄のフォーカスを保ったまま実行する
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      item.addEventListener('click', () => this._finish(entry, false));
+      list.appendChild(item);
+    });
+    document.getElementById('commandPaletteInput').setAttribute('aria-activedescendant', `commandPaletteItem${this.index}`);
+  }
+
+  /**
+   * 入力欄のキー操作（↑↓ で選択、Enter で実行、Ctrl+Enter で URL をコピー）を処理します。Esc はダイアログが閉じます。
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _handleKeydown(e) {
+    if (e.isComposing) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.index = (this.index + step + this.results.length) % this.results.length;
+      this._render();
+      document.getElementById(`commandPaletteItem${this.index}`)?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const entry = this.results[this.index];
+      if (entry) this._finish(entry, e.ctrlKey || e.metaKey);
+    }
+  }
+
+  /**
+   * 候補を実行して（コピーの場合は URL をクリップボードにコピーして）パレットを閉じます。
+   * @private
+   * @param {PaletteEntry} entry
+   * @param {boolean} copy - URL をコピーする場合は `true`（リンク以外では通常の実行になります）。
+   */
+  _finish(entry, copy) {
+    this._rememberRecent(entry.key);
+    this.dialog.close();
+    if (copy && entry.copyText !== undefined) {
+      navigator.clipboard.writeText(entry.copyText).catch(err => {
+        console.error(err);
+        alert(`クリップボードにコピーできませんでした: ${err.message}`);
+      });
+      return;
+    }
+    entry.run();
+  }
+
+  /**
+   * リンクを開き、訪問履歴に記録します。ローカルフォルダのリンクはリンクカードと同じく同じタブで開きます（opendir: ハンドラが処理します）。
+   * @private
+   * @param {Link} link
+   */
+  _openLink(link) {
+    if (this.ui.memoryManager) this.ui.memoryManager.recordVisit(link.id);
+    if (isLocalLink(link)) {
+      window.location.href = link.url;
+    } else {
+      window.open(link.url, '_blank');
+    }
+  }
+
+  /**
+   * 最近使った候補のキーを新しい順に返します。
+   * @private
+   * @returns {string[]}
+   */
+  _getRecentKeys() {
+    try {
+      const keys = JSON.parse(localStorage.getItem(CommandPaletteDialog.RECENT_KEY));
+      return Array.isArray(keys) ? keys : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 候補を最近使ったものとして記録します。
+   * @private
+   * @param {string} key
+   */
+  _rememberRecent(key) {
+    const keys = [key, ...this._getRecentKeys().filter(k => k !== key)].slice(0, RECENT_LIMIT);
+    localStorage.setItem(CommandPaletteDialog.RECENT_KEY, JSON.stringify(keys));
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @file draftRecoveryDialog.js
+ * @brief 起動時に未保存の下書きの復元を提案するダイアログを管理するクラス。
+ * @module DraftRecoveryDialog
+ */
+
+import { diffDocuments, describeDiffEntry } from '../documentDiff.js';
+
+/**
+ * @class DraftRecoveryDialog
+ * @brief 読み込んだ data.json と異なる下書きが見つかった場合に、
+ *        「下書きを復元 / 破棄 / 差分を表示」を選択させるモーダルダイアログを制御します。
+ */
+export class DraftRecoveryDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {function('restore'|'discard'|'keep'): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('draftRecoveryDialog');
+    document.getElementById('draftRestoreBtn').addEventListener('click', () => this._finish('restore'));
+    document.getElementById('draftDiscardBtn').addEventListener('click', () => this._finish('discard'));
+    document.getElementById('draftShowDiffBtn').addEventListener('click', () => {
+      const area = document.getElementById('draftDiffArea');
+      const visible = area.style.display !== 'none';
+      area.style.display = visible ? 'none' : 'block';
+      document.getElementById('draftShowDiffBtn').textContent = visible ? '差分を表示' : '差分を隠す';
+    });
+    // Esc で閉じた場合は、下書きを残したまま読み込んだ内容で続行する
+    this.dialog.addEventListener('cancel', () => this._finish('keep'));
+  }
+
+  /**
+   * ダイアログを開き、ユーザーの選択を待ちます。
+   * @param {import('../draftManager.js').Draft} draft - 見つかった下書き。
+   * @param {{portals: object, workflows: object}} loadedDocument - 読み込んだ data.json の内容。
+   * @returns {Promise<'restore'|'discard'|'keep'>} ユーザーの選択。
+   */
+  open(draft, loadedDocument) {
+    const savedAt = new Date(draft.savedAt).toLocaleString('ja-JP');
+    document.getElementById('draftRecoveryInfo').textContent =
+      `${savedAt} に自動保存された、未保存の変更を含む下書きがあります。読み込んだ data.json の代わりに下書きを復元しますか？`;
+
+    const entries = diffDocuments(loadedDocument, draft.document);
+    const area = document.getElementById('draftDiffArea');
+    area.innerHTML = '';
+    area.style.display = 'none';
+    document.getElementById('draftShowDiffBtn').textContent = '差分を表示';
+    if (entries.length === 0) {
+      area.textContent = '内容の差分はありません（カテゴリの開閉状態のみの違いです）。';
+    } else {
+      const list = document.createElement('ul');
+      list.className = 'diff-list';
+      entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `diff-item diff-${entry.action}`;
+        item.textContent = `[${entry.portalId}] ${describeDiffEntry(entry)}`;
+        list.appendChild(item);
+      });
+      area.appendChild(list);
+    }
+
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+
+  /**
+   * 選択結果で Promise を解決し、ダイアログを閉じます。
+   * @private
+   * @param {'restore'|'discard'|'keep'} choice
+   */
+  _finish(choice) {
+    if (this.dialog.open) this.dialog.close();
+    if (this._resolve) {
+      this._resolve(choice);
+      this._resolve = null;
+    }
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * @file externalChangeDialog.js
+ * @brief 読み込み後に data.json が外部で更新されていた場合に、3方向マージを行うダイアログを管理するクラス。
+ * @module ExternalChangeDialog
+ */
+
+/**
+ * @constant {object} RESOLUTION_LABELS
+ * @description 解決方法の表示名。
+ */
+const RESOLUTION_LABELS = { mine: '自分を残す', theirs: '外部を採用', both: '両方残す' };
+
+/**
+ * @constant {object} TYPE_LABELS
+ * @description 項目の種類の表示名。
+ */
+const TYPE_LABELS = { category: 'カテゴリ', link: 'リンク', workflow: 'ワークフロー' };
+
+/**
+ * @constant {object} SOURCE_LABELS
+ * @description 読み直した保存先の種類ごとの表示名。
+ */
+const SOURCE_LABELS = { server: 'サーバー上の data.json', file: '接続中のデータファイル', static: 'data/data.json' };
+
+/**
+ * @class ExternalChangeDialog
+ * @brief 最後に読み込み・保存した内容を共通の祖先として、自分の変更と外部の変更をマージします。
+ *        片方だけの変更は自動で取り込み、両方が異なる変更をした項目は「自分を残す / 外部を採用 / 両方残す」から選びます。
+ *        保存時に開いた場合は、マージせずに上書き保存することもできます。
+ */
+export class ExternalChangeDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - ポータル名の表示に使用する設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {function(): void} onChange - マージを適用した後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+  /**
+   * @property {ExternalChange|null} external - 外部で更新された内容。
+   */
+  external = null;
+  /**
+   * @property {Array<ThreeWayConflict>} conflicts - 現在表示中の競合。
+   */
+  conflicts = [];
+  /**
+   * @property {Object<string, MergeResolution>} resolutions - 競合キーごとに選択された解決方法。
+   */
+  resolutions = {};
+  /**
+   * @property {function('merged'|'overwrite'|null): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * ExternalChangeDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {function(): void} onChange - マージを適用した後に呼び出されるコールバック。
+   */
+  constructor(dataManager, configManager, onChange) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('externalChangeDialog');
+    document.getElementById('externalAllMineBtn').addEventListener('click', () => this._resolveAll('mine'));
+    document.getElementById('externalAllTheirsBtn').addEventListener('click', () => this._resolveAll('theirs'));
+    document.getElementById('externalCancelBtn').addEventListener('click', () => this._finish(null));
+    document.getElementById('externalOverwriteBtn').addEventListener('click', () => {
+      if (!confirm('外部の変更を破棄して、現在の内容で上書き保存しますか？')) return;
+      this.dataManager.adoptExternalDocument(this.external);
+      this._finish('overwrite');
+    });
+    document.getElementById('externalMergeBtn').addEventListener('click', () => {
+      const { document: merged } = this.dataManager.mergeExternalChanges(this.external, this.resolutions);
+      this.dataManager.adoptExternalDocument(this.external, merged);
+      this.onChange();
+      this._finish('merged');
+    });
+    this.dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this._finish(null);
+    });
+  }
+
+  /**
+   * ダイアログを開き、マージ・上書きの選択を待ちます。
+   * @param {ExternalChange} external - DataManager.checkExternalChanges() が返した内容。
+   * @param {'save'|'focus'} [trigger='save'] - 保存時に開いたか、画面に戻った時に開いたか。保存時のみ上書き保存を選べます。
+   * @returns {Promise<'merged'|'overwrite'|null>} 選択結果。キャンセル（後で確認）した場合は `null`。
+   */
+  open(external, trigger = 'save') {
+    this.external = external;
+    this.resolutions = {};
+    const onSave = trigger === 'save';
+    document.getElementById('externalOverwriteBtn').style.display = onSave ? '' : 'none';
+    document.getElementById('externalCancelBtn').textContent = onSave ? 'キャンセル' : '後で確認する';
+    document.getElementById('externalMergeBtn').textContent = onSave ? 'マージして保存' : 'マージする';
+    this._render();
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+
+  /**
+   * すべての競合に同じ解決方法を設定します。
+   * @private
+   * @param {'mine'|'theirs'} resolution
+   */
+  _resolveAll(resolution) {
+    this.conflicts.forEach(conflict => { this.resolutions[conflict.key] = resolution; });
+    this._render();
+  }
+
+  /**
+   * マージ結果の概要と競合の一覧を描画します。
+   * @private
+   */
+  _render() {
+    const { conflicts, theirsApplied } = this.dataManager.mergeExternalChanges(this.external, this.resolutions);
+    this.conflicts = conflicts;
+
+    document.getElementById('externalChangeSummary').textContent =
+      `${SOURCE_LABELS[this.external.kind]} が、読み込み後に他の画面や人によって更新されています。` +
+      `外部の変更 ${theirsApplied} 件は自動で取り込みます。` +
+      (conflicts.length > 0 ? `自分と外部で異なる変更をした ${conflicts.length} 件は、項目ごとに採用する内容を選んでください。` : '競合はありません。');
+    document.getElementById('externalBulkButtons').style.display = conflicts.length > 0 ? 'flex' : 'none';
+
+    const area = document.getElementById('externalChangeArea');
+    area.innerHTML = '';
+    area.style.display = conflicts.length > 0 ? 'block' : 'none';
+    if (conflicts.length === 0) return;
+    const list = document.createElement('ul');
+    list.className = 'diff-list';
+    conflicts.forEach(conflict => list.appendChild(this._createItem(conflict)));
+    area.appendChild(list);
+  }
+
+  /**
+   * 1件の競合の表示要素を作成します。
+   * @private
+   * @param {ThreeWayConflict} conflict
+   * @returns {HTMLLIElement}
+   */
+  _createItem(conflict) {
+    const li = document.createElement('li');
+    li.className = 'diff-item merge-item merge-conflict';
+
+    const head = document.createElement('div');
+    head.className = 'diff-item-row';
+    const label = document.createElement('span');
+    label.textContent = this._describe(conflict);
+    head.appendChild(label);
+
+    const choices = document.createElement('span');
+    choices.className = 'merge-choices';
+    const selected = this.resolutions[conflict.key] || 'mine';
+    conflict.options.forEach(option => {
+      const choice = document.createElement('label');
+      choice.className = 'merge-choice';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `external-${conflict.key}`;
+      radio.value = option;
+      radio.checked = option === selected;
+      radio.addEventListener('change', () => { this.resolutions[conflict.key] = option; });
+      choice.appendChild(radio);
+      choice.appendChild(document.createTextNode(RESOLUTION_LABELS[option]));
+      choices.appendChild(choice);
+    });
+    head.appendChild(choices);
+    li.appendChild(head);
+
+    if (conflict.changes.length > 0) {
+      li.appendChild(this._createCompareTable(conflict));
+    }
+    return li;
+  }
+
+  /**
+   * 競合の説明文を作成します。
+   * @private
+   * @param {ThreeWayConflict} conflict
+   * @returns {string}
+   */
+  _describe(conflict) {
+    const type = TYPE_LABELS[conflict.type];
+    let detail = '両方で変更';
+    if (conflict.mineDeleted) detail = '自分が削除・外部が変更';
+    if (conflict.theirsDeleted) detail = '自分が変更・外部が削除';
+    return `[${type}] ${conflict.title}（${this._portalLabel(conflict.portalId)}） ― ${detail}`;
+  }
+
+  /**
+   * 競合する項目の値を、自分・外部で並べた表を作成します。
+   * @private
+   * @param {ThreeWayConflict} conflict
+   * @returns {HTMLTableElement}
+   */
+  _createCompareTable(conflict) {
+    const table = document.createElement('table');
+    table.className = 'merge-compare';
+    const headRow = table.createTHead().insertRow();
+    ['項目', '自分', '外部'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    conflict.changes.forEach(change => {
+      const row = body.insertRow();
+      row.insertCell().textContent = change.field;
+      row.insertCell().textContent = this._formatValue(change.before);
+      row.insertCell().textContent = this._formatValue(change.after);
+    });
+    return table;
+  }
+
+  /**
+   * ポータルIDを表示名にします。
+   * @private
+   * @param {string} portalId
+   * @returns {string}
+   */
+  _portalLabel(portalId) {
+    const portal = this.configManager?.getConfig().portals[portalId];
+    return portal?.title || portalId;
+  }
+
+  /**
+   * フィールドの値を表示用の文字列にします。
+   * @private
+   * @param {any} value
+   * @returns {string}
+   */
+  _formatValue(value) {
+    if (value === undefined || value === null || value === '') return '（なし）';
+    if (Array.isArray(value) && value.every(v => typeof v === 'string')) return value.join(', ');
+    if (typeof value === 'object') return `${Array.isArray(value) ? value.length + ' 件' : JSON.stringify(value)}`;
+    return String(value);
+  }
+
+  /**
+   * 選択結果で Promise を解決し、ダイアログを閉じます。
+   * @private
+   * @param {'merged'|'overwrite'|null} result
+   */
+  _finish(result) {
+    if (this.dialog.open) this.dialog.close();
+    if (this._resolve) {
+      this._resolve(result);
+      this._resolve = null;
+    }
+  }
+}
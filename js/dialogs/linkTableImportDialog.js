@@ -0,0 +1,265 @@
+/**
+ * @file linkTableImportDialog.js
+ * @brief CSV / TSV のリンク一覧を、列の対応・追加先のカテゴリを指定し、プレビューで確認してから取り込むダイアログを管理するクラス。
+ * @module LinkTableImportDialog
+ */
+
+import { LINK_TABLE_COLUMNS, parseDelimited, guessColumnMapping, rowsToLinks } from '../linkTable.js';
+
+/**
+ * @constant {number} PREVIEW_LIMIT
+ * @description プレビューに表示する最大行数。
+ */
+const PREVIEW_LIMIT = 200;
+
+/**
+ * @constant {object} STATUS_LABELS
+ * @description プレビューに表示する行の状態の名前。
+ */
+const STATUS_LABELS = { new: '追加', duplicate: '重複', invalid: 'URL なし' };
+
+/**
+ * @class LinkTableImportDialog
+ * @brief 読み込んだ表の列ごとにリンクのどの項目かを選び、行ごとの取り込み結果（追加・重複・URL なし）を確認して、
+ *        現在のポータルへ取り込みます。見出しから列の対応を推測し、追加先はカテゴリ列に従うか、1つのカテゴリを指定できます。
+ */
+export class LinkTableImportDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - 設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {function(): void} onChange - 取り込んだ後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+  /**
+   * @property {string[][]} rows - 読み込んだ表の行（見出し行を含む）。
+   */
+  rows = [];
+  /**
+   * @property {string[]} mapping - 列ごとのリンクの項目のキー（取り込まない列は空文字）。
+   */
+  mapping = [];
+  /**
+   * @property {function({categories: number, links: number, skipped: number}|null): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * LinkTableImportDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {function(): void} onChange - 取り込んだ後に呼び出されるコールバック。
+   */
+  constructor(dataManager, configManager, onChange) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('linkTableImportDialog');
+    document.getElementById('linkTableHasHeader').addEventListener('change', () => {
+      this._renderMapping();
+      this._renderPreview();
+    });
+    document.getElementById('linkTableTargetCategory').addEventListener('change', () => this._renderPreview());
+    document.getElementById('linkTableSkipDuplicates').addEventListener('change', () => this._renderPreview());
+    document.getElementById('linkTableCancelBtn').addEventListener('click', () => this._finish(null));
+    document.getElementById('linkTableApplyBtn').addEventListener('click', () => {
+      const result = this.dataManager.importLinkTable(this.configManager.getActivePortalId(), this._entries(), this._options());
+      this.onChange();
+      this._finish(result);
+    });
+    this.dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this._finish(null);
+    });
+  }
+
+  /**
+   * ファイルを読み込んでダイアログを開き、取り込みの完了を待ちます。
+   * @async
+   * @param {File} file - CSV / TSV ファイル。
+   * @returns {Promise<{categories: number, links: number, skipped: number}|null>} 取り込み結果。キャンセルした場合は `null`。
+   * @throws {Error} 表が空の場合（ダイアログは開きません）。
+   */
+  async open(file) {
+    const delimiter = /\.tsv$/i.test(file.name) ? '\t' : undefined;
+    this.rows = parseDelimited(await file.text(), delimiter);
+    if (this.rows.length === 0) {
+      throw new Error('ファイルに行がありません。');
+    }
+    const { mapping, hasHeader } = guessColumnMapping(this.rows[0]);
+    const columnCount = Math.max(...this.rows.map(row => row.length));
+    this.mapping = Array.from({ length: columnCount }, (_, i) => mapping[i] || '');
+
+    document.getElementById('linkTableFileName').textContent = file.name;
+    document.getElementById('linkTableHasHeader').checked = hasHeader;
+    document.getElementById('linkTableSkipDuplicates').checked = true;
+    const select = document.getElementById('linkTableTargetCategory');
+    select.innerHTML = '';
+    const byColumn = document.createElement('option');
+    byColumn.value = '';
+    byColumn.textContent = '（カテゴリ列の名前のカテゴリ・無ければ作成）';
+    select.appendChild(byColumn);
+    this.dataManager.getData().forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = category.title;
+      select.appendChild(option);
+    });
+
+    this._renderMapping();
+    this._renderPreview();
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+
+  /**
+   * 見出し行を除いたデータ行を返します。
+   * @private
+   * @returns {string[][]}
+   */
+  _dataRows() {
+    return document.getElementById('linkTableHasHeader').checked ? this.rows.slice(1) : this.rows;
+  }
+
+  /**
+   * 現在の列の対応で、データ行をリンクに変換します。
+   * @private
+   * @returns {Array<LinkTableEntry>}
+   */
+  _entries() {
+    return rowsToLinks(this._dataRows(), this.mapping);
+  }
+
+  /**
+   * 取り込みのオプションを返します。
+   * @private
+   * @returns {{targetCatId: string|null, skipDuplicates: boolean}}
+   */
+  _options() {
+    return {
+      targetCatId: document.getElementById('linkTableTargetCategory').value || null,
+      skipDuplicates: document.getElementById('linkTableSkipDuplicates').checked
+    };
+  }
+
+  /**
+   * 列ごとに、見出し（または1行目の値）と項目の選択欄を描画します。
+   * @private
+   */
+  _renderMapping() {
+    const area = document.getElementById('linkTableMapping');
+    area.innerHTML = '';
+    const hasHeader = document.getElementById('linkTableHasHeader').checked;
+    const sample = this._dataRows()[0] || [];
+    this.mapping.forEach((key, index) => {
+      const column = document.createElement('label');
+      column.className = 'link-table-column';
+      const name = document.createElement('span');
+      name.className = 'link-table-column-name';
+      name.textContent = hasHeader && this.rows[0][index] ? this.rows[0][index] : `列 ${index + 1}`;
+      const value = document.createElement('span');
+      value.className = 'link-table-column-sample';
+      value.textContent = sample[index] || '（空）';
+
+      const select = document.createElement('select');
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = '（取り込まない）';
+      select.appendChild(none);
+      LINK_TABLE_COLUMNS.forEach(c => {
+        const option = document.createElement('option');
+        option.value = c.key;
+        option.textContent = c.label;
+        select.appendChild(option);
+      });
+      select.value = key;
+      select.addEventListener('change', () => {
+        // 同じ項目は1つの列にだけ対応させる
+        this.mapping = this.mapping.map((k, i) => (i !== index && k === select.value ? '' : k));
+        this.mapping[index] = select.value;
+        this._renderMapping();
+        this._renderPreview();
+      });
+
+      column.appendChild(name);
+      column.appendChild(select);
+      column.appendChild(value);
+      area.appendChild(column);
+    });
+  }
+
+  /**
+   * 行ごとの取り込み結果をプレビューとして描画します。
+   * @private
+   */
+  _renderPreview() {
+    const { targetCatId, skipDuplicates } = this._options();
+    const plan = this.dataManager.planLinkTableImport(this.configManager.getActivePortalId(), this._entries(), { targetCatId });
+    const count = status => plan.filter(row => row.status === status).length;
+    const added = count('new') + (skipDuplicates ? 0 : count('duplicate'));
+    const newCategories = new Set(plan.filter(row => row.newCategory && row.status !== 'invalid').map(row => row.catTitle));
+    const hasUrl = this.mapping.includes('url');
+
+    document.getElementById('linkTableSummary').textContent = hasUrl
+      ? `${plan.length} 行のうち ${added} 件を追加します（重複 ${count('duplicate')} 件${skipDuplicates ? 'はスキップ' : 'も追加'}、URL なし ${count('invalid')} 件）。` +
+        (newCategories.size > 0 ? `新しいカテゴリ: ${[...newCategories].join('、')}` : '')
+      : 'URL の列を選択してください。';
+    document.getElementById('linkTableApplyBtn').disabled = !hasUrl || added === 0;
+
+    const area = document.getElementById('linkTablePreview');
+    area.innerHTML = '';
+    if (!hasUrl) return;
+    const table = document.createElement('table');
+    table.className = 'link-table-preview';
+    const head = table.createTHead().insertRow();
+    ['状態', 'カテゴリ', 'タイトル', 'URL'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    plan.slice(0, PREVIEW_LIMIT).forEach(({ entry, status, catTitle, newCategory, duplicateOf }) => {
+      const row = body.insertRow();
+      row.className = `link-table-${status}`;
+      const label = status === 'duplicate' ? `${STATUS_LABELS.duplicate}（${duplicateOf}）` : STATUS_LABELS[status];
+      [label, newCategory ? `${catTitle}（新規）` : catTitle, entry.link.title, entry.link.url].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+    area.appendChild(table);
+    if (plan.length > PREVIEW_LIMIT) {
+      const more = document.createElement('p');
+      more.className = 'link-table-more';
+      more.textContent = `ほか ${plan.length - PREVIEW_LIMIT} 行`;
+      area.appendChild(more);
+    }
+  }
+
+  /**
+   * 結果で Promise を解決し、ダイアログを閉じます。
+   * @private
+   * @param {{categories: number, links: number, skipped: number}|null} result
+   */
+  _finish(result) {
+    if (this.dialog.open) this.dialog.close();
+    if (this._resolve) {
+      this._resolve(result);
+      this._resolve = null;
+    }
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * @file mergeImportDialog.js
+ * @brief 読み込んだ JSON ファイルを現在のポータルへマージ（取り込み）するダイアログを管理するクラス。
+ * @module MergeImportDialog
+ */
+
+import { planMerge } from '../documentMerge.js';
+
+/**
+ * @constant {object} RESOLUTION_LABELS
+ * @description 項目の状態ごとの、解決方法の表示名。
+ */
+const RESOLUTION_LABELS = {
+  new: { theirs: '取り込む', mine: '取り込まない' },
+  conflict: { mine: '自分を残す', theirs: '相手を採用', both: '両方残す' }
+};
+
+/**
+ * @constant {object} TYPE_LABELS
+ * @description 項目の種類の表示名。
+ */
+const TYPE_LABELS = { category: 'カテゴリ', link: 'リンク', workflow: 'ワークフロー' };
+
+/**
+ * @class MergeImportDialog
+ * @brief 読み込んだデータと現在のポータルを比較し、新規項目と競合を一覧表示します。
+ *        競合は自分・相手の値を並べて表示し、項目ごとに「自分を残す / 相手を採用 / 両方残す」を選んでマージします。
+ *        自分側にしか無い項目は変更されません。
+ */
+export class MergeImportDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - 設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {function(): void} onChange - マージを適用した後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+  /**
+   * @property {{portals: object, workflows: object}|null} imported - 読み込んだドキュメント。
+   */
+  imported = null;
+  /**
+   * @property {MergePlan|null} plan - 現在表示中のマージプラン。
+   */
+  plan = null;
+  /**
+   * @property {Object<string, MergeResolution>} resolutions - 項目キーごとに選択された解決方法。
+   */
+  resolutions = {};
+  /**
+   * @property {function(number|null): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * MergeImportDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {function(): void} onChange - マージを適用した後に呼び出されるコールバック。
+   */
+  constructor(dataManager, configManager, onChange) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('mergeImportDialog');
+    document.getElementById('mergeSourcePortal').addEventListener('change', () => {
+      this._buildPlan();
+      this._render();
+    });
+    document.getElementById('mergeAllMineBtn').addEventListener('click', () => this._resolveAllConflicts('mine'));
+    document.getElementById('mergeAllTheirsBtn').addEventListener('click', () => this._resolveAllConflicts('theirs'));
+    document.getElementById('mergeCancelBtn').addEventListener('click', () => this._finish(null));
+    document.getElementById('mergeApplyBtn').addEventListener('click', () => {
+      const applied = this.dataManager.mergeImport(this.plan, this.resolutions);
+      this.onChange();
+      this._finish(applied);
+    });
+    this.dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this._finish(null);
+    });
+  }
+
+  /**
+   * ファイルを読み込んでダイアログを開き、マージの完了を待ちます。
+   * @async
+   * @param {File} file - 読み込むファイル。
+   * @returns {Promise<number|null>} 取り込み・変更した項目数。キャンセルした場合は `null`。
+   * @throws {DataValidationError} データ形式が不正な場合（ダイアログは開きません）。
+   */
+  async open(file) {
+    const activePortalId = this.configManager.getActivePortalId();
+    const { document: imported } = await this.dataManager.readDocumentFile(file, activePortalId);
+    this.imported = imported;
+
+    document.getElementById('mergeImportFileName').textContent = file.name;
+    const select = document.getElementById('mergeSourcePortal');
+    const portalIds = Object.keys(imported.portals);
+    select.innerHTML = '';
+    portalIds.forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = id;
+      select.appendChild(option);
+    });
+    select.value = portalIds.includes(activePortalId) ? activePortalId : portalIds[0] ?? '';
+    document.getElementById('mergeSourceRow').style.display = portalIds.length > 1 ? 'flex' : 'none';
+
+    this._buildPlan();
+    this._render();
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+
+  /**
+   * 選択中の取り込み元ポータルと現在のポータルからマージプランを作成します。
+   * @private
+   */
+  _buildPlan() {
+    const sourceId = document.getElementById('mergeSourcePortal').value;
+    const activePortalId = this.dataManager.activePortalId;
+    this.plan = planMerge(
+      { categories: this.dataManager.getData(), workflows: this.dataManager.allWorkflows[activePortalId] || [] },
+      { categories: this.imported.portals[sourceId] || [], workflows: this.imported.workflows[sourceId] || [] }
+    );
+    this.resolutions = {};
+  }
+
+  /**
+   * すべての競合に同じ解決方法を設定します。
+   * @private
+   * @param {'mine'|'theirs'} resolution
+   */
+  _resolveAllConflicts(resolution) {
+    this.plan.items.filter(item => item.status === 'conflict').forEach(item => {
+      this.resolutions[item.key] = resolution;
+    });
+    this._render();
+  }
+
+  /**
+   * マージプランを描画します。
+   * @private
+   */
+  _render() {
+    const items = this.plan.items;
+    const newCount = items.filter(i => i.status === 'new').length;
+    const conflictCount = items.length - newCount;
+    document.getElementById('mergeImportSummary').textContent =
+      `新規 ${newCount} 件 / 競合 ${conflictCount} 件 / 同一のためスキップ ${this.plan.identical} 件。現在のポータルにしか無い項目はそのまま残ります。`;
+    document.getElementById('mergeApplyBtn').disabled = items.length === 0;
+
+    const area = document.getElementById('mergeImportArea');
+    area.innerHTML = '';
+    if (items.length === 0) {
+      area.textContent = '取り込む項目はありません。';
+      return;
+    }
+    const list = document.createElement('ul');
+    list.className = 'diff-list';
+    items.forEach(item => list.appendChild(this._createItem(item)));
+    area.appendChild(list);
+  }
+
+  /**
+   * 1件の項目の表示要素を作成します。
+   * @private
+   * @param {MergeItem} item
+   * @returns {HTMLLIElement}
+   */
+  _createItem(item) {
+    const li = document.createElement('li');
+    li.className = `diff-item merge-item merge-${item.status}`;
+
+    const head = document.createElement('div');
+    head.className = 'diff-item-row';
+    const label = document.createElement('span');
+    label.textContent = this._describe(item);
+    head.appendChild(label);
+
+    const choices = document.createElement('span');
+    choices.className = 'merge-choices';
+    const selected = this.resolutions[item.key] || item.defaultResolution;
+    item.options.forEach(option => {
+      const choice = document.createElement('label');
+      choice.className = 'merge-choice';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `merge-${item.key}`;
+      radio.value = option;
+      radio.checked = option === selected;
+      radio.addEventListener('change', () => { this.resolutions[item.key] = option; });
+      choice.appendChild(radio);
+      choice.appendChild(document.createTextNode(RESOLUTION_LABELS[item.status][option]));
+      choices.appendChild(choice);
+    });
+    head.appendChild(choices);
+    li.appendChild(head);
+
+    if (item.status === 'conflict') {
+      li.appendChild(this._createCompareTable(item));
+    }
+    return li;
+  }
+
+  /**
+   * 項目の説明文を作成します。
+   * @private
+   * @param {MergeItem} item
+   * @returns {string}
+   */
+  _describe(item) {
+    const type = TYPE_LABELS[item.type];
+    if (item.status === 'new') {
+      const where = item.type === 'link' ? `（→ ${item.catTitle}）` : '';
+      const count = item.type === 'category' ? `（リンク ${item.links.length} 件）` : '';
+      return `[新規${type}] ${item.theirs.title}${where}${count}`;
+    }
+    const matchedBy = { id: 'ID', url: 'URL', title: 'タイトル' }[item.matchedBy];
+    const where = item.type === 'link' ? `（${item.catTitle}）` : '';
+    return `[${type}の競合] ${item.mine.title}${where} ― ${matchedBy}が一致`;
+  }
+
+  /**
+   * 競合する項目の値を、自分・相手で並べた表を作成します。
+   * @private
+   * @param {MergeItem} item
+   * @returns {HTMLTableElement}
+   */
+  _createCompareTable(item) {
+    const table = document.createElement('table');
+    table.className = 'merge-compare';
+    const headRow = table.createTHead().insertRow();
+    ['項目', '自分', '相手'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    item.changes.forEach(change => {
+      const row = body.insertRow();
+      row.insertCell().textContent = change.field;
+      row.insertCell().textContent = this._formatValue(change.before);
+      row.insertCell().textContent = this._formatValue(change.after);
+    });
+    return table;
+  }
+
+  /**
+   * フィールドの値を表示用の文字列にします。
+   * @private
+   * @param {any} value
+   * @returns {string}
+   */
+  _formatValue(value) {
+    if (value === undefined || value === null || value === '') return '（なし）';
+    if (Array.isArray(value) && value.every(v => typeof v === 'string')) return value.join(', ');
+    if (typeof value === 'object') return `${Array.isArray(value) ? value.length + ' 件' : JSON.stringify(value)}`;
+    return String(value);
+  }
+
+  /**
+   * 結果で Promise を解決し、ダイアログを閉じます。
+   * @private
+   * @param {number|null} result
+   */
+  _finish(result) {
+    if (this.dialog.open) this.dialog.close();
+    if (this._resolve) {
+      this._resolve(result);
+      this._resolve = null;
+    }
+  }
+}
@@ -25,6 +25,10 @@ export class PortalDialog {
    * @property {HTMLDialogElement} dialog - ポータルダイアログのDOM要素。
    */
   dialog;
+  /**
+   * @property {function(): void} onBeforeReload - ポータル切り替えでページをリロードする直前に呼び出されるコールバック関数。app.jsで設定されます。
+   */
+  onBeforeReload = () => {};
 
   /**
    * PortalDialogの新しいインスタンスを作成します。
@@ -64,14 +68,19 @@ export class PortalDialog {
     document.getElementById('switchPortalBtn').addEventListener('click', () => {
         const selectedPortalId = document.querySelector('input[name="portalSelection"]:checked')?.value;
         if (selectedPortalId && selectedPortalId !== this.configManager.getConfig().activePortalId) {
+            if (this.dataManager.hasUnsavedChanges &&
+                !confirm('未保存の変更があります。\n変更内容は下書きとして自動保存されており、このポータルに戻ったときに復元できます。\n\nポータルを切り替えますか？')) {
+                return;
+            }
             this.configManager.setActivePortal(selectedPortalId);
             alert('ポータルを切り替えます。ページがリロードされます。');
+            this.onBeforeReload();
             window.location.reload(); // ページリロードでポータルを切り替え
         }
     });
 
     // 新規ポータル作成ボタン
-    document.getElementById('createPortalBtn').addEventListener('click', () => {
+    document.getElementById('createPortalBtn').addEventListener('click', async () => {
         const name = document.getElementById('newPortalNameInput').value.trim();
         if (!name) {
             alert('ポータル名を入力してください。');
@@ -84,7 +93,7 @@ export class PortalDialog {
         // 新しいポータルのために空のカテゴリ配列を設定して全体を保存
         this.dataManager.allPortals[id] = [];
         this.dataManager.data = [];
-        this.dataManager.save(id);
+        await this.dataManager.save(id);
 
         alert(`新規ポータル「${name}」を作成しました。ページがリロードされます。`);
         window.location.reload();
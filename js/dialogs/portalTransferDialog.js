@@ -0,0 +1,168 @@
+/**
+ * @file portalTransferDialog.js
+ * @brief カテゴリやリンクを別のポータルへ移動・コピーするダイアログを管理するクラス。
+ * @module PortalTransferDialog
+ */
+
+/**
+ * @class PortalTransferDialog
+ * @brief 移動（またはコピー）先のポータルと、リンクの場合は追加先のカテゴリを選んで、項目を別のポータルへ送ります。
+ *        移動するリンクを現在のポータルのワークフローが参照している場合は、その旨を表示します。
+ */
+export class PortalTransferDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - 設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {function(): void} onChange - 移動・コピーした後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+  /**
+   * @property {{type: 'category'|'link', catId: string, linkId: string|null}|null} target - 移動・コピーする項目。
+   */
+  target = null;
+
+  /**
+   * PortalTransferDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {function(): void} onChange - 移動・コピーした後に呼び出されるコールバック。
+   */
+  constructor(dataManager, configManager, onChange) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('portalTransferDialog');
+    document.getElementById('transferTargetPortal').addEventListener('change', () => this._renderCategories());
+    this.dialog.querySelectorAll('input[name="transferMode"]').forEach(radio => {
+      radio.addEventListener('change', () => this._updateNote());
+    });
+    document.getElementById('transferCancelBtn').addEventListener('click', () => this.dialog.close());
+    document.getElementById('transferApplyBtn').addEventListener('click', () => this._apply());
+  }
+
+  /**
+   * 移動・コピーできる別のポータルがあるかどうかを返します。
+   * @returns {boolean}
+   */
+  hasOtherPortals() {
+    return this._otherPortals().length > 0;
+  }
+
+  /**
+   * ダイアログを開きます。
+   * @param {'category'|'link'} type - 移動・コピーする項目の種類。
+   * @param {string} catId - カテゴリのID（リンクの場合は属するカテゴリのID）。
+   * @param {string|null} [linkId=null] - リンクのID。
+   */
+  open(type, catId, linkId = null) {
+    const category = this.dataManager.getCategory(catId);
+    const item = type === 'link' ? this.dataManager.getLink(catId, linkId) : category;
+    if (!item || !this.hasOtherPortals()) return;
+    this.target = { type, catId, linkId };
+
+    document.getElementById('transferItemTitle').textContent = type === 'link'
+      ? `リンク「${item.title}」`
+      : `カテゴリ「${item.title}」（リンク ${item.links.length} 件）`;
+    const select = document.getElementById('transferTargetPortal');
+    select.innerHTML = '';
+    this._otherPortals().forEach(([id, portal]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = portal.title ? `${portal.title} (${id})` : id;
+      select.appendChild(option);
+    });
+    this.dialog.querySelector('input[name="transferMode"][value="move"]').checked = true;
+    document.getElementById('transferCategoryRow').style.display = type === 'link' ? '' : 'none';
+
+    this._renderCategories();
+    this.dialog.showModal();
+  }
+
+  /**
+   * アクティブなポータル以外のポータルの一覧を返します。
+   * @private
+   * @returns {Array<[string, object]>}
+   */
+  _otherPortals() {
+    const activeId = this.configManager.getActivePortalId();
+    return Object.entries(this.configManager.getConfig().portals).filter(([id]) => id !== activeId);
+  }
+
+  /**
+   * 選択中のポータルのカテゴリを、リンクの追加先の候補として表示します。
+   * 同じ名前のカテゴリがあればそれを、無ければ「同じ名前のカテゴリを作成」を選択します。
+   * @private
+   */
+  _renderCategories() {
+    const select = document.getElementById('transferTargetCategory');
+    select.innerHTML = '';
+    if (this.target?.type === 'link') {
+      const sourceTitle = (this.dataManager.getCategory(this.target.catId).title || '').trim();
+      const portalId = document.getElementById('transferTargetPortal').value;
+      const categories = this.dataManager.allPortals[portalId] || [];
+      const newOption = document.createElement('option');
+      newOption.value = '';
+      newOption.textContent = `（同じ名前のカテゴリ「${sourceTitle}」に追加・無ければ作成）`;
+      select.appendChild(newOption);
+      categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = category.title;
+        select.appendChild(option);
+      });
+    }
+    this._updateNote();
+  }
+
+  /**
+   * 移動する場合に、現在のポータルのワークフローから参照できなくなるステップの数を表示します。
+   * @private
+   */
+  _updateNote() {
+    const note = document.getElementById('transferNote');
+    const copy = this.dialog.querySelector('input[name="transferMode"]:checked')?.value === 'copy';
+    const linkIds = this.target?.type === 'link'
+      ? [this.target.linkId]
+      : (this.dataManager.getCategory(this.target?.catId)?.links || []).map(l => l.id);
+    const references = copy ? 0 : this.dataManager.countWorkflowReferences(this.configManager.getActivePortalId(), linkIds);
+    note.textContent = references > 0
+      ? `このポータルのワークフローの ${references} 個のステップが移動するリンクを参照しています。移動するとリンクを参照できなくなります（コピーの場合はそのまま参照できます）。`
+      : '';
+    note.style.display = references > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * 選択内容で移動・コピーを実行し、ダイアログを閉じます。
+   * @private
+   */
+  _apply() {
+    const portalId = document.getElementById('transferTargetPortal').value;
+    const copy = this.dialog.querySelector('input[name="transferMode"]:checked').value === 'copy';
+    const { type, catId, linkId } = this.target;
+    if (type === 'link') {
+      const targetCatId = document.getElementById('transferTargetCategory').value || null;
+      this.dataManager.transferLink(catId, linkId, portalId, { copy, targetCatId });
+    } else {
+      this.dataManager.transferCategory(catId, portalId, { copy });
+    }
+    this.dialog.close();
+    this.target = null;
+    this.onChange();
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * @file saveReviewDialog.js
+ * @brief 保存前に、最後に読み込み・保存した内容との差分を確認するダイアログを管理するクラス。
+ * @module SaveReviewDialog
+ */
+
+import { diffDocuments, describeDiffEntry, revertDiffEntry } from '../documentDiff.js';
+
+/**
+ * @constant {number} MAX_VALUE_LENGTH
+ * @description 変更前後の値を表示する際の最大文字数。
+ */
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * @class SaveReviewDialog
+ * @brief 「JSONを保存」の前に、追加・削除・名前変更・移動・フィールドの変更をポータルごとに一覧表示します。
+ *        個々の変更は保存前に元に戻すことができます（元に戻す操作自体も Undo 可能です）。
+ */
+export class SaveReviewDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {ConfigManager} configManager - ポータル名の表示に使用する設定管理オブジェクト。
+   */
+  configManager;
+  /**
+   * @property {function(): void} onChange - 変更を元に戻した後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+  /**
+   * @property {function(boolean): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * SaveReviewDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {ConfigManager} configManager - 設定管理オブジェクト。
+   * @param {function(): void} onChange - 変更を元に戻した後に呼び出されるコールバック。
+   */
+  constructor(dataManager, configManager, onChange) {
+    this.dataManager = dataManager;
+    this.configManager = configManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('saveReviewDialog');
+    document.getElementById('saveReviewConfirmBtn').addEventListener('click', () => this._finish(true));
+    document.getElementById('saveReviewCancelBtn').addEventListener('click', () => this._finish(false));
+    this.dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this._finish(false);
+    });
+  }
+
+  /**
+   * ダイアログを開き、保存するかどうかの選択を待ちます。
+   * @returns {Promise<boolean>} 保存する場合は `true`、キャンセルした場合は `false`。
+   */
+  open() {
+    this._render();
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+
+  /**
+   * 現在の差分を描画します。
+   * @private
+   */
+  _render() {
+    const base = this.dataManager.getSavedDocument();
+    const current = this.dataManager.toDocument();
+    const entries = diffDocuments(base, current);
+
+    document.getElementById('saveReviewSummary').textContent = entries.length > 0
+      ? `最後に読み込み・保存した内容から ${entries.length} 件の変更があります。不要な変更は「元に戻す」で取り消してから保存できます。`
+      : '内容の差分はありません（カテゴリの開閉状態のみの違いです）。';
+
+    const area = document.getElementById('saveReviewArea');
+    area.innerHTML = '';
+    area.style.display = entries.length > 0 ? 'block' : 'none';
+
+    const groups = new Map();
+    entries.forEach(entry => {
+      if (!groups.has(entry.portalId)) groups.set(entry.portalId, []);
+      groups.get(entry.portalId).push(entry);
+    });
+    groups.forEach((portalEntries, portalId) => {
+      const heading = document.createElement('h4');
+      heading.className = 'diff-portal-title';
+      heading.textContent = `${this._portalLabel(portalId)}（${portalEntries.length}件）`;
+      area.appendChild(heading);
+
+      const list = document.createElement('ul');
+      list.className = 'diff-list';
+      portalEntries.forEach(entry => list.appendChild(this._createEntryItem(entry, base, current)));
+      area.appendChild(list);
+    });
+  }
+
+  /**
+   * 1件の差分の表示要素を作成します。
+   * @private
+   * @param {DiffEntry} entry
+   * @param {object} base - 比較元のドキュメント。
+   * @param {object} current - 現在のドキュメント。
+   * @returns {HTMLLIElement}
+   */
+  _createEntryItem(entry, base, current) {
+    const item = document.createElement('li');
+    item.className = `diff-item diff-${entry.action}`;
+
+    const row = document.createElement('div');
+    row.className = 'diff-item-row';
+    const text = document.createElement('span');
+    text.textContent = describeDiffEntry(entry);
+    const revertBtn = document.createElement('button');
+    revertBtn.type = 'button';
+    revertBtn.className = 'secondary-btn diff-revert-btn';
+    revertBtn.textContent = '元に戻す';
+    revertBtn.addEventListener('click', () => {
+      this.dataManager.restoreDocument(revertDiffEntry(base, current, entry));
+      this.onChange();
+      this._render();
+    });
+    row.appendChild(text);
+    row.appendChild(revertBtn);
+    item.appendChild(row);
+
+    if (entry.changes && entry.changes.length > 0) {
+      const changes = document.createElement('ul');
+      changes.className = 'diff-changes';
+      entry.changes.forEach(change => {
+        const li = document.createElement('li');
+        const field = document.createElement('code');
+        field.textContent = change.field;
+        li.appendChild(field);
+        li.appendChild(document.createTextNode(` ${this._formatValue(change.before)} → ${this._formatValue(change.after)}`));
+        changes.appendChild(li);
+      });
+      item.appendChild(changes);
+    }
+    return item;
+  }
+
+  /**
+   * ポータルIDを表示名にします。
+   * @private
+   * @param {string} portalId
+   * @returns {string}
+   */
+  _portalLabel(portalId) {
+    const portal = this.configManager?.getConfig().portals[portalId];
+    return portal?.title ? `${portal.title} (${portalId})` : portalId;
+  }
+
+  /**
+   * フィールドの値を表示用の短い文字列にします。
+   * @private
+   * @param {any} value
+   * @returns {string}
+   */
+  _formatValue(value) {
+    if (value === undefined || value === null || value === '') return '（なし）';
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * 選択結果で Promise を解決し、ダイアログを閉じます。
+   * @private
+   * @param {boolean} confirmed
+   */
+  _finish(confirmed) {
+    if (this.dialog.open) this.dialog.close();
+    if (this._resolve) {
+      this._resolve(confirmed);
+      this._resolve = null;
+    }
+  }
+}
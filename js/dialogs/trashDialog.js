@@ -0,0 +1,146 @@
+/**
+ * @file trashDialog.js
+ * @brief 削除したカテゴリ・リンク・ワークフローを一覧表示し、元に戻すゴミ箱ダイアログを管理するクラス。
+ * @module TrashDialog
+ */
+
+/**
+ * @constant {object} TYPE_LABELS
+ * @description 項目の種類の表示名。
+ */
+const TYPE_LABELS = { category: 'カテゴリ', link: 'リンク', workflow: 'ワークフロー' };
+
+/**
+ * @class TrashDialog
+ * @brief 現在のポータルのゴミ箱を、削除日時と元の位置（カテゴリ・順番）付きで表示します。
+ *        項目ごとに元の位置へ戻すことができ、ゴミ箱を空にすることもできます（どちらも Undo 可能です）。
+ */
+export class TrashDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {DataManager} dataManager - データ管理オブジェクト。
+   */
+  dataManager;
+  /**
+   * @property {function(): void} onChange - 項目を元に戻した後に呼び出されるコールバック（画面の再描画用）。
+   */
+  onChange;
+
+  /**
+   * TrashDialog の新しいインスタンスを作成します。
+   * @param {DataManager} dataManager - データ管理オブジェクト。
+   * @param {function(): void} onChange - 項目を元に戻した後に呼び出されるコールバック。
+   */
+  constructor(dataManager, onChange) {
+    this.dataManager = dataManager;
+    this.onChange = onChange;
+  }
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('trashDialog');
+    document.getElementById('trashCloseBtn').addEventListener('click', () => this.dialog.close());
+    document.getElementById('trashEmptyBtn').addEventListener('click', () => {
+      const count = this.dataManager.getTrash().length;
+      if (!confirm(`ゴミ箱の ${count} 件を完全に削除しますか？\n（保存するまでは「元に戻す」で取り消せます）`)) return;
+      this.dataManager.emptyTrash();
+      this._render();
+    });
+  }
+
+  /**
+   * ゴミ箱を表示します。
+   */
+  open() {
+    this._render();
+    this.dialog.showModal();
+  }
+
+  /**
+   * ゴミ箱の一覧を描画します。
+   * @private
+   */
+  _render() {
+    const entries = this.dataManager.getTrash();
+    document.getElementById('trashSummary').textContent = entries.length > 0
+      ? `${entries.length} 件の削除した項目があります。${this.dataManager.trashRetentionDays} 日を過ぎた項目は自動で完全に削除されます。`
+      : 'ゴミ箱は空です。';
+    document.getElementById('trashEmptyBtn').disabled = entries.length === 0;
+
+    const area = document.getElementById('trashArea');
+    area.innerHTML = '';
+    area.style.display = entries.length > 0 ? 'block' : 'none';
+    if (entries.length === 0) return;
+    const list = document.createElement('ul');
+    list.className = 'diff-list';
+    entries.forEach(entry => list.appendChild(this._createItem(entry)));
+    area.appendChild(list);
+  }
+
+  /**
+   * 1件の項目の表示要素を作成します。
+   * @private
+   * @param {TrashEntry} entry
+   * @returns {HTMLLIElement}
+   */
+  _createItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'diff-item diff-removed';
+
+    const row = document.createElement('div');
+    row.className = 'diff-item-row';
+    const text = document.createElement('span');
+    text.textContent = `[${TYPE_LABELS[entry.type]}] ${entry.item.title || '（無題）'}`;
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'secondary-btn diff-revert-btn';
+    restoreBtn.textContent = '元に戻す';
+    restoreBtn.addEventListener('click', () => {
+      this.dataManager.restoreFromTrash(entry.id);
+      this.onChange();
+      this._render();
+    });
+    row.appendChild(text);
+    row.appendChild(restoreBtn);
+    item.appendChild(row);
+
+    const detail = document.createElement('div');
+    detail.className = 'trash-detail';
+    detail.textContent = `${this._describeLocation(entry)} ・ ${this._formatDate(entry.deletedAt)} に削除`;
+    item.appendChild(detail);
+    return item;
+  }
+
+  /**
+   * 削除前の位置を説明する文字列を作成します。
+   * @private
+   * @param {TrashEntry} entry
+   * @returns {string}
+   */
+  _describeLocation(entry) {
+    const position = `${(entry.index ?? 0) + 1} 番目`;
+    if (entry.type === 'link') {
+      return `カテゴリ「${entry.catTitle ?? entry.catId}」の ${position}`;
+    }
+    if (entry.type === 'category') {
+      return `カテゴリ一覧の ${position}（リンク ${(entry.item.links || []).length} 件）`;
+    }
+    return `ワークフロー一覧の ${position}`;
+  }
+
+  /**
+   * 削除日時を表示用の文字列にします。
+   * @private
+   * @param {string} iso
+   * @returns {string}
+   */
+  _formatDate(iso) {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '（日時不明）' : date.toLocaleString('ja-JP');
+  }
+}
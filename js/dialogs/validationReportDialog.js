@@ -0,0 +1,82 @@
+/**
+ * @file validationReportDialog.js
+ * @brief data.json の検証結果（エラー・警告・マイグレーション）を表示するダイアログを管理するクラス。
+ * @module ValidationReportDialog
+ */
+
+/**
+ * @class ValidationReportDialog
+ * @brief 読み込み・インポート時の検証結果を、問題のある箇所（パス）と説明の一覧として表示します。
+ */
+export class ValidationReportDialog {
+  /**
+   * @property {HTMLDialogElement} dialog - ダイアログのDOM要素。
+   */
+  dialog;
+  /**
+   * @property {function(): void|null} _resolve - open() が返した Promise の resolve 関数。
+   */
+  _resolve = null;
+
+  /**
+   * ダイアログの初期化とイベントリスナーの設定を行います。
+   */
+  init() {
+    this.dialog = document.getElementById('validationReportDialog');
+    document.getElementById('validationReportCloseBtn').addEventListener('click', () => this.dialog.close());
+    this.dialog.addEventListener('close', () => {
+      if (this._resolve) {
+        this._resolve();
+        this._resolve = null;
+      }
+    });
+  }
+
+  /**
+   * 検証結果を表示し、ダイアログが閉じられるのを待ちます。
+   * @param {import('../schema.js').ValidationReport} report - 表示する検証結果。
+   * @param {string} [source='data.json'] - 読み込み元の名前（ファイル名など）。
+   * @returns {Promise<void>}
+   */
+  open(report, source = 'data.json') {
+    const hasErrors = report.errors.length > 0;
+    document.getElementById('validationReportTitle').textContent = hasErrors
+      ? 'データを読み込めませんでした'
+      : 'データの検証で警告があります';
+
+    const lines = [];
+    if (hasErrors) {
+      lines.push(`「${source}」に ${report.errors.length} 件のエラーがあるため、読み込みを中止しました。現在のデータは変更されていません。`);
+    } else {
+      lines.push(`「${source}」を読み込みましたが、${report.warnings.length} 件の警告があります。`);
+    }
+    if (report.migrated && report.fromVersion !== null) {
+      lines.push(`旧形式（schemaVersion ${report.fromVersion}）のデータを schemaVersion ${report.toVersion} に変換しました。保存すると新しい形式で書き込まれます。`);
+    }
+    document.getElementById('validationReportSummary').textContent = lines.join('\n');
+
+    const area = document.getElementById('validationReportArea');
+    area.innerHTML = '';
+    const list = document.createElement('ul');
+    list.className = 'diff-list';
+    [
+      ...report.errors.map(issue => ({ ...issue, level: 'error' })),
+      ...report.warnings.map(issue => ({ ...issue, level: 'warning' }))
+    ].forEach(issue => {
+      const item = document.createElement('li');
+      item.className = `diff-item validation-${issue.level}`;
+      if (issue.path) {
+        const path = document.createElement('code');
+        path.className = 'validation-path';
+        path.textContent = issue.path;
+        item.appendChild(path);
+      }
+      item.appendChild(document.createTextNode(issue.message));
+      list.appendChild(item);
+    });
+    area.appendChild(list);
+
+    this.dialog.showModal();
+    return new Promise(resolve => { this._resolve = resolve; });
+  }
+}
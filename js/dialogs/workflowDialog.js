@@ -4,6 +4,8 @@
  * @module WorkflowDialog
  */
 
+import { WEEKDAY_LABELS, toDateKey, describeSchedule } from '../workflowSchedule.js';
+
 /**
  * @class WorkflowDialog
  * @brief ワークフロー管理ダイアログを制御します。
@@ -93,7 +95,7 @@ export class WorkflowDialog {
             </div>
             ${wf.description ? `<div class="wf-list-item-desc">${this._escape(wf.description)}</div>` : ''}
             ${tags ? `<div class="wf-tags-row">${tags}</div>` : ''}
-            <div class="wf-step-count">${wf.steps.length} ステップ</div>
+            <div class="wf-step-count">${wf.steps.length} ステップ${wf.schedule ? ` ・ ${describeSchedule(wf.schedule)}` : ''}</div>
           </div>
           <div class="wf-list-item-actions">
             <button type="button" class="action-btn wf-edit-btn" data-id="${wf.id}">
@@ -123,7 +125,7 @@ export class WorkflowDialog {
     content.querySelectorAll('.wf-delete-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         const wf = this.workflowManager.getWorkflow(portalId, btn.dataset.id);
-        if (wf && confirm(`ワークフロー「${wf.title}」を削除しますか？`)) {
+        if (wf && confirm(`ワークフロー「${wf.title}」をゴミ箱に移動しますか？`)) {
           this.workflowManager.deleteWorkflow(portalId, btn.dataset.id);
           this.renderCallback();
           this._renderList();
@@ -157,6 +159,14 @@ export class WorkflowDialog {
     const description = wf ? wf.description : '';
     const tags = wf ? (wf.tags || []).join(', ') : '';
     const freq = wf ? wf.freq : 'rare';
+    const schedule = wf?.schedule || null;
+    const scheduleType = schedule ? schedule.type : '';
+    const weekdayChecks = WEEKDAY_LABELS.map((label, d) =>
+      `<label><input type="checkbox" class="wf-schedule-weekday" value="${d}" ${schedule?.weekdays?.includes(d) ? 'checked' : ''}> ${label}</label>`
+    ).join('');
+    const monthOptions = Array.from({ length: 12 }, (_, i) =>
+      `<option value="${i + 1}" ${schedule?.month === i + 1 ? 'selected' : ''}>${i + 1}月</option>`
+    ).join('');
 
     content.innerHTML = `
       <div class="wf-edit-header">
@@ -183,6 +193,22 @@ export class WorkflowDialog {
             <option value="rare" ${freq === 'rare' ? 'selected' : ''}>たまに（思い出し対象）</option>
           </select>
         </label>
+        <label>繰り返しの予定 <span style="font-size:0.75rem;color:var(--text-sub)">（予定日が来ると作業フローと思い出しモードに表示）</span>
+          <select id="wfScheduleType">
+            <option value="" ${scheduleType === '' ? 'selected' : ''}>なし</option>
+            <option value="daily" ${scheduleType === 'daily' ? 'selected' : ''}>毎日</option>
+            <option value="weekdays" ${scheduleType === 'weekdays' ? 'selected' : ''}>平日（月〜金）</option>
+            <option value="weekly" ${scheduleType === 'weekly' ? 'selected' : ''}>毎週</option>
+            <option value="monthly" ${scheduleType === 'monthly' ? 'selected' : ''}>毎月</option>
+            <option value="yearly" ${scheduleType === 'yearly' ? 'selected' : ''}>毎年</option>
+          </select>
+        </label>
+        <div id="wfScheduleWeekdays" class="wf-schedule-weekdays">${weekdayChecks}</div>
+        <div id="wfScheduleDateRow" class="wf-schedule-date-row">
+          <select id="wfScheduleMonth">${monthOptions}</select>
+          <input type="number" id="wfScheduleDay" min="1" max="31" value="${schedule?.day || 1}"> 日
+          <span style="font-size:0.75rem;color:var(--text-sub)">（月の日数を超える日は月末）</span>
+        </div>
       </div>
 
       <div class="wf-steps-section">
@@ -206,8 +232,10 @@ export class WorkflowDialog {
     // ステップを描画
     const steps = wf ? JSON.parse(JSON.stringify(wf.steps)) : [];
     this._renderSteps(steps, linkOptions);
+    this._updateScheduleFields();
 
     // Events
+    document.getElementById('wfScheduleType').addEventListener('change', () => this._updateScheduleFields());
     document.getElementById('wfBackBtn').addEventListener('click', () => this._renderList());
     document.getElementById('wfCancelEditBtn').addEventListener('click', () => this._renderList());
     document.getElementById('wfAddStepBtn').addEventListener('click', () => {
@@ -280,8 +308,11 @@ export class WorkflowDialog {
     const tagsRaw = document.getElementById('wfTagsInput').value;
     const tags = tagsRaw.split(',').map(t => t.trim()).filter(Boolean);
     const freq = document.getElementById('wfFreqInput').value;
+    const schedule = this._readSchedule(existingWf?.schedule);
+    if (schedule === false) return;
 
-    const workflowData = { title, description, tags, freq, steps: JSON.parse(JSON.stringify(steps)) };
+    // 予定を外した場合はキーごと削除する（undefined は保存時に除かれる）
+    const workflowData = { title, description, tags, freq, schedule: schedule || undefined, steps: JSON.parse(JSON.stringify(steps)) };
 
     if (existingWf) {
       this.workflowManager.updateWorkflow(portalId, existingWf.id, workflowData);
@@ -292,6 +323,53 @@ export class WorkflowDialog {
     this._renderList();
   }
 
+  /**
+   * @private - 予定の種類に合わせて、曜日・日付の入力欄を表示します。
+   */
+  _updateScheduleFields() {
+    const type = document.getElementById('wfScheduleType').value;
+    document.getElementById('wfScheduleWeekdays').style.display = type === 'weekly' ? '' : 'none';
+    document.getElementById('wfScheduleDateRow').style.display = type === 'monthly' || type === 'yearly' ? '' : 'none';
+    document.getElementById('wfScheduleMonth').style.display = type === 'yearly' ? '' : 'none';
+  }
+
+  /**
+   * @private - 入力欄から予定を読み取ります。予定の内容が変わらなければ開始日を引き継ぎ、
+   *            変わった場合は今日から数え始めます（過去の予定日がいきなり期限切れにならないように）。
+   * @param {WorkflowSchedule|undefined} previous - 編集前の予定。
+   * @returns {WorkflowSchedule|null|false} 予定なしは `null`、入力に誤りがある場合は `false`。
+   */
+  _readSchedule(previous) {
+    const type = document.getElementById('wfScheduleType').value;
+    if (!type) return null;
+    const schedule = { type };
+    if (type === 'weekly') {
+      schedule.weekdays = [...document.querySelectorAll('.wf-schedule-weekday:checked')].map(el => Number(el.value));
+      if (schedule.weekdays.length === 0) {
+        alert('毎週の予定には曜日を1つ以上選んでください。');
+        return false;
+      }
+    }
+    if (type === 'monthly' || type === 'yearly') {
+      schedule.day = Number(document.getElementById('wfScheduleDay').value);
+      if (!Number.isInteger(schedule.day) || schedule.day < 1 || schedule.day > 31) {
+        alert('日は 1〜31 で入力してください。');
+        return false;
+      }
+    }
+    if (type === 'yearly') {
+      schedule.month = Number(document.getElementById('wfScheduleMonth').value);
+      if (schedule.day > new Date(2000, schedule.month, 0).getDate()) {
+        alert(`${schedule.month}月${schedule.day}日 は存在しない日付です。`);
+        return false;
+      }
+    }
+    const ruleOf = (s) => JSON.stringify([s.type, [...(s.weekdays || [])].sort(), s.day ?? null, s.month ?? null]);
+    const unchanged = previous && ruleOf(previous) === ruleOf(schedule);
+    schedule.start = unchanged && previous.start ? previous.start : toDateKey(new Date());
+    return schedule;
+  }
+
   /**
    * @private - HTML特殊文字をエスケープします。
    */
@@ -0,0 +1,295 @@
+/**
+ * @file workflowRunDialog.js
+ * @brief ワークフローを1ステップずつ実行し、チェック・メモ・一時停止・完了を行うダイアログクラス。
+ * @module WorkflowRunDialog
+ */
+
+import { describeSchedule, formatDateKey } from '../workflowSchedule.js';
+
+/**
+ * @class WorkflowRunDialog
+ * @brief ステップを1つずつ関連リンクとともに表示し、チェックリストで進み具合を管理します。
+ *        閉じると一時停止として扱い、次に開いたときは続きから再開します。
+ */
+export class WorkflowRunDialog {
+  /** @property {WorkflowRunManager} workflowRunManager */
+  workflowRunManager;
+  /** @property {SearchManager} searchManager - 関連リンクの検索に使用 */
+  searchManager;
+  /** @property {MemoryManager|null} memoryManager - 関連リンクの訪問を記録 */
+  memoryManager;
+  /** @property {ConfigManager} configManager */
+  configManager;
+  /** @property {function} renderCallback - 閉じたときにワークフローモードの表示を更新 */
+  renderCallback;
+  /** @property {HTMLDialogElement} dialog */
+  dialog;
+  /** @property {string|null} portalId - 実行中のワークフローのポータルID */
+  portalId = null;
+  /** @property {string|null} workflowId - 実行中のワークフローID */
+  workflowId = null;
+  /** @property {Workflow|null} workflow - 実行中のワークフロー（予定日の判定に使用） */
+  workflow = null;
+
+  /**
+   * @param {WorkflowRunManager} workflowRunManager
+   * @param {SearchManager} searchManager
+   * @param {MemoryManager|null} memoryManager
+   * @param {ConfigManager} configManager
+   * @param {function} renderCallback
+   */
+  constructor(workflowRunManager, searchManager, memoryManager, configManager, renderCallback) {
+    this.workflowRunManager = workflowRunManager;
+    this.searchManager = searchManager;
+    this.memoryManager = memoryManager;
+    this.configManager = configManager;
+    this.renderCallback = renderCallback;
+  }
+
+  /**
+   * ダイアログを初期化します。
+   */
+  init() {
+    this.dialog = document.getElementById('workflowRunDialog');
+
+    document.getElementById('wfRunNotes').addEventListener('input', (e) => {
+      this.workflowRunManager.setNotes(this.portalId, this.workflowId, e.target.value);
+    });
+    document.getElementById('wfRunPrevBtn').addEventListener('click', () => this._moveTo(this._run().currentStep - 1));
+    document.getElementById('wfRunNextBtn').addEventListener('click', () => this._moveTo(this._run().currentStep + 1));
+    document.getElementById('wfRunPauseBtn').addEventListener('click', () => this.dialog.close());
+    document.getElementById('wfRunCompleteBtn').addEventListener('click', () => this._complete());
+    document.getElementById('wfRunCancelBtn').addEventListener('click', () => {
+      if (!confirm('この実行を中止しますか？\nチェックとメモは記録されずに破棄されます。')) return;
+      this.workflowRunManager.cancelRun(this.portalId, this.workflowId);
+      this.dialog.close();
+    });
+
+    // 閉じ方（ボタン・Esc）にかかわらず、進行中の実行は一時停止として残す
+    this.dialog.addEventListener('close', () => {
+      this.workflowRunManager.pauseRun(this.portalId, this.workflowId);
+      this.renderCallback();
+    });
+  }
+
+  /**
+   * ワークフローの実行を開いて表示します。進行中の実行があれば続きから再開し、無ければ新しく開始します。
+   * @param {Workflow} workflow
+   */
+  open(workflow) {
+    this.portalId = this.configManager.getActivePortalId();
+    this.workflowId = workflow.id;
+    this.workflow = workflow;
+    if (this.workflowRunManager.getActiveRun(this.portalId, workflow.id)) {
+      this.workflowRunManager.resumeRun(this.portalId, workflow.id);
+    } else {
+      this.workflowRunManager.startRun(this.portalId, workflow);
+    }
+    document.getElementById('wfRunNotes').value = this._run().notes;
+    document.getElementById('wfRunOccurrenceCheck').checked = true;
+    this._render();
+    this.dialog.showModal();
+  }
+
+  /**
+   * @private
+   * @returns {WorkflowRun}
+   */
+  _run() {
+    return this.workflowRunManager.getActiveRun(this.portalId, this.workflowId);
+  }
+
+  /**
+   * @private - 表示するステップを移動します。
+   * @param {number} stepIndex
+   */
+  _moveTo(stepIndex) {
+    this.workflowRunManager.setCurrentStep(this.portalId, this.workflowId, stepIndex);
+    this._render();
+  }
+
+  /**
+   * @private - 実行全体（進み具合・チェックリスト・現在のステップ・履歴）を描画します。
+   */
+  _render() {
+    const run = this._run();
+    const { done, total } = this.workflowRunManager.getProgress(run);
+
+    document.getElementById('wfRunTitle').textContent = run.workflowTitle;
+    document.getElementById('wfRunStarted').textContent =
+      `${new Date(run.startedAt).toLocaleString('ja-JP')} に開始（経過 ${this.workflowRunManager.formatDuration(run)}）`;
+    document.getElementById('wfRunProgressFill').style.width = total ? `${Math.round(done / total * 100)}%` : '0%';
+    document.getElementById('wfRunProgressText').textContent = `${done} / ${total} 完了`;
+
+    const occurrence = this._occurrence();
+    document.getElementById('wfRunOccurrenceRow').style.display = occurrence ? '' : 'none';
+    if (occurrence) {
+      document.getElementById('wfRunOccurrenceText').textContent =
+        `${formatDateKey(occurrence)} の予定（${describeSchedule(this.workflow.schedule)}）分として記録する`;
+    }
+
+    this._renderStepList(run);
+    this._renderCurrentStep(run);
+    this._renderHistory();
+
+    document.getElementById('wfRunPrevBtn').disabled = run.currentStep <= 0;
+    document.getElementById('wfRunNextBtn').disabled = run.currentStep >= total - 1;
+  }
+
+  /**
+   * @private - 全ステップのチェックリストを描画します。タイトルをクリックするとそのステップへ移動します。
+   * @param {WorkflowRun} run
+   */
+  _renderStepList(run) {
+    const list = document.getElementById('wfRunStepList');
+    list.innerHTML = '';
+    run.steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'wf-run-step-item';
+      item.classList.toggle('current', index === run.currentStep);
+      item.classList.toggle('checked', !!step.checkedAt);
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !!step.checkedAt;
+      checkbox.setAttribute('aria-label', `ステップ${index + 1}を完了にする`);
+      checkbox.addEventListener('change', () => {
+        this.workflowRunManager.setStepChecked(this.portalId, this.workflowId, index, checkbox.checked);
+        this._render();
+      });
+
+      const title = document.createElement('button');
+      title.type = 'button';
+      title.className = 'wf-run-step-title';
+      title.textContent = `${index + 1}. ${step.title}`;
+      title.addEventListener('click', () => this._moveTo(index));
+
+      item.appendChild(checkbox);
+      item.appendChild(title);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * @private - 現在のステップをメモ・関連リンクとともに描画します。
+   * @param {WorkflowRun} run
+   */
+  _renderCurrentStep(run) {
+    const panel = document.getElementById('wfRunCurrent');
+    panel.innerHTML = '';
+    const step = run.steps[run.currentStep];
+    if (!step) {
+      panel.innerHTML = '<p style="color:var(--text-sub);font-size:0.85rem;">ステップがありません。</p>';
+      return;
+    }
+
+    const label = document.createElement('div');
+    label.className = 'wf-run-current-label';
+    label.textContent = `ステップ ${run.currentStep + 1} / ${run.steps.length}`;
+    const title = document.createElement('div');
+    title.className = 'wf-run-current-title';
+    title.textContent = step.title;
+    panel.appendChild(label);
+    panel.appendChild(title);
+
+    if (step.memo) {
+      const memo = document.createElement('div');
+      memo.className = 'workflow-step-memo';
+      memo.innerHTML = '<span class="icon icon-xs">lightbulb</span> ';
+      memo.appendChild(document.createTextNode(step.memo));
+      panel.appendChild(memo);
+    }
+
+    if (step.linkId) {
+      const found = this.searchManager?.findLinkById(step.linkId);
+      if (found) {
+        const isLocal = found.link.url && found.link.url.startsWith('opendir:');
+        const linkBtn = document.createElement('a');
+        linkBtn.className = 'workflow-step-link-btn' + (isLocal ? ' wf-link-local' : '');
+        linkBtn.href = found.link.url;
+        if (!isLocal) linkBtn.target = '_blank';
+        linkBtn.innerHTML = '<span class="icon icon-sm">open_in_new</span> ';
+        linkBtn.appendChild(document.createTextNode(found.link.title));
+        linkBtn.addEventListener('click', () => {
+          if (this.memoryManager) this.memoryManager.recordVisit(found.link.id);
+        });
+        panel.appendChild(linkBtn);
+      } else {
+        const missing = document.createElement('div');
+        missing.className = 'wf-run-link-missing';
+        missing.textContent = '関連リンクが見つかりません（削除された可能性があります）。';
+        panel.appendChild(missing);
+      }
+    }
+
+    const checkBtn = document.createElement('button');
+    checkBtn.type = 'button';
+    checkBtn.className = step.checkedAt ? 'secondary-btn' : 'primary-btn';
+    checkBtn.style.cssText = 'display:block;margin-top:12px;font-size:0.85rem;';
+    const isLast = run.currentStep >= run.steps.length - 1;
+    if (step.checkedAt) {
+      checkBtn.innerHTML = '<span class="icon icon-sm">undo</span> チェックを外す';
+      checkBtn.addEventListener('click', () => {
+        this.workflowRunManager.setStepChecked(this.portalId, this.workflowId, run.currentStep, false);
+        this._render();
+      });
+    } else {
+      checkBtn.innerHTML = `<span class="icon icon-sm">check</span> ${isLast ? '完了にする' : '完了にして次へ'}`;
+      checkBtn.addEventListener('click', () => {
+        this.workflowRunManager.setStepChecked(this.portalId, this.workflowId, run.currentStep, true);
+        if (!isLast) this.workflowRunManager.setCurrentStep(this.portalId, this.workflowId, run.currentStep + 1);
+        this._render();
+      });
+    }
+    panel.appendChild(checkBtn);
+  }
+
+  /**
+   * @private - このワークフローの完了した実行の一覧を描画します。
+   */
+  _renderHistory() {
+    const history = this.workflowRunManager.getHistory(this.portalId, this.workflowId);
+    const container = document.getElementById('wfRunHistory');
+    container.style.display = history.length ? '' : 'none';
+    document.getElementById('wfRunHistoryCount').textContent = `${history.length}件`;
+    const list = document.getElementById('wfRunHistoryList');
+    list.innerHTML = '';
+    history.forEach(run => {
+      const { done, total } = this.workflowRunManager.getProgress(run);
+      const item = document.createElement('li');
+      item.className = 'wf-run-history-item';
+      const summary = document.createElement('div');
+      summary.textContent = `${new Date(run.startedAt).toLocaleString('ja-JP')} 〜 ${new Date(run.finishedAt).toLocaleString('ja-JP')}`
+        + `（${this.workflowRunManager.formatDuration(run)}・${done} / ${total} ステップ`
+        + `${run.occurrence ? `・${formatDateKey(run.occurrence)} の予定分` : ''}）`;
+      item.appendChild(summary);
+      if (run.notes) {
+        const notes = document.createElement('div');
+        notes.className = 'wf-run-history-notes';
+        notes.textContent = run.notes;
+        item.appendChild(notes);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * @private - この実行で実施済みにできる予定日（期限切れ・今日の予定日、または次の予定日）を返します。
+   * @returns {string|null} 予定の無いワークフローは `null`。
+   */
+  _occurrence() {
+    return this.workflowRunManager.getScheduleStatus(this.portalId, this.workflow)?.occurrence || null;
+  }
+
+  /**
+   * @private - 実行を完了として記録して閉じます。未チェックのステップがあれば確認します。
+   *            予定のあるワークフローは、チェックが付いていれば対象の予定日を実施済みにします。
+   */
+  _complete() {
+    const { done, total } = this.workflowRunManager.getProgress(this._run());
+    if (done < total && !confirm(`未チェックのステップが${total - done}件あります。完了として記録しますか？`)) return;
+    const occurrence = document.getElementById('wfRunOccurrenceCheck').checked ? this._occurrence() : null;
+    this.workflowRunManager.completeRun(this.portalId, this.workflowId, Date.now(), occurrence);
+    this.dialog.close();
+  }
+}
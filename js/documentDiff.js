@@ -0,0 +1,783 @@
+/**
+ * @file documentDiff.js
+ * @brief 2つのドキュメント（{portals, workflows, trash, collections}）の差分を、ポータル・カテゴリ・リンク・ワークフロー・ステップ・ゴミ箱の項目・スマートコレクション単位で求め、
+ *        個々の差分を元に戻すためのユーティリティ。
+ * @module documentDiff
+ */
+
+/**
+ * @typedef {object} FieldChange
+ * @property {string} field - フィールド名。
+ * @property {any} before - 変更前の値（存在しなかった場合は `undefined`）。
+ * @property {any} after - 変更後の値（削除された場合は `undefined`）。
+ */
+
+/**
+ * @typedef {object} DiffEntry
+ * @property {string} portalId - 変更があったポータルのID。
+ * @property {'portal'|'category'|'link'|'workflow'|'step'|'trash'|'collection'} type - 変更対象の種類。
+ * @property {'added'|'removed'|'renamed'|'changed'|'moved'|'reordered'} action - 変更の種類
+ *           （`reordered` はポータルの場合はカテゴリの、カテゴリの場合はリンクの並び順の変更）。
+ * @property {string} id - 対象のID（ポータルの場合はポータルID、ステップの場合は `<ワークフローID>#<位置>`、ゴミ箱の場合はゴミ箱内の項目のID）。
+ * @property {string} title - 表示用のタイトル（削除の場合は変更前のタイトル）。
+ * @property {string} [fromTitle] - `renamed` の場合の変更前のタイトル。
+ * @property {string} [catId] - リンクの場合、所属カテゴリのID（移動の場合は移動先）。
+ * @property {string} [catTitle] - リンクの場合、所属カテゴリのタイトル（移動の場合は移動先）。
+ * @property {string} [fromCatId] - リンクが別カテゴリへ移動した場合の移動元カテゴリのID。
+ * @property {string} [fromCatTitle] - リンクが別カテゴリへ移動した場合の移動元カテゴリのタイトル。
+ * @property {string} [workflowId] - ステップの場合、所属ワークフローのID。
+ * @property {string} [workflowTitle] - ステップの場合、所属ワークフローのタイトル。
+ * @property {number} [index] - ステップの場合の位置（0始まり。削除の場合は変更前の位置）。
+ * @property {'category'|'link'|'workflow'} [itemType] - ゴミ箱の場合、ゴミ箱に入れた項目の種類。
+ * @property {string[]} [fields] - `changed` の場合に変化したフィールド名。
+ * @property {Array<FieldChange>} [changes] - `changed` の場合のフィールドごとの変更前後の値。
+ */
+
+/**
+ * @constant {string[]} IGNORED_CATEGORY_FIELDS
+ * @description 差分の対象外とするカテゴリのフィールド（表示状態や子要素）。
+ */
+const IGNORED_CATEGORY_FIELDS = ['id', 'links', 'isOpen'];
+
+/**
+ * @constant {string[]} IGNORED_WORKFLOW_FIELDS
+ * @description ワークフロー自体の差分の対象外とするフィールド（ステップは個別に比較します）。
+ */
+const IGNORED_WORKFLOW_FIELDS = ['id', 'steps'];
+
+/**
+ * @constant {string[]} IGNORED_STEP_FIELDS
+ * @description 差分の対象外とするステップのフィールド（ステップ番号は並びから自動で振り直されるため）。
+ */
+const IGNORED_STEP_FIELDS = ['step'];
+
+/**
+ * @constant {string[]} IGNORED_COLLECTION_FIELDS
+ * @description 差分の対象外とするスマートコレクションのフィールド。
+ */
+const IGNORED_COLLECTION_FIELDS = ['id'];
+
+/**
+ * 値を深くコピーします。
+ * @param {any} value
+ * @returns {any}
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 2つの値を JSON として比較します。
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * 2つのオブジェクトで値が異なるフィールドを、変更前後の値とともに返します。
+ * @param {object} before
+ * @param {object} after
+ * @param {string[]} [ignored=['id']] - 比較しないフィールド名。
+ * @returns {Array<FieldChange>}
+ */
+export function fieldChanges(before, after, ignored = ['id']) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(key => !ignored.includes(key) && !isSameValue(before?.[key], after?.[key]))
+    .map(field => ({ field, before: before?.[field], after: after?.[field] }));
+}
+
+/**
+ * 2つのオブジェクトで値が異なるフィールド名を返します。
+ * @param {object} before
+ * @param {object} after
+ * @param {string[]} [ignored=['id']] - 比較しないフィールド名。
+ * @returns {string[]}
+ */
+export function changedFields(before, after, ignored = ['id']) {
+  return fieldChanges(before, after, ignored).map(change => change.field);
+}
+
+/**
+ * 名前の変更（title）とそれ以外のフィールドの変更を、それぞれ差分エントリとして追加します。
+ * @param {Array<DiffEntry>} entries - 追加先。
+ * @param {object} base - 差分エントリの共通プロパティ。
+ * @param {object} before
+ * @param {object} after
+ * @param {string[]} ignored - 比較しないフィールド名。
+ */
+function pushUpdates(entries, base, before, after, ignored) {
+  if (!isSameValue(before.title, after.title)) {
+    entries.push({ ...base, action: 'renamed', fromTitle: before.title });
+  }
+  const changes = fieldChanges(before, after, [...ignored, 'title']);
+  if (changes.length > 0) {
+    entries.push({ ...base, action: 'changed', fields: changes.map(c => c.field), changes });
+  }
+}
+
+/**
+ * カテゴリ配列からリンクIDをキーにした索引を作成します。
+ * @param {Array<Category>} categories
+ * @returns {Map<string, {link: Link, category: Category, index: number}>}
+ */
+function indexLinks(categories) {
+  const map = new Map();
+  (categories || []).forEach(category => {
+    (category.links || []).forEach((link, index) => map.set(link.id, { link, category, index }));
+  });
+  return map;
+}
+
+/**
+ * 両方に存在する項目だけを比べ、並び順が変わったかどうかを返します（追加・削除された項目は無視します）。
+ * @param {Array<{id: string}>} baseItems
+ * @param {Array<{id: string}>} nextItems
+ * @returns {boolean}
+ */
+function isReordered(baseItems = [], nextItems = []) {
+  const baseIds = new Set(baseItems.map(item => item.id));
+  const nextIds = new Set(nextItems.map(item => item.id));
+  const before = baseItems.map(item => item.id).filter(id => nextIds.has(id));
+  const after = nextItems.map(item => item.id).filter(id => baseIds.has(id));
+  return before.some((id, i) => id !== after[i]);
+}
+
+/**
+ * 両方に存在する項目を比較元と同じ並び順に戻します。それ以外の項目の位置は変えません。
+ * @param {Array<{id: string}>} items - 並べ替える配列（直接変更されます）。
+ * @param {Array<{id: string}>} baseItems - 比較元の配列。
+ */
+function restoreOrder(items, baseItems = []) {
+  const baseIndex = new Map(baseItems.map((item, i) => [item.id, i]));
+  const slots = items.map((item, i) => i).filter(i => baseIndex.has(items[i].id));
+  const sorted = slots.map(i => items[i]).sort((a, b) => baseIndex.get(a.id) - baseIndex.get(b.id));
+  slots.forEach((slot, k) => { items[slot] = sorted[k]; });
+}
+
+/**
+ * 1つのポータル内のカテゴリとリンクの差分を求めます。
+ * カテゴリの並び順とカテゴリ内のリンクの並び順の変更は、それぞれ1件の `reordered` として報告します。
+ * @param {string} portalId
+ * @param {Array<Category>} baseCategories
+ * @param {Array<Category>} nextCategories
+ * @returns {Array<DiffEntry>}
+ */
+function diffCategories(portalId, baseCategories = [], nextCategories = []) {
+  const entries = [];
+  const baseCats = new Map(baseCategories.map(c => [c.id, c]));
+  const nextCats = new Map(nextCategories.map(c => [c.id, c]));
+
+  if (isReordered(baseCategories, nextCategories)) {
+    entries.push({ portalId, type: 'portal', action: 'reordered', id: portalId, title: portalId });
+  }
+  nextCategories.forEach(cat => {
+    const before = baseCats.get(cat.id);
+    const common = { portalId, type: 'category', id: cat.id, title: cat.title };
+    if (!before) {
+      entries.push({ ...common, action: 'added' });
+      return;
+    }
+    pushUpdates(entries, common, before, cat, IGNORED_CATEGORY_FIELDS);
+    if (isReordered(before.links, cat.links)) {
+      entries.push({ ...common, action: 'reordered' });
+    }
+  });
+  baseCategories.forEach(cat => {
+    if (!nextCats.has(cat.id)) {
+      entries.push({ portalId, type: 'category', action: 'removed', id: cat.id, title: cat.title });
+    }
+  });
+
+  const baseLinks = indexLinks(baseCategories);
+  const nextLinks = indexLinks(nextCategories);
+  nextLinks.forEach(({ link, category }, id) => {
+    const common = { portalId, type: 'link', id, title: link.title, catId: category.id, catTitle: category.title };
+    const before = baseLinks.get(id);
+    if (!before) {
+      entries.push({ ...common, action: 'added' });
+      return;
+    }
+    if (before.category.id !== category.id) {
+      entries.push({ ...common, action: 'moved', fromCatId: before.category.id, fromCatTitle: before.category.title });
+    }
+    pushUpdates(entries, common, before.link, link, ['id']);
+  });
+  baseLinks.forEach(({ link, category }, id) => {
+    if (!nextLinks.has(id)) {
+      entries.push({ portalId, type: 'link', action: 'removed', id, title: link.title, catId: category.id, catTitle: category.title });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * ステップを比較用の文字列にします（ステップ番号は除く）。
+ * @param {WorkflowStep} step
+ * @returns {string}
+ */
+function stepKey(step) {
+  return JSON.stringify(Object.keys(step).filter(k => !IGNORED_STEP_FIELDS.includes(k)).sort().map(k => [k, step[k]]));
+}
+
+/**
+ * 2つのステップ配列で内容が一致するステップの組を、最長共通部分列として求めます。
+ * @param {Array<WorkflowStep>} baseSteps
+ * @param {Array<WorkflowStep>} nextSteps
+ * @returns {Array<[number, number]>} 一致した [変更前の位置, 変更後の位置] の配列（昇順）。
+ */
+function matchSteps(baseSteps, nextSteps) {
+  const a = baseSteps.map(stepKey);
+  const b = nextSteps.map(stepKey);
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 1つのワークフロー内のステップの差分を求めます。
+ * 内容が一致しないステップは、一致したステップの間で位置順に対応付けて「変更」とし、余りを追加・削除とします。
+ * @param {string} portalId
+ * @param {Workflow} workflow - 変更後のワークフロー。
+ * @param {Array<WorkflowStep>} baseSteps
+ * @param {Array<WorkflowStep>} nextSteps
+ * @returns {Array<DiffEntry>}
+ */
+function diffSteps(portalId, workflow, baseSteps = [], nextSteps = []) {
+  const entries = [];
+  const common = (index, step) => ({
+    portalId, type: 'step', id: `${workflow.id}#${index}`, title: step.title,
+    workflowId: workflow.id, workflowTitle: workflow.title, index
+  });
+
+  let i = 0;
+  let j = 0;
+  [...matchSteps(baseSteps, nextSteps), [baseSteps.length, nextSteps.length]].forEach(([mi, mj]) => {
+    while (i < mi && j < mj) {
+      const changes = fieldChanges(baseSteps[i], nextSteps[j], IGNORED_STEP_FIELDS);
+      entries.push({ ...common(j, nextSteps[j]), action: 'changed', fields: changes.map(c => c.field), changes });
+      i++;
+      j++;
+    }
+    for (; j < mj; j++) entries.push({ ...common(j, nextSteps[j]), action: 'added' });
+    for (; i < mi; i++) entries.push({ ...common(i, baseSteps[i]), action: 'removed' });
+    i = mi + 1;
+    j = mj + 1;
+  });
+  return entries;
+}
+
+/**
+ * 1つのポータル内のワークフローの差分を求めます。
+ * @param {string} portalId
+ * @param {Array<Workflow>} baseWorkflows
+ * @param {Array<Workflow>} nextWorkflows
+ * @returns {Array<DiffEntry>}
+ */
+function diffWorkflows(portalId, baseWorkflows = [], nextWorkflows = []) {
+  const entries = [];
+  const baseMap = new Map(baseWorkflows.map(w => [w.id, w]));
+  const nextIds = new Set(nextWorkflows.map(w => w.id));
+
+  nextWorkflows.forEach(wf => {
+    const before = baseMap.get(wf.id);
+    const common = { portalId, type: 'workflow', id: wf.id, title: wf.title };
+    if (!before) {
+      entries.push({ ...common, action: 'added' });
+      return;
+    }
+    pushUpdates(entries, common, before, wf, IGNORED_WORKFLOW_FIELDS);
+    entries.push(...diffSteps(portalId, wf, before.steps, wf.steps));
+  });
+  baseWorkflows.forEach(wf => {
+    if (!nextIds.has(wf.id)) {
+      entries.push({ portalId, type: 'workflow', action: 'removed', id: wf.id, title: wf.title });
+    }
+  });
+  return entries;
+}
+
+/**
+ * 1つのポータルのスマートコレクションの差分を求めます。
+ * @param {string} portalId
+ * @param {Array<SmartCollection>} baseCollections
+ * @param {Array<SmartCollection>} nextCollections
+ * @returns {Array<DiffEntry>}
+ */
+function diffCollections(portalId, baseCollections = [], nextCollections = []) {
+  const entries = [];
+  const baseMap = new Map(baseCollections.map(c => [c.id, c]));
+  const nextIds = new Set(nextCollections.map(c => c.id));
+
+  nextCollections.forEach(collection => {
+    const before = baseMap.get(collection.id);
+    const common = { portalId, type: 'collection', id: collection.id, title: collection.title };
+    if (!before) {
+      entries.push({ ...common, action: 'added' });
+      return;
+    }
+    pushUpdates(entries, common, before, collection, IGNORED_COLLECTION_FIELDS);
+  });
+  baseCollections.forEach(collection => {
+    if (!nextIds.has(collection.id)) {
+      entries.push({ portalId, type: 'collection', action: 'removed', id: collection.id, title: collection.title });
+    }
+  });
+  return entries;
+}
+
+/**
+ * 1つのポータルのゴミ箱の差分（ゴミ箱への追加と、完全な削除・復元・自動削除によるゴミ箱からの削除）を求めます。
+ * カテゴリ・リンク・ワークフローの削除・追加として報告済みの項目のゴミ箱への出し入れは、その差分に含めるため報告しません。
+ * @param {string} portalId
+ * @param {Array<TrashEntry>} baseEntries
+ * @param {Array<TrashEntry>} nextEntries
+ * @param {Set<string>} reportedRemovals - 報告済みの削除（`<種類>:<ID>`）。
+ * @param {Set<string>} reportedAdditions - 報告済みの追加（`<種類>:<ID>`）。
+ * @returns {Array<DiffEntry>}
+ */
+function diffTrash(portalId, baseEntries = [], nextEntries = [], reportedRemovals, reportedAdditions) {
+  const entries = [];
+  const baseIds = new Set(baseEntries.map(e => e.id));
+  const nextIds = new Set(nextEntries.map(e => e.id));
+  const common = (trashEntry) => ({ portalId, type: 'trash', id: trashEntry.id, title: trashEntry.item?.title ?? '', itemType: trashEntry.type });
+  nextEntries.forEach(trashEntry => {
+    if (!baseIds.has(trashEntry.id) && !reportedRemovals.has(`${trashEntry.type}:${trashEntry.item?.id}`)) {
+      entries.push({ ...common(trashEntry), action: 'added' });
+    }
+  });
+  baseEntries.forEach(trashEntry => {
+    if (!nextIds.has(trashEntry.id) && !reportedAdditions.has(`${trashEntry.type}:${trashEntry.item?.id}`)) {
+      entries.push({ ...common(trashEntry), action: 'removed' });
+    }
+  });
+  return entries;
+}
+
+/**
+ * 2つのドキュメントの差分を求めます。
+ * @param {{portals?: object, workflows?: object, trash?: object, collections?: object}} base - 比較元（読み込み時・保存時のドキュメント）。
+ * @param {{portals?: object, workflows?: object, trash?: object, collections?: object}} next - 比較先（現在のドキュメント）。
+ * @returns {Array<DiffEntry>} ポータルごとにまとまった差分の配列。
+ */
+export function diffDocuments(base, next) {
+  const basePortals = base?.portals || {};
+  const nextPortals = next?.portals || {};
+  const baseWorkflows = base?.workflows || {};
+  const nextWorkflows = next?.workflows || {};
+  const baseTrash = base?.trash || {};
+  const nextTrash = next?.trash || {};
+  const baseCollections = base?.collections || {};
+  const nextCollections = next?.collections || {};
+  const portalIds = [...new Set([
+    ...Object.keys(nextPortals), ...Object.keys(basePortals),
+    ...Object.keys(nextWorkflows), ...Object.keys(baseWorkflows),
+    ...Object.keys(nextTrash), ...Object.keys(baseTrash),
+    ...Object.keys(nextCollections), ...Object.keys(baseCollections)
+  ])];
+
+  const entries = [];
+  portalIds.forEach(portalId => {
+    const inBase = portalId in basePortals;
+    const inNext = portalId in nextPortals;
+    if (inNext && !inBase) {
+      entries.push({ portalId, type: 'portal', action: 'added', id: portalId, title: portalId });
+    } else if (inBase && !inNext) {
+      entries.push({ portalId, type: 'portal', action: 'removed', id: portalId, title: portalId });
+    }
+    const itemEntries = [
+      ...diffCategories(portalId, basePortals[portalId], nextPortals[portalId]),
+      ...diffWorkflows(portalId, baseWorkflows[portalId], nextWorkflows[portalId])
+    ];
+    const reported = (action) => new Set(itemEntries.filter(e => e.action === action).map(e => `${e.type}:${e.id}`));
+    entries.push(...itemEntries);
+    entries.push(...diffTrash(portalId, baseTrash[portalId], nextTrash[portalId], reported('removed'), reported('added')));
+    entries.push(...diffCollections(portalId, baseCollections[portalId], nextCollections[portalId]));
+  });
+  return entries;
+}
+
+/**
+ * 変更前の値でフィールドを書き戻します。
+ * @param {object} target
+ * @param {Array<FieldChange>} changes
+ */
+function applyBefore(target, changes) {
+  (changes || []).forEach(({ field, before }) => {
+    if (before === undefined) {
+      delete target[field];
+    } else {
+      target[field] = clone(before);
+    }
+  });
+}
+
+/**
+ * 配列内の位置を、挿入可能な範囲に丸めます。
+ * @param {number} index
+ * @param {Array} array
+ * @returns {number}
+ */
+function clampIndex(index, array) {
+  return index < 0 ? array.length : Math.min(index, array.length);
+}
+
+/**
+ * 現在のドキュメントに指定カテゴリが無ければ、比較元の位置にリンクを空にして復元し、そのカテゴリを返します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {string} portalId
+ * @param {string} catId
+ * @returns {Category|undefined} カテゴリ。比較元にも存在しない場合は `undefined`。
+ */
+function ensureCategory(doc, base, portalId, catId) {
+  const categories = (doc.portals[portalId] ||= []);
+  const existing = categories.find(c => c.id === catId);
+  if (existing) return existing;
+  const baseCategories = base.portals?.[portalId] || [];
+  const baseIndex = baseCategories.findIndex(c => c.id === catId);
+  if (baseIndex === -1) return undefined;
+  const restored = { ...clone(baseCategories[baseIndex]), links: [] };
+  categories.splice(clampIndex(baseIndex, categories), 0, restored);
+  return restored;
+}
+
+/**
+ * ドキュメント内のリンクを取り除きます。
+ * @param {Array<Category>} categories
+ * @param {string} linkId
+ * @returns {Link|undefined} 取り除いたリンク。
+ */
+function removeLink(categories, linkId) {
+  for (const category of categories || []) {
+    const index = (category.links || []).findIndex(l => l.id === linkId);
+    if (index !== -1) return category.links.splice(index, 1)[0];
+  }
+  return undefined;
+}
+
+/**
+ * 削除の差分を元に戻すときに、その削除でゴミ箱に入った項目を取り除きます（後でゴミ箱から復元して項目が重複しないようにするため）。
+ * 比較元のゴミ箱にあった項目は残します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {string} portalId
+ * @param {'category'|'link'|'workflow'} type - 削除した項目の種類。
+ * @param {string} id - 削除した項目のID。
+ */
+function discardTrashOf(doc, base, portalId, type, id) {
+  const trash = doc.trash[portalId];
+  if (!trash) return;
+  const baseIds = new Set((base.trash?.[portalId] || []).map(e => e.id));
+  const kept = trash.filter(e => baseIds.has(e.id) || e.type !== type || e.item?.id !== id);
+  if (kept.length > 0) {
+    doc.trash[portalId] = kept;
+  } else {
+    delete doc.trash[portalId];
+  }
+}
+
+/**
+ * 追加の差分（ゴミ箱からの復元）を元に戻すときに、比較元のゴミ箱にあったその項目をゴミ箱に戻します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {string} portalId
+ * @param {'category'|'link'|'workflow'} type - 追加した項目の種類。
+ * @param {string} id - 追加した項目のID。
+ */
+function restoreTrashOf(doc, base, portalId, type, id) {
+  const baseTrash = base.trash?.[portalId] || [];
+  const trash = doc.trash[portalId] || [];
+  baseTrash.forEach((trashEntry, index) => {
+    if (trashEntry.type !== type || trashEntry.item?.id !== id || trash.some(e => e.id === trashEntry.id)) return;
+    trash.splice(clampIndex(index, trash), 0, clone(trashEntry));
+  });
+  if (trash.length > 0) doc.trash[portalId] = trash;
+}
+
+/**
+ * ゴミ箱に関する差分を元に戻します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {DiffEntry} entry
+ */
+function revertTrashEntry(doc, base, entry) {
+  const { portalId } = entry;
+  const trash = doc.trash[portalId] || [];
+  if (entry.action === 'added') {
+    const kept = trash.filter(e => e.id !== entry.id);
+    if (kept.length > 0) {
+      doc.trash[portalId] = kept;
+    } else {
+      delete doc.trash[portalId];
+    }
+    return;
+  }
+  const baseTrash = base.trash?.[portalId] || [];
+  const baseIndex = baseTrash.findIndex(e => e.id === entry.id);
+  if (baseIndex === -1) return;
+  trash.splice(clampIndex(baseIndex, trash), 0, clone(baseTrash[baseIndex]));
+  doc.trash[portalId] = trash;
+}
+
+/**
+ * スマートコレクションに関する差分を元に戻します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {DiffEntry} entry
+ */
+function revertCollectionEntry(doc, base, entry) {
+  const { portalId } = entry;
+  const collections = doc.collections[portalId] || [];
+  const baseCollections = base.collections?.[portalId] || [];
+  const collection = collections.find(c => c.id === entry.id);
+  switch (entry.action) {
+    case 'added': {
+      const kept = collections.filter(c => c.id !== entry.id);
+      if (kept.length > 0) {
+        doc.collections[portalId] = kept;
+      } else {
+        delete doc.collections[portalId];
+      }
+      break;
+    }
+    case 'removed': {
+      const baseIndex = baseCollections.findIndex(c => c.id === entry.id);
+      if (baseIndex === -1) return;
+      collections.splice(clampIndex(baseIndex, collections), 0, clone(baseCollections[baseIndex]));
+      doc.collections[portalId] = collections;
+      break;
+    }
+    case 'renamed':
+      if (collection) collection.title = entry.fromTitle;
+      break;
+    case 'changed':
+      if (collection) applyBefore(collection, entry.changes);
+      break;
+  }
+}
+
+/**
+ * カテゴリ・リンクに関する差分を元に戻します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {DiffEntry} entry
+ */
+function revertCategoryEntry(doc, base, entry) {
+  const { portalId } = entry;
+  const categories = (doc.portals[portalId] ||= []);
+  const baseCategories = base.portals?.[portalId] || [];
+
+  if (entry.type === 'category') {
+    const category = categories.find(c => c.id === entry.id);
+    switch (entry.action) {
+      case 'added':
+        doc.portals[portalId] = categories.filter(c => c.id !== entry.id);
+        restoreTrashOf(doc, base, portalId, 'category', entry.id);
+        break;
+      case 'removed': {
+        const restored = ensureCategory(doc, base, portalId, entry.id);
+        const present = new Set(categories.flatMap(c => (c.links || []).map(l => l.id)));
+        const baseCategory = baseCategories.find(c => c.id === entry.id);
+        restored.links = clone(baseCategory.links || []).filter(l => !present.has(l.id));
+        discardTrashOf(doc, base, portalId, 'category', entry.id);
+        break;
+      }
+      case 'renamed':
+        if (category) category.title = entry.fromTitle;
+        break;
+      case 'changed':
+        if (category) applyBefore(category, entry.changes);
+        break;
+      case 'reordered':
+        if (category) restoreOrder(category.links || [], baseCategories.find(c => c.id === entry.id)?.links);
+        break;
+    }
+    return;
+  }
+
+  const baseLinks = indexLinks(baseCategories);
+  const baseInfo = baseLinks.get(entry.id);
+  const findLink = () => categories.flatMap(c => c.links || []).find(l => l.id === entry.id);
+  switch (entry.action) {
+    case 'added':
+      removeLink(categories, entry.id);
+      restoreTrashOf(doc, base, portalId, 'link', entry.id);
+      break;
+    case 'removed':
+    case 'moved': {
+      const link = entry.action === 'moved' ? removeLink(categories, entry.id) : clone(baseInfo.link);
+      const target = ensureCategory(doc, base, portalId, baseInfo.category.id);
+      target.links = target.links || [];
+      target.links.splice(clampIndex(baseInfo.index, target.links), 0, link);
+      if (entry.action === 'removed') discardTrashOf(doc, base, portalId, 'link', entry.id);
+      break;
+    }
+    case 'renamed': {
+      const link = findLink();
+      if (link) link.title = entry.fromTitle;
+      break;
+    }
+    case 'changed': {
+      const link = findLink();
+      if (link) applyBefore(link, entry.changes);
+      break;
+    }
+  }
+}
+
+/**
+ * ワークフロー・ステップに関する差分を元に戻します。
+ * @param {object} doc - 変更中のドキュメント。
+ * @param {object} base - 比較元のドキュメント。
+ * @param {DiffEntry} entry
+ */
+function revertWorkflowEntry(doc, base, entry) {
+  const { portalId } = entry;
+  const workflows = (doc.workflows[portalId] ||= []);
+  const baseWorkflows = base.workflows?.[portalId] || [];
+
+  if (entry.type === 'workflow') {
+    const workflow = workflows.find(w => w.id === entry.id);
+    switch (entry.action) {
+      case 'added':
+        doc.workflows[portalId] = workflows.filter(w => w.id !== entry.id);
+        restoreTrashOf(doc, base, portalId, 'workflow', entry.id);
+        break;
+      case 'removed': {
+        const baseIndex = baseWorkflows.findIndex(w => w.id === entry.id);
+        workflows.splice(clampIndex(baseIndex, workflows), 0, clone(baseWorkflows[baseIndex]));
+        discardTrashOf(doc, base, portalId, 'workflow', entry.id);
+        break;
+      }
+      case 'renamed':
+        if (workflow) workflow.title = entry.fromTitle;
+        break;
+      case 'changed':
+        if (workflow) applyBefore(workflow, entry.changes);
+        break;
+    }
+    return;
+  }
+
+  const workflow = workflows.find(w => w.id === entry.workflowId);
+  const baseWorkflow = baseWorkflows.find(w => w.id === entry.workflowId);
+  if (!workflow) return;
+  workflow.steps = workflow.steps || [];
+  switch (entry.action) {
+    case 'added':
+      workflow.steps.splice(entry.index, 1);
+      break;
+    case 'removed':
+      workflow.steps.splice(clampIndex(entry.index, workflow.steps), 0, clone(baseWorkflow.steps[entry.index]));
+      break;
+    case 'changed':
+      if (workflow.steps[entry.index]) applyBefore(workflow.steps[entry.index], entry.changes);
+      break;
+  }
+  workflow.steps.forEach((step, i) => { step.step = i + 1; });
+}
+
+/**
+ * 1つの差分を元に戻したドキュメントを返します。引数のドキュメントは変更しません。
+ * 差分は比較元と現在のドキュメントから求めたもの（diffDocuments の結果）である必要があります。
+ * @param {{portals?: object, workflows?: object, trash?: object, collections?: object}} base - 比較元（読み込み時・保存時）のドキュメント。
+ * @param {{portals?: object, workflows?: object, trash?: object, collections?: object}} current - 現在のドキュメント。
+ * @param {DiffEntry} entry - 元に戻す差分。
+ * @returns {{portals: object, workflows: object, trash: object, collections: object}} 差分を元に戻した新しいドキュメント。
+ */
+export function revertDiffEntry(base, current, entry) {
+  const doc = clone(current);
+  doc.portals = doc.portals || {};
+  doc.workflows = doc.workflows || {};
+  doc.trash = doc.trash || {};
+  doc.collections = doc.collections || {};
+  const { portalId } = entry;
+
+  switch (entry.type) {
+    case 'portal':
+      if (entry.action === 'reordered') {
+        restoreOrder(doc.portals[portalId] || [], base.portals?.[portalId]);
+      } else if (entry.action === 'added') {
+        delete doc.portals[portalId];
+        delete doc.workflows[portalId];
+        delete doc.trash[portalId];
+        delete doc.collections[portalId];
+      } else {
+        doc.portals[portalId] = clone(base.portals[portalId]);
+        if (base.workflows?.[portalId]) doc.workflows[portalId] = clone(base.workflows[portalId]);
+        if (base.trash?.[portalId]) doc.trash[portalId] = clone(base.trash[portalId]);
+        if (base.collections?.[portalId]) doc.collections[portalId] = clone(base.collections[portalId]);
+      }
+      break;
+    case 'category':
+    case 'link':
+      revertCategoryEntry(doc, base, entry);
+      break;
+    case 'workflow':
+    case 'step':
+      revertWorkflowEntry(doc, base, entry);
+      break;
+    case 'trash':
+      revertTrashEntry(doc, base, entry);
+      break;
+    case 'collection':
+      revertCollectionEntry(doc, base, entry);
+      break;
+  }
+  return doc;
+}
+
+/**
+ * 差分エントリを表示用の日本語の説明文にします。
+ * @param {DiffEntry} entry
+ * @returns {string}
+ */
+export function describeDiffEntry(entry) {
+  const typeLabels = { portal: 'ポータル', category: 'カテゴリ', link: 'リンク', workflow: 'ワークフロー', step: 'ステップ', collection: 'スマートコレクション' };
+  if (entry.type === 'trash') {
+    const item = `${typeLabels[entry.itemType] || ''}「${entry.title}」`;
+    return entry.action === 'added' ? `${item}をゴミ箱に追加` : `${item}をゴミ箱から削除（復元または完全に削除）`;
+  }
+  const typeLabel = typeLabels[entry.type];
+  let where = '';
+  if (entry.type === 'link' && entry.catTitle) {
+    where = `（${entry.catTitle}）`;
+  } else if (entry.type === 'step') {
+    where = `（${entry.workflowTitle} #${entry.index + 1}）`;
+  }
+  switch (entry.action) {
+    case 'added':
+      return `${typeLabel}「${entry.title}」を追加${where}`;
+    case 'removed':
+      return `${typeLabel}「${entry.title}」を削除${where}`;
+    case 'renamed':
+      return `${typeLabel}「${entry.fromTitle}」の名前を「${entry.title}」に変更${where}`;
+    case 'moved':
+      return `${typeLabel}「${entry.title}」を「${entry.fromCatTitle}」から「${entry.catTitle}」へ移動`;
+    case 'reordered':
+      return entry.type === 'portal' ? 'カテゴリの並び順を変更' : `カテゴリ「${entry.title}」内のリンクの並び順を変更`;
+    default:
+      return `${typeLabel}「${entry.title}」を変更${where}: ${(entry.fields || []).join(', ')}`;
+  }
+}
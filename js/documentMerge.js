@@ -0,0 +1,509 @@
+/**
+ * @file documentMerge.js
+ * @brief 読み込んだポータルデータを現在のポータルへマージ（取り込み）するためのユーティリティ。
+ *        カテゴリは ID またはタイトル、リンクは ID または正規化した URL、ワークフローは ID またはタイトルで対応付け、
+ *        項目ごとに「自分を残す / 相手を採用 / 両方残す」を選んで適用します。
+ *        data.json が外部で更新されていた場合の、共通の祖先を基準にした3方向マージも提供します。
+ * @module documentMerge
+ */
+
+import { fieldChanges } from './documentDiff.js';
+
+/**
+ * @typedef {'mine'|'theirs'|'both'} MergeResolution
+ * - `mine`: 自分（現在のデータ）を残す。新規項目の場合は取り込まない。
+ * - `theirs`: 相手（読み込んだデータ）を採用する。新規項目の場合は取り込む。
+ * - `both`: 自分を残したまま、相手を別の項目として追加する。
+ */
+
+/**
+ * @typedef {object} MergeItem
+ * @property {string} key - プラン内で一意なキー。
+ * @property {'category'|'link'|'workflow'} type - 項目の種類。
+ * @property {'new'|'conflict'} status - 自分側に存在しない新規項目か、内容が異なる競合か。
+ * @property {object} theirs - 読み込んだ側の項目。
+ * @property {object} [mine] - 競合の場合の自分側の項目。
+ * @property {'id'|'url'|'title'} [matchedBy] - 競合の場合に対応付けた基準。
+ * @property {Array<import('./documentDiff.js').FieldChange>} [changes] - 競合の場合に値が異なるフィールド（before: 自分, after: 相手）。
+ * @property {string} [catId] - リンクの場合、自分側で追加・変更されるカテゴリのID。
+ * @property {string} [catTitle] - リンクの場合、そのカテゴリのタイトル。
+ * @property {Array<Link>} [links] - 新規カテゴリの場合、一緒に取り込むリンク（自分側に対応するリンクが無いもの）。
+ * @property {MergeResolution[]} options - 選択できる解決方法。
+ * @property {MergeResolution} defaultResolution - 既定の解決方法。
+ */
+
+/**
+ * @typedef {object} MergePlan
+ * @property {Array<MergeItem>} items - 確認が必要な項目（内容が同一の項目は含みません）。
+ * @property {number} identical - 内容が同一のため取り込み不要だった項目数。
+ */
+
+/**
+ * @constant {string[]} TRACKING_PARAMS
+ * @description URL の正規化時に取り除くトラッキング用クエリパラメータ（前方一致）。
+ */
+const TRACKING_PARAMS = ['utm_', 'fbclid', 'gclid'];
+
+/**
+ * @constant {string[]} IGNORED_CATEGORY_FIELDS
+ * @description カテゴリの競合判定で比較しないフィールド。
+ */
+const IGNORED_CATEGORY_FIELDS = ['id', 'links', 'isOpen'];
+
+/**
+ * 値を深くコピーします。
+ * @param {any} value
+ * @returns {any}
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * タイトルを比較用に正規化します（前後の空白除去・小文字化）。
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return String(title ?? '').trim().toLowerCase();
+}
+
+/**
+ * URL を比較用に正規化します。
+ * スキームとホストの小文字化、`www.` と既定ポートの除去、末尾のスラッシュ・空のフラグメント・トラッキング用パラメータの除去を行います。
+ * http(s) 以外（`opendir:` など）は前後の空白除去と末尾スラッシュの除去のみ行います。
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  const text = String(url ?? '').trim();
+  if (!/^https?:\/\//i.test(text)) {
+    return text.replace(/[\\/]+$/, '');
+  }
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch (e) {
+    return text.toLowerCase();
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && !['80', '443'].includes(parsed.port) ? `:${parsed.port}` : '';
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(prefix => key.toLowerCase().startsWith(prefix)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const hash = parsed.hash && parsed.hash !== '#' ? parsed.hash : '';
+  return `${parsed.protocol.toLowerCase()}//${host}${port}${path}${query}${hash}`;
+}
+
+/**
+ * ID またはタイトルで対応する項目を探します。
+ * @param {Array<object>} items
+ * @param {object} target
+ * @returns {{item: object, matchedBy: 'id'|'title'}|null}
+ */
+function findByIdOrTitle(items, target) {
+  const byId = items.find(i => i.id === target.id);
+  if (byId) return { item: byId, matchedBy: 'id' };
+  const title = normalizeTitle(target.title);
+  const byTitle = title ? items.find(i => normalizeTitle(i.title) === title) : undefined;
+  return byTitle ? { item: byTitle, matchedBy: 'title' } : null;
+}
+
+/**
+ * ポータル内のリンクを ID と正規化 URL で引ける索引を作成します。
+ * @param {Array<Category>} categories
+ * @returns {{byId: Map<string, {link: Link, category: Category}>, byUrl: Map<string, {link: Link, category: Category}>}}
+ */
+function indexLinks(categories) {
+  const byId = new Map();
+  const byUrl = new Map();
+  categories.forEach(category => {
+    (category.links || []).forEach(link => {
+      byId.set(link.id, { link, category });
+      const url = normalizeUrl(link.url);
+      if (url && !byUrl.has(url)) byUrl.set(url, { link, category });
+    });
+  });
+  return { byId, byUrl };
+}
+
+/**
+ * 読み込んだポータルデータを現在のポータルへマージするためのプランを作成します。
+ * 自分側にしか無い項目はそのまま残るため、プランには含まれません。
+ * @param {{categories: Array<Category>, workflows?: Array<Workflow>}} mine - 現在のポータルのデータ。
+ * @param {{categories: Array<Category>, workflows?: Array<Workflow>}} theirs - 読み込んだポータルのデータ。
+ * @returns {MergePlan}
+ */
+export function planMerge(mine, theirs) {
+  const items = [];
+  let identical = 0;
+  const mineCategories = mine.categories || [];
+  const links = indexLinks(mineCategories);
+
+  (theirs.categories || []).forEach((theirCat, ci) => {
+    const match = findByIdOrTitle(mineCategories, theirCat);
+    const newLinks = [];
+
+    (theirCat.links || []).forEach((theirLink, li) => {
+      const found = links.byId.get(theirLink.id) || links.byUrl.get(normalizeUrl(theirLink.url));
+      if (!found) {
+        if (match) {
+          items.push({
+            key: `link:${ci}:${li}`, type: 'link', status: 'new', theirs: theirLink,
+            catId: match.item.id, catTitle: match.item.title,
+            options: ['theirs', 'mine'], defaultResolution: 'theirs'
+          });
+        } else {
+          newLinks.push(theirLink);
+        }
+        return;
+      }
+      // 正規化すると同じになる URL の表記揺れは差分として扱わない
+      const changes = fieldChanges(found.link, theirLink, ['id'])
+        .filter(c => !(c.field === 'url' && normalizeUrl(c.before) === normalizeUrl(c.after)));
+      if (changes.length === 0) {
+        identical++;
+        return;
+      }
+      items.push({
+        key: `link:${ci}:${li}`, type: 'link', status: 'conflict', mine: found.link, theirs: theirLink,
+        matchedBy: found.link.id === theirLink.id ? 'id' : 'url', changes,
+        catId: found.category.id, catTitle: found.category.title,
+        options: ['mine', 'theirs', 'both'], defaultResolution: 'mine'
+      });
+    });
+
+    if (!match) {
+      items.push({
+        key: `category:${ci}`, type: 'category', status: 'new', theirs: theirCat, links: newLinks,
+        options: ['theirs', 'mine'], defaultResolution: 'theirs'
+      });
+      return;
+    }
+    const changes = fieldChanges(match.item, theirCat, IGNORED_CATEGORY_FIELDS)
+      .filter(c => !(c.field === 'title' && normalizeTitle(c.before) === normalizeTitle(c.after)));
+    if (changes.length > 0) {
+      items.push({
+        key: `category:${ci}`, type: 'category', status: 'conflict', mine: match.item, theirs: theirCat,
+        matchedBy: match.matchedBy, changes,
+        options: ['mine', 'theirs'], defaultResolution: 'mine'
+      });
+    }
+  });
+
+  const mineWorkflows = mine.workflows || [];
+  (theirs.workflows || []).forEach((theirWf, wi) => {
+    const match = findByIdOrTitle(mineWorkflows, theirWf);
+    if (!match) {
+      items.push({
+        key: `workflow:${wi}`, type: 'workflow', status: 'new', theirs: theirWf,
+        options: ['theirs', 'mine'], defaultResolution: 'theirs'
+      });
+      return;
+    }
+    const changes = fieldChanges(match.item, theirWf, ['id']);
+    if (changes.length === 0) {
+      identical++;
+      return;
+    }
+    items.push({
+      key: `workflow:${wi}`, type: 'workflow', status: 'conflict', mine: match.item, theirs: theirWf,
+      matchedBy: match.matchedBy, changes,
+      options: ['mine', 'theirs', 'both'], defaultResolution: 'mine'
+    });
+  });
+
+  return { items, identical };
+}
+
+/**
+ * 自分側の項目を、ID を保ったまま相手側の内容で置き換えます。
+ * @param {object} target - 自分側の項目（直接変更されます）。
+ * @param {object} source - 相手側の項目。
+ * @param {string[]} [keep=['id']] - 置き換えないフィールド。
+ */
+function replaceFields(target, source, keep = ['id']) {
+  Object.keys(target).forEach(key => {
+    if (!keep.includes(key) && !(key in source)) delete target[key];
+  });
+  Object.entries(clone(source)).forEach(([key, value]) => {
+    if (!keep.includes(key)) target[key] = value;
+  });
+}
+
+/**
+ * マージプランを適用した新しいポータルデータを返します。引数のデータは変更しません。
+ * @param {{categories: Array<Category>, workflows?: Array<Workflow>}} mine - 現在のポータルのデータ（プラン作成時と同じもの）。
+ * @param {MergePlan} plan - planMerge で作成したプラン。
+ * @param {Object<string, MergeResolution>} [resolutions={}] - 項目キーごとの解決方法。指定の無い項目は既定の解決方法を使います。
+ * @param {function(string): string} createId - 新しいIDを生成する関数（引数は 'cat' / 'link' / 'wf' などの接頭辞）。
+ * @returns {{categories: Array<Category>, workflows: Array<Workflow>, applied: number}} マージ後のデータと、取り込み・変更した項目数。
+ */
+export function applyMergePlan(mine, plan, resolutions = {}, createId) {
+  const categories = clone(mine.categories || []);
+  const workflows = clone(mine.workflows || []);
+  const usedIds = new Set([
+    ...categories.map(c => c.id),
+    ...categories.flatMap(c => (c.links || []).map(l => l.id)),
+    ...workflows.map(w => w.id)
+  ]);
+  // 生成した ID も使用済みでないことを確かめてから使う
+  const freshId = (prefix) => {
+    let id = createId(prefix);
+    while (usedIds.has(id)) id = createId(prefix);
+    usedIds.add(id);
+    return id;
+  };
+  // 相手側の ID が自分側で使われていれば新しい ID を振る
+  const withFreshId = (item, prefix) => {
+    const copy = clone(item);
+    if (!copy.id || usedIds.has(copy.id)) copy.id = freshId(prefix);
+    usedIds.add(copy.id);
+    return copy;
+  };
+  const findCategory = (id) => categories.find(c => c.id === id);
+  const findLink = (catId, linkId) => findCategory(catId)?.links.find(l => l.id === linkId);
+
+  let applied = 0;
+  plan.items.forEach(item => {
+    const resolution = resolutions[item.key] || item.defaultResolution;
+    if (resolution === 'mine') return;
+    applied++;
+
+    if (item.type === 'category') {
+      if (item.status === 'new') {
+        const category = withFreshId({ ...item.theirs, links: [] }, 'cat');
+        category.links = item.links.map(link => withFreshId(link, 'link'));
+        categories.push(category);
+      } else {
+        replaceFields(findCategory(item.mine.id), item.theirs, IGNORED_CATEGORY_FIELDS);
+      }
+    } else if (item.type === 'link') {
+      const category = findCategory(item.catId);
+      if (!category) return;
+      if (item.status === 'new' || resolution === 'both') {
+        category.links.push(resolution === 'both' ? { ...clone(item.theirs), id: freshId('link') } : withFreshId(item.theirs, 'link'));
+      } else {
+        replaceFields(findLink(item.catId, item.mine.id), item.theirs);
+      }
+    } else if (item.type === 'workflow') {
+      if (item.status === 'new') {
+        workflows.push(withFreshId(item.theirs, 'wf'));
+      } else if (resolution === 'both') {
+        workflows.push({ ...clone(item.theirs), id: freshId('wf') });
+      } else {
+        replaceFields(workflows.find(w => w.id === item.mine.id), item.theirs);
+      }
+    }
+  });
+
+  return { categories, workflows, applied };
+}
+
+/**
+ * @typedef {object} ThreeWayConflict
+ * @property {string} key - 解決方法を指定するためのキー。
+ * @property {string} portalId - 対象のポータルID。
+ * @property {'category'|'link'|'workflow'} type - 項目の種類。
+ * @property {string} id - 項目のID。
+ * @property {string} title - 表示用のタイトル。
+ * @property {boolean} mineDeleted - 自分側で削除されているかどうか。
+ * @property {boolean} theirsDeleted - 相手側（外部）で削除されているかどうか。
+ * @property {Array<import('./documentDiff.js').FieldChange>} changes - 自分（before）と相手（after）で値が異なるフィールド。
+ * @property {MergeResolution[]} options - 選択できる解決方法。
+ */
+
+/**
+ * 比較用に値を文字列化します。存在しない値は `undefined` のままにします。
+ * @param {any} value
+ * @returns {string|undefined}
+ */
+function serialize(value) {
+  return value === undefined ? undefined : JSON.stringify(value);
+}
+
+/**
+ * 共通の祖先（base）と2つの変更版から、自動で採用できる値を決めます。
+ * 片方だけが変更されていればその値を、両方が同じ変更をしていればその値を返し、
+ * 両方が異なる変更をしている場合は競合とします。
+ * @param {any} base
+ * @param {any} mine
+ * @param {any} theirs
+ * @returns {{conflict: boolean, value?: any, fromTheirs?: boolean}}
+ */
+function pickThreeWay(base, mine, theirs) {
+  const [b, m, t] = [base, mine, theirs].map(serialize);
+  if (m === t) return { conflict: false, value: mine };
+  if (m === b) return { conflict: false, value: theirs, fromTheirs: true };
+  if (t === b) return { conflict: false, value: mine };
+  return { conflict: true };
+}
+
+/**
+ * 複数の配列から、最初に現れた順に重複の無い ID 一覧を作ります。
+ * @param {...Array<string>} lists
+ * @returns {string[]}
+ */
+function orderedIds(...lists) {
+  return [...new Set(lists.flat())];
+}
+
+/**
+ * カテゴリ配列を、カテゴリ（リンク・開閉状態を除く）とリンク（所属カテゴリ付き）の索引に分解します。
+ * @param {Array<Category>|undefined} categories
+ * @returns {{cats: Map<string, object>, links: Map<string, {catId: string, link: Link}>, catIds: string[], linkIds: string[], titles: Map<string, string>}}
+ */
+function decompose(categories) {
+  const cats = new Map();
+  const links = new Map();
+  const titles = new Map();
+  (categories || []).forEach(category => {
+    const { links: categoryLinks, isOpen, ...fields } = category;
+    cats.set(category.id, fields);
+    titles.set(category.id, category.title);
+    (categoryLinks || []).forEach(link => links.set(link.id, { catId: category.id, link }));
+  });
+  return { cats, links, catIds: [...cats.keys()], linkIds: [...links.keys()], titles };
+}
+
+/**
+ * 共通の祖先（最後に読み込み・保存した内容）を基準に、自分の変更と外部の変更を3方向マージします。
+ * カテゴリ・リンク・ワークフローを ID 単位で比較し、片方だけの変更は自動で取り込み、
+ * 両方が異なる変更をした項目は競合として返します（`resolutions` で解決方法を指定できます。既定は自分を残す）。
+ * 並び順は自分側を基準とし、外部で追加された項目は末尾に加えます。ゴミ箱とスマートコレクションは項目単位で追加・削除・変更を取り込みます。
+ * @param {{portals?: object, workflows?: object}} base - 共通の祖先。
+ * @param {{portals?: object, workflows?: object}} mine - 自分の現在のドキュメント。
+ * @param {{portals?: object, workflows?: object}} theirs - 外部で更新されたドキュメント。
+ * @param {Object<string, MergeResolution>} [resolutions={}] - 競合キーごとの解決方法。
+ * @param {function(string): string} createId - 「両方残す」で追加する項目の新しいIDを生成する関数。
+ * @returns {{document: {portals: object, workflows: object}, conflicts: Array<ThreeWayConflict>, theirsApplied: number}}
+ *          マージ結果、競合の一覧、自動で取り込んだ外部の変更の数。
+ */
+export function mergeThreeWay(base, mine, theirs, resolutions = {}, createId) {
+  const conflicts = [];
+  let theirsApplied = 0;
+  const result = { ...mine, portals: {}, workflows: {} };
+
+  // 競合を記録し、選択された解決方法に従って値を返す
+  const resolve = (meta, b, m, t, describe) => {
+    const picked = pickThreeWay(b, m, t);
+    if (!picked.conflict) {
+      if (picked.fromTheirs) theirsApplied++;
+      return { value: picked.value };
+    }
+    const key = `${meta.portalId}:${meta.type}:${meta.id}`;
+    const bothAllowed = meta.type !== 'category' && m !== undefined && t !== undefined;
+    conflicts.push({
+      key, ...meta,
+      mineDeleted: m === undefined,
+      theirsDeleted: t === undefined,
+      changes: fieldChanges(m === undefined ? {} : describe(m, 'mine'), t === undefined ? {} : describe(t, 'theirs'), ['id']),
+      options: bothAllowed ? ['mine', 'theirs', 'both'] : ['mine', 'theirs']
+    });
+    const choice = resolutions[key] || 'mine';
+    if (choice === 'theirs') return { value: t };
+    if (choice === 'both' && bothAllowed) return { value: m, extra: t };
+    return { value: m };
+  };
+
+  const portalIds = orderedIds(
+    Object.keys(mine.portals || {}), Object.keys(theirs.portals || {}), Object.keys(base.portals || {})
+  );
+  portalIds.forEach(portalId => {
+    const has = (doc) => doc.portals?.[portalId] !== undefined;
+    if (!pickThreeWay(has(base), has(mine), has(theirs)).value) return;
+
+    const b = decompose(base.portals?.[portalId]);
+    const m = decompose(mine.portals?.[portalId]);
+    const t = decompose(theirs.portals?.[portalId]);
+    const openState = new Map((mine.portals?.[portalId] || []).map(c => [c.id, c.isOpen]));
+    const categories = [];
+
+    const pushCategory = (fields) => {
+      const category = { ...fields, links: [] };
+      if (openState.has(fields.id)) category.isOpen = openState.get(fields.id);
+      else if (fields.isOpen === undefined) category.isOpen = true;
+      categories.push(category);
+      return category;
+    };
+
+    orderedIds(m.catIds, t.catIds, b.catIds).forEach(id => {
+      const mc = m.cats.get(id);
+      const tc = t.cats.get(id);
+      const { value } = resolve(
+        { portalId, type: 'category', id, title: (mc || tc || b.cats.get(id)).title },
+        b.cats.get(id), mc, tc, (fields) => fields
+      );
+      if (value) pushCategory(value);
+    });
+
+    // リンクの所属カテゴリが削除されていた場合は、カテゴリを復活させて配置する
+    const place = ({ catId, link }) => {
+      let category = categories.find(c => c.id === catId);
+      if (!category) {
+        const fields = m.cats.get(catId) || t.cats.get(catId) || b.cats.get(catId);
+        if (!fields) return;
+        category = pushCategory(fields);
+      }
+      category.links.push(link);
+    };
+    const describeLink = ({ catId, link }, side) => ({ ...link, category: (side === 'mine' ? m : t).titles.get(catId) });
+
+    orderedIds(m.linkIds, t.linkIds, b.linkIds).forEach(id => {
+      const ml = m.links.get(id);
+      const tl = t.links.get(id);
+      const { value, extra } = resolve(
+        { portalId, type: 'link', id, title: (ml || tl || b.links.get(id)).link.title },
+        b.links.get(id), ml, tl, describeLink
+      );
+      if (value) place(value);
+      if (extra) place({ catId: extra.catId, link: { ...extra.link, id: createId('link') } });
+    });
+
+    result.portals[portalId] = categories;
+  });
+
+  const workflowPortalIds = orderedIds(
+    Object.keys(mine.workflows || {}), Object.keys(theirs.workflows || {}), Object.keys(base.workflows || {})
+  );
+  workflowPortalIds.forEach(portalId => {
+    const toMap = (doc) => new Map((doc.workflows?.[portalId] || []).map(w => [w.id, w]));
+    const [bw, mw, tw] = [base, mine, theirs].map(toMap);
+    const workflows = [];
+    orderedIds([...mw.keys()], [...tw.keys()], [...bw.keys()]).forEach(id => {
+      const { value, extra } = resolve(
+        { portalId, type: 'workflow', id, title: (mw.get(id) || tw.get(id) || bw.get(id)).title },
+        bw.get(id), mw.get(id), tw.get(id), (wf) => wf
+      );
+      if (value) workflows.push(value);
+      if (extra) workflows.push({ ...extra, id: createId('wf') });
+    });
+    if (workflows.length > 0 || mine.workflows?.[portalId] || theirs.workflows?.[portalId]) {
+      result.workflows[portalId] = workflows;
+    }
+  });
+
+  // ゴミ箱の項目は変更されないため、追加・削除（復元や完全削除）だけを取り込む。
+  // スマートコレクションは項目単位で取り込み、両方が変更した場合は自分の変更を残す
+  ['trash', 'collections'].forEach(key => {
+    result[key] = {};
+    const entryPortalIds = orderedIds(
+      Object.keys(mine[key] || {}), Object.keys(theirs[key] || {}), Object.keys(base[key] || {})
+    );
+    entryPortalIds.forEach(portalId => {
+      const toMap = (doc) => new Map((doc[key]?.[portalId] || []).map(e => [e.id, e]));
+      const [be, me, te] = [base, mine, theirs].map(toMap);
+      const entries = [];
+      orderedIds([...me.keys()], [...te.keys()], [...be.keys()]).forEach(id => {
+        const picked = pickThreeWay(be.get(id), me.get(id), te.get(id));
+        const value = picked.conflict ? me.get(id) : picked.value;
+        if (value) entries.push(value);
+      });
+      if (entries.length > 0) result[key][portalId] = entries;
+    });
+  });
+
+  return { document: clone(result), conflicts, theirsApplied };
+}
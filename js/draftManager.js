@@ -0,0 +1,78 @@
+/**
+ * @file draftManager.js
+ * @brief 未保存の編集内容を下書きとして IndexedDB に自動保存するクラス。
+ * @module DraftManager
+ */
+
+import { IdbStore } from './idbStore.js';
+
+/**
+ * @typedef {object} Draft
+ * @property {string} portalId - 下書きを保存したときにアクティブだったポータルID。
+ * @property {number} savedAt - 下書きを保存した日時（エポックミリ秒）。
+ * @property {{portals: object, workflows: object}} document - 保存時点のドキュメント全体（復元時には portalId の部分だけを使います）。
+ */
+
+/**
+ * @class DraftManager
+ * @brief ポータルごとに、未保存状態のドキュメント全体（allPortals / allWorkflows）を下書きとして保持します。
+ *        クラッシュや誤ったリロードの後、起動時に復元を提案するために使用します。
+ */
+export class DraftManager {
+  /**
+   * @property {IdbStore} store - 下書きの保存先。
+   */
+  store;
+
+  /**
+   * DraftManager の新しいインスタンスを作成します。
+   * @param {IdbStore} [store] - 下書きの保存先。省略時は専用の IndexedDB を使用します。
+   */
+  constructor(store = new IdbStore('portalDrafts')) {
+    this.store = store;
+  }
+
+  /**
+   * 指定ポータルの下書きを保存します。失敗してもアプリの動作は継続します。
+   * @async
+   * @param {string} portalId - アクティブなポータルID。
+   * @param {{portals: object, workflows: object}} document - 保存するドキュメント全体。
+   * @returns {Promise<void>}
+   */
+  async saveDraft(portalId, document) {
+    try {
+      await this.store.set(portalId, { portalId, savedAt: Date.now(), document });
+    } catch (e) {
+      console.error('Failed to save draft:', e);
+    }
+  }
+
+  /**
+   * 指定ポータルの下書きを取得します。
+   * @async
+   * @param {string} portalId
+   * @returns {Promise<Draft|null>} 下書き。存在しない場合は `null`。
+   */
+  async getDraft(portalId) {
+    try {
+      return (await this.store.get(portalId)) || null;
+    } catch (e) {
+      console.error('Failed to read draft:', e);
+      return null;
+    }
+  }
+
+  /**
+   * 指定ポータルの下書きを削除します。
+   * @async
+   * @param {string} portalId
+   * @returns {Promise<void>}
+   */
+  async clearDraft(portalId) {
+    try {
+      await this.store.delete(portalId);
+    } catch (e) {
+      console.error('Failed to clear draft:', e);
+    }
+  }
+}
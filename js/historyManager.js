@@ -0,0 +1,152 @@
+/**
+ * @file historyManager.js
+ * @brief 元に戻す／やり直す（Undo / Redo）のためのスナップショット履歴を管理するクラス。
+ * @module HistoryManager
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} id - 状態を識別する連番。保存済み状態の判定に使用します。
+ * @property {string} snapshot - その時点のデータをシリアライズした文字列。
+ */
+
+/**
+ * @class HistoryManager
+ * @brief 変更ごとのデータのスナップショットを Undo / Redo スタックとして保持します。
+ *        スタックの長さには上限があり、古い履歴から破棄されます。
+ *        保存済みの状態を記憶しておき、Undo / Redo でその状態に戻ったかどうかを判定できます。
+ */
+export class HistoryManager {
+  /**
+   * @constant {number} DEFAULT_LIMIT - Undo スタックの既定の上限数。
+   */
+  static DEFAULT_LIMIT = 50;
+
+  /**
+   * @property {number} limit - Undo スタックの上限数。
+   */
+  limit;
+  /**
+   * @property {Array<HistoryEntry>} undoStack - 現在より前の状態。
+   */
+  undoStack = [];
+  /**
+   * @property {Array<HistoryEntry>} redoStack - Undo で取り消された状態。
+   */
+  redoStack = [];
+  /**
+   * @property {HistoryEntry|null} current - 現在の状態。
+   */
+  current = null;
+  /**
+   * @property {number|null} savedId - 最後に保存（または読み込み）した状態のID。
+   */
+  savedId = null;
+  /**
+   * @property {number} _nextId - 次に割り当てる状態ID。
+   */
+  _nextId = 1;
+
+  /**
+   * HistoryManager の新しいインスタンスを作成します。
+   * @param {number} [limit=HistoryManager.DEFAULT_LIMIT] - Undo スタックの上限数。
+   */
+  constructor(limit = HistoryManager.DEFAULT_LIMIT) {
+    this.limit = limit;
+  }
+
+  /**
+   * 新しいエントリを作成します。
+   * @private
+   * @param {string} snapshot
+   * @returns {HistoryEntry}
+   */
+  _createEntry(snapshot) {
+    return { id: this._nextId++, snapshot };
+  }
+
+  /**
+   * 履歴をすべて破棄し、指定スナップショットを保存済みの現在状態とします。
+   * データの読み込み直後に呼び出します。
+   * @param {string} snapshot - 現在のデータのスナップショット。
+   */
+  reset(snapshot) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = this._createEntry(snapshot);
+    this.savedId = this.current.id;
+  }
+
+  /**
+   * 変更後の状態を記録します。直前の状態は Undo スタックに積まれ、Redo スタックは破棄されます。
+   * @param {string} snapshot - 変更後のデータのスナップショット。
+   * @returns {boolean} 記録された場合は `true`。直前の状態と同一で記録しなかった場合は `false`。
+   */
+  record(snapshot) {
+    if (this.current && this.current.snapshot === snapshot) {
+      return false;
+    }
+    if (this.current) {
+      this.undoStack.push(this.current);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.splice(0, this.undoStack.length - this.limit);
+      }
+    }
+    this.redoStack = [];
+    this.current = this._createEntry(snapshot);
+    return true;
+  }
+
+  /**
+   * Undo 可能かどうかを返します。
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Redo 可能かどうかを返します。
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 1つ前の状態に戻します。
+   * @returns {string|null} 戻した先のスナップショット。Undo できない場合は `null`。
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.redoStack.push(this.current);
+    this.current = this.undoStack.pop();
+    return this.current.snapshot;
+  }
+
+  /**
+   * Undo で取り消した状態をやり直します。
+   * @returns {string|null} やり直した先のスナップショット。Redo できない場合は `null`。
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    this.undoStack.push(this.current);
+    this.current = this.redoStack.pop();
+    return this.current.snapshot;
+  }
+
+  /**
+   * 現在の状態を保存済みとしてマークします。
+   */
+  markSaved() {
+    this.savedId = this.current ? this.current.id : null;
+  }
+
+  /**
+   * 現在の状態が保存済みの状態と一致するかどうかを返します。
+   * @returns {boolean}
+   */
+  isAtSaved() {
+    return !!this.current && this.current.id === this.savedId;
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * @file icalExport.js
+ * @brief 繰り返しの予定・頻度のあるワークフローを、カレンダーアプリに取り込める iCalendar（.ics）に変換するユーティリティ。
+ * @module icalExport
+ */
+
+import { isLocalLink, localPathOf } from './linkCard.js';
+import { nextOccurrence, toDateKey, addDays } from './workflowSchedule.js';
+
+/**
+ * @constant {object} FREQ_RRULES
+ * @description 繰り返しの予定が無いワークフローの頻度に対応する RRULE（「たまに」は繰り返さないため書き出しません）。
+ */
+const FREQ_RRULES = { daily: 'FREQ=DAILY', weekly: 'FREQ=WEEKLY', monthly: 'FREQ=MONTHLY' };
+
+/**
+ * @constant {string[]} ICAL_WEEKDAYS
+ * @description iCalendar の曜日の表記（日曜始まり）。
+ */
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * @constant {string} ALARM_TRIGGER
+ * @description 通知の時刻（終日の予定の開始＝予定日の0時からの経過時間。予定日の9時）。
+ */
+const ALARM_TRIGGER = 'PT9H';
+
+/**
+ * @typedef {object} CalendarPortal
+ * @property {string} portalId - ポータルのID（UID に使用し、取り込み直したときに同じ予定として更新されるようにします）。
+ * @property {string} title - カレンダー名。
+ * @property {Array<Category>} categories - ステップの関連リンクを探すカテゴリ。
+ * @property {Array<Workflow>} workflows - 書き出すワークフロー（予定・頻度の無いものは除きます）。
+ */
+
+/**
+ * 日を指定した月次・年次の予定の BYMONTHDAY を作成します。月の日数を超える日は、アプリと同じく月末にします。
+ * @param {number} day
+ * @returns {string}
+ */
+function monthDayRule(day) {
+  if (day >= 31) return 'BYMONTHDAY=-1';
+  if (day <= 28) return `BYMONTHDAY=${day}`;
+  // 29日・30日はその日が無い月では月末（候補のうち最後の日）にする
+  const days = Array.from({ length: day - 27 }, (_, i) => 28 + i);
+  return `BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+}
+
+/**
+ * 繰り返しの予定を RRULE の値に変換します。
+ * @param {WorkflowSchedule} schedule
+ * @returns {string|null} 変換できない予定は `null`。
+ */
+export function scheduleToRRule(schedule) {
+  switch (schedule.type) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'weekdays':
+      return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+    case 'weekly':
+      if (!schedule.weekdays?.length) return null;
+      return `FREQ=WEEKLY;BYDAY=${[...schedule.weekdays].sort((a, b) => a - b).map(d => ICAL_WEEKDAYS[d]).join(',')}`;
+    case 'monthly':
+      return `FREQ=MONTHLY;${monthDayRule(schedule.day)}`;
+    case 'yearly':
+      return `FREQ=YEARLY;BYMONTH=${schedule.month};${monthDayRule(schedule.day)}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * ワークフローを書き出す場合の RRULE と最初の予定日を返します。
+ * 繰り返しの予定があればそれを、無ければ頻度（毎日・週次・月次）を使い、頻度の場合は今日から始めます。
+ * @param {Workflow} workflow
+ * @param {string} todayKey - 今日の日付（`YYYY-MM-DD`）。
+ * @returns {{rrule: string, start: string}|null} 書き出せないワークフローは `null`。
+ */
+export function workflowRecurrence(workflow, todayKey) {
+  if (workflow.schedule) {
+    const rrule = scheduleToRRule(workflow.schedule);
+    const start = rrule ? nextOccurrence(workflow.schedule, workflow.schedule.start || todayKey) : null;
+    return rrule && start ? { rrule, start } : null;
+  }
+  return FREQ_RRULES[workflow.freq] ? { rrule: FREQ_RRULES[workflow.freq], start: todayKey } : null;
+}
+
+/**
+ * iCalendar のテキスト値として、バックスラッシュ・セミコロン・カンマ・改行をエスケープします。
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeIcalText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 1行を 75 オクテット（UTF-8）ごとに折り返します（続きの行は空白で始めます）。文字の途中では折り返しません。
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const code = ch.codePointAt(0);
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    // 続きの行は先頭の空白の分だけ短くする
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * `YYYY-MM-DD` を iCalendar の日付（`YYYYMMDD`）にします。
+ * @param {string} key
+ * @returns {string}
+ */
+function icalDate(key) {
+  return key.replace(/-/g, '');
+}
+
+/**
+ * 日時を iCalendar の UTC の日時（`YYYYMMDDTHHMMSSZ`）にします。
+ * @param {Date} date
+ * @returns {string}
+ */
+function icalDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * ワークフローの説明・手順（関連リンク付き）を予定の説明文にします。
+ * @param {Workflow} workflow
+ * @param {Map<string, Link>} links - リンクIDからリンクへの対応。
+ * @returns {string}
+ */
+function workflowDescription(workflow, links) {
+  const lines = [];
+  if (workflow.description) lines.push(workflow.description, '');
+  if ((workflow.steps || []).length > 0) {
+    lines.push('手順:');
+    workflow.steps.forEach((step, index) => {
+      lines.push(`${index + 1}. ${step.title || ''}`.trimEnd());
+      if (step.memo) lines.push(`   ${step.memo}`);
+      const link = step.linkId ? links.get(step.linkId) : null;
+      if (link) lines.push(`   ${link.title || link.url}: ${isLocalLink(link) ? localPathOf(link) : link.url}`);
+    });
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * 1つのワークフローを VEVENT の行にします。
+ * @param {Workflow} workflow
+ * @param {{rrule: string, start: string}} recurrence
+ * @param {string} portalId
+ * @param {Map<string, Link>} links
+ * @param {string} stamp - DTSTAMP の値。
+ * @returns {string[]}
+ */
+function eventLines(workflow, recurrence, portalId, links, stamp) {
+  const primaryLink = (workflow.steps || [])
+    .map(step => (step.linkId ? links.get(step.linkId) : null))
+    .find(link => link && !isLocalLink(link));
+  const description = workflowDescription(workflow, links);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${portalId}-${workflow.id}@study-portal`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icalDate(recurrence.start)}`,
+    `DTEND;VALUE=DATE:${icalDate(addDays(recurrence.start, 1))}`,
+    `RRULE:${recurrence.rrule}`,
+    `SUMMARY:${escapeIcalText(workflow.title || '（無題）')}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeIcalText(description)}`);
+  if (primaryLink) lines.push(`URL:${primaryLink.url}`);
+  if (workflow.tags?.length) lines.push(`CATEGORIES:${workflow.tags.map(escapeIcalText).join(',')}`);
+  lines.push(
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:${ALARM_TRIGGER}`,
+    `DESCRIPTION:${escapeIcalText(workflow.title || '（無題）')}`,
+    'END:VALARM',
+    'END:VEVENT'
+  );
+  return lines;
+}
+
+/**
+ * ポータルのワークフローを iCalendar に変換します。繰り返しの予定・頻度の無いワークフローは含めません。
+ * ワークフローごとに、予定日の終日の繰り返しの予定（予定日の9時に通知）を作成し、
+ * 説明に手順と関連リンクを、URL に最初の（ローカルフォルダ以外の）関連リンクを入れます。
+ * @param {CalendarPortal} portal
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - 現在時刻（テスト用）。
+ * @returns {{ics: string, count: number}} iCalendar のテキストと、書き出したワークフローの数。
+ */
+export function renderWorkflowCalendar({ portalId, title, categories, workflows }, { now = new Date() } = {}) {
+  const links = new Map(categories.flatMap(c => (c.links || []).map(l => [l.id, l])));
+  const todayKey = toDateKey(now);
+  const stamp = icalDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Study Portal//Workflow Schedule//JA',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcalText(title)}`
+  ];
+  let count = 0;
+  workflows.forEach(workflow => {
+    const recurrence = workflowRecurrence(workflow, todayKey);
+    if (!recurrence) return;
+    lines.push(...eventLines(workflow, recurrence, portalId, links, stamp));
+    count++;
+  });
+  lines.push('END:VCALENDAR');
+  return { ics: lines.map(foldLine).join('\r\n') + '\r\n', count };
+}
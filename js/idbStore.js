@@ -0,0 +1,109 @@
+/**
+ * @file idbStore.js
+ * @brief IndexedDB を単純なキー・バリューストアとして扱うための小さなラッパークラス。
+ * @module IdbStore
+ */
+
+/**
+ * @class IdbStore
+ * @brief 1つのデータベース・1つのオブジェクトストアに対する get / set / delete を Promise で提供します。
+ *        IndexedDB が利用できない環境では、読み込みは `undefined`、書き込みは何もせずに解決します。
+ */
+export class IdbStore {
+  /**
+   * @property {string} dbName - IndexedDB のデータベース名。
+   */
+  dbName;
+  /**
+   * @property {string} storeName - オブジェクトストア名。
+   */
+  storeName;
+  /**
+   * @property {Promise<IDBDatabase|null>|null} _dbPromise - 接続済みデータベースのキャッシュ。
+   */
+  _dbPromise = null;
+
+  /**
+   * IdbStore の新しいインスタンスを作成します。
+   * @param {string} dbName - データベース名。
+   * @param {string} [storeName='kv'] - オブジェクトストア名。
+   */
+  constructor(dbName, storeName = 'kv') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+  }
+
+  /**
+   * IndexedDB が利用可能かどうかを返します。
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * データベースを開きます（初回のみ）。
+   * @private
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  _open() {
+    if (!this.isAvailable()) return Promise.resolve(null);
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * オブジェクトストアに対して1回のリクエストを実行します。
+   * @private
+   * @param {IDBTransactionMode} mode - トランザクションモード。
+   * @param {function(IDBObjectStore): IDBRequest} fn - 実行するリクエストを返す関数。
+   * @returns {Promise<any>}
+   */
+  async _request(mode, fn) {
+    const db = await this._open();
+    if (!db) return undefined;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = fn(tx.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 指定キーの値を取得します。
+   * @param {string} key
+   * @returns {Promise<any>} 値。存在しない場合は `undefined`。
+   */
+  get(key) {
+    return this._request('readonly', store => store.get(key));
+  }
+
+  /**
+   * 指定キーに値を保存します。
+   * @param {string} key
+   * @param {any} value - 構造化複製可能な値（FileSystemFileHandle も可）。
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this._request('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * 指定キーの値を削除します。
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+}
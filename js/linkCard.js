@@ -0,0 +1,160 @@
+/**
+ * @file linkCard.js
+ * @brief リンクカードの描画規則（アイコン・タイトル・バッジ・メモ・ローカルパス）。
+ *        メイン画面（ui.js）と、静的 HTML への書き出し（staticExport.js）で共通に使用します。
+ * @module linkCard
+ */
+
+/**
+ * @constant {string} LOCAL_LINK_PREFIX
+ * @description ローカルフォルダを開くリンクの URL の接頭辞。
+ */
+export const LOCAL_LINK_PREFIX = 'opendir:';
+
+/**
+ * @constant {object} BADGE_LABELS
+ * @description バッジ種別の表示名。
+ */
+export const BADGE_LABELS = {
+  video: 'Video',
+  doc: 'Docs',
+  portal: 'Portal',
+  article: 'Article',
+  code: 'Code',
+  tool: 'Tool',
+  sns: 'SNS',
+  cloud: 'Cloud',
+  local: 'Local',
+  money: 'Money',
+  news: 'News',
+  idea: 'Idea',
+  company: 'Company'
+};
+
+/**
+ * バッジ種別の表示名を返します。未知の種別はそのまま返します。
+ * @param {string} type
+ * @returns {string}
+ */
+export function getBadgeLabel(type) {
+  return BADGE_LABELS[type] || type;
+}
+
+/**
+ * リンクがローカルフォルダを開くリンク（opendir:）かどうかを判定します。
+ * @param {Link} link
+ * @returns {boolean}
+ */
+export function isLocalLink(link) {
+  return !!link.url && link.url.startsWith(LOCAL_LINK_PREFIX);
+}
+
+/**
+ * ローカルフォルダを開くリンクのパスを返します。
+ * @param {Link} link
+ * @returns {string}
+ */
+export function localPathOf(link) {
+  return link.url.replace(LOCAL_LINK_PREFIX, '');
+}
+
+/**
+ * アイコン値が Material Symbol 名かどうかを判定します（それ以外は絵文字として扱います）。
+ * @param {string} icon
+ * @returns {boolean}
+ */
+export function isMaterialSymbol(icon) {
+  return /^[a-z][a-z_0-9]*$/.test(icon);
+}
+
+/**
+ * リンクのアイコンスタイル（FILL/wght/size）をスパン要素に適用します。
+ * iconFill/iconWeight/iconSize のいずれかが設定されている場合のみ動作します。
+ * @param {HTMLElement} span - アイコンの span 要素。
+ * @param {Link} link - リンクデータ。
+ * @param {boolean} [isTable=false] - テーブルビューかどうか。
+ */
+export function applyIconStyle(span, link, isTable = false) {
+  const hasFill = link.iconFill !== undefined && link.iconFill !== null;
+  const hasWeight = !!link.iconWeight;
+  const hasSize = link.iconSize && link.iconSize !== 'normal';
+  if (!hasFill && !hasWeight && !hasSize) return;
+
+  const fill = link.iconFill ?? 0;
+  const weight = link.iconWeight || 400;
+  span.style.fontVariationSettings = `'FILL' ${fill}, 'wght' ${weight}, 'GRAD' 0, 'opsz' 40`;
+
+  if (hasSize) {
+    if (isTable) {
+      span.style.fontSize = link.iconSize === 'xl' ? '26px' : '22px';
+    } else {
+      span.style.fontSize = link.iconSize === 'xl' ? '40px' : '32px';
+    }
+  }
+}
+
+/**
+ * リンクカード本体（アイコン・タイトル・バッジ・メモ、ローカルリンクの場合はパス）の要素を作成します。
+ * @param {Link} link - リンクデータ。
+ * @param {object} [options]
+ * @param {boolean} [options.disabled=false] - クリックできない表示にする場合（編集モード）は `true`。
+ * @param {boolean} [options.linkable=true] - `false` の場合は a 要素ではなく div 要素で作成します（開けないローカルリンクの書き出し用）。
+ * @returns {HTMLAnchorElement|HTMLDivElement}
+ */
+export function createLinkCardElement(link, { disabled = false, linkable = true } = {}) {
+  const isLocal = isLocalLink(link);
+  const card = document.createElement(linkable ? 'a' : 'div');
+  card.className = `link-card ${disabled ? 'disabled' : ''}${isLocal ? ' link-local' : ''}`;
+  if (linkable) {
+    card.href = link.url;
+    if (!isLocal) card.target = '_blank';
+  }
+
+  const iconArea = document.createElement('div');
+  iconArea.className = 'icon-area';
+  if (isMaterialSymbol(link.icon)) {
+    // Material Symbol
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'icon icon-lg';
+    iconSpan.textContent = link.icon;
+    if (link.iconColor) iconSpan.style.color = link.iconColor;
+    applyIconStyle(iconSpan, link, false);
+    iconArea.appendChild(iconSpan);
+  } else {
+    // 絵文字（既存データの後方互換）
+    iconArea.textContent = link.icon;
+  }
+
+  const contentArea = document.createElement('div');
+  contentArea.className = 'content-area';
+
+  const headerRow = document.createElement('div');
+  headerRow.className = 'header-row';
+  const titleSpan = document.createElement('span');
+  titleSpan.className = 'link-title';
+  titleSpan.textContent = link.title;
+  const badgeSpan = document.createElement('span');
+  badgeSpan.className = `badge badge-${link.badge}`;
+  badgeSpan.textContent = getBadgeLabel(link.badge);
+
+  headerRow.appendChild(titleSpan);
+  headerRow.appendChild(badgeSpan);
+
+  const memoDiv = document.createElement('div');
+  memoDiv.className = 'link-memo';
+  memoDiv.textContent = link.memo;
+
+  contentArea.appendChild(headerRow);
+  contentArea.appendChild(memoDiv);
+
+  if (isLocal) {
+    const pathDiv = document.createElement('div');
+    pathDiv.className = 'link-local-path';
+    pathDiv.textContent = localPathOf(link);
+    contentArea.appendChild(pathDiv);
+  }
+
+  card.appendChild(iconArea);
+  card.appendChild(contentArea);
+  return card;
+}
@@ -0,0 +1,201 @@
+/**
+ * @file linkTable.js
+ * @brief リンクを CSV / TSV の表として書き出し・読み込むユーティリティ。
+ *        1行が1リンクで、カテゴリ名の列を持ちます。スプレッドシートで管理しているリンク一覧との往復に使用します。
+ * @module linkTable
+ */
+
+import { titleFromUrl } from './linkTextParser.js';
+
+/**
+ * @typedef {object} LinkTableColumn
+ * @property {string} key - 列のキー（書き出し時の見出し）。
+ * @property {string} label - 画面に表示する名前。
+ * @property {string[]} aliases - 読み込み時に見出しから列を推測するための別名（小文字で比較します）。
+ */
+
+/**
+ * @constant {Array<LinkTableColumn>} LINK_TABLE_COLUMNS
+ * @description 書き出し・読み込みに対応する列。書き出しはこの順番で行います。
+ */
+export const LINK_TABLE_COLUMNS = [
+  { key: 'category', label: 'カテゴリ', aliases: ['カテゴリ', 'カテゴリー', 'category', 'folder', 'group'] },
+  { key: 'title', label: 'タイトル', aliases: ['タイトル', '名前', 'title', 'name'] },
+  { key: 'url', label: 'URL', aliases: ['url', 'link', 'href', 'リンク', 'アドレス'] },
+  { key: 'badge', label: 'バッジ', aliases: ['バッジ', 'badge', 'type', '種別'] },
+  { key: 'memo', label: 'メモ', aliases: ['メモ', 'memo', 'note', 'notes', 'description', '説明'] },
+  { key: 'tags', label: 'タグ', aliases: ['タグ', 'tags', 'tag'] },
+  { key: 'keywords', label: 'キーワード', aliases: ['キーワード', 'keywords', 'keyword'] },
+  { key: 'freq', label: '頻度', aliases: ['頻度', 'freq', 'frequency'] },
+  { key: 'icon', label: 'アイコン', aliases: ['アイコン', 'icon'] },
+  { key: 'iconColor', label: 'アイコンの色', aliases: ['アイコンの色', 'iconcolor', 'icon color'] },
+  { key: 'iconFill', label: 'アイコンの塗り', aliases: ['アイコンの塗り', 'iconfill', 'icon fill'] },
+  { key: 'iconWeight', label: 'アイコンの太さ', aliases: ['アイコンの太さ', 'iconweight', 'icon weight'] },
+  { key: 'iconSize', label: 'アイコンのサイズ', aliases: ['アイコンのサイズ', 'iconsize', 'icon size'] }
+];
+
+/**
+ * @constant {string[]} LIST_COLUMNS
+ * @description セル内で `,` 区切りの一覧として扱う列。
+ */
+const LIST_COLUMNS = ['tags', 'keywords'];
+
+/**
+ * @constant {string[]} NUMBER_COLUMNS
+ * @description 数値として読み込む列。
+ */
+const NUMBER_COLUMNS = ['iconFill', 'iconWeight'];
+
+/**
+ * @typedef {object} LinkTableEntry
+ * @property {string} category - カテゴリ名（列が無い・空の場合は空文字）。
+ * @property {object} link - リンクのデータ（ID は含みません）。
+ */
+
+/**
+ * セルの値が URL らしいかどうかを判定します（見出し行の判定と、見出しが無い場合の列の推測に使用）。
+ * @param {string} cell
+ * @returns {boolean}
+ */
+function looksLikeUrl(cell) {
+  return /^(?:[a-z][a-z0-9+.-]*:\/\/|opendir:)/i.test(cell.trim());
+}
+
+/**
+ * 1つのセルを、必要に応じてダブルクォートで囲みます。
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function quoteCell(value, delimiter) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * カテゴリとリンクを、1行1リンクの CSV / TSV に変換します。1行目は列のキーの見出しです。
+ * @param {Array<Category>} categories - 書き出すカテゴリ。
+ * @param {','|'\t'} [delimiter=','] - 区切り文字。
+ * @returns {string}
+ */
+export function exportLinkTable(categories, delimiter = ',') {
+  const lines = [LINK_TABLE_COLUMNS.map(c => c.key).join(delimiter)];
+  categories.forEach(category => {
+    (category.links || []).forEach(link => {
+      const cells = LINK_TABLE_COLUMNS.map(({ key }) => {
+        if (key === 'category') return category.title;
+        const value = link[key];
+        return LIST_COLUMNS.includes(key) && Array.isArray(value) ? value.join(', ') : value;
+      });
+      lines.push(cells.map(cell => quoteCell(cell, delimiter)).join(delimiter));
+    });
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV / TSV を行とセルの配列に変換します。ダブルクォートで囲まれたセル内の区切り文字・改行・"" に対応します。
+ * 区切り文字を省略した場合は、1行目にタブがあれば TSV、無ければ CSV とみなします。空の行は除きます。
+ * @param {string} text
+ * @param {','|'\t'} [delimiter]
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const sep = delimiter ?? (source.split(/\r?\n/, 1)[0].includes('\t') ? '\t' : ',');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(c => c.trim() !== '')) rows.push(row.map(c => c.trim()));
+    row = [];
+    cell = '';
+  };
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * 1行目の見出しから、各列に対応するリンクの項目を推測します。
+ * @param {string[]} header - 1行目のセル。
+ * @returns {{mapping: string[], hasHeader: boolean}} 列ごとの項目のキー（対応しない列は空文字）と、1行目が見出しと判断したかどうか。
+ *          見出しが無いと判断した場合は、URL らしい値の列を `url`、その左隣（無ければ右隣）の列を `title` とします。
+ */
+export function guessColumnMapping(header) {
+  const used = new Set();
+  const mapping = header.map(cell => {
+    const name = cell.trim().toLowerCase();
+    const column = LINK_TABLE_COLUMNS.find(c => !used.has(c.key) && (c.key.toLowerCase() === name || c.aliases.includes(name)));
+    if (!column) return '';
+    used.add(column.key);
+    return column.key;
+  });
+  if (mapping.some(Boolean) && !header.some(looksLikeUrl)) {
+    return { mapping, hasHeader: true };
+  }
+
+  const guessed = header.map(() => '');
+  const urlIndex = header.findIndex(looksLikeUrl);
+  if (urlIndex !== -1) {
+    guessed[urlIndex] = 'url';
+    const titleIndex = urlIndex > 0 ? urlIndex - 1 : urlIndex + 1;
+    if (titleIndex < guessed.length) guessed[titleIndex] = 'title';
+  }
+  return { mapping: guessed, hasHeader: false };
+}
+
+/**
+ * 表の行を、列の対応に従ってリンクに変換します。タイトルが空の場合は URL から作成します。
+ * URL が空の行は `link.url` が空文字になります（取り込み時に除外されます）。
+ * @param {string[][]} rows - 見出しを除いた行。
+ * @param {string[]} mapping - 列ごとの項目のキー（guessColumnMapping の形式）。
+ * @returns {Array<LinkTableEntry>}
+ */
+export function rowsToLinks(rows, mapping) {
+  return rows.map(cells => {
+    const entry = { category: '', link: { title: '', url: '' } };
+    mapping.forEach((key, i) => {
+      const value = (cells[i] ?? '').trim();
+      if (!key || value === '') return;
+      if (key === 'category') {
+        entry.category = value;
+      } else if (LIST_COLUMNS.includes(key)) {
+        entry.link[key] = value.split(/[,、]/).map(v => v.trim()).filter(Boolean);
+      } else if (NUMBER_COLUMNS.includes(key)) {
+        if (!Number.isNaN(Number(value))) entry.link[key] = Number(value);
+      } else if (key === 'badge') {
+        entry.link.badge = value.toLowerCase();
+      } else {
+        entry.link[key] = value;
+      }
+    });
+    if (!entry.link.title && entry.link.url) entry.link.title = titleFromUrl(entry.link.url);
+    return entry;
+  });
+}
@@ -0,0 +1,231 @@
+/**
+ * @file linkTextParser.js
+ * @brief 貼り付けたテキストからリンクを読み取るユーティリティ。
+ *        Markdown のリンク（`[タイトル](URL)`）、スプレッドシートからコピーした TSV / CSV、URL だけの一覧、
+ *        URL を含む自由なテキストに対応します。
+ * @module linkTextParser
+ */
+
+import { BADGE_TYPES } from './schema.js';
+
+/**
+ * @typedef {object} ParsedLink
+ * @property {string} title - タイトル。テキストに無い場合は URL から作成します。
+ * @property {string} url - URL。
+ * @property {boolean} titleFromUrl - タイトルを URL から作成した場合は `true`。
+ * @property {string} [memo] - タイトルと URL 以外の列・テキスト。
+ * @property {string} [badge] - バッジ種別と一致する列があった場合のバッジ。
+ */
+
+/**
+ * @constant {RegExp} URL_PATTERN
+ * @description テキスト中の URL（スキーム付き、または www. で始まるもの）に一致する正規表現。
+ */
+const URL_PATTERN = /(?:(?:https?|ftp|file):\/\/|opendir:|www\.)[^\s<>"'`]+/g;
+
+/**
+ * @constant {RegExp} MARKDOWN_LINK_PATTERN
+ * @description Markdown のリンク `[タイトル](URL)` に一致する正規表現（URL 中の括弧は1段まで許可）。
+ */
+const MARKDOWN_LINK_PATTERN = /\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\s*\)/g;
+
+/**
+ * URL の末尾に付いた句読点や閉じ括弧（対応する開き括弧が URL 内に無いもの）を取り除き、
+ * スキームの無い www. 始まりの URL には https:// を補います。
+ * @param {string} url
+ * @returns {string}
+ */
+function cleanUrl(url) {
+  let cleaned = url.replace(/[.,;:!?。、，．」』】）]+$/, '');
+  while (cleaned.endsWith(')') && (cleaned.match(/\(/g) || []).length < (cleaned.match(/\)/g) || []).length) {
+    cleaned = cleaned.slice(0, -1);
+  }
+  return cleaned.startsWith('www.') ? `https://${cleaned}` : cleaned;
+}
+
+/**
+ * 文字列全体が1つの URL かどうかを判定します。
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isUrl(text) {
+  return new RegExp(`^${URL_PATTERN.source}$`).test(text.trim());
+}
+
+/**
+ * タイトルやメモの前後に付いた箇条書きの記号や区切り文字を取り除きます。
+ * @param {string} text
+ * @returns {string}
+ */
+function stripDecoration(text) {
+  return text
+    .replace(/^\s*(?:[-*+・●]|\d+[.)])\s+/, '')
+    .replace(/^[\s:：|｜\-–—]+|[\s:：|｜\-–—]+$/g, '')
+    .trim();
+}
+
+/**
+ * URL から表示用のタイトルを作成します。
+ * パスの最後の部分があれば「最後の部分 - ホスト名」、無ければホスト名を返します。
+ * @param {string} url
+ * @returns {string}
+ */
+export function titleFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  const host = parsed.hostname.replace(/^www\./, '');
+  const segment = parsed.pathname.split('/').filter(Boolean).pop();
+  if (!segment) return host || url;
+  let name = segment;
+  try {
+    name = decodeURIComponent(segment);
+  } catch {
+    // 不正なエスケープはそのまま使う
+  }
+  name = name.replace(/\.(html?|php|aspx?)$/i, '').replace(/[-_+]+/g, ' ').trim();
+  if (!name) return host || url;
+  return host ? `${name} - ${host}` : name;
+}
+
+/**
+ * CSV の1行を列に分割します（ダブルクォートで囲まれた列と、その中の "" に対応）。
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+/**
+ * 表の1行（TSV / CSV の列）からリンクを作ります。
+ * URL の列を探し、それ以外の最初の列をタイトル、バッジ種別と一致する列をバッジ、残りをメモとして扱います。
+ * @param {string[]} cells
+ * @returns {ParsedLink|null} URL の列が無い場合（見出し行など）は `null`。
+ */
+function linkFromCells(cells) {
+  const urlIndex = cells.findIndex(isUrl);
+  if (urlIndex === -1) return null;
+  const rest = cells.filter((cell, i) => i !== urlIndex && cell !== '');
+  const badgeIndex = rest.findIndex((cell, i) => i > 0 && BADGE_TYPES.includes(cell.toLowerCase()));
+  const badge = badgeIndex === -1 ? undefined : rest.splice(badgeIndex, 1)[0].toLowerCase();
+  return createLink(rest.shift() || '', cells[urlIndex], rest.join(' / '), badge);
+}
+
+/**
+ * 読み取ったリンクを作成します。タイトルが無ければ URL から作成します。
+ * @param {string} title
+ * @param {string} url
+ * @param {string} [memo]
+ * @param {string} [badge]
+ * @returns {ParsedLink}
+ */
+function createLink(title, url, memo = '', badge = undefined) {
+  const cleanedUrl = cleanUrl(url.trim());
+  const cleanedTitle = stripDecoration(title);
+  const link = { title: cleanedTitle || titleFromUrl(cleanedUrl), url: cleanedUrl, titleFromUrl: !cleanedTitle };
+  const cleanedMemo = stripDecoration(memo);
+  if (cleanedMemo) link.memo = cleanedMemo;
+  if (badge) link.badge = badge;
+  return link;
+}
+
+/**
+ * 自由なテキストの1行からリンクを読み取ります。
+ * Markdown のリンクがあればそれを、無ければ行内の URL を読み取り、URL より前の文字列をタイトル、後ろの文字列をメモとします。
+ * @param {string} line
+ * @returns {ParsedLink[]}
+ */
+function linksFromLine(line) {
+  const markdown = [...line.matchAll(MARKDOWN_LINK_PATTERN)];
+  if (markdown.length > 0) {
+    return markdown.map((match, i) => {
+      const end = match.index + match[0].length;
+      const next = markdown[i + 1]?.index ?? line.length;
+      return createLink(match[1], match[2], markdown.length === 1 ? line.slice(end, next) : '');
+    });
+  }
+  const urls = [...line.matchAll(URL_PATTERN)];
+  if (urls.length === 1) {
+    const [match] = urls;
+    return [createLink(line.slice(0, match.index), match[0], line.slice(match.index + match[0].length))];
+  }
+  return urls.map(match => createLink('', match[0]));
+}
+
+/**
+ * 貼り付けたテキストからリンクを読み取ります。
+ * - タブを含む行は TSV、URL を含む列が `,` で区切られた行は CSV の1行として扱います。
+ * - Markdown のリンクと、URL を含む自由なテキストの行に対応します。
+ * - URL だけの行の直前に URL を含まない行があれば、それをタイトルとして扱います（「タイトル」「URL」が交互に並ぶ形式）。
+ * 同じ URL は最初の1件だけを返します。
+ * @param {string} text - 貼り付けたテキスト。
+ * @returns {ParsedLink[]}
+ */
+export function parseLinkText(text) {
+  const links = [];
+  const seen = new Set();
+  let pendingTitle = '';
+  const add = (link) => {
+    if (seen.has(link.url)) return;
+    seen.add(link.url);
+    links.push(link);
+  };
+
+  String(text ?? '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      pendingTitle = '';
+      return;
+    }
+
+    let parsed = [];
+    if (line.includes('\t')) {
+      parsed = [linkFromCells(line.split('\t').map(c => c.trim()))].filter(Boolean);
+    } else if (line.includes(',') && !line.includes('](')) {
+      const link = linkFromCells(splitCsvLine(line));
+      if (link) parsed = [link];
+    }
+    if (parsed.length === 0) parsed = linksFromLine(line);
+
+    if (parsed.length === 0) {
+      pendingTitle = stripDecoration(line);
+      return;
+    }
+    if (parsed.length === 1 && parsed[0].titleFromUrl && pendingTitle && isUrl(line.replace(/^\s*(?:[-*+・●]|\d+[.)])\s+/, ''))) {
+      parsed[0].title = pendingTitle;
+      parsed[0].titleFromUrl = false;
+    }
+    pendingTitle = '';
+    parsed.forEach(add);
+  });
+  return links;
+}
@@ -0,0 +1,154 @@
+/**
+ * @file markdownExport.js
+ * @brief ポータルのリンク一覧とワークフローを Markdown に変換するユーティリティ。
+ *        Wiki や README に貼り付けて共有するために使用します。
+ * @module markdownExport
+ */
+
+import { getBadgeLabel, isLocalLink, localPathOf } from './linkCard.js';
+
+/**
+ * @constant {object} FREQ_LABELS
+ * @description ワークフローの実行頻度の表示名。
+ */
+const FREQ_LABELS = { daily: '毎日', weekly: '週次', monthly: '月次', rare: 'たまに' };
+
+/**
+ * @typedef {object} MarkdownPortal
+ * @property {string} title - ポータル名（見出し）。
+ * @property {string} [subtitle] - 見出しの下に表示する説明。
+ * @property {Array<Category>} categories - 書き出すカテゴリ。
+ * @property {Array<Workflow>} [workflows] - 書き出すワークフロー。
+ */
+
+/**
+ * テキストを1行にまとめ、Markdown の記法として解釈される文字をエスケープします。
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeMarkdown(text) {
+  return String(text ?? '')
+    .replace(/\s*\r?\n\s*/g, ' ')
+    .trim()
+    .replace(/([\\`*_[\]<>|#])/g, '\\$1');
+}
+
+/**
+ * テキストをコードスパンにします。テキストに含まれるバッククォートより長い区切りを使用します。
+ * @param {string} text
+ * @returns {string}
+ */
+function codeSpan(text) {
+  const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = /^`|`$/.test(text) ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+/**
+ * リンク先の URL を、Markdown のリンクの中で途切れないよう空白と括弧をエンコードします。
+ * @param {string} url
+ * @returns {string}
+ */
+function linkDestination(url) {
+  return String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * リンクを Markdown のリンク、ローカルフォルダのリンクはタイトルとパスのコードスパンにします。
+ * @param {Link} link
+ * @param {string} [title=link.title] - 表示するテキスト。
+ * @returns {string}
+ */
+function formatLink(link, title = link.title) {
+  const text = escapeMarkdown(title || link.url);
+  if (isLocalLink(link)) return `${text}: ${codeSpan(localPathOf(link))}`;
+  return `[${text}](${linkDestination(link.url)})`;
+}
+
+/**
+ * 1つのリンクを箇条書きの1行にします（リンク・バッジ・メモ・タグ）。
+ * @param {Link} link
+ * @returns {string}
+ */
+function formatLinkItem(link) {
+  let line = `- ${formatLink(link)}`;
+  if (link.badge) line += ` ${codeSpan(getBadgeLabel(link.badge))}`;
+  if (link.memo) line += ` — ${escapeMarkdown(link.memo)}`;
+  if (link.tags && link.tags.length > 0) line += ` （タグ: ${link.tags.map(escapeMarkdown).join(', ')}）`;
+  return line;
+}
+
+/**
+ * カテゴリごとの見出しとリンクの箇条書きを作成します。
+ * @param {Array<Category>} categories
+ * @param {number} level - カテゴリの見出しのレベル。
+ * @returns {string[]} 段落（ブロック）の配列。
+ */
+function linkBlocks(categories, level) {
+  return categories.flatMap(category => {
+    const links = category.links || [];
+    const heading = `${'#'.repeat(level)} ${escapeMarkdown(category.title) || '（無題）'}`;
+    return links.length > 0 ? [heading, links.map(formatLinkItem).join('\n')] : [heading, '（リンクはありません）'];
+  });
+}
+
+/**
+ * ワークフローごとの見出しと、番号付きの手順を作成します。ステップの関連リンクは、同じポータルのカテゴリの中から探します。
+ * @param {Array<Workflow>} workflows
+ * @param {Array<Category>} categories
+ * @param {number} level - ワークフローの見出しのレベル。
+ * @returns {string[]} 段落（ブロック）の配列。
+ */
+function workflowBlocks(workflows, categories, level) {
+  const links = new Map(categories.flatMap(c => (c.links || []).map(l => [l.id, l])));
+  return workflows.flatMap(wf => {
+    const blocks = [`${'#'.repeat(level)} ${escapeMarkdown(wf.title) || '（無題）'}`];
+    const meta = [];
+    if (FREQ_LABELS[wf.freq]) meta.push(`頻度: ${FREQ_LABELS[wf.freq]}`);
+    if (wf.tags && wf.tags.length > 0) meta.push(`タグ: ${wf.tags.map(escapeMarkdown).join(', ')}`);
+    if (meta.length > 0) blocks.push(meta.join(' / '));
+    if (wf.description) blocks.push(escapeMarkdown(wf.description));
+
+    const steps = (wf.steps || []).map((step, index) => {
+      const marker = `${index + 1}. `;
+      const link = step.linkId ? links.get(step.linkId) : null;
+      let line = marker + (step.title ? `**${escapeMarkdown(step.title)}**` : '');
+      if (link) line += step.title ? ` — ${formatLink(link)}` : formatLink(link);
+      if (step.memo) line += `\n${' '.repeat(marker.length)}${escapeMarkdown(step.memo)}`;
+      return line;
+    });
+    if (steps.length > 0) blocks.push(steps.join('\n'));
+    return blocks;
+  });
+}
+
+/**
+ * 1つのポータルを Markdown に変換します。ポータル名を最上位の見出しとし、リンク一覧とワークフローをその下の節にします。
+ * @param {MarkdownPortal} portal
+ * @param {object} [options]
+ * @param {boolean} [options.includeLinks=true] - リンク一覧を含めるかどうか。
+ * @param {boolean} [options.includeWorkflows=true] - ワークフローを含めるかどうか（ワークフローが無い場合は節を作りません）。
+ * @returns {string}
+ */
+export function renderPortalMarkdown({ title, subtitle = '', categories, workflows = [] }, { includeLinks = true, includeWorkflows = true } = {}) {
+  const blocks = [`# ${escapeMarkdown(title)}`];
+  if (subtitle) blocks.push(escapeMarkdown(subtitle));
+  if (includeLinks) {
+    blocks.push('## リンク', ...linkBlocks(categories, 3));
+  }
+  if (includeWorkflows && workflows.length > 0) {
+    blocks.push('## ワークフロー', ...workflowBlocks(workflows, categories, 3));
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * 複数のポータルを、水平線で区切った1つの Markdown に変換します。
+ * @param {Array<MarkdownPortal>} portals
+ * @param {{includeLinks?: boolean, includeWorkflows?: boolean}} [options] - renderPortalMarkdown と同じです。
+ * @returns {string}
+ */
+export function renderPortalsMarkdown(portals, options = {}) {
+  return portals.map(portal => renderPortalMarkdown(portal, options)).join('\n---\n\n');
+}
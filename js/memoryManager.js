@@ -87,6 +87,21 @@ export class MemoryManager {
       .map(([id]) => id);
   }
 
+  /**
+   * 訪問回数に、最終訪問からの経過日数に応じた重み（4日以内 1.0 〜 90日以上前 0.1）を掛けた
+   * 「よく・最近使う度合い」（frecency）を返します。検索結果の並び順に使用します。
+   * @param {string} linkId
+   * @param {number} [now=Date.now()] - 現在時刻（テスト用）。
+   * @returns {number} 訪問したことが無い場合は 0。
+   */
+  getFrecency(linkId, now = Date.now()) {
+    const { visitCount, lastVisited } = this.getVisitInfo(linkId);
+    if (!visitCount || !lastVisited) return 0;
+    const days = (now - lastVisited) / 86400000;
+    const recency = days < 4 ? 1 : days < 14 ? 0.7 : days < 31 ? 0.5 : days < 90 ? 0.3 : 0.1;
+    return visitCount * recency;
+  }
+
   /**
    * タイムスタンプを「○分前」「○日前」形式に変換します。
    * @param {number|null} timestamp
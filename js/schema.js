@@ -0,0 +1,460 @@
+/**
+ * @file schema.js
+ * @brief data.json のスキーマバージョン管理・マイグレーション・検証を行うユーティリティ。
+ *        読み込み経路（fetch / ファイル読み込み / インポート）はすべてここを通して、
+ *        旧形式のドキュメントを現行形式へ変換し、内容を検証します。
+ *
+ * バージョン履歴:
+ *   0 ... カテゴリ配列のみ（旧形式）
+ *   1 ... { portals, workflows }（schemaVersion なし）
+ *   2 ... { schemaVersion: 2, portals, workflows }
+ *   3 ... { schemaVersion: 3, portals, workflows, trash }（ポータルごとのゴミ箱を追加）
+ *   4 ... { schemaVersion: 4, portals, workflows, trash, collections }（ポータルごとのスマートコレクションを追加）
+ * @module schema
+ */
+
+/**
+ * @constant {number} CURRENT_SCHEMA_VERSION
+ * @description 現在のアプリが読み書きするスキーマバージョン。
+ */
+export const CURRENT_SCHEMA_VERSION = 4;
+
+/**
+ * @constant {string[]} BADGE_TYPES
+ * @description リンクに設定できるバッジの種類。
+ */
+export const BADGE_TYPES = ['video', 'doc', 'portal', 'article', 'code', 'tool', 'sns', 'cloud', 'local', 'money', 'news', 'idea', 'company'];
+
+/**
+ * @constant {string[]} FREQ_VALUES
+ * @description リンク・ワークフローに設定できる頻度の値。
+ */
+export const FREQ_VALUES = ['daily', 'weekly', 'monthly', 'rare'];
+
+/**
+ * @constant {string[]} SCHEDULE_TYPES
+ * @description ワークフローの繰り返しの予定（schedule.type）に設定できる値。
+ */
+export const SCHEDULE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * @constant {string[]} TRASH_ITEM_TYPES
+ * @description ゴミ箱に入れられる項目の種類。
+ */
+export const TRASH_ITEM_TYPES = ['category', 'link', 'workflow'];
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path - 問題のある箇所（例: `portals.default[0].links[2].freq`）。
+ * @property {string} message - 問題の説明。
+ */
+
+/**
+ * @typedef {object} ValidationReport
+ * @property {number|null} fromVersion - 読み込んだドキュメントの元のスキーマバージョン。判別できない場合は `null`。
+ * @property {number} toVersion - 変換後のスキーマバージョン。
+ * @property {boolean} migrated - マイグレーションが行われたかどうか。
+ * @property {Array<ValidationIssue>} errors - 読み込みを中止すべき問題。
+ * @property {Array<ValidationIssue>} warnings - 読み込みは続行できるが確認が必要な問題。
+ */
+
+/**
+ * @class DataValidationError
+ * @brief 読み込もうとしたドキュメントがスキーマに適合しないことを表すエラー。
+ *        `report` に詳細な検証結果を保持します。
+ */
+export class DataValidationError extends Error {
+  /**
+   * @property {ValidationReport} report - 検証結果。
+   */
+  report;
+
+  /**
+   * @param {ValidationReport} report - 検証結果。
+   * @param {string} [message]
+   */
+  constructor(report, message = 'The data file does not match the expected format.') {
+    super(message);
+    this.name = 'DataValidationError';
+    this.report = report;
+  }
+}
+
+/**
+ * @constant {object} MIGRATIONS
+ * @description バージョン N のドキュメントを N+1 へ変換する関数の一覧。
+ *              新しいバージョンを追加する際は、ここに変換関数を追加して CURRENT_SCHEMA_VERSION を上げます。
+ */
+const MIGRATIONS = {
+  // 旧形式（カテゴリ配列）を指定ポータルのデータとして包む
+  0: (categories, { portalId }) => ({ portals: { [portalId]: categories }, workflows: {} }),
+  // schemaVersion を付与し、workflows を補完する
+  1: (doc) => ({ ...doc, schemaVersion: 2, portals: doc.portals, workflows: doc.workflows || {} }),
+  // 空のゴミ箱を追加する
+  2: (doc) => ({ ...doc, schemaVersion: 3, trash: doc.trash || {} }),
+  // 空のスマートコレクションを追加する
+  3: (doc) => ({ ...doc, schemaVersion: 4, collections: doc.collections || {} })
+};
+
+/**
+ * 値がプレーンなオブジェクト（配列・null 以外）かどうかを返します。
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * ドキュメントのスキーマバージョンを判別します。
+ * @param {any} json - JSON.parse 済みの値。
+ * @returns {number|null} スキーマバージョン。判別できない形式の場合は `null`。
+ */
+export function detectSchemaVersion(json) {
+  if (Array.isArray(json)) return 0;
+  if (!isPlainObject(json)) return null;
+  if (json.schemaVersion === undefined) {
+    return json.portals !== undefined ? 1 : null;
+  }
+  return Number.isInteger(json.schemaVersion) && json.schemaVersion >= 0 ? json.schemaVersion : null;
+}
+
+/**
+ * ドキュメントを現行のスキーマバージョンへ変換します。
+ * 引数のオブジェクトは変更しません。
+ * @param {any} json - JSON.parse 済みの値。
+ * @param {object} [options={}]
+ * @param {string} [options.portalId='default'] - 旧形式（カテゴリ配列）を格納するポータルID。
+ * @returns {{document: {schemaVersion: number, portals: object, workflows: object, trash: object, collections: object}, fromVersion: number}}
+ * @throws {DataValidationError} 形式を判別できない場合、またはアプリより新しいバージョンの場合。
+ */
+export function migrateDocument(json, { portalId = 'default' } = {}) {
+  const fromVersion = detectSchemaVersion(json);
+  const fail = (message) => new DataValidationError({
+    fromVersion, toVersion: CURRENT_SCHEMA_VERSION, migrated: false,
+    errors: [{ path: '', message }], warnings: []
+  });
+
+  if (fromVersion === null) {
+    throw fail('データ形式を判別できません（カテゴリ配列、または portals を持つオブジェクトが必要です）。');
+  }
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw fail(`schemaVersion ${fromVersion} はこのアプリ（対応: ${CURRENT_SCHEMA_VERSION}）より新しい形式です。アプリを更新してください。`);
+  }
+
+  let document = JSON.parse(JSON.stringify(json));
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    document = MIGRATIONS[version](document, { portalId });
+  }
+  return { document, fromVersion };
+}
+
+/**
+ * リンクを検証します。
+ * @param {any} link
+ * @param {string} path
+ * @param {Set<string>} ids - ドキュメント内で使用済みのID（重複検出用）。
+ * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} report
+ */
+function validateLink(link, path, ids, report) {
+  if (!isPlainObject(link)) {
+    report.errors.push({ path, message: 'リンクがオブジェクトではありません。' });
+    return;
+  }
+  if (typeof link.id !== 'string' || link.id === '') {
+    report.errors.push({ path: `${path}.id`, message: `リンク「${link.title ?? ''}」に id がありません。` });
+  } else if (ids.has(link.id)) {
+    report.warnings.push({ path: `${path}.id`, message: `id "${link.id}" が重複しています（読み込み時に新しい id を割り当てます）。` });
+  } else {
+    ids.add(link.id);
+  }
+  if (typeof link.url !== 'string') {
+    report.errors.push({ path: `${path}.url`, message: `リンク「${link.title ?? link.id}」に url がありません。` });
+  }
+  if (typeof link.title !== 'string' || link.title === '') {
+    report.warnings.push({ path: `${path}.title`, message: `リンク "${link.id}" にタイトルがありません。` });
+  }
+  if (link.tags !== undefined && !(Array.isArray(link.tags) && link.tags.every(t => typeof t === 'string'))) {
+    report.errors.push({ path: `${path}.tags`, message: 'tags は文字列の配列である必要があります。' });
+  }
+  if (link.freq !== undefined && link.freq !== null && link.freq !== '' && !FREQ_VALUES.includes(link.freq)) {
+    report.warnings.push({ path: `${path}.freq`, message: `不明な頻度 "${link.freq}"（${FREQ_VALUES.join(' / ')} のいずれか）。` });
+  }
+  if (link.badge !== undefined && link.badge !== null && link.badge !== '' && !BADGE_TYPES.includes(link.badge)) {
+    report.warnings.push({ path: `${path}.badge`, message: `不明なバッジ "${link.badge}"。` });
+  }
+}
+
+/**
+ * 1つのポータルのカテゴリ配列を検証します。
+ * @param {any} categories
+ * @param {string} path
+ * @param {Set<string>} ids
+ * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} report
+ */
+function validateCategories(categories, path, ids, report) {
+  if (!Array.isArray(categories)) {
+    report.errors.push({ path, message: 'ポータルのデータがカテゴリの配列ではありません。' });
+    return;
+  }
+  categories.forEach((category, i) => {
+    const catPath = `${path}[${i}]`;
+    if (!isPlainObject(category)) {
+      report.errors.push({ path: catPath, message: 'カテゴリがオブジェクトではありません。' });
+      return;
+    }
+    if (typeof category.id !== 'string' || category.id === '') {
+      report.errors.push({ path: `${catPath}.id`, message: `カテゴリ「${category.title ?? ''}」に id がありません。` });
+    } else if (ids.has(category.id)) {
+      report.warnings.push({ path: `${catPath}.id`, message: `id "${category.id}" が重複しています（読み込み時に新しい id を割り当てます）。` });
+    } else {
+      ids.add(category.id);
+    }
+    if (typeof category.title !== 'string') {
+      report.warnings.push({ path: `${catPath}.title`, message: `カテゴリ "${category.id}" にタイトルがありません。` });
+    }
+    if (!Array.isArray(category.links)) {
+      report.errors.push({ path: `${catPath}.links`, message: `カテゴリ「${category.title ?? category.id}」の links が配列ではありません。` });
+      return;
+    }
+    category.links.forEach((link, j) => validateLink(link, `${catPath}.links[${j}]`, ids, report));
+  });
+}
+
+/**
+ * 1つのポータルのワークフロー配列を検証します。
+ * @param {any} workflows
+ * @param {string} path
+ * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} report
+ */
+function validateWorkflows(workflows, path, report) {
+  if (!Array.isArray(workflows)) {
+    report.errors.push({ path, message: 'ワークフローのデータが配列ではありません。' });
+    return;
+  }
+  const ids = new Set();
+  workflows.forEach((wf, i) => {
+    const wfPath = `${path}[${i}]`;
+    if (!isPlainObject(wf)) {
+      report.errors.push({ path: wfPath, message: 'ワークフローがオブジェクトではありません。' });
+      return;
+    }
+    if (typeof wf.id !== 'string' || wf.id === '') {
+      report.errors.push({ path: `${wfPath}.id`, message: `ワークフロー「${wf.title ?? ''}」に id がありません。` });
+    } else if (ids.has(wf.id)) {
+      report.errors.push({ path: `${wfPath}.id`, message: `id "${wf.id}" が重複しています。` });
+    } else {
+      ids.add(wf.id);
+    }
+    if (wf.freq !== undefined && wf.freq !== null && !FREQ_VALUES.includes(wf.freq)) {
+      report.warnings.push({ path: `${wfPath}.freq`, message: `不明な頻度 "${wf.freq}"（${FREQ_VALUES.join(' / ')} のいずれか）。` });
+    }
+    if (wf.schedule !== undefined && wf.schedule !== null) {
+      validateSchedule(wf.schedule, `${wfPath}.schedule`, report);
+    }
+    if (!Array.isArray(wf.steps)) {
+      report.errors.push({ path: `${wfPath}.steps`, message: `ワークフロー「${wf.title ?? wf.id}」の steps が配列ではありません。` });
+    }
+  });
+}
+
+/**
+ * ワークフローの繰り返しの予定を検証します。不正な予定は期限の判定に使われないだけなので警告にします。
+ * @param {any} schedule
+ * @param {string} path
+ * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} report
+ */
+function validateSchedule(schedule, path, report) {
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  if (!isPlainObject(schedule)) {
+    report.warnings.push({ path, message: '予定がオブジェクトではありません。' });
+    return;
+  }
+  if (!SCHEDULE_TYPES.includes(schedule.type)) {
+    report.warnings.push({ path: `${path}.type`, message: `不明な予定の種類 "${schedule.type}"（${SCHEDULE_TYPES.join(' / ')} のいずれか）。` });
+    return;
+  }
+  if (schedule.type === 'weekly'
+    && !(Array.isArray(schedule.weekdays) && schedule.weekdays.length > 0 && schedule.weekdays.every(d => isInt(d, 0, 6)))) {
+    report.warnings.push({ path: `${path}.weekdays`, message: '毎週の予定には曜日（0〜6）を1つ以上指定してください。' });
+  }
+  if ((schedule.type === 'monthly' || schedule.type === 'yearly') && !isInt(schedule.day, 1, 31)) {
+    report.warnings.push({ path: `${path}.day`, message: `日 "${schedule.day}" は 1〜31 で指定してください。` });
+  }
+  if (schedule.type === 'yearly') {
+    if (!isInt(schedule.month, 1, 12)) {
+      report.warnings.push({ path: `${path}.month`, message: `月 "${schedule.month}" は 1〜12 で指定してください。` });
+    } else if (isInt(schedule.day, 1, 31) && schedule.day > new Date(2000, schedule.month, 0).getDate()) {
+      report.warnings.push({ path: `${path}.day`, message: `${schedule.month}月${schedule.day}日 は存在しない日付です。` });
+    }
+  }
+  if (schedule.start !== undefined && !(typeof schedule.start === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(schedule.start))) {
+    report.warnings.push({ path: `${path}.start`, message: `開始日 "${schedule.start}" は YYYY-MM-DD 形式で指定してください。` });
+  }
+}
+
+/**
+ * 1つのポータルのゴミ箱を検証します。
+ * @param {any} entries
+ * @param {string} path
+ * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} report
+ */
+function validateTrash(entries, path, report) {
+  if (!Array.isArray(entries)) {
+    report.errors.push({ path, message: 'ゴミ箱のデータが配列ではありません。' });
+    return;
+  }
+  entries.forEach((entry, i) => {
+    const entryPath = `${path}[${i}]`;
+    if (!isPlainObject(entry)) {
+      report.errors.push({ path: entryPath, message: 'ゴミ箱の項目がオブジェクトではありません。' });
+      return;
+    }
+    if (!TRASH_ITEM_TYPES.includes(entry.type)) {
+      report.errors.push({ path: `${entryPath}.type`, message: `不明な種類 "${entry.type}"（${TRASH_ITEM_TYPES.join(' / ')} のいずれか）。` });
+    }
+    if (!isPlainObject(entry.item)) {
+      report.errors.push({ path: `${entryPath}.item`, message: 'ゴミ箱の項目に削除したデータがありません。' });
+    }
+    if (typeof entry.deletedAt !== 'string' || Number.isNaN(Date.parse(entry.deletedAt))) {
+      report.warnings.push({ path: `${entryPath}.deletedAt`, message: '削除日時が不正なため、自動削除の対象になりません。' });
+    }
+  });
+}
+
+/**
+ * 1つのポータルのスマートコレクション（保存した検索条件）を検証します。
+ * @param {any} collections
+ * @param {string} path
+ * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} report
+ */
+function validateCollections(collections, path, report) {
+  if (!Array.isArray(collections)) {
+    report.errors.push({ path, message: 'スマートコレクションのデータが配列ではありません。' });
+    return;
+  }
+  const ids = new Set();
+  collections.forEach((collection, i) => {
+    const colPath = `${path}[${i}]`;
+    if (!isPlainObject(collection)) {
+      report.errors.push({ path: colPath, message: 'スマートコレクションがオブジェクトではありません。' });
+      return;
+    }
+    if (typeof collection.id !== 'string' || collection.id === '') {
+      report.errors.push({ path: `${colPath}.id`, message: `スマートコレクション「${collection.title ?? ''}」に id がありません。` });
+    } else if (ids.has(collection.id)) {
+      report.errors.push({ path: `${colPath}.id`, message: `id "${collection.id}" が重複しています。` });
+    } else {
+      ids.add(collection.id);
+    }
+    if (collection.query !== undefined && typeof collection.query !== 'string') {
+      report.errors.push({ path: `${colPath}.query`, message: 'query は文字列である必要があります。' });
+    }
+    if (collection.tags !== undefined && !(Array.isArray(collection.tags) && collection.tags.every(t => typeof t === 'string'))) {
+      report.errors.push({ path: `${colPath}.tags`, message: 'tags は文字列の配列である必要があります。' });
+    }
+    if (collection.freq !== undefined && collection.freq !== null && collection.freq !== '' && !FREQ_VALUES.includes(collection.freq)) {
+      report.warnings.push({ path: `${colPath}.freq`, message: `不明な頻度 "${collection.freq}"（${FREQ_VALUES.join(' / ')} のいずれか）。` });
+    }
+    if (collection.badge !== undefined && collection.badge !== null && collection.badge !== '' && !BADGE_TYPES.includes(collection.badge)) {
+      report.warnings.push({ path: `${colPath}.badge`, message: `不明なバッジ "${collection.badge}"。` });
+    }
+  });
+}
+
+/**
+ * 現行スキーマのドキュメントを検証します。
+ * @param {any} document - 検証するドキュメント（migrateDocument の結果）。
+ * @returns {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}}
+ */
+export function validateDocument(document) {
+  const report = { errors: [], warnings: [] };
+  if (!isPlainObject(document)) {
+    report.errors.push({ path: '', message: 'ドキュメントがオブジェクトではありません。' });
+    return report;
+  }
+  if (!isPlainObject(document.portals)) {
+    report.errors.push({ path: 'portals', message: 'portals がオブジェクトではありません。' });
+  } else {
+    Object.entries(document.portals).forEach(([portalId, categories]) => {
+      validateCategories(categories, `portals.${portalId}`, new Set(), report);
+    });
+  }
+  if (!isPlainObject(document.workflows)) {
+    report.errors.push({ path: 'workflows', message: 'workflows がオブジェクトではありません。' });
+  } else {
+    Object.entries(document.workflows).forEach(([portalId, workflows]) => {
+      validateWorkflows(workflows, `workflows.${portalId}`, report);
+    });
+  }
+  if (document.trash !== undefined) {
+    if (!isPlainObject(document.trash)) {
+      report.errors.push({ path: 'trash', message: 'trash がオブジェクトではありません。' });
+    } else {
+      Object.entries(document.trash).forEach(([portalId, entries]) => {
+        validateTrash(entries, `trash.${portalId}`, report);
+      });
+    }
+  }
+  if (document.collections !== undefined) {
+    if (!isPlainObject(document.collections)) {
+      report.errors.push({ path: 'collections', message: 'collections がオブジェクトではありません。' });
+    } else {
+      Object.entries(document.collections).forEach(([portalId, collections]) => {
+        validateCollections(collections, `collections.${portalId}`, report);
+      });
+    }
+  }
+  return report;
+}
+
+/**
+ * ポータル内で重複したカテゴリ・リンクの id を付け替えます。最初に現れたものはそのまま残し、
+ * 2つ目以降を `元のid_2`, `元のid_3`... のうち未使用のものにします。
+ * @param {object} document - 検証済みのドキュメント（直接変更されます）。
+ */
+function repairDuplicateIds(document) {
+  Object.values(document.portals).forEach(categories => {
+    const used = new Set(categories.flatMap(c => [c.id, ...c.links.map(l => l.id)]));
+    const seen = new Set();
+    const claim = (item) => {
+      if (seen.has(item.id)) {
+        let n = 2;
+        while (used.has(`${item.id}_${n}`)) n++;
+        item.id = `${item.id}_${n}`;
+        used.add(item.id);
+      }
+      seen.add(item.id);
+    };
+    categories.forEach(category => {
+      claim(category);
+      category.links.forEach(claim);
+    });
+  });
+}
+
+/**
+ * JSON.parse 済みの値をマイグレーションしてから検証します。
+ * ポータル内で重複した id は警告として報告し、新しい id を割り当てます。
+ * @param {any} json - JSON.parse 済みの値。
+ * @param {object} [options={}]
+ * @param {string} [options.portalId='default'] - 旧形式（カテゴリ配列）を格納するポータルID。
+ * @returns {{document: {schemaVersion: number, portals: object, workflows: object, trash: object, collections: object}, report: ValidationReport}}
+ * @throws {DataValidationError} 形式を判別できない場合、または検証でエラーが見つかった場合。
+ */
+export function parseDocument(json, options = {}) {
+  const { document, fromVersion } = migrateDocument(json, options);
+  const { errors, warnings } = validateDocument(document);
+  const report = {
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    migrated: fromVersion !== CURRENT_SCHEMA_VERSION,
+    errors,
+    warnings
+  };
+  if (errors.length > 0) {
+    throw new DataValidationError(report);
+  }
+  repairDuplicateIds(document);
+  return { document, report };
+}
@@ -4,14 +4,33 @@
  * @module SearchManager
  */
 
+import { BADGE_TYPES, FREQ_VALUES } from './schema.js';
+import { SEARCH_FIELDS, IS_VALUES, parseSearchQuery, evaluateSearchQuery } from './searchQuery.js';
+import { normalizeForSearch } from './textNormalize.js';
+
+/**
+ * @constant {number} COMPLETION_LIMIT
+ * @description 検索欄の補完候補の最大数。
+ */
+const COMPLETION_LIMIT = 8;
+
+/**
+ * @constant {number} FRECENCY_WEIGHT
+ * @description 検索結果の並び順で、訪問の frecency（log2(1 + frecency)）に掛ける重み。
+ *              語句の一致の点数（タイトルの途中と一致で 8 点）より控えめにしています。
+ */
+const FRECENCY_WEIGHT = 2;
+
 /**
  * @class SearchManager
- * @brief ポータル内のリンクをタイトル・メモ・タグ・キーワードで横断検索し、
- *        タグ一覧の収集も行います。
+ * @brief ポータル内（または全ポータル）のリンクとワークフローを検索式（searchQuery.js）で横断検索し、
+ *        タグ一覧の収集と検索欄の補完候補の作成も行います。
  */
 export class SearchManager {
   /** @property {DataManager} dataManager */
   dataManager;
+  /** @property {MemoryManager|null} memoryManager - 検索結果の並び順に訪問履歴を使う場合に設定します。 */
+  memoryManager = null;
 
   /**
    * @param {DataManager} dataManager
@@ -21,36 +40,111 @@ export class SearchManager {
   }
 
   /**
-   * 現在のポータルのリンクを横断検索します。
+   * 現在のポータル（`scope: 'all'` ではすべてのポータル）のリンクを横断検索し、一致の度合いの高い順に返します。
+   * 検索キーワードは searchQuery.js の検索式として解釈し（`tag:` `badge:` `freq:` `cat:` `is:` `url:` などの項目指定、
+   * AND / OR / NOT、括弧、`"語句"`）、項目を指定しない語はタイトル・メモ・タグ・キーワードで探します（4文字以上は入力の誤りも許します）。
+   * 語句と項目は textNormalize.js で正規化して比べるため、全角・半角、ひらがな・カタカナ、長音記号の有無は区別しません。
+   * 並び順は、語句が一致した項目の重み（タイトル > タグ > キーワード > メモ）と一致の仕方（全体 > 先頭 > 途中 > あいまい）の点数に、
+   * 訪問の frecency（memoryManager が設定されている場合）を加えたものです。同点の場合はデータの順番です。
+   * 構文エラーがある場合も、解釈できた部分の条件で検索します。
    * @param {string} query - 検索キーワード（空文字で全件）
-   * @param {object} [filters={}]
+   * @param {object} [filters={}] - 検索式の条件に AND で加える絞り込み（画面のタグ・頻度フィルタ）
    * @param {string[]} [filters.tags=[]] - AND絞り込みするタグ配列
    * @param {string|null} [filters.badge=null] - バッジ絞り込み
    * @param {string|null} [filters.freq=null] - 頻度絞り込み ('daily'|'weekly'|'monthly'|'rare')
-   * @returns {{ link: object, catId: string, catTitle: string }[]}
+   * @param {boolean} [filters.romaji=true] - ローマ字の語句（`kakutei`）をひらがな（`かくてい`）でも探すかどうか
+   * @param {'portal'|'all'} [filters.scope='portal'] - 検索範囲（`'all'` はすべてのポータル。現在のポータルの結果を先に集めます）
+   * @returns {{ link: object, catId: string, catTitle: string, portalId: string, score: number }[]}
    */
-  search(query, { tags = [], badge = null, freq = null } = {}) {
-    const data = this.dataManager.getData();
-    const q = (query || '').trim().toLowerCase();
+  search(query, filters = {}) {
+    const now = Date.now();
+    return this._collect(query, filters)
+      .map(result => {
+        const frecency = this.memoryManager ? this.memoryManager.getFrecency(result.link.id, now) : 0;
+        return { ...result, score: result.score + FRECENCY_WEIGHT * Math.log2(1 + frecency) };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * ワークフローを検索式で検索し、一致の度合いの高い順に返します。
+   * ワークフローのタイトル・タグ・頻度はリンクの同じ項目として、説明と各ステップのタイトル・メモはリンクのメモとして扱います。
+   * @param {string} query - 検索キーワード（search() と同じ。空文字で全件）
+   * @param {object} [filters={}] - 絞り込み
+   * @param {string[]} [filters.tags=[]] - AND絞り込みするタグ配列
+   * @param {string|null} [filters.freq=null] - 頻度絞り込み
+   * @param {boolean} [filters.romaji=true] - ローマ字の語句をひらがなでも探すかどうか
+   * @param {'portal'|'all'} [filters.scope='portal'] - 検索範囲
+   * @returns {{ workflow: Workflow, portalId: string, score: number }[]}
+   */
+  searchWorkflows(query, { tags = [], freq = null, romaji = true, scope = 'portal' } = {}) {
+    const { node } = parseSearchQuery(query || '', { romaji });
     const results = [];
+    this._portalIds(scope).forEach(portalId => {
+      (this.dataManager.allWorkflows[portalId] || []).forEach(workflow => {
+        const memo = [workflow.description, ...(workflow.steps || []).flatMap(step => [step.title, step.memo])]
+          .filter(Boolean).join('\n');
+        const target = { title: workflow.title, memo, tags: workflow.tags || [], keywords: [], freq: workflow.freq, url: '' };
+        const { matched, score } = evaluateSearchQuery(node, target);
+        const tagMatch = tags.every(tag => target.tags.includes(tag));
+        const freqMatch = !freq || workflow.freq === freq;
+        if (matched && tagMatch && freqMatch) {
+          results.push({ workflow: JSON.parse(JSON.stringify(workflow)), portalId, score });
+        }
+      });
+    });
+    return results.sort((a, b) => b.score - a.score);
+  }
 
-    data.forEach(cat => {
-      cat.links.forEach(link => {
-        const textMatch = !q ||
-          link.title.toLowerCase().includes(q) ||
-          (link.memo || '').toLowerCase().includes(q) ||
-          (link.tags || []).some(t => t.toLowerCase().includes(q)) ||
-          (link.keywords || []).some(k => k.toLowerCase().includes(q));
+  /**
+   * 検索範囲に含まれるポータルのIDを、現在のポータルを先頭にして返します。
+   * @private
+   * @param {'portal'|'all'} scope
+   * @returns {string[]}
+   */
+  _portalIds(scope) {
+    const active = this.dataManager.activePortalId;
+    if (scope !== 'all') return [active];
+    return [active, ...Object.keys(this.dataManager.allPortals).filter(id => id !== active)];
+  }
 
-        const tagMatch = tags.length === 0 ||
-          tags.every(tag => (link.tags || []).includes(tag));
+  /**
+   * 検索範囲のポータルのカテゴリを返します。現在のポータルは編集中のデータを使います。
+   * @private
+   * @param {string} portalId
+   * @returns {Array<Category>}
+   */
+  _categoriesOf(portalId) {
+    if (portalId === this.dataManager.activePortalId) return this.dataManager.getData();
+    return JSON.parse(JSON.stringify(this.dataManager.allPortals[portalId] || []));
+  }
+
+  /**
+   * 検索条件に一致するリンクを、データの順番のまま集めます。
+   * @private
+   * @param {string} query - 検索キーワード（search() と同じ）
+   * @param {{tags?: string[], badge?: string|null, freq?: string|null, romaji?: boolean, scope?: string}} filters - 絞り込み（search() と同じ）
+   * @returns {{ link: object, catId: string, catTitle: string, portalId: string, score: number }[]} `score` は語句の一致の点数。
+   */
+  _collect(query, { tags = [], badge = null, freq = null, romaji = true, scope = 'portal' } = {}) {
+    const { node } = parseSearchQuery(query || '', { romaji });
+    const results = [];
 
-        const badgeMatch = !badge || link.badge === badge;
-        const freqMatch = !freq || link.freq === freq;
+    this._portalIds(scope).forEach(portalId => {
+      this._categoriesOf(portalId).forEach(cat => {
+        cat.links.forEach(link => {
+          const { matched, score } = evaluateSearchQuery(node, link, cat.title);
 
-        if (textMatch && tagMatch && badgeMatch && freqMatch) {
-          results.push({ link, catId: cat.id, catTitle: cat.title });
-        }
+          const tagMatch = tags.length === 0 ||
+            tags.every(tag => (link.tags || []).includes(tag));
+
+          const badgeMatch = !badge || link.badge === badge;
+          const freqMatch = !freq || link.freq === freq;
+
+          if (matched && tagMatch && badgeMatch && freqMatch) {
+            results.push({ link, catId: cat.id, catTitle: cat.title, portalId, score });
+          }
+        });
       });
     });
 
@@ -58,26 +152,68 @@ export class SearchManager {
   }
 
   /**
-   * 現在のポータルで使われているタグをすべて収集します。
+   * 現在のポータル（`scope` が `'all'` の場合はすべてのポータル）で使われているタグをすべて収集します。
+   * @param {'portal'|'all'} [scope='portal'] - 収集する範囲
    * @returns {string[]} ソート済みタグ配列
    */
-  getAllTags() {
-    const data = this.dataManager.getData();
+  getAllTags(scope = 'portal') {
     const tagSet = new Set();
-    data.forEach(cat => {
-      cat.links.forEach(link => {
-        (link.tags || []).forEach(t => { if (t) tagSet.add(t); });
+    this._portalIds(scope).forEach(portalId => {
+      this._categoriesOf(portalId).forEach(cat => {
+        cat.links.forEach(link => {
+          (link.tags || []).forEach(t => { if (t) tagSet.add(t); });
+        });
       });
     });
     return Array.from(tagSet).sort();
   }
 
+  /**
+   * 現在のポータルのカテゴリ名を、重複を除いて返します。
+   * @returns {string[]}
+   */
+  getAllCategoryTitles() {
+    const titles = this.dataManager.getData().map(cat => (cat.title || '').trim()).filter(Boolean);
+    return Array.from(new Set(titles));
+  }
+
+  /**
+   * 検索欄の補完候補を返します。前方一致する候補を先に、部分一致する候補を後に並べます。
+   * @param {string|null} field - 入力中の項目のキー（`null` の場合は項目名の候補）。
+   * @param {string} prefix - 入力中の値。
+   * @returns {{value: string, description?: string}[]} 候補（項目名の候補の `value` は `tag:` の形式）。
+   */
+  getCompletions(field, prefix) {
+    let candidates;
+    if (field === null) {
+      if (!prefix) return [];
+      candidates = SEARCH_FIELDS.map(f => ({ value: `${f.key}:`, description: f.description }));
+    } else {
+      const values = {
+        tag: () => this.getAllTags(),
+        cat: () => this.getAllCategoryTitles(),
+        badge: () => BADGE_TYPES,
+        freq: () => FREQ_VALUES,
+        is: () => IS_VALUES
+      }[field];
+      candidates = values ? values().map(value => ({ value })) : [];
+    }
+    const p = normalizeForSearch(prefix);
+    const normalized = candidates.map(c => ({ ...c, key: normalizeForSearch(c.value) }));
+    const starts = normalized.filter(c => c.key.startsWith(p));
+    const contains = normalized.filter(c => !c.key.startsWith(p) && c.key.includes(p));
+    return [...starts, ...contains]
+      .filter(c => c.key !== p)
+      .slice(0, COMPLETION_LIMIT)
+      .map(({ key, ...c }) => c);
+  }
+
   /**
    * freq='rare' のリンクを全カテゴリから収集します。
    * @returns {{ link: object, catId: string, catTitle: string }[]}
    */
   getRareLinks() {
-    return this.search('', { freq: 'rare' });
+    return this._collect('', { freq: 'rare' });
   }
 
   /**
@@ -99,6 +235,6 @@ export class SearchManager {
    * @returns {{ link: object, catId: string, catTitle: string }[]}
    */
   getAllLinks() {
-    return this.search('');
+    return this._collect('');
   }
 }
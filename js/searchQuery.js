@@ -0,0 +1,570 @@
+/**
+ * @file searchQuery.js
+ * @brief サイドバーの検索欄の検索式を解析・評価するユーティリティ。
+ *        `tag:税務 badge:tool freq:daily cat:"総合" is:local url:github -memo:old "完全一致の語句"` のように
+ *        項目を指定した条件と語句を空白（AND）・OR・NOT（-）・括弧で組み合わせられます。
+ * @module searchQuery
+ */
+
+import { BADGE_TYPES, FREQ_VALUES } from './schema.js';
+import { BADGE_LABELS, isLocalLink } from './linkCard.js';
+import { normalizeForSearch, normalizeWithOffsets, romajiToHiragana } from './textNormalize.js';
+
+/**
+ * @typedef {object} SearchField
+ * @property {string} key - 項目のキー（検索式で使う名前）。
+ * @property {string[]} aliases - 同じ項目として受け付ける別名。
+ * @property {string} description - 補完候補に表示する説明。
+ */
+
+/**
+ * @constant {Array<SearchField>} SEARCH_FIELDS
+ * @description 検索式で指定できる項目。
+ */
+export const SEARCH_FIELDS = [
+  { key: 'tag', aliases: ['tags', 'タグ'], description: 'タグ（完全一致）' },
+  { key: 'badge', aliases: ['バッジ'], description: 'バッジ種別' },
+  { key: 'freq', aliases: ['頻度'], description: '頻度（daily / weekly / monthly / rare）' },
+  { key: 'cat', aliases: ['category', 'カテゴリ'], description: 'カテゴリ名' },
+  { key: 'is', aliases: [], description: 'local（ローカルフォルダ）/ web' },
+  { key: 'url', aliases: [], description: 'URL' },
+  { key: 'title', aliases: ['タイトル'], description: 'タイトル' },
+  { key: 'memo', aliases: ['メモ'], description: 'メモ' },
+  { key: 'kw', aliases: ['keyword', 'keywords', 'キーワード'], description: 'キーワード' }
+];
+
+/**
+ * @constant {object} FREQ_ALIASES
+ * @description 頻度の表示名から値への対応。
+ */
+const FREQ_ALIASES = { '毎日': 'daily', '週次': 'weekly', '月次': 'monthly', 'たまに': 'rare' };
+
+/**
+ * @constant {string[]} IS_VALUES
+ * @description `is:` に指定できる値。
+ */
+export const IS_VALUES = ['local', 'web'];
+
+/**
+ * @typedef {object} SearchQueryError
+ * @property {string} message - 利用者に表示するメッセージ。
+ * @property {number} start - 検索式（NFKC で正規化したもの）の中のエラー箇所の開始位置。
+ * @property {number} end - エラー箇所の終了位置。
+ */
+
+/**
+ * @typedef {object} SearchQueryNode
+ * @property {'and'|'or'|'not'|'term'} type - ノードの種類。
+ * @property {Array<SearchQueryNode>} [children] - and / or の子ノード。
+ * @property {SearchQueryNode} [child] - not の子ノード。
+ * @property {string|null} [field] - term の項目のキー（語句だけの場合は `null`）。
+ * @property {string} [value] - term の値（badge / freq / is は正規化した値、それ以外は textNormalize.normalizeForSearch で正規化した値）。
+ * @property {string} [kana] - ローマ字の入力をひらがなに変換した値（`romaji` オプションが有効で、ローマ字として読める場合のみ）。
+ * @property {boolean} [exact] - 引用符で囲んだ語句の場合は `true`（あいまい一致を行いません）。
+ */
+
+/**
+ * 項目名（別名を含む）から項目のキーを返します。
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function resolveSearchField(name) {
+  const lower = name.toLowerCase();
+  const field = SEARCH_FIELDS.find(f => f.key === lower || f.aliases.includes(lower));
+  return field ? field.key : null;
+}
+
+/**
+ * 検索式を字句に分割します。
+ * @param {string} text
+ * @param {Array<SearchQueryError>} errors - エラーの追加先。
+ * @returns {Array<object>} 字句（`type` は lparen / rparen / or / and / not / term）。
+ */
+function tokenize(text, errors) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', start: i, end: i + 1 });
+      i++;
+    } else if (ch === '|') {
+      tokens.push({ type: 'or', start: i, end: i + 1 });
+      i++;
+    } else if (ch === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: 'not', start: i, end: i + 1 });
+      i++;
+    } else {
+      const start = i;
+      let field = null;
+      const prefix = /^([^\s:"()]+):/.exec(text.slice(i));
+      // 「https://」や「10:30」は項目の指定として扱わない
+      if (prefix && !text.startsWith('//', i + prefix[0].length) &&
+          (resolveSearchField(prefix[1]) || /^[a-z]+$/i.test(prefix[1]))) {
+        field = prefix[1];
+        i += prefix[0].length;
+      }
+      let value;
+      let quoted = false;
+      if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        quoted = true;
+        if (close === -1) {
+          errors.push({ message: '引用符（"）が閉じられていません。', start: i, end: text.length });
+          value = text.slice(i + 1);
+          i = text.length;
+        } else {
+          value = text.slice(i + 1, close);
+          i = close + 1;
+        }
+      } else {
+        const word = /^[^\s()]*/.exec(text.slice(i))[0];
+        value = word;
+        i += word.length;
+      }
+      if (!field && !quoted && ['OR', 'AND', 'NOT'].includes(value)) {
+        tokens.push({ type: value.toLowerCase(), start, end: i });
+      } else {
+        tokens.push({ type: 'term', start, end: i, field, value, quoted });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 語句の条件のノードを作成します。値は検索用に正規化し、ローマ字として読める場合はひらがなの値も持たせます。
+ * @param {string|null} field - 項目のキー。
+ * @param {string} raw - 入力された値。
+ * @param {boolean} exact - 引用符で囲んだ語句かどうか。
+ * @param {boolean} romaji - ローマ字をひらがなに変換した値でも探すかどうか。
+ * @returns {SearchQueryNode|null} 正規化すると空になる場合は `null`。
+ */
+function textNode(field, raw, exact, romaji) {
+  const value = normalizeForSearch(raw);
+  if (!value) return null;
+  const node = { type: 'term', field, value, exact };
+  const kana = romaji ? romajiToHiragana(raw) : null;
+  if (kana && normalizeForSearch(kana) !== value) node.kana = normalizeForSearch(kana);
+  return node;
+}
+
+/**
+ * 字句の term を検索条件のノードにします。項目名・値が不正な場合はエラーを追加します。
+ * @param {object} token
+ * @param {Array<SearchQueryError>} errors
+ * @param {boolean} romaji - ローマ字をひらがなに変換した値でも探すかどうか。
+ * @returns {SearchQueryNode|null} 条件にならない（値が空・不正な）場合は `null`。
+ */
+function termNode(token, errors, romaji) {
+  const raw = token.value.trim();
+  if (token.field === null) {
+    return raw ? textNode(null, raw, token.quoted, romaji) : null;
+  }
+  const field = resolveSearchField(token.field);
+  const fail = (message) => {
+    errors.push({ message, start: token.start, end: token.end });
+    return null;
+  };
+  if (!field) {
+    return fail(`不明な検索項目「${token.field}:」です（${SEARCH_FIELDS.map(f => `${f.key}:`).join(' ')}）。`);
+  }
+  // 入力途中の「tag:」などは条件にしない
+  if (!raw) return null;
+  const lower = raw.toLowerCase();
+  if (field === 'badge') {
+    const badge = BADGE_TYPES.find(type => type === lower || (BADGE_LABELS[type] || '').toLowerCase() === lower);
+    return badge ? { type: 'term', field, value: badge } : fail(`不明なバッジ「${raw}」です。`);
+  }
+  if (field === 'freq') {
+    const freq = FREQ_VALUES.includes(lower) ? lower : FREQ_ALIASES[raw];
+    return freq ? { type: 'term', field, value: freq } : fail(`頻度には ${FREQ_VALUES.join(' / ')} を指定してください。`);
+  }
+  if (field === 'is') {
+    return IS_VALUES.includes(lower) ? { type: 'term', field, value: lower } : fail(`is: には ${IS_VALUES.join(' / ')} を指定してください。`);
+  }
+  if (field === 'url') return { type: 'term', field, value: lower, exact: token.quoted };
+  return textNode(field, raw, token.quoted, romaji);
+}
+
+/**
+ * 子ノードの配列を1つのノードにまとめます。
+ * @param {'and'|'or'} type
+ * @param {Array<SearchQueryNode|null>} nodes
+ * @returns {SearchQueryNode|null}
+ */
+function combine(type, nodes) {
+  const children = nodes.filter(Boolean);
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type, children };
+}
+
+/**
+ * 検索式を解析します。構文エラーがあっても、解釈できた部分で検索できるよう条件の木を返します。
+ * 空白で区切った条件は AND、`OR`（または `|`）で OR、`-` または `NOT` で否定、括弧でまとめます。
+ * @param {string} text - 検索式。
+ * @param {object} [options]
+ * @param {boolean} [options.romaji=false] - ローマ字の語句（`kakutei`）をひらがな（`かくてい`）でも探す場合は `true`。
+ * @returns {{node: SearchQueryNode|null, errors: Array<SearchQueryError>}} 条件の木（条件が無い場合は `null`）とエラー。
+ */
+export function parseSearchQuery(text, { romaji = false } = {}) {
+  // 全角の「：」「（」「"」なども記号として扱えるよう、先に NFKC で正規化する
+  const source = String(text ?? '').normalize('NFKC');
+  const errors = [];
+  const tokens = tokenize(source, errors);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const endsOperand = (token) => !token || token.type === 'rparen' || token.type === 'or';
+
+  let parseOr;
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === 'not') {
+      pos++;
+      if (endsOperand(peek()) || peek().type === 'and') {
+        errors.push({ message: '否定（- / NOT）の後に条件がありません。', start: token.start, end: token.end });
+        return null;
+      }
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.type === 'lparen') {
+      pos++;
+      const node = parseOr();
+      if (peek() && peek().type === 'rparen') {
+        pos++;
+      } else {
+        errors.push({ message: '括弧「(」が閉じられていません。', start: token.start, end: token.end });
+      }
+      return node;
+    }
+    pos++;
+    return termNode(token, errors, romaji);
+  };
+  const parseAnd = () => {
+    const nodes = [];
+    while (!endsOperand(peek())) {
+      const token = peek();
+      if (token.type === 'and') {
+        pos++;
+        if (nodes.length === 0 || endsOperand(peek()) || peek().type === 'and') {
+          errors.push({ message: 'AND の前後に条件が必要です。', start: token.start, end: token.end });
+        }
+        continue;
+      }
+      nodes.push(parseUnary());
+    }
+    return combine('and', nodes);
+  };
+  parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      const token = peek();
+      pos++;
+      const right = parseAnd();
+      if (!nodes[nodes.length - 1] || !right) {
+        errors.push({ message: 'OR の前後に条件が必要です。', start: token.start, end: token.end });
+      }
+      nodes.push(right);
+    }
+    return combine('or', nodes);
+  };
+
+  const nodes = [parseOr()];
+  while (pos < tokens.length) {
+    // parseOr が止まるのは対応する「(」が無い「)」のみ
+    const token = tokens[pos++];
+    errors.push({ message: '対応する「(」が無い「)」があります。', start: token.start, end: token.end });
+    nodes.push(parseOr());
+  }
+  return { node: combine('and', nodes), errors };
+}
+
+/**
+ * @constant {object} TEXT_FIELD_WEIGHTS
+ * @description 語句が一致した項目ごとの重み（並び順の点数に使用）。タイトル > タグ > キーワード > メモ の順です。
+ */
+const TEXT_FIELD_WEIGHTS = { title: 8, tags: 5, keywords: 4, memo: 2 };
+
+/**
+ * @constant {object} MATCH_QUALITY
+ * @description 一致の仕方ごとの倍率。項目全体と一致 > 先頭（単語の先頭）と一致 > 途中と一致 > あいまい一致 の順です。
+ */
+const MATCH_QUALITY = { exact: 3, prefix: 2, substring: 1, fuzzy: 0.5 };
+
+/**
+ * @constant {string[]} FUZZY_FIELDS
+ * @description あいまい一致（入力の誤り）を許す項目。メモは長文で誤一致が多くなるため含めません。
+ */
+const FUZZY_FIELDS = ['title', 'tags', 'keywords'];
+
+/**
+ * 語句の長さに応じて、あいまい一致で許す誤り（挿入・削除・置換・隣接文字の入れ替え）の数を返します。
+ * 3文字以下の語句はあいまい一致を行いません。
+ * @param {string} term
+ * @returns {number}
+ */
+export function fuzzyTolerance(term) {
+  if (term.length >= 8) return 2;
+  return term.length >= 4 ? 1 : 0;
+}
+
+/**
+ * 2つの文字列の編集距離（隣接文字の入れ替えを1回と数える）を返します。
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * テキストの中から、語句に誤り `maxErrors` 個以内で一致する部分を探します（近似文字列照合）。
+ * @param {string} text - 小文字にしたテキスト。
+ * @param {string} term - 小文字にした語句。
+ * @param {number} maxErrors - 許す誤りの数。
+ * @returns {{start: number, end: number}|null} 最も誤りの少ない一致の範囲。
+ */
+export function fuzzyFind(text, term, maxErrors) {
+  if (maxErrors <= 0 || !text) return null;
+  // テキストのどこからでも始められるよう、1行目はすべて 0 にする
+  let prev2 = null;
+  let prev = new Array(text.length + 1).fill(0);
+  let best = { errors: Infinity, end: -1 };
+  for (let i = 1; i <= term.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = term[i - 1] === text[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && j > 1 && term[i - 1] === text[j - 2] && term[i - 2] === text[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+      if (i === term.length && row[j] < best.errors) best = { errors: row[j], end: j };
+    }
+    prev2 = prev;
+    prev = row;
+  }
+  if (best.errors > maxErrors) return null;
+  // 終了位置から、語句との距離が最も小さくなる開始位置を求める
+  let start = Math.max(0, best.end - term.length);
+  let startErrors = Infinity;
+  for (let s = Math.max(0, best.end - term.length - maxErrors); s <= Math.min(best.end - 1, best.end - term.length + maxErrors); s++) {
+    const errors = editDistance(text.slice(s, best.end), term);
+    if (errors < startErrors) {
+      startErrors = errors;
+      start = s;
+    }
+  }
+  return { start, end: best.end };
+}
+
+/**
+ * 語句の条件で探す値（正規化した値と、ローマ字から変換したひらがな）を返します。
+ * @param {SearchQueryNode} node
+ * @returns {string[]}
+ */
+function termValues(node) {
+  return node.kana ? [node.value, node.kana] : [node.value];
+}
+
+/**
+ * テキストが語句にどのように一致するかを返します。
+ * @param {string} text - 対象のテキスト。
+ * @param {string} term - 正規化した語句。
+ * @param {boolean} fuzzy - あいまい一致を許すかどうか。
+ * @returns {'exact'|'prefix'|'substring'|'fuzzy'|null} 一致しない場合は `null`。
+ */
+function matchQuality(text, term, fuzzy) {
+  const t = normalizeForSearch(text);
+  if (!t) return null;
+  if (t === term) return 'exact';
+  const index = t.indexOf(term);
+  if (index === 0 || (index > 0 && /[\s\-_/.・（(「]/.test(t[index - 1]))) return 'prefix';
+  if (index > 0) return 'substring';
+  return fuzzy && fuzzyFind(t, term, fuzzyTolerance(term)) ? 'fuzzy' : null;
+}
+
+/**
+ * 語句の条件について、リンクの項目ごとの一致から点数を求めます（一致しない場合は 0）。
+ * @param {SearchQueryNode} node - 項目を指定しない語句、または title / memo / kw の条件。
+ * @param {Link} link
+ * @returns {number}
+ */
+function textTermScore(node, link) {
+  const fields = node.field === null
+    ? ['title', 'tags', 'keywords', 'memo']
+    : { title: ['title'], memo: ['memo'], kw: ['keywords'] }[node.field];
+  let best = 0;
+  fields.forEach(field => {
+    const fuzzy = !node.exact && FUZZY_FIELDS.includes(field);
+    const values = Array.isArray(link[field]) ? link[field] : [link[field]];
+    values.forEach(value => {
+      termValues(node).forEach(term => {
+        const quality = matchQuality(value, term, fuzzy);
+        if (quality) best = Math.max(best, TEXT_FIELD_WEIGHTS[field] * MATCH_QUALITY[quality]);
+      });
+    });
+  });
+  return best;
+}
+
+/**
+ * リンクを検索条件で評価し、一致するかどうかと並び順の点数を返します。
+ * 点数は一致した語句ごとの「項目の重み × 一致の仕方の倍率」の合計です（OR は最も高い条件、NOT と項目の絞り込みは 0 点）。
+ * @param {SearchQueryNode|null} node - parseSearchQuery の条件の木（`null` はすべてに一致）。
+ * @param {Link} link - リンク。
+ * @param {string} [catTitle=''] - リンクが属するカテゴリ名（`cat:` の判定に使用）。
+ * @returns {{matched: boolean, score: number}}
+ */
+export function evaluateSearchQuery(node, link, catTitle = '') {
+  if (!node) return { matched: true, score: 0 };
+  if (node.type === 'and' || node.type === 'or') {
+    const results = node.children.map(child => evaluateSearchQuery(child, link, catTitle));
+    const matched = results.filter(r => r.matched);
+    if (node.type === 'and') {
+      return matched.length === results.length
+        ? { matched: true, score: results.reduce((sum, r) => sum + r.score, 0) }
+        : { matched: false, score: 0 };
+    }
+    return matched.length > 0
+      ? { matched: true, score: Math.max(...matched.map(r => r.score)) }
+      : { matched: false, score: 0 };
+  }
+  if (node.type === 'not') {
+    return { matched: !evaluateSearchQuery(node.child, link, catTitle).matched, score: 0 };
+  }
+  const v = node.value;
+  const has = (text) => termValues(node).some(term => normalizeForSearch(text).includes(term));
+  let matched;
+  switch (node.field) {
+    case 'tag': matched = (link.tags || []).some(t => termValues(node).includes(normalizeForSearch(t))); break;
+    case 'badge': matched = link.badge === v; break;
+    case 'freq': matched = link.freq === v; break;
+    case 'cat': matched = has(catTitle); break;
+    case 'is': matched = (v === 'local') === isLocalLink(link); break;
+    case 'url': matched = (link.url || '').toLowerCase().includes(v); break;
+    default: {
+      const score = textTermScore(node, link);
+      return { matched: score > 0, score };
+    }
+  }
+  return { matched, score: 0 };
+}
+
+/**
+ * リンクが検索条件に一致するかどうかを判定します。
+ * @param {SearchQueryNode|null} node - parseSearchQuery の条件の木（`null` はすべてに一致）。
+ * @param {Link} link - リンク。
+ * @param {string} [catTitle=''] - リンクが属するカテゴリ名（`cat:` の判定に使用）。
+ * @returns {boolean}
+ */
+export function matchesSearchQuery(node, link, catTitle = '') {
+  return evaluateSearchQuery(node, link, catTitle).matched;
+}
+
+/**
+ * 検索結果のカードで強調表示する範囲を求めます。否定（NOT）の中以外の語句が、テキストに一致する部分です。
+ * 完全に一致する部分が無い語句は、あいまい一致した部分を強調します（タイトルのみ）。
+ * @param {SearchQueryNode|null} node - parseSearchQuery の条件の木。
+ * @param {string} text - 表示するテキスト。
+ * @param {'title'|'memo'} field - テキストの項目。
+ * @returns {Array<[number, number]>} 開始・終了位置の組（重なりをまとめ、昇順に並べたもの）。
+ */
+export function findMatchRanges(node, text, field) {
+  const { text: normalized, offsets } = normalizeWithOffsets(text);
+  const ranges = [];
+  const visit = (n) => {
+    if (!n || n.type === 'not') return;
+    if (n.type === 'and' || n.type === 'or') {
+      n.children.forEach(visit);
+      return;
+    }
+    if (n.field !== null && n.field !== field) return;
+    let found = false;
+    termValues(n).forEach(term => {
+      for (let i = normalized.indexOf(term); i !== -1; i = normalized.indexOf(term, i + term.length)) {
+        ranges.push([i, i + term.length]);
+        found = true;
+      }
+    });
+    if (!found && !n.exact && FUZZY_FIELDS.includes(field)) {
+      const match = fuzzyFind(normalized, n.value, fuzzyTolerance(n.value));
+      if (match) ranges.push([match.start, match.end]);
+    }
+  };
+  visit(node);
+  // 正規化後の位置を元のテキストの位置に戻す（1文字が複数の文字に正規化された場合は、その文字全体を含める）
+  return ranges
+    .map(([start, end]) => [offsets[start], offsets.slice(end).find(o => o > offsets[start]) ?? offsets[offsets.length - 1]])
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * @typedef {object} SearchCompletionContext
+ * @property {string|null} field - 入力中の項目のキー。項目名自体を入力中の場合は `null`。
+ * @property {string} prefix - 入力中の値（または項目名）。
+ * @property {number} start - 置き換える範囲の開始位置。
+ * @property {number} end - 置き換える範囲の終了位置。
+ */
+
+/**
+ * カーソル位置で入力中の条件を調べ、補完の対象を返します。
+ * @param {string} text - 検索式。
+ * @param {number} caret - カーソル位置。
+ * @returns {SearchCompletionContext|null} 補完の対象が無い場合は `null`。
+ */
+export function getSearchCompletionContext(text, caret) {
+  const before = text.slice(0, caret);
+  const match = /(?:^|[\s(])-?(?:([^\s:"()]+):)?("[^"]*|[^\s"()]*)$/.exec(before);
+  if (!match) return null;
+  const after = /^[^\s()]*/.exec(text.slice(caret))[0];
+  const valueText = match[2];
+  const valueStart = caret - valueText.length;
+  if (match[1] !== undefined) {
+    const field = resolveSearchField(match[1]);
+    if (!field || field === 'url' || field === 'title' || field === 'memo' || field === 'kw') return null;
+    return { field, prefix: valueText.replace(/^"/, ''), start: valueStart, end: caret + after.length };
+  }
+  if (!valueText || valueText.startsWith('"')) return null;
+  return { field: null, prefix: valueText, start: valueStart, end: caret + after.length };
+}
+
+/**
+ * 補完候補を検索式に反映します。値は必要に応じて引用符で囲み、後ろに空白を付けます。
+ * @param {string} text - 検索式。
+ * @param {SearchCompletionContext} context - getSearchCompletionContext の結果。
+ * @param {string} value - 選んだ候補（項目名の場合は `tag:` のように末尾に `:` を付けたもの）。
+ * @returns {{text: string, caret: number}} 反映後の検索式とカーソル位置。
+ */
+export function applySearchCompletion(text, context, value) {
+  let insert = value;
+  if (context.field !== null) {
+    insert = (/[\s"()]/.test(value) ? `"${value.replace(/"/g, '')}"` : value) + ' ';
+  }
+  const rest = text.slice(context.end).replace(/^\s+/, '');
+  const next = text.slice(0, context.start) + insert + rest;
+  return { text: next, caret: context.start + insert.length };
+}
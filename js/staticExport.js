@@ -0,0 +1,301 @@
+/**
+ * @file staticExport.js
+ * @brief ポータルを、このアプリが無くても閲覧できる1つの HTML ファイル（読み取り専用のスナップショット）に変換するユーティリティ。
+ *        CSS と絞り込み用の小さなスクリプトを埋め込み、リンクカードは linkCard.js の描画規則で作成します。
+ * @module staticExport
+ */
+
+import { createLinkCardElement, isLocalLink, localPathOf } from './linkCard.js';
+
+/**
+ * @constant {string} MATERIAL_SYMBOLS_URL
+ * @description アイコン（Material Symbols）のフォントのスタイルシート。書き出した HTML はアイコンの表示にだけネットワーク接続を使い、
+ *              フォントを読み込めない（オフライン）場合は STATIC_SCRIPT がアイコン名の文字列を隠して代わりの絵文字を表示します。
+ */
+const MATERIAL_SYMBOLS_URL = 'https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined:opsz,wght,FILL,GRAD@20..48,100..700,0..1,-50..200';
+
+/**
+ * @constant {string} STATIC_CSS
+ * @description 書き出した HTML に埋め込むスタイル。リンクカードまわりは style.css と同じ見た目にしています。
+ */
+const STATIC_CSS = `
+:root {
+  --bg: #f7f8f9; --card-bg: #ffffff; --card-border: #d1d5db; --card-hover: #f0f4f8;
+  --primary: #3b82f6; --primary-dark: #2563eb; --text-main: #1e293b; --text-sub: #64748b;
+  --color-video: #ef4444; --bg-video: #fee2e2; --color-doc: #10b981; --bg-doc: #d1fae5;
+  --color-article: #f59e0b; --bg-article: #fef3c7; --color-portal: #8b5cf6; --bg-portal: #ede9fe;
+  --color-code: #334155; --bg-code: #e2e8f0; --color-tool: #3b82f6; --bg-tool: #dbeafe;
+  --color-sns: #0ea5e9; --bg-sns: #e0f2fe; --color-cloud: #f97316; --bg-cloud: #fff7ed;
+  --color-local: #14b8a6; --bg-local: #ccfbf1; --color-money: #eab308; --bg-money: #fefce8;
+  --color-news: #4f46e5; --bg-news: #eef2ff; --color-idea: #ec4899; --bg-idea: #fdf2f8;
+  --color-company: #6b7280; --bg-company: #f3f4f6;
+}
+body { font-family: 'Helvetica Neue', Arial, "Hiragino Kaku Gothic ProN", "Hiragino Sans", Meiryo, sans-serif; background: var(--bg); color: var(--text-main); margin: 0; line-height: 1.6; }
+main { max-width: 1200px; margin: 0 auto; padding: 24px 16px; }
+header h1 { margin: 0; font-size: 1.5rem; }
+header .note { color: var(--text-sub); font-size: 0.85rem; }
+.toolbar { display: flex; align-items: center; gap: 12px; margin: 16px 0; }
+.toolbar input { flex: 1; max-width: 400px; padding: 8px 12px; font-size: 0.9rem; border: 1px solid var(--card-border); border-radius: 8px; }
+.toolbar .count, .generated { font-size: 0.8rem; color: var(--text-sub); }
+.icon { font-family: 'Material Symbols Outlined'; font-weight: normal; font-style: normal; font-size: 24px; line-height: 1; display: inline-block; white-space: nowrap; vertical-align: middle; font-variation-settings: 'FILL' 0, 'wght' 300, 'GRAD' 0, 'opsz' 40; }
+.icon-xs { font-size: 16px; }
+.icon-lg { font-size: 24px; font-variation-settings: 'FILL' 0, 'wght' 300, 'GRAD' 0, 'opsz' 40; }
+.icons-offline .icon { font-size: 0 !important; }
+.icons-offline .icon-area .icon::after { content: '🔗'; font-family: sans-serif; font-size: 1.2rem; }
+details { background: var(--card-bg); border-radius: 12px; margin-bottom: 16px; border: 1px solid var(--card-border); overflow: hidden; }
+summary { font-weight: 700; cursor: pointer; padding: 16px 20px; display: flex; justify-content: space-between; }
+summary .count { font-weight: normal; font-size: 0.8rem; color: var(--text-sub); }
+.link-list { padding: 0 16px 16px 16px; display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 12px; }
+.link-card-wrapper { position: relative; }
+.link-card { display: flex; align-items: flex-start; gap: 14px; padding: 14px; border-radius: 10px; background: var(--bg); border: 1px solid transparent; border-left: 3px solid var(--primary); text-decoration: none; height: 100%; box-sizing: border-box; }
+a.link-card:hover { background: var(--card-hover); border-color: var(--primary); }
+.link-card.link-local { border-left-color: var(--color-local); }
+.icon-area { width: 40px; height: 40px; border-radius: 8px; display: flex; align-items: center; justify-content: center; flex-shrink: 0; background: var(--card-bg); font-size: 1.2rem; border: 1px solid var(--card-border); }
+.link-local .icon-area { background: var(--bg-local); border-color: var(--color-local); }
+.content-area { flex-grow: 1; min-width: 0; }
+.header-row { display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px; gap: 8px; }
+.link-title { font-size: 0.95rem; font-weight: 600; color: var(--text-main); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.badge { font-size: 0.65rem; font-weight: 700; padding: 2px 8px; border-radius: 4px; text-transform: uppercase; letter-spacing: 0.05em; flex-shrink: 0; }
+${['video', 'doc', 'portal', 'article', 'code', 'tool', 'sns', 'cloud', 'local', 'money', 'news', 'idea', 'company']
+    .map(type => `.badge-${type} { color: var(--color-${type}); background: var(--bg-${type}); }`).join('\n')}
+.link-memo { font-size: 0.8rem; color: var(--text-sub); line-height: 1.4; }
+.link-local-path { font-size: 0.72rem; color: var(--color-local); margin-top: 3px; word-break: break-all; font-family: 'Consolas', 'Courier New', monospace; }
+.link-tags { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 6px; }
+.link-tags span { font-size: 0.7rem; color: var(--text-sub); background: var(--card-hover); border-radius: 4px; padding: 0 6px; }
+.local-copy-btn { position: absolute; bottom: 6px; right: 6px; background: var(--bg-local); border: 1px solid var(--color-local); border-radius: 4px; color: var(--color-local); cursor: pointer; padding: 2px 6px; font-size: 0.7rem; }
+.workflows h2 { font-size: 1.1rem; }
+.workflow { padding: 0 20px 16px; }
+.workflow p { margin: 0 0 8px; font-size: 0.85rem; color: var(--text-sub); }
+.workflow ol { margin: 0; padding-left: 1.5em; font-size: 0.9rem; }
+.workflow .step-memo { font-size: 0.8rem; color: var(--text-sub); }
+.hidden { display: none !important; }
+`;
+
+/**
+ * @constant {string} STATIC_SCRIPT
+ * @description 書き出した HTML に埋め込むスクリプト。キーワードでのカードの絞り込みと、ローカルパスのコピーを行います。
+ *              アイコンのフォントを読み込めない場合は、ページに `icons-offline` クラスを付けて代わりの表示に切り替えます。
+ */
+const STATIC_SCRIPT = `
+(function () {
+  function iconsOffline() { document.documentElement.classList.add('icons-offline'); }
+  if (document.fonts && document.fonts.load) {
+    document.fonts.load("24px 'Material Symbols Outlined'", 'link').then(function (faces) {
+      if (faces.length === 0) iconsOffline();
+    }, iconsOffline);
+  }
+  var input = document.getElementById('filter');
+  var count = document.getElementById('filterCount');
+  function apply() {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    document.querySelectorAll('details.category').forEach(function (category) {
+      var visible = 0;
+      category.querySelectorAll('.link-card-wrapper').forEach(function (card) {
+        var text = card.getAttribute('data-search');
+        var match = terms.every(function (term) { return text.indexOf(term) !== -1; });
+        card.classList.toggle('hidden', !match);
+        if (match) visible++;
+      });
+      category.classList.toggle('hidden', visible === 0);
+      if (terms.length > 0 && visible > 0) category.open = true;
+      shown += visible;
+    });
+    count.textContent = terms.length > 0 ? shown + ' 件' : '';
+  }
+  input.addEventListener('input', apply);
+  document.addEventListener('click', function (e) {
+    var btn = e.target.closest('.local-copy-btn');
+    if (!btn || !navigator.clipboard) return;
+    navigator.clipboard.writeText(btn.getAttribute('data-path')).then(function () {
+      btn.textContent = 'コピーしました';
+      setTimeout(function () { btn.textContent = 'パスをコピー'; }, 1500);
+    });
+  });
+})();
+`;
+
+/**
+ * 1件のリンクのカード（タグ付き）を作成します。ローカルリンクは開けないため、コピーできるパスとして表示します。
+ * @param {Link} link
+ * @param {string} catTitle - 絞り込みの対象に含めるカテゴリ名。
+ * @returns {HTMLDivElement}
+ */
+function createStaticCard(link, catTitle) {
+  const isLocal = isLocalLink(link);
+  const wrapper = document.createElement('div');
+  wrapper.className = 'link-card-wrapper';
+  wrapper.setAttribute('data-search', [link.title, link.url, link.memo, catTitle, ...(link.tags || []), ...(link.keywords || [])]
+    .filter(Boolean).join(' ').toLowerCase());
+
+  const card = createLinkCardElement(link, { linkable: !isLocal });
+  if (!isLocal) card.rel = 'noopener noreferrer';
+  if (link.tags && link.tags.length > 0) {
+    const tags = document.createElement('div');
+    tags.className = 'link-tags';
+    link.tags.forEach(tag => {
+      const span = document.createElement('span');
+      span.textContent = `#${tag}`;
+      tags.appendChild(span);
+    });
+    card.querySelector('.content-area').appendChild(tags);
+  }
+  wrapper.appendChild(card);
+
+  if (isLocal) {
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.className = 'local-copy-btn';
+    copyBtn.setAttribute('data-path', localPathOf(link));
+    copyBtn.textContent = 'パスをコピー';
+    wrapper.appendChild(copyBtn);
+  }
+  return wrapper;
+}
+
+/**
+ * ワークフローの一覧を作成します。ステップの関連リンクは、書き出すカテゴリの中から探します。
+ * @param {Array<Workflow>} workflows
+ * @param {Array<Category>} categories
+ * @returns {HTMLElement}
+ */
+function createWorkflowSection(workflows, categories) {
+  const links = new Map(categories.flatMap(c => (c.links || []).map(l => [l.id, l])));
+  const section = document.createElement('section');
+  section.className = 'workflows';
+  const heading = document.createElement('h2');
+  heading.textContent = 'ワークフロー';
+  section.appendChild(heading);
+
+  workflows.forEach(wf => {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = wf.title || '（無題）';
+    details.appendChild(summary);
+    const body = document.createElement('div');
+    body.className = 'workflow';
+    if (wf.description) {
+      const description = document.createElement('p');
+      description.textContent = wf.description;
+      body.appendChild(description);
+    }
+    const list = document.createElement('ol');
+    (wf.steps || []).forEach(step => {
+      const item = document.createElement('li');
+      const link = step.linkId ? links.get(step.linkId) : null;
+      if (link && !isLocalLink(link)) {
+        const a = document.createElement('a');
+        a.href = link.url;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        a.textContent = step.title || link.title;
+        item.appendChild(a);
+      } else {
+        item.appendChild(document.createTextNode(step.title || (link ? link.title : '')));
+        if (link) item.appendChild(document.createTextNode(`（${localPathOf(link)}）`));
+      }
+      if (step.memo) {
+        const memo = document.createElement('div');
+        memo.className = 'step-memo';
+        memo.textContent = step.memo;
+        item.appendChild(memo);
+      }
+      list.appendChild(item);
+    });
+    body.appendChild(list);
+    details.appendChild(body);
+    section.appendChild(details);
+  });
+  return section;
+}
+
+/**
+ * ポータルを、CSS とスクリプトを埋め込んだ1つの HTML 文書に変換します。
+ * @param {object} portal
+ * @param {string} portal.title - ページのタイトル（ポータル名）。
+ * @param {string} [portal.subtitle] - タイトルの下に表示する説明。
+ * @param {Array<Category>} portal.categories - 書き出すカテゴリ。
+ * @param {Array<Workflow>} [portal.workflows=[]] - 書き出すワークフロー（空の場合は含めません）。
+ * @param {Date} [portal.generatedAt=new Date()] - 書き出し日時（ページに表示します）。
+ * @returns {string} HTML 文書。
+ */
+export function renderStaticPortal({ title, subtitle = '', categories, workflows = [], generatedAt = new Date() }) {
+  const doc = document.implementation.createHTMLDocument(title);
+  doc.documentElement.lang = 'ja';
+  const head = doc.head;
+  const charset = doc.createElement('meta');
+  charset.setAttribute('charset', 'UTF-8');
+  head.prepend(charset);
+  const viewport = doc.createElement('meta');
+  viewport.name = 'viewport';
+  viewport.content = 'width=device-width, initial-scale=1.0';
+  head.appendChild(viewport);
+  const font = doc.createElement('link');
+  font.rel = 'stylesheet';
+  font.href = MATERIAL_SYMBOLS_URL;
+  head.appendChild(font);
+  const style = doc.createElement('style');
+  style.textContent = STATIC_CSS;
+  head.appendChild(style);
+
+  const main = doc.createElement('main');
+  const header = doc.createElement('header');
+  const h1 = doc.createElement('h1');
+  h1.textContent = title;
+  header.appendChild(h1);
+  if (subtitle) {
+    const note = doc.createElement('div');
+    note.className = 'note';
+    note.textContent = subtitle;
+    header.appendChild(note);
+  }
+  main.appendChild(header);
+
+  const toolbar = doc.createElement('div');
+  toolbar.className = 'toolbar';
+  const filter = doc.createElement('input');
+  filter.type = 'search';
+  filter.id = 'filter';
+  filter.placeholder = 'キーワードで絞り込み（タイトル・URL・メモ・タグ）';
+  const count = doc.createElement('span');
+  count.className = 'count';
+  count.id = 'filterCount';
+  toolbar.appendChild(filter);
+  toolbar.appendChild(count);
+  main.appendChild(toolbar);
+
+  categories.forEach(category => {
+    const details = doc.createElement('details');
+    details.className = 'category';
+    details.open = category.isOpen !== false;
+    const summary = doc.createElement('summary');
+    summary.textContent = category.title;
+    const linkCount = doc.createElement('span');
+    linkCount.className = 'count';
+    linkCount.textContent = `${(category.links || []).length} 件`;
+    summary.appendChild(linkCount);
+    details.appendChild(summary);
+    const list = doc.createElement('div');
+    list.className = 'link-list';
+    (category.links || []).forEach(link => list.appendChild(createStaticCard(link, category.title)));
+    details.appendChild(list);
+    main.appendChild(details);
+  });
+
+  if (workflows.length > 0) {
+    main.appendChild(createWorkflowSection(workflows, categories));
+  }
+
+  const generated = doc.createElement('p');
+  generated.className = 'generated';
+  generated.textContent = `${generatedAt.toLocaleString('ja-JP')} に書き出した読み取り専用のスナップショットです。`
+    + 'アイコンの表示には Google Fonts（インターネット接続）を使用し、オフラインでは代わりの絵文字を表示します。';
+  main.appendChild(generated);
+  doc.body.appendChild(main);
+
+  const script = doc.createElement('script');
+  script.textContent = STATIC_SCRIPT;
+  doc.body.appendChild(script);
+
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+}
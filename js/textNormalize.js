@@ -0,0 +1,154 @@
+/**
+ * @file textNormalize.js
+ * @brief 日本語を含むテキストを検索用に正規化するユーティリティ。
+ *        全角・半角（NFKC）、大文字・小文字、カタカナ・ひらがな、長音記号（ー）の違いを吸収し、
+ *        ローマ字入力をひらがなに変換します。
+ * @module textNormalize
+ */
+
+/**
+ * @constant {RegExp} KATAKANA_PATTERN
+ * @description ひらがなに対応するカタカナ（ァ〜ヶ）。
+ */
+const KATAKANA_PATTERN = /[ァ-ヶ]/g;
+
+/**
+ * @constant {RegExp} LONG_VOWEL_PATTERN
+ * @description 検索で区別しない長音記号（NFKC 後の「ー」）。
+ */
+const LONG_VOWEL_PATTERN = /ー/g;
+
+/**
+ * @constant {RegExp} COMBINING_MARK_PATTERN
+ * @description 直前の文字と合わせて正規化する文字（半角の濁点・半濁点、結合用の濁点・半濁点）。
+ */
+const COMBINING_MARK_PATTERN = /[\uFF9E\uFF9F\u3099\u309A]/;
+
+/**
+ * 1つの文字（または文字と濁点の組）を検索用に正規化します。
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeUnit(text) {
+  return text.normalize('NFKC')
+    .toLowerCase()
+    .replace(KATAKANA_PATTERN, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(LONG_VOWEL_PATTERN, '');
+}
+
+/**
+ * テキストを検索用に正規化します（NFKC、小文字化、カタカナをひらがなに、長音記号の除去）。
+ * 例: 「ｶｸﾃｲ」「カクテイ」「かくてい」はすべて「かくてい」になります。
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForSearch(text) {
+  return normalizeUnit(String(text ?? ''));
+}
+
+/**
+ * テキストを検索用に正規化し、正規化後の各文字が元のテキストのどの位置に対応するかも返します（一致箇所の強調表示用）。
+ * @param {string} text
+ * @returns {{text: string, offsets: number[]}} 正規化したテキストと、その各位置に対応する元の位置
+ *          （`offsets[text.length]` は元のテキストの長さ）。
+ */
+export function normalizeWithOffsets(text) {
+  const source = String(text ?? '');
+  let normalized = '';
+  const offsets = [];
+  let i = 0;
+  while (i < source.length) {
+    let end = i + (source.codePointAt(i) > 0xFFFF ? 2 : 1);
+    while (end < source.length && COMBINING_MARK_PATTERN.test(source[end])) end++;
+    const unit = normalizeUnit(source.slice(i, end));
+    for (let k = 0; k < unit.length; k++) offsets.push(i);
+    normalized += unit;
+    i = end;
+  }
+  offsets.push(source.length);
+  return { text: normalized, offsets };
+}
+
+/**
+ * @constant {object} ROMAJI_TABLE
+ * @description ローマ字（ヘボン式・訓令式・IME でよく使う綴り）からひらがなへの対応。
+ */
+const ROMAJI_TABLE = (() => {
+  const table = { a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お' };
+  const rows = {
+    k: 'かきくけこ', s: 'さしすせそ', t: 'たちつてと', n: 'なにぬねの', h: 'はひふへほ',
+    m: 'まみむめも', r: 'らりるれろ', g: 'がぎぐげご', z: 'ざじずぜぞ', d: 'だぢづでど',
+    b: 'ばびぶべぼ', p: 'ぱぴぷぺぽ'
+  };
+  Object.entries(rows).forEach(([consonant, kana]) => {
+    [...'aiueo'].forEach((vowel, index) => { table[consonant + vowel] = kana[index]; });
+    // 拗音（きゃ・きゅ・きょ など）
+    if (!'sztd'.includes(consonant)) {
+      table[`${consonant}ya`] = `${kana[1]}ゃ`;
+      table[`${consonant}yu`] = `${kana[1]}ゅ`;
+      table[`${consonant}yo`] = `${kana[1]}ょ`;
+    }
+  });
+  Object.assign(table, {
+    ya: 'や', yu: 'ゆ', yo: 'よ', wa: 'わ', wi: 'うぃ', we: 'うぇ', wo: 'を',
+    shi: 'し', chi: 'ち', tsu: 'つ', fu: 'ふ', ji: 'じ',
+    sha: 'しゃ', shu: 'しゅ', sho: 'しょ', she: 'しぇ', sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+    cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ', che: 'ちぇ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+    ja: 'じゃ', ju: 'じゅ', jo: 'じょ', je: 'じぇ', jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+    zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ', dya: 'ぢゃ', dyu: 'ぢゅ', dyo: 'ぢょ',
+    fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ',
+    va: 'ゔぁ', vi: 'ゔぃ', vu: 'ゔ', ve: 'ゔぇ', vo: 'ゔぉ',
+    thi: 'てぃ', dhi: 'でぃ', twu: 'とぅ', dwu: 'どぅ',
+    xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ', la: 'ぁ', li: 'ぃ', lu: 'ぅ', le: 'ぇ', lo: 'ぉ',
+    xya: 'ゃ', xyu: 'ゅ', xyo: 'ょ', lya: 'ゃ', lyu: 'ゅ', lyo: 'ょ',
+    xtu: 'っ', ltu: 'っ', xtsu: 'っ', ltsu: 'っ', xwa: 'ゎ', lwa: 'ゎ'
+  });
+  return table;
+})();
+
+/**
+ * ローマ字の入力をひらがなに変換します（`kakuteishinkoku` → `かくていしんこく`）。
+ * 子音の重ね（`kk`・`tch`）は「っ」、`nn`・`n'`・子音の前や末尾の `n` は「ん」、`-` は「ー」にします。
+ * @param {string} text
+ * @returns {string|null} ひらがな。ローマ字として読めない文字を含む場合は `null`。
+ */
+export function romajiToHiragana(text) {
+  const s = String(text ?? '').toLowerCase();
+  if (!/^[a-z'-]+$/.test(s)) return null;
+  let out = '';
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    const next = s[i + 1];
+    if (c === 'n' && (next === undefined || next === "'" || next === 'n' || !'aiueoy'.includes(next))) {
+      out += 'ん';
+      // 「nn」の後に母音が続く場合（konnichiha）は、2つ目の n を次の音に使う
+      const rest = s[i + 2];
+      i += (next === "'" || (next === 'n' && (rest === undefined || !'aiueoy'.includes(rest)))) ? 2 : 1;
+      continue;
+    }
+    // 子音の重ね（kk）と、ヘボン式の「tch」（matcha）は促音
+    if ((c === next && /[bcdfghjkmpqrstvwxz]/.test(c)) || (c === 't' && next === 'c')) {
+      out += 'っ';
+      i++;
+      continue;
+    }
+    if (c === '-') {
+      out += 'ー';
+      i++;
+      continue;
+    }
+    let matched = false;
+    for (let length = 4; length >= 1; length--) {
+      const kana = ROMAJI_TABLE[s.slice(i, i + length)];
+      if (kana) {
+        out += kana;
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) return null;
+  }
+  return out;
+}
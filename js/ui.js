@@ -5,6 +5,12 @@
  */
 
 import { CategoryDialog } from './dialogs/categoryDialog.js';
+import { SaveConflictError } from './dataManager.js';
+import { DataValidationError, BADGE_TYPES } from './schema.js';
+import { createLinkCardElement, getBadgeLabel, applyIconStyle, isLocalLink, localPathOf } from './linkCard.js';
+import { parseSearchQuery, getSearchCompletionContext, applySearchCompletion, findMatchRanges } from './searchQuery.js';
+import { describeSchedule, formatDateKey, toDateKey } from './workflowSchedule.js';
+import { workflowRecurrence } from './icalExport.js';
 
 /**
  * @typedef {object} Category
@@ -107,10 +113,68 @@ export class UI {
    * @property {WorkflowDialog|null} workflowDialog
    */
   workflowDialog = null;
+  /**
+   * @property {WorkflowRunManager|null} workflowRunManager - ワークフローの実行状況と履歴。
+   */
+  workflowRunManager = null;
+  /**
+   * @property {WorkflowRunDialog|null} workflowRunDialog - ワークフローを1ステップずつ実行するダイアログ。
+   */
+  workflowRunDialog = null;
+  /**
+   * @property {ValidationReportDialog|null} validationReportDialog - データ検証結果の表示ダイアログ。
+   */
+  validationReportDialog = null;
+  /**
+   * @property {SaveReviewDialog|null} saveReviewDialog - 保存前の差分確認ダイアログ。
+   */
+  saveReviewDialog = null;
+  /**
+   * @property {MergeImportDialog|null} mergeImportDialog - 読み込んだデータを現在のポータルへマージするダイアログ。
+   */
+  mergeImportDialog = null;
+  /**
+   * @property {ExternalChangeDialog|null} externalChangeDialog - data.json が外部で更新されていた場合の3方向マージダイアログ。
+   */
+  externalChangeDialog = null;
+  /**
+   * @property {TrashDialog|null} trashDialog - 削除した項目を元に戻すゴミ箱ダイアログ。
+   */
+  trashDialog = null;
+  /**
+   * @property {BookmarkImportDialog|null} bookmarkImportDialog - ブラウザのブックマーク HTML を取り込むダイアログ。
+   */
+  bookmarkImportDialog = null;
+  /**
+   * @property {PortalTransferDialog|null} portalTransferDialog - カテゴリやリンクを別のポータルへ移動・コピーするダイアログ。
+   */
+  portalTransferDialog = null;
+  /**
+   * @property {LinkTableImportDialog|null} linkTableImportDialog - CSV / TSV のリンク一覧を取り込むダイアログ。
+   */
+  linkTableImportDialog = null;
   /**
    * @property {string} searchQuery - 現在の検索キーワード
    */
   searchQuery = '';
+  /**
+   * @property {boolean} searchRomaji - 検索欄のローマ字の語句をかなでも探すかどうか。
+   */
+  searchRomaji = true;
+  static SEARCH_ROMAJI_KEY = 'portalSearchRomaji';
+  /**
+   * @property {'portal'|'all'} searchScope - 検索範囲（`'portal'` は現在のポータル、`'all'` はすべてのポータル）。
+   */
+  searchScope = 'portal';
+  /**
+   * 検索結果から別のポータルに切り替えるときに、リロード後に表示する項目を保存する sessionStorage のキー。
+   */
+  static REVEAL_TARGET_KEY = 'portalRevealTarget';
+  /**
+   * @property {{context: SearchCompletionContext, items: Array<{value: string, description?: string}>, index: number}|null} searchCompletion
+   *           表示中の検索欄の補完候補と、キー操作で選択中の位置（未選択は -1）。
+   */
+  searchCompletion = null;
   /**
    * @property {string[]} selectedTags - 選択中のタグフィルタ
    */
@@ -119,6 +183,28 @@ export class UI {
    * @property {string} freqFilter - 選択中の頻度フィルタ
    */
   freqFilter = '';
+  /**
+   * @property {string} badgeFilter - 選択中のバッジフィルタ
+   */
+  badgeFilter = '';
+  /**
+   * @property {string|null} activeCollectionId - 仮想カテゴリとして表示中のスマートコレクションのID。
+   */
+  activeCollectionId = null;
+  /**
+   * @property {boolean} allowUnload - 未保存の変更があってもページ離脱の確認を出さない場合に `true` にします（意図的なリロード時など）。
+   */
+  allowUnload = false;
+  /**
+   * @property {Promise<boolean>|null} _externalCheck - 実行中の外部更新の確認。保存と画面復帰時の確認が重ならないようにします。
+   * @private
+   */
+  _externalCheck = null;
+  /**
+   * @property {string|null} _dismissedExternalHash - 画面復帰時の確認で「後で確認する」を選んだ外部の内容のハッシュ値。同じ内容では再度確認しません。
+   * @private
+   */
+  _dismissedExternalHash = null;
 
   /**
    * UIの新しいインスタンスを作成します。
@@ -142,11 +228,15 @@ export class UI {
   init() {
     this.container = document.getElementById('app-container');
     this.viewMode = localStorage.getItem(UI.VIEW_MODE_KEY) || 'card';
+    this.searchRomaji = localStorage.getItem(UI.SEARCH_ROMAJI_KEY) !== 'off';
     this._initViewBtnOrder();
     this._updateViewButtons();
     this.initEventListeners();
+    this.updateDataFileStatus();
+    this.updateHistoryButtons();
     this._updateTagPanel();
     this.render();
+    this._revealPendingTarget();
   }
 
   /**
@@ -247,6 +337,210 @@ export class UI {
     }
   }
 
+  /**
+   * 元に戻す／やり直すボタンの有効・無効を履歴の状態に合わせて更新します。
+   */
+  updateHistoryButtons() {
+    const history = this.dataManager.history;
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = !history.canUndo();
+    if (redoBtn) redoBtn.disabled = !history.canRedo();
+  }
+
+  /**
+   * 直前の変更を取り消して再描画します。
+   */
+  undo() {
+    if (this.dataManager.undo()) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * 取り消した変更をやり直して再描画します。
+   */
+  redo() {
+    if (this.dataManager.redo()) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * データ全体が置き換わった後（元に戻す・差分の取り消しなど）に、タグパネルとメイン画面を更新します。
+   */
+  refresh() {
+    this._updateTagPanel();
+    this.render();
+  }
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z（Ctrl+Y）によるアプリ全体の元に戻す／やり直すを処理します。
+   * 入力欄の編集中やダイアログ表示中はブラウザ標準の動作を優先します。
+   * @private
+   * @param {KeyboardEvent} e - キーボードイベント。
+   */
+  _handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    const target = e.target;
+    const isEditable = target instanceof HTMLElement &&
+      (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    if (isEditable || document.querySelector('dialog[open]')) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+      this.redo();
+    } else {
+      this.undo();
+    }
+  }
+
+  /**
+   * データファイルの接続状態をサイドバーに反映します。
+   */
+  updateDataFileStatus() {
+    const dataFile = this.dataManager.dataFile;
+    const connectBtn = document.getElementById('connectDataFileBtn');
+    const disconnectBtn = document.getElementById('disconnectDataFileBtn');
+    const status = document.getElementById('dataFileStatus');
+    if (!connectBtn || !status) return;
+
+    if (this.dataManager.server) {
+      connectBtn.disabled = true;
+      connectBtn.title = 'コンパニオンサーバー経由で保存するため不要です';
+      disconnectBtn.style.display = 'none';
+      status.textContent = 'サーバー接続中（保存時に data/data.json を直接更新）';
+      return;
+    }
+    if (!dataFile || !dataFile.isSupported()) {
+      connectBtn.disabled = true;
+      connectBtn.title = 'このブラウザはファイルへの直接保存に対応していません';
+      disconnectBtn.style.display = 'none';
+      status.textContent = '保存時は data.json をダウンロードします';
+      return;
+    }
+    const connected = dataFile.isConnected();
+    disconnectBtn.style.display = connected ? 'inline-flex' : 'none';
+    status.textContent = connected
+      ? `接続中: ${dataFile.getFileName()}（保存時に直接上書き）`
+      : '未接続（保存時は data.json をダウンロード）';
+  }
+
+  /**
+   * データ読み込みの失敗を表示します。検証エラーの場合は詳細な検証結果を、それ以外はメッセージを表示します。
+   * @async
+   * @param {Error} err - 発生したエラー。
+   * @param {string} source - 読み込み元の名前（ファイル名など）。
+   * @param {string} fallbackMessage - 検証エラー以外の場合に表示するメッセージ。
+   * @returns {Promise<void>}
+   */
+  async showLoadError(err, source, fallbackMessage) {
+    if (err instanceof DataValidationError && this.validationReportDialog) {
+      await this.validationReportDialog.open(err.report, source);
+    } else {
+      alert(`${fallbackMessage}: ${err.message}`);
+    }
+  }
+
+  /**
+   * 直近に読み込んだデータに検証の警告があれば、その内容を表示します。
+   * @async
+   * @param {string} source - 読み込み元の名前（ファイル名など）。
+   * @returns {Promise<void>}
+   */
+  async showValidationWarnings(source) {
+    const report = this.dataManager.validationReport;
+    if (report && report.warnings.length > 0 && this.validationReportDialog) {
+      await this.validationReportDialog.open(report, source);
+    }
+  }
+
+  /**
+   * 保存先の data.json が読み込み後に外部で更新されていないかを確認し、更新されていれば3方向マージのダイアログを開きます。
+   * @async
+   * @param {'save'|'focus'} trigger - 保存時の確認か、画面に戻った時の確認か。
+   * @returns {Promise<boolean>} 保存を続けてよい場合は `true`（更新が無い、マージした、または上書きを選んだ場合）。
+   */
+  async checkExternalChanges(trigger) {
+    if (!this.externalChangeDialog) return true;
+    while (this._externalCheck) {
+      if (trigger === 'focus') return false;
+      await this._externalCheck;
+    }
+    this._externalCheck = this._runExternalCheck(trigger);
+    try {
+      return await this._externalCheck;
+    } finally {
+      this._externalCheck = null;
+    }
+  }
+
+  /**
+   * checkExternalChanges() の本体。
+   * @private
+   * @async
+   * @param {'save'|'focus'} trigger
+   * @returns {Promise<boolean>}
+   */
+  async _runExternalCheck(trigger) {
+    let external;
+    try {
+      external = await this.dataManager.checkExternalChanges();
+    } catch (err) {
+      console.error('Failed to re-read data.json:', err);
+      return trigger === 'save'
+        && confirm(`外部で更新された data.json を読み込めませんでした（${err.message}）。\n現在の内容で上書き保存しますか？`);
+    }
+    if (!external) return true;
+    if (trigger === 'focus' && external.hash === this._dismissedExternalHash) return false;
+
+    const result = await this.externalChangeDialog.open(external, trigger);
+    if (result === null) {
+      if (trigger === 'focus') this._dismissedExternalHash = external.hash;
+      return false;
+    }
+    if (trigger === 'focus' && result === 'merged') {
+      alert(this.dataManager.hasUnsavedChanges
+        ? '外部の変更をマージしました。内容を確認し、問題なければ右上の「保存」ボタンを押してください。'
+        : '外部の変更を読み込みました。');
+    }
+    return true;
+  }
+
+  /**
+   * 「データファイルを接続」ボタンの処理。ファイルを選択させ、必要に応じてその内容を読み込みます。
+   * @private
+   * @async
+   */
+  async _handleConnectDataFile() {
+    const dataFile = this.dataManager.dataFile;
+    if (!dataFile) return;
+    try {
+      const connected = await dataFile.connect();
+      if (!connected) return;
+      this.updateDataFileStatus();
+
+      const activePortalId = this.configManager.getActivePortalId();
+      const message = this.dataManager.hasUnsavedChanges
+        ? `「${dataFile.getFileName()}」を接続しました。\n未保存の変更を破棄して、このファイルの内容を読み込みますか？\n（キャンセルすると現在の内容を保持し、次回の保存でこのファイルに上書きします）`
+        : `「${dataFile.getFileName()}」を接続しました。\nこのファイルの内容を読み込みますか？`;
+      if (confirm(message)) {
+        await this.dataManager.loadFromDataFile(activePortalId);
+        document.getElementById('errorArea').style.display = 'none';
+        this.updateSaveButtonState(this.dataManager.hasUnsavedChanges);
+        this._updateTagPanel();
+        this.render();
+        await this.showValidationWarnings(dataFile.getFileName());
+      }
+    } catch (err) {
+      console.error(err);
+      await this.showLoadError(err, dataFile.getFileName(), 'データファイルの接続に失敗しました');
+    }
+  }
+
   /**
    * すべての主要なDOMイベントリスナーを初期化します。
    */
@@ -256,19 +550,99 @@ export class UI {
     document.getElementById('closeAll').addEventListener('click', () => this.toggleAll(false));
     
     // 編集モード切替
-    document.getElementById('editModeToggle').addEventListener('change', (e) => {
-      this.isEditMode = e.target.checked;
-      this.render();
-      document.getElementById('addCategoryBtn').style.display = this.isEditMode ? 'block' : 'none';
-      document.getElementById('bulkAddLinkBtn').style.display = this.isEditMode ? 'block' : 'none';
-    });
+    document.getElementById('editModeToggle').addEventListener('change', (e) => this.setEditMode(e.target.checked));
 
     // 保存ボタン
-    document.getElementById('saveChangesBtn').addEventListener('click', () => {
-      const activePortalId = this.configManager.getActivePortalId();
-      this.dataManager.save(activePortalId);
-      this.updateSaveButtonState(false);
-      alert('ダウンロードされた "data.json" を\n元の data/data.json に上書きしてください。');
+    document.getElementById('saveChangesBtn').addEventListener('click', () => this.save());
+
+    // 他のウィンドウから戻った時にも、data.json が外部で更新されていないかを確認する（ダイアログ表示中は除く）
+    window.addEventListener('focus', () => {
+      if (!document.querySelector('dialog[open]')) this.checkExternalChanges('focus');
+    });
+
+    // 未保存の変更がある状態でのページ離脱を確認する（変更内容は下書きとしても自動保存されている）
+    window.addEventListener('beforeunload', (e) => {
+      if (this.dataManager.hasUnsavedChanges && !this.allowUnload) {
+        e.preventDefault();
+        e.returnValue = '';
+      }
+    });
+
+    // 元に戻す／やり直す
+    document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+    document.addEventListener('keydown', (e) => this._handleHistoryShortcut(e));
+
+    // ブックマーク HTML の読み込み・書き出し
+    document.getElementById('bookmarkFileInput').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file || !this.bookmarkImportDialog) return;
+      try {
+        const result = await this.bookmarkImportDialog.open(file);
+        if (result !== null) {
+          const skipped = result.skipped > 0 ? `（同じ URL の ${result.skipped} 件はスキップ）` : '';
+          alert(`カテゴリ ${result.categories} 件を作成し、リンク ${result.links} 件を取り込みました${skipped}。\n内容を確認し、問題なければ右上の「保存」ボタンを押してください。`);
+        }
+      } catch (err) {
+        console.error(err);
+        alert(`ブックマークの読み込みに失敗しました: ${err.message}`);
+      }
+      e.target.value = '';
+    });
+    document.getElementById('exportBookmarksBtn').addEventListener('click', () => {
+      const portal = this.configManager.getActivePortal();
+      this.dataManager.exportBookmarks(this.configManager.getActivePortalId(), portal?.title);
+    });
+
+    // CSV / TSV の読み込み・書き出し
+    document.getElementById('linkTableFileInput').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file || !this.linkTableImportDialog) return;
+      try {
+        const result = await this.linkTableImportDialog.open(file);
+        if (result !== null) {
+          const skipped = result.skipped > 0 ? `（重複・URL なしの ${result.skipped} 行はスキップ）` : '';
+          alert(`カテゴリ ${result.categories} 件を作成し、リンク ${result.links} 件を取り込みました${skipped}。\n内容を確認し、問題なければ右上の「保存」ボタンを押してください。`);
+        }
+      } catch (err) {
+        console.error(err);
+        alert(`CSV / TSV の読み込みに失敗しました: ${err.message}`);
+      }
+      e.target.value = '';
+    });
+    document.getElementById('exportCsvBtn').addEventListener('click', () => this.dataManager.exportLinkTable(this.configManager.getActivePortalId(), 'csv'));
+    document.getElementById('exportTsvBtn').addEventListener('click', () => this.dataManager.exportLinkTable(this.configManager.getActivePortalId(), 'tsv'));
+
+    // 読み取り専用の HTML として書き出し
+    document.getElementById('exportStaticHtmlBtn').addEventListener('click', () => {
+      const portalId = this.configManager.getActivePortalId();
+      const portal = this.configManager.getActivePortal();
+      this.dataManager.exportStaticHtml(portalId, {
+        title: portal?.title || portalId,
+        subtitle: portal?.subtitle || '',
+        includeWorkflows: document.getElementById('exportStaticWorkflows').checked
+      });
+    });
+
+    // Markdown として書き出し（現在のポータル、またはすべてのポータル）
+    document.getElementById('exportMarkdownBtn').addEventListener('click', () => {
+      const activeId = this.configManager.getActivePortalId();
+      const entries = document.getElementById('exportMarkdownAllPortals').checked
+        ? Object.entries(this.configManager.getConfig().portals)
+        : [[activeId, this.configManager.getActivePortal() || {}]];
+      this.dataManager.exportMarkdown(entries.map(([id, portal]) => ({ id, title: portal.title || id, subtitle: portal.subtitle || '' })), {
+        includeWorkflows: document.getElementById('exportMarkdownWorkflows').checked
+      });
+    });
+
+    // ゴミ箱
+    document.getElementById('openTrashBtn').addEventListener('click', () => this.trashDialog?.open());
+
+    // データファイル接続（File System Access API）
+    document.getElementById('connectDataFileBtn').addEventListener('click', () => this._handleConnectDataFile());
+    document.getElementById('disconnectDataFileBtn').addEventListener('click', async () => {
+      await this.dataManager.dataFile?.disconnect();
+      this.updateDataFileStatus();
     });
 
     // JSON読み込み（インポート・差し替え）
@@ -277,16 +651,34 @@ export class UI {
       if (!file) return;
 
       const activePortalId = this.configManager.getActivePortalId();
-      const overwrite = confirm(`現在のポータル「${this.configManager.getActivePortal().title}」のデータを、読み込んだファイルの内容で上書きしますか？\n（この操作はまだ保存されません）`);
+      const portalTitle = this.configManager.getActivePortal().title;
+
+      // マージ: 現在のポータルを残したまま、読み込んだファイルの項目を選んで取り込む
+      if (this.mergeImportDialog && confirm(`読み込んだファイルを現在のポータル「${portalTitle}」にマージしますか？\n（項目ごとに取り込むかどうかを選べます。キャンセルすると上書き・新規作成を選択できます）`)) {
+        try {
+          const applied = await this.mergeImportDialog.open(file);
+          if (applied !== null) {
+            alert(`${applied} 件の項目をマージしました。内容を確認し、問題なければ右上の「保存」ボタンを押してください。`);
+          }
+        } catch (err) {
+          console.error(err);
+          await this.showLoadError(err, file.name, 'JSONファイルの読み込みに失敗しました');
+        }
+        e.target.value = '';
+        return;
+      }
+
+      const overwrite = confirm(`現在のポータル「${portalTitle}」のデータを、読み込んだファイルの内容で上書きしますか？\n（この操作はまだ保存されません）`);
 
       if (overwrite) {
         try {
           await this.dataManager.importData(file, activePortalId);
-          alert('データを読み込みました。内容を確認し、問題なければ右上の「保存」ボタンを押してください。');
           this.render();
+          await this.showValidationWarnings(file.name);
+          alert('データを読み込みました。内容を確認し、問題なければ右上の「保存」ボタンを押してください。');
         } catch (err) {
           console.error(err);
-          alert(`JSONファイルの読み込みに失敗しました: ${err.message}`);
+          await this.showLoadError(err, file.name, 'JSONファイルの読み込みに失敗しました');
         }
       } else {
         const createNew = confirm("では、読み込んだファイルから新しいポータルを作成しますか？");
@@ -298,11 +690,11 @@ export class UI {
               this.configManager.addPortal({ id, name: portalName });
               this.configManager.setActivePortal(id);
               await this.dataManager.loadFromFile(file, id);
-              this.dataManager.save(id);
+              await this.dataManager.save(id);
               alert(`新規ポータル「${portalName}」を作成し、切り替えました。`);
               window.location.reload();
             } catch(err) {
-              alert(`新規ポータルの作成に失敗しました: ${err.message}`);
+              await this.showLoadError(err, file.name, '新規ポータルの作成に失敗しました');
             }
           }
         }
@@ -312,32 +704,12 @@ export class UI {
 
     document.getElementById('portalSettingsBtn').addEventListener('click', () => this.portalDialog.open());
 
-    document.getElementById('viewCardBtn').addEventListener('click', () => {
-      this.viewMode = 'card';
-      localStorage.setItem(UI.VIEW_MODE_KEY, 'card');
-      this._updateViewButtons();
-      this.render();
-    });
-    document.getElementById('viewTableBtn').addEventListener('click', () => {
-      this.viewMode = 'table';
-      localStorage.setItem(UI.VIEW_MODE_KEY, 'table');
-      this._updateViewButtons();
-      this.render();
-    });
+    document.getElementById('viewCardBtn').addEventListener('click', () => this.setViewMode('card'));
+    document.getElementById('viewTableBtn').addEventListener('click', () => this.setViewMode('table'));
 
-    document.getElementById('viewMemoryBtn').addEventListener('click', () => {
-      this.viewMode = 'memory';
-      localStorage.setItem(UI.VIEW_MODE_KEY, 'memory');
-      this._updateViewButtons();
-      this.render();
-    });
+    document.getElementById('viewMemoryBtn').addEventListener('click', () => this.setViewMode('memory'));
 
-    document.getElementById('viewWorkflowBtn').addEventListener('click', () => {
-      this.viewMode = 'workflow';
-      localStorage.setItem(UI.VIEW_MODE_KEY, 'workflow');
-      this._updateViewButtons();
-      this.render();
-    });
+    document.getElementById('viewWorkflowBtn').addEventListener('click', () => this.setViewMode('workflow'));
 
     // 手動ファイル読み込み（エラー時用）
     document.getElementById('manualLoadInput').addEventListener('change', async (e) => {
@@ -347,8 +719,10 @@ export class UI {
         await this.dataManager.loadFromFile(file);
         document.getElementById('errorArea').style.display = 'none';
         this.render();
+        await this.showValidationWarnings(file.name);
       } catch (err) {
-        alert('JSONの読み込みに失敗しました');
+        console.error(err);
+        await this.showLoadError(err, file.name, 'JSONの読み込みに失敗しました');
       }
     });
 
@@ -366,13 +740,28 @@ export class UI {
     searchInput.addEventListener('input', () => {
       this.searchQuery = searchInput.value;
       searchClearBtn.style.display = this.searchQuery ? 'flex' : 'none';
+      this._updateSearchQueryError();
+      this._updateSearchSuggestions();
       this._updateTagPanel();
       this.render();
     });
+    searchInput.addEventListener('keydown', (e) => this._handleSearchKeydown(e));
+    const romajiBtn = document.getElementById('searchRomajiBtn');
+    romajiBtn.setAttribute('aria-pressed', String(this.searchRomaji));
+    romajiBtn.addEventListener('click', () => {
+      this.searchRomaji = !this.searchRomaji;
+      localStorage.setItem(UI.SEARCH_ROMAJI_KEY, this.searchRomaji ? 'on' : 'off');
+      romajiBtn.setAttribute('aria-pressed', String(this.searchRomaji));
+      this.render();
+    });
+    searchInput.addEventListener('click', () => this._updateSearchSuggestions());
+    searchInput.addEventListener('blur', () => this._hideSearchSuggestions());
     searchClearBtn.addEventListener('click', () => {
       searchInput.value = '';
       this.searchQuery = '';
       searchClearBtn.style.display = 'none';
+      this._updateSearchQueryError();
+      this._hideSearchSuggestions();
       this._updateTagPanel();
       this.render();
     });
@@ -388,11 +777,86 @@ export class UI {
     });
     // 初期状態で「全て」をアクティブに
     document.querySelector('.freq-chip[data-freq=""]')?.classList.add('active');
+
+    // バッジフィルタ
+    const badgeSelect = document.getElementById('badgeFilterSelect');
+    BADGE_TYPES.forEach(type => badgeSelect.add(new Option(getBadgeLabel(type), type)));
+    badgeSelect.addEventListener('change', () => {
+      this.badgeFilter = badgeSelect.value;
+      this.render();
+    });
+
+    // 現在の検索条件をスマートコレクションとして保存
+    document.getElementById('saveSearchBtn').addEventListener('click', () => this._saveCurrentSearch());
+
+    // 検索範囲（このポータル / すべてのポータル）
+    document.querySelectorAll('.scope-chip').forEach(chip => {
+      chip.classList.toggle('active', chip.dataset.scope === this.searchScope);
+      chip.addEventListener('click', () => {
+        this.searchScope = chip.dataset.scope;
+        document.querySelectorAll('.scope-chip').forEach(c => c.classList.toggle('active', c === chip));
+        this._updateTagPanel();
+        this.render();
+      });
+    });
   }
 
 
 
 
+  /**
+   * 編集モードを切り替え、サイドバーの編集用ボタンと切り替えスイッチの状態を合わせます。
+   * @param {boolean} isEditMode - 編集モードにする場合は `true`。
+   */
+  setEditMode(isEditMode) {
+    this.isEditMode = isEditMode;
+    document.getElementById('editModeToggle').checked = isEditMode;
+    this.render();
+    document.getElementById('addCategoryBtn').style.display = this.isEditMode ? 'block' : 'none';
+    document.getElementById('bulkAddLinkBtn').style.display = this.isEditMode ? 'block' : 'none';
+  }
+
+  /**
+   * 表示モードを切り替え、localStorage に記憶します。
+   * @param {'card'|'table'|'memory'|'workflow'} viewMode
+   */
+  setViewMode(viewMode) {
+    this.viewMode = viewMode;
+    localStorage.setItem(UI.VIEW_MODE_KEY, viewMode);
+    this._updateViewButtons();
+    this.render();
+  }
+
+  /**
+   * 全ポータルのデータを保存します。外部での更新の確認と、保存前の差分の確認を行ってから保存します。
+   * @async
+   * @returns {Promise<boolean>} 保存した場合は `true`。
+   */
+  async save() {
+    const activePortalId = this.configManager.getActivePortalId();
+    // 読み込み後に data.json が外部で更新されていれば、上書きせずにマージを提案する
+    if (!(await this.checkExternalChanges('save'))) return false;
+    // 保存前に、最後に読み込み・保存した内容との差分を確認する
+    if (this.saveReviewDialog && !(await this.saveReviewDialog.open())) return false;
+    let method;
+    try {
+      ({ method } = await this.dataManager.save(activePortalId));
+    } catch (err) {
+      console.error(err);
+      if (err instanceof SaveConflictError) {
+        alert('サーバー上の data.json が、読み込み後に他の画面や人によって更新されています。\n上書きを防ぐため保存を中止しました。ページを再読み込みして最新の内容を確認してください。');
+      } else {
+        alert(`保存に失敗しました: ${err.message}`);
+      }
+      return false;
+    }
+    this.updateSaveButtonState(false);
+    if (method === 'download') {
+      alert('ダウンロードされた "data.json" を\n元の data/data.json に上書きしてください。\n\n（サイドバーの「データファイルを接続」を使うと、次回から直接上書き保存できます）');
+    }
+    return true;
+  }
+
   openCategoryDialog(categoryId = null) {
     this.editingCategoryId = categoryId;
     const dialog = document.getElementById('categoryDialog');
@@ -434,22 +898,111 @@ export class UI {
   }
 
   getBadgeLabel(type) {
-    const map = {
-      video: 'Video',
-      doc: 'Docs',
-      portal: 'Portal',
-      article: 'Article',
-      code: 'Code',
-      tool: 'Tool',
-      sns: 'SNS',
-      cloud: 'Cloud',
-      local: 'Local',
-      money: 'Money',
-      news: 'News',
-      idea: 'Idea',
-      company: 'Company'
-    };
-    return map[type] || type;
+    return getBadgeLabel(type);
+  }
+
+  /**
+   * 検索式の構文エラーを検索欄の下に表示します（エラーが無ければ隠します）。
+   * @private
+   */
+  _updateSearchQueryError() {
+    const { errors } = parseSearchQuery(this.searchQuery);
+    const area = document.getElementById('searchQueryError');
+    area.textContent = errors.map(err => err.message).join(' ');
+    area.hidden = errors.length === 0;
+    document.querySelector('.search-input-row').classList.toggle('invalid', errors.length > 0);
+  }
+
+  /**
+   * カーソル位置で入力中の条件に応じて、検索欄の補完候補（タグ名・カテゴリ名・項目名など）を表示します。
+   * @private
+   */
+  _updateSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const context = this.searchManager ? getSearchCompletionContext(input.value, input.selectionStart ?? input.value.length) : null;
+    const items = context ? this.searchManager.getCompletions(context.field, context.prefix) : [];
+    this.searchCompletion = items.length > 0 ? { context, items, index: -1 } : null;
+    this._renderSearchSuggestions();
+  }
+
+  /**
+   * 補完候補の一覧を描画します。
+   * @private
+   */
+  _renderSearchSuggestions() {
+    const list = document.getElementById('searchSuggestions');
+    const input = document.getElementById('searchInput');
+    list.innerHTML = '';
+    const completion = this.searchCompletion;
+    list.hidden = !completion;
+    input.setAttribute('aria-expanded', completion ? 'true' : 'false');
+    if (!completion) return;
+    completion.items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.setAttribute('role', 'option');
+      li.className = index === completion.index ? 'active' : '';
+      li.textContent = item.value;
+      if (item.description) {
+        const desc = document.createElement('span');
+        desc.className = 'search-suggestion-desc';
+        desc.textContent = item.description;
+        li.appendChild(desc);
+      }
+      // blur より先に選択を反映するため mousedown で処理する
+      li.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this._applySearchSuggestion(item.value);
+      });
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * 補完候補の一覧を閉じます。
+   * @private
+   */
+  _hideSearchSuggestions() {
+    this.searchCompletion = null;
+    this._renderSearchSuggestions();
+  }
+
+  /**
+   * 補完候補を検索欄に反映し、検索し直します。
+   * @private
+   * @param {string} value - 選んだ候補。
+   */
+  _applySearchSuggestion(value) {
+    const input = document.getElementById('searchInput');
+    const { text, caret } = applySearchCompletion(input.value, this.searchCompletion.context, value);
+    input.value = text;
+    input.setSelectionRange(caret, caret);
+    input.dispatchEvent(new Event('input'));
+  }
+
+  /**
+   * 検索欄のキー操作（補完候補の選択・確定・閉じる）を処理します。
+   * ↑↓で候補を選び、Enter で選んだ候補、Tab で選んだ（未選択なら先頭の）候補を反映します。
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _handleSearchKeydown(e) {
+    const completion = this.searchCompletion;
+    if (!completion) return;
+    const count = completion.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // 先頭の上・末尾の下は「未選択」に戻す
+      const next = completion.index + step;
+      completion.index = next >= count ? -1 : (next < -1 ? count - 1 : next);
+      this._renderSearchSuggestions();
+    } else if ((e.key === 'Enter' && completion.index >= 0) || e.key === 'Tab') {
+      e.preventDefault();
+      this._applySearchSuggestion(completion.items[Math.max(completion.index, 0)].value);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this._hideSearchSuggestions();
+    }
   }
 
   /**
@@ -457,7 +1010,7 @@ export class UI {
    */
   _updateTagPanel() {
     if (!this.searchManager) return;
-    const tags = this.searchManager.getAllTags();
+    const tags = this.searchManager.getAllTags(this.searchScope);
     const row = document.getElementById('tagFilterRow');
     const chips = document.getElementById('tagFilterChips');
     const clearBtn = document.getElementById('tagFilterClearBtn');
@@ -504,7 +1057,9 @@ export class UI {
     this.container.innerHTML = ''; // コンテナをクリア
 
     // 検索/フィルタがアクティブな場合は検索結果表示
-    const isSearchActive = this.searchQuery.trim() || this.selectedTags.length > 0 || this.freqFilter;
+    const isSearchActive = this._isSearchActive();
+    document.getElementById('saveSearchBtn').disabled = !isSearchActive;
+    this._renderCollectionList();
     if (isSearchActive && this.searchManager) {
       this._renderSearchResults();
       return;
@@ -522,8 +1077,15 @@ export class UI {
 
     const data = this.dataManager.getData(); // 最新のデータを取得
 
+    // 選択中のスマートコレクションは、条件に一致するリンクを集めた仮想カテゴリとして先頭に表示する
+    const collection = this._getActiveCollection();
+    if (collection && this.searchManager) {
+      this._renderSmartCollection(collection);
+    }
+
     data.forEach((category, catIndex) => {
       const details = document.createElement('details');
+      details.dataset.categoryId = category.id;
       details.open = category.isOpen;
       
       details.addEventListener('toggle', () => {
@@ -534,7 +1096,7 @@ export class UI {
       if (this.isEditMode) {
         details.draggable = true;
         details.addEventListener('dragstart', (e) => this._handleDragStart(e, { type: 'category', index: catIndex }));
-        details.addEventListener('dragover', (e) => this._handleDragOver(e));
+        details.addEventListener('dragover', (e) => this._handleDragOver(e, { type: 'category', index: catIndex }));
         details.addEventListener('drop', (e) => this._handleDrop(e, { type: 'category', index: catIndex }));
         details.addEventListener('dragend', (e) => this._handleDragEnd(e));
       }
@@ -558,12 +1120,16 @@ export class UI {
         }
         const editBtn = this._createActionButton('<span class="icon icon-sm">edit</span>', 'action-btn btn-edit', () => this.categoryDialog.open(category.id), 'カテゴリを編集');
         const deleteBtn = this._createActionButton('<span class="icon icon-sm">delete</span>', 'action-btn btn-delete', () => {
-          if (confirm(`カテゴリ「${category.title}」と中のリンクをすべて削除しますか？`)) {
+          if (confirm(`カテゴリ「${category.title}」と中のリンクをすべてゴミ箱に移動しますか？`)) {
             this.dataManager.deleteCategory(category.id);
             this.render();
           }
         }, 'カテゴリを削除');
         groupActions.appendChild(editBtn);
+        if (this.portalTransferDialog?.hasOtherPortals()) {
+          const transferBtn = this._createActionButton('<span class="icon icon-sm">drive_file_move</span>', 'action-btn btn-transfer', () => this.portalTransferDialog.open('category', category.id), '別のポータルへ移動・コピー');
+          groupActions.appendChild(transferBtn);
+        }
         groupActions.appendChild(deleteBtn);
       } else {
         const openBtn = this._createActionButton('<span class="icon icon-sm">open_in_new</span> 一括で開く', 'action-btn btn-open', () => this.openCategoryLinks(category));
@@ -634,76 +1200,29 @@ export class UI {
    * @param {string} catId - 親カテゴリのID。
    * @param {number} catIndex - 親カテゴリのインデックス。
    * @param {number} linkIndex - リンクのインデックス。
+   * @param {object} [options]
+   * @param {boolean} [options.sortable=true] - 編集モードでドラッグ・ドロップによる並び替えを有効にするか（カテゴリ外に並べるカードでは `false`）。
    * @returns {HTMLDivElement} 作成されたリンクカードのラッパー要素。
    */
-  _createLinkCard(link, catId, catIndex, linkIndex) {
+  _createLinkCard(link, catId, catIndex, linkIndex, { sortable = true } = {}) {
       const wrapper = document.createElement('div');
       wrapper.className = 'link-card-wrapper';
+      wrapper.dataset.linkId = link.id;
 
       // リンクのドラッグアンドドロップ設定
-      if (this.isEditMode) {
+      if (this.isEditMode && sortable) {
         wrapper.draggable = true;
         wrapper.addEventListener('dragstart', (e) => this._handleDragStart(e, { type: 'link', catIndex, index: linkIndex }));
-        wrapper.addEventListener('dragover', (e) => this._handleDragOver(e));
+        wrapper.addEventListener('dragover', (e) => this._handleDragOver(e, { type: 'link', catIndex, index: linkIndex }));
         wrapper.addEventListener('drop', (e) => this._handleDrop(e, { type: 'link', catIndex, index: linkIndex }));
         wrapper.addEventListener('dragend', (e) => this._handleDragEnd(e));
       }
 
-      const isLocal = link.url && link.url.startsWith('opendir:');
-      const a = document.createElement('a');
-      a.className = `link-card ${this.isEditMode ? 'disabled' : ''}${isLocal ? ' link-local' : ''}`;
-      a.href = link.url;
-      if (!isLocal) a.target = '_blank';
+      const isLocal = isLocalLink(link);
+      const a = createLinkCardElement(link, { disabled: this.isEditMode });
       if (!this.isEditMode && this.memoryManager) {
         a.addEventListener('click', () => this.memoryManager.recordVisit(link.id));
       }
-
-      const iconArea = document.createElement('div');
-      iconArea.className = 'icon-area';
-      if (/^[a-z][a-z_0-9]*$/.test(link.icon)) {
-        // Material Symbol
-        const iconSpan = document.createElement('span');
-        iconSpan.className = 'icon icon-lg';
-        iconSpan.textContent = link.icon;
-        if (link.iconColor) iconSpan.style.color = link.iconColor;
-        this._applyIconStyle(iconSpan, link, false);
-        iconArea.appendChild(iconSpan);
-      } else {
-        // 絵文字（既存データの後方互換）
-        iconArea.textContent = link.icon;
-      }
-
-      const contentArea = document.createElement('div');
-      contentArea.className = 'content-area';
-
-      const headerRow = document.createElement('div');
-      headerRow.className = 'header-row';
-      const titleSpan = document.createElement('span');
-      titleSpan.className = 'link-title';
-      titleSpan.textContent = link.title;
-      const badgeSpan = document.createElement('span');
-      badgeSpan.className = `badge badge-${link.badge}`;
-      badgeSpan.textContent = this.getBadgeLabel(link.badge);
-
-      headerRow.appendChild(titleSpan);
-      headerRow.appendChild(badgeSpan);
-
-      const memoDiv = document.createElement('div');
-      memoDiv.className = 'link-memo';
-      memoDiv.textContent = link.memo;
-
-      contentArea.appendChild(headerRow);
-      contentArea.appendChild(memoDiv);
-
-      if (isLocal) {
-        const pathDiv = document.createElement('div');
-        pathDiv.className = 'link-local-path';
-        pathDiv.textContent = link.url.replace('opendir:', '');
-        contentArea.appendChild(pathDiv);
-      }
-
-      a.appendChild(iconArea);
-      a.appendChild(contentArea);
       wrapper.appendChild(a);
 
       // ローカルリンクのクリップボードコピーボタン（閲覧モード時）
@@ -715,7 +1234,7 @@ export class UI {
         copyBtn.addEventListener('click', (e) => {
           e.preventDefault();
           e.stopPropagation();
-          const localPath = link.url.replace('opendir:', '');
+          const localPath = localPathOf(link);
           navigator.clipboard.writeText(localPath).then(() => {
             copyBtn.innerHTML = '<span class="icon icon-xs">check</span>';
             setTimeout(() => { copyBtn.innerHTML = '<span class="icon icon-xs">content_copy</span>'; }, 1500);
@@ -742,7 +1261,7 @@ export class UI {
         // リンク編集・削除ボタン
         const editBtn = this._createCardActionButton('<span class="icon icon-sm">edit</span>', () => this.linkDialog.open(catId, link.id), 'リンクを編集');
         const delBtn = this._createCardActionButton('<span class="icon icon-sm">delete</span>', () => {
-           if (confirm(`リンク「${link.title}」を削除しますか？`)) {
+           if (confirm(`リンク「${link.title}」をゴミ箱に移動しますか？`)) {
              this.dataManager.deleteLink(catId, link.id);
              this.render();
            }
@@ -750,6 +1269,9 @@ export class UI {
         delBtn.classList.add('btn-delete'); // 削除ボタンにスタイルクラスを追加
 
         cardActions.appendChild(editBtn);
+        if (this.portalTransferDialog?.hasOtherPortals()) {
+          cardActions.appendChild(this._createCardActionButton('<span class="icon icon-sm">drive_file_move</span>', () => this.portalTransferDialog.open('link', catId, link.id), '別のポータルへ移動・コピー'));
+        }
         cardActions.appendChild(delBtn);
         wrapper.appendChild(cardActions);
       }
@@ -765,22 +1287,7 @@ export class UI {
    * @param {boolean} isTable - テーブルビューかどうか。
    */
   _applyIconStyle(span, link, isTable = false) {
-    const hasFill = link.iconFill !== undefined && link.iconFill !== null;
-    const hasWeight = !!link.iconWeight;
-    const hasSize = link.iconSize && link.iconSize !== 'normal';
-    if (!hasFill && !hasWeight && !hasSize) return;
-
-    const fill = link.iconFill ?? 0;
-    const weight = link.iconWeight || 400;
-    span.style.fontVariationSettings = `'FILL' ${fill}, 'wght' ${weight}, 'GRAD' 0, 'opsz' 40`;
-
-    if (hasSize) {
-      if (isTable) {
-        span.style.fontSize = link.iconSize === 'xl' ? '26px' : '22px';
-      } else {
-        span.style.fontSize = link.iconSize === 'xl' ? '40px' : '32px';
-      }
-    }
+    applyIconStyle(span, link, isTable);
   }
 
   /**
@@ -800,23 +1307,29 @@ export class UI {
 
   /**
    * 検索結果をフラットなカードリストで描画します。
+   * 検索範囲がすべてのポータルの場合は、各カードにポータル名も表示し、一致したワークフローを後に並べます。
    * @private
    */
   _renderSearchResults() {
-    const results = this.searchManager.search(this.searchQuery, {
+    const filters = {
       tags: this.selectedTags,
-      freq: this.freqFilter || null
-    });
+      freq: this.freqFilter || null,
+      badge: this.badgeFilter || null,
+      romaji: this.searchRomaji,
+      scope: this.searchScope
+    };
+    const results = this.searchManager.search(this.searchQuery, filters);
+    const workflows = this.searchScope === 'all' ? this.searchManager.searchWorkflows(this.searchQuery, filters) : [];
 
     const header = document.createElement('div');
     header.className = 'search-results-header';
     header.innerHTML = `
       <span class="icon icon-sm" style="color:var(--primary)">search</span>
-      検索結果: <strong>${results.length}</strong> 件
+      検索結果: <strong>${results.length + workflows.length}</strong> 件
     `;
     this.container.appendChild(header);
 
-    if (results.length === 0) {
+    if (results.length === 0 && workflows.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'search-empty';
       empty.innerHTML = `
@@ -827,32 +1340,428 @@ export class UI {
       return;
     }
 
-    // カテゴリごとにグループ化して表示
-    const grouped = {};
-    results.forEach(r => {
-      if (!grouped[r.catTitle]) grouped[r.catTitle] = [];
-      grouped[r.catTitle].push(r);
+    // 一致の度合いの高い順に並べ、カテゴリ名（すべてのポータルの場合はポータル名も）は各カードに表示する
+    const { node } = parseSearchQuery(this.searchQuery, { romaji: this.searchRomaji });
+    const activePortalId = this.configManager.getActivePortalId();
+    const grid = document.createElement('div');
+    grid.className = 'link-list search-result-list';
+    results.forEach(({ link, catId, catTitle, portalId }) => {
+      const el = portalId === activePortalId
+        ? this._createLinkCard(link, catId, 0, 0)
+        : this._createOtherPortalLinkCard(link, portalId);
+      const content = el.querySelector('.content-area');
+      this._highlightMatches(content.querySelector('.link-title'), findMatchRanges(node, link.title, 'title'));
+      this._highlightMatches(content.querySelector('.link-memo'), findMatchRanges(node, link.memo, 'memo'));
+      const catLabel = document.createElement('div');
+      catLabel.className = 'search-result-cat';
+      catLabel.textContent = this.searchScope === 'all' ? `${this._portalTitle(portalId)} › ${catTitle}` : catTitle;
+      content.appendChild(catLabel);
+      grid.appendChild(el);
     });
+    if (results.length > 0) this.container.appendChild(grid);
+
+    if (workflows.length > 0) {
+      const wfHeader = document.createElement('div');
+      wfHeader.className = 'search-results-header';
+      wfHeader.innerHTML = `
+        <span class="icon icon-sm" style="color:var(--primary)">account_tree</span>
+        ワークフロー: <strong>${workflows.length}</strong> 件
+      `;
+      this.container.appendChild(wfHeader);
+
+      const list = document.createElement('div');
+      list.className = 'search-workflow-list';
+      workflows.forEach(({ workflow, portalId }) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'search-workflow-result';
+        item.title = portalId === activePortalId ? '作業フローで表示' : 'このワークフローのポータルに切り替えて表示';
+        const title = document.createElement('span');
+        title.className = 'workflow-card-title';
+        title.innerHTML = '<span class="icon icon-sm" style="color:var(--primary)">account_tree</span>';
+        const titleText = document.createElement('span');
+        titleText.textContent = workflow.title;
+        this._highlightMatches(titleText, findMatchRanges(node, workflow.title, 'title'));
+        title.appendChild(titleText);
+        const portalLabel = document.createElement('span');
+        portalLabel.className = 'search-result-cat';
+        portalLabel.textContent = this._portalTitle(portalId);
+        item.appendChild(title);
+        item.appendChild(portalLabel);
+        item.addEventListener('click', () => this.revealItem(portalId, { type: 'workflow', id: workflow.id }));
+        list.appendChild(item);
+      });
+      this.container.appendChild(list);
+    }
+  }
 
-    Object.entries(grouped).forEach(([catTitle, items]) => {
-      const section = document.createElement('div');
-      section.className = 'search-result-section';
-      const catLabel = document.createElement('div');
-      catLabel.className = 'search-result-cat-label';
-      catLabel.textContent = catTitle;
-      section.appendChild(catLabel);
+  /**
+   * 現在のポータル以外のリンクの検索結果カードを作成します（編集の操作は無く、ポータルを切り替えるボタンを表示します）。
+   * @private
+   * @param {Link} link
+   * @param {string} portalId - リンクが属するポータルのID。
+   * @returns {HTMLDivElement}
+   */
+  _createOtherPortalLinkCard(link, portalId) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'link-card-wrapper';
+    const a = createLinkCardElement(link, { disabled: this.isEditMode });
+    if (!this.isEditMode && this.memoryManager) {
+      a.addEventListener('click', () => this.memoryManager.recordVisit(link.id));
+    }
+    wrapper.appendChild(a);
 
-      const grid = document.createElement('div');
-      grid.className = 'link-list';
-      items.forEach(({ link, catId }) => {
-        const el = this._createLinkCard(link, catId, 0, 0);
-        grid.appendChild(el);
+    const cardActions = document.createElement('div');
+    cardActions.className = 'card-actions';
+    cardActions.appendChild(this._createCardActionButton('<span class="icon icon-sm">move_up</span>',
+      () => this.revealItem(portalId, { type: 'link', id: link.id }), 'このリンクのポータルに切り替えて表示'));
+    wrapper.appendChild(cardActions);
+    return wrapper;
+  }
+
+  /**
+   * ポータルの表示名を返します（設定に無い場合はID）。
+   * @private
+   * @param {string} portalId
+   * @returns {string}
+   */
+  _portalTitle(portalId) {
+    return this.configManager.getConfig().portals?.[portalId]?.title || portalId;
+  }
+
+  /**
+   * 項目を、それが属するポータルで表示します（検索結果・コマンドパレットから使用）。
+   * 別のポータルの場合は、ポータルを切り替えてページをリロードし、リロード後に項目を表示します。
+   * @param {string} portalId - 項目が属するポータルのID。
+   * @param {{type: 'link'|'category'|'workflow', id: string}} target - 表示する項目。
+   */
+  revealItem(portalId, target) {
+    if (portalId === this.configManager.getActivePortalId()) {
+      this._revealTarget(target);
+      return;
+    }
+    this.switchPortal(portalId, target);
+  }
+
+  /**
+   * ポータルを切り替えてページをリロードします。未保存の変更がある場合は確認します（変更内容は下書きに残ります）。
+   * @param {string} portalId - 切り替え先のポータルID。
+   * @param {{type: 'link'|'category'|'workflow', id: string}|null} [target=null] - リロード後に表示する項目。
+   * @returns {boolean} 切り替えた場合は `true`。
+   */
+  switchPortal(portalId, target = null) {
+    if (this.dataManager.hasUnsavedChanges &&
+        !confirm('未保存の変更があります。\n変更内容は下書きとして自動保存されており、このポータルに戻ったときに復元できます。\n\nポータルを切り替えますか？')) {
+      return false;
+    }
+    if (target) sessionStorage.setItem(UI.REVEAL_TARGET_KEY, JSON.stringify(target));
+    this.configManager.setActivePortal(portalId);
+    this.allowUnload = true;
+    window.location.reload();
+    return true;
+  }
+
+  /**
+   * ポータルの切り替え前に保存した項目があれば表示します（init の最後に呼び出します）。
+   * @private
+   */
+  _revealPendingTarget() {
+    const saved = sessionStorage.getItem(UI.REVEAL_TARGET_KEY);
+    if (!saved) return;
+    sessionStorage.removeItem(UI.REVEAL_TARGET_KEY);
+    try {
+      this._revealTarget(JSON.parse(saved));
+    } catch (e) {
+      console.warn('表示する項目を復元できませんでした:', e);
+    }
+  }
+
+  /**
+   * 検索を解除し、リンク・カテゴリ（カテゴリを開いた一覧）またはワークフロー（作業フロー）を表示して強調します。
+   * @private
+   * @param {{type: 'link'|'category'|'workflow', id: string}} target
+   */
+  _revealTarget({ type, id }) {
+    this._resetSearch();
+    const viewMode = type === 'workflow' ? 'workflow' : (this.viewMode === 'table' ? 'table' : 'card');
+    if (this.viewMode !== viewMode) {
+      this.viewMode = viewMode;
+      localStorage.setItem(UI.VIEW_MODE_KEY, viewMode);
+      this._updateViewButtons();
+    }
+    this.render();
+
+    const key = { link: 'linkId', category: 'categoryId', workflow: 'workflowId' }[type];
+    const attribute = { link: 'data-link-id', category: 'data-category-id', workflow: 'data-workflow-id' }[type];
+    // スマートコレクションの仮想カテゴリ内のカードではなく、所属するカテゴリ内のカードを表示する
+    const element = [...this.container.querySelectorAll(`[${attribute}]`)]
+      .find(el => el.dataset[key] === id && !el.closest('.smart-collection'));
+    if (!element) return;
+    const category = element.closest('details');
+    if (category) category.open = true;
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    element.classList.add('reveal-flash');
+    element.addEventListener('animationend', () => element.classList.remove('reveal-flash'), { once: true });
+  }
+
+  /**
+   * 要素のテキストのうち、指定した範囲を mark 要素で強調表示します。
+   * @private
+   * @param {HTMLElement|null} element - テキストだけを持つ要素（タイトル・メモ）。
+   * @param {Array<[number, number]>} ranges - 強調する範囲（findMatchRanges の結果）。
+   */
+  _highlightMatches(element, ranges) {
+    if (!element || ranges.length === 0) return;
+    const text = element.textContent;
+    element.textContent = '';
+    let pos = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > pos) element.appendChild(document.createTextNode(text.slice(pos, start)));
+      const mark = document.createElement('mark');
+      mark.className = 'search-hit';
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      pos = end;
+    });
+    if (pos < text.length) element.appendChild(document.createTextNode(text.slice(pos)));
+  }
+
+  /**
+   * 検索欄・タグ・頻度・バッジの絞り込みをすべて解除します（再描画は行いません）。
+   * @private
+   */
+  _resetSearch() {
+    document.getElementById('searchInput').value = '';
+    this.searchQuery = '';
+    this.selectedTags = [];
+    this.freqFilter = '';
+    this.badgeFilter = '';
+    document.getElementById('searchClearBtn').style.display = 'none';
+    document.querySelectorAll('.freq-chip').forEach(c => c.classList.toggle('active', c.dataset.freq === ''));
+    document.getElementById('badgeFilterSelect').value = '';
+    this._updateSearchQueryError();
+    this._hideSearchSuggestions();
+    this._updateTagPanel();
+  }
+
+  /**
+   * 検索欄・タグ・頻度・バッジのいずれかで絞り込んでいるかどうかを返します。
+   * @private
+   * @returns {boolean}
+   */
+  _isSearchActive() {
+    return Boolean(this.searchQuery.trim() || this.selectedTags.length > 0 || this.freqFilter || this.badgeFilter);
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // スマートコレクション
+  // ─────────────────────────────────────────────────────────
+
+  /**
+   * スマートコレクションの検索条件に一致する現在のポータルのリンクを返します。
+   * @private
+   * @param {SmartCollection} collection
+   * @returns {{ link: object, catId: string, catTitle: string, score: number }[]}
+   */
+  _collectionLinks(collection) {
+    return this.searchManager.search(collection.query, {
+      tags: collection.tags || [],
+      freq: collection.freq || null,
+      badge: collection.badge || null,
+      romaji: this.searchRomaji
+    });
+  }
+
+  /**
+   * 表示中のスマートコレクションを返します（削除・元に戻すなどで無くなっていれば選択を解除します）。
+   * @private
+   * @returns {SmartCollection|null}
+   */
+  _getActiveCollection() {
+    if (!this.activeCollectionId) return null;
+    const collection = this.dataManager.getCollections().find(c => c.id === this.activeCollectionId);
+    if (!collection) this.activeCollectionId = null;
+    return collection || null;
+  }
+
+  /**
+   * 現在の検索条件に名前を付けてスマートコレクションとして保存し、仮想カテゴリとして表示します。
+   * @private
+   */
+  _saveCurrentSearch() {
+    if (!this._isSearchActive()) return;
+    const suggested = this.searchQuery.trim() || this.selectedTags.join(' ');
+    const title = prompt('スマートコレクションの名前を入力してください:', suggested);
+    if (!title || !title.trim()) return;
+    const collection = this.dataManager.addCollection(this.configManager.getActivePortalId(), {
+      title: title.trim(),
+      query: this.searchQuery.trim(),
+      tags: this.selectedTags,
+      freq: this.freqFilter,
+      badge: this.badgeFilter
+    });
+    this._showCollection(collection.id);
+  }
+
+  /**
+   * スマートコレクションを仮想カテゴリとして表示します。検索中の場合は検索を解除し、カード・テーブル以外の表示はカードにします。
+   * @private
+   * @param {string} collectionId
+   */
+  _showCollection(collectionId) {
+    this.activeCollectionId = collectionId;
+    this._resetSearch();
+    if (this.viewMode !== 'card' && this.viewMode !== 'table') {
+      this.viewMode = 'card';
+      localStorage.setItem(UI.VIEW_MODE_KEY, 'card');
+      this._updateViewButtons();
+    }
+    this.render();
+    this.container.querySelector('details.smart-collection')?.scrollIntoView({ block: 'start', behavior: 'smooth' });
+  }
+
+  /**
+   * スマートコレクションの検索条件を検索欄・タグ・頻度・バッジの絞り込みに読み込みます（条件の調整用）。
+   * @private
+   * @param {SmartCollection} collection
+   */
+  _loadCollectionIntoSearch(collection) {
+    this._resetSearch();
+    this.searchQuery = collection.query || '';
+    this.selectedTags = [...(collection.tags || [])];
+    this.freqFilter = collection.freq || '';
+    this.badgeFilter = collection.badge || '';
+    document.getElementById('searchInput').value = this.searchQuery;
+    document.getElementById('searchClearBtn').style.display = this.searchQuery ? 'flex' : 'none';
+    document.querySelectorAll('.freq-chip').forEach(c => c.classList.toggle('active', c.dataset.freq === this.freqFilter));
+    document.getElementById('badgeFilterSelect').value = this.badgeFilter;
+    this._updateSearchQueryError();
+    this._updateTagPanel();
+    this.render();
+  }
+
+  /**
+   * サイドバーのスマートコレクション一覧を描画します（件数は現在のデータで数え直します）。
+   * @private
+   */
+  _renderCollectionList() {
+    const panel = document.getElementById('smartCollectionPanel');
+    const list = document.getElementById('smartCollectionList');
+    const collections = this.dataManager.getCollections();
+    panel.hidden = collections.length === 0;
+    list.innerHTML = '';
+    if (!this.searchManager) return;
+
+    collections.forEach(collection => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'smart-collection-item';
+      button.classList.toggle('active', collection.id === this.activeCollectionId);
+      button.setAttribute('aria-pressed', String(collection.id === this.activeCollectionId));
+      button.title = [collection.query, ...(collection.tags || []).map(t => `#${t}`)].filter(Boolean).join(' ');
+      const title = document.createElement('span');
+      title.className = 'smart-collection-title';
+      title.textContent = collection.title;
+      const count = document.createElement('span');
+      count.className = 'smart-collection-count';
+      count.textContent = this._collectionLinks(collection).length;
+      button.appendChild(title);
+      button.appendChild(count);
+      button.addEventListener('click', () => {
+        if (collection.id === this.activeCollectionId && !this._isSearchActive()) {
+          this.activeCollectionId = null;
+          this.render();
+        } else {
+          this._showCollection(collection.id);
+        }
       });
-      section.appendChild(grid);
-      this.container.appendChild(section);
+      item.appendChild(button);
+
+      item.appendChild(this._createCardActionButton('<span class="icon icon-xs">edit</span>', () => {
+        const title = prompt('スマートコレクションの名前を入力してください:', collection.title);
+        if (title && title.trim()) {
+          this.dataManager.updateCollection(this.configManager.getActivePortalId(), collection.id, { title: title.trim() });
+          this.render();
+        }
+      }, '名前を変更'));
+      item.appendChild(this._createCardActionButton('<span class="icon icon-xs">delete</span>', () => {
+        if (confirm(`スマートコレクション「${collection.title}」を削除しますか？\nリンクは削除されません。`)) {
+          this.dataManager.deleteCollection(this.configManager.getActivePortalId(), collection.id);
+          this.render();
+        }
+      }, '削除'));
+      list.appendChild(item);
     });
   }
 
+  /**
+   * スマートコレクションを、条件に一致するリンクを集めた仮想カテゴリとして描画します。
+   * リンクが追加・変更されるたびに描画し直すため、常に最新の一致を表示します。
+   * @private
+   * @param {SmartCollection} collection
+   */
+  _renderSmartCollection(collection) {
+    const results = this._collectionLinks(collection);
+    const details = document.createElement('details');
+    details.className = 'smart-collection';
+    details.open = true;
+
+    const summary = document.createElement('summary');
+    const summaryContent = document.createElement('div');
+    summaryContent.className = 'summary-content';
+    const icon = document.createElement('span');
+    icon.className = 'icon icon-sm';
+    icon.style.color = 'var(--primary)';
+    icon.textContent = 'auto_awesome_motion';
+    const title = document.createElement('span');
+    title.textContent = `${collection.title}（${results.length}）`;
+    summaryContent.appendChild(icon);
+    summaryContent.appendChild(title);
+
+    const groupActions = document.createElement('div');
+    groupActions.className = 'group-actions';
+    if (!this.isEditMode && results.length > 0) {
+      const openBtn = this._createActionButton('<span class="icon icon-sm">open_in_new</span> 一括で開く', 'action-btn btn-open',
+        () => this.openCategoryLinks({ title: collection.title, links: results.map(r => r.link) }));
+      openBtn.title = 'このコレクションのリンクをすべて開く';
+      groupActions.appendChild(openBtn);
+    }
+    groupActions.appendChild(this._createActionButton('<span class="icon icon-sm">tune</span>', 'action-btn btn-edit',
+      () => this._loadCollectionIntoSearch(collection), '検索条件を検索欄に読み込む'));
+    groupActions.appendChild(this._createActionButton('<span class="icon icon-sm">close</span>', 'action-btn btn-edit', () => {
+      this.activeCollectionId = null;
+      this.render();
+    }, 'コレクションを閉じる'));
+    summaryContent.appendChild(groupActions);
+    summary.appendChild(summaryContent);
+
+    const chevron = document.createElement('span');
+    chevron.className = 'icon icon-lg summary-chevron';
+    chevron.textContent = 'expand_more';
+    summary.appendChild(chevron);
+    details.appendChild(summary);
+
+    if (results.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'smart-collection-empty';
+      empty.textContent = '条件に一致するリンクはありません。';
+      details.appendChild(empty);
+    } else {
+      const linkList = document.createElement('div');
+      linkList.className = this.viewMode === 'table' ? 'link-list link-list-table' : 'link-list';
+      results.forEach(({ link, catId }) => {
+        // 仮想カテゴリ内の並びは検索結果の順のため、ドラッグでの並び替えもドロップ先にもできない
+        const el = this.viewMode === 'table'
+          ? this._createTableRow(link, catId, 0, 0, { sortable: false })
+          : this._createLinkCard(link, catId, 0, 0, { sortable: false });
+        linkList.appendChild(el);
+      });
+      details.appendChild(linkList);
+    }
+    this.container.appendChild(details);
+  }
+
   // ─────────────────────────────────────────────────────────
   // 思い出しモード
   // ─────────────────────────────────────────────────────────
@@ -873,6 +1782,9 @@ export class UI {
     `;
     this.container.appendChild(header);
 
+    const dueWorkflows = this._getDueWorkflows();
+    if (dueWorkflows.length > 0) this.container.appendChild(this._createDueWorkflowSection(dueWorkflows));
+
     // 最近使った
     this._renderMemorySection(
       '最近使った',
@@ -1053,6 +1965,23 @@ export class UI {
     pdfBtn.addEventListener('click', () => this._exportWorkflowAsPdf());
     headerBtns.appendChild(pdfBtn);
 
+    const mdBtn = document.createElement('button');
+    mdBtn.type = 'button';
+    mdBtn.className = 'secondary-btn';
+    mdBtn.innerHTML = '<span class="icon icon-sm">markdown</span> Markdown出力';
+    mdBtn.style.cssText = 'font-size:0.85rem;';
+    mdBtn.addEventListener('click', () => this._exportWorkflowAsMarkdown());
+    headerBtns.appendChild(mdBtn);
+
+    const icsBtn = document.createElement('button');
+    icsBtn.type = 'button';
+    icsBtn.className = 'secondary-btn';
+    icsBtn.innerHTML = '<span class="icon icon-sm">calendar_month</span> カレンダー出力';
+    icsBtn.title = '繰り返しの予定・頻度のあるフローを、カレンダーアプリに取り込める .ics ファイルとして書き出します';
+    icsBtn.style.cssText = 'font-size:0.85rem;';
+    icsBtn.addEventListener('click', () => this._exportWorkflowAsCalendar());
+    headerBtns.appendChild(icsBtn);
+
     const editBtn = document.createElement('button');
     editBtn.type = 'button';
     editBtn.className = 'secondary-btn';
@@ -1067,6 +1996,9 @@ export class UI {
 
     this.container.appendChild(header);
 
+    const dueWorkflows = this._getDueWorkflows();
+    if (dueWorkflows.length > 0) this.container.appendChild(this._createDueWorkflowSection(dueWorkflows));
+
     if (workflows.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'workflow-empty';
@@ -1090,6 +2022,7 @@ export class UI {
     sorted.forEach(wf => {
       const card = document.createElement('details');
       card.className = 'workflow-card';
+      card.dataset.workflowId = wf.id;
       card.open = true;
 
       const freqLabel = { daily: '毎日', weekly: '週次', monthly: '月次', rare: 'たまに' }[wf.freq] || '';
@@ -1110,6 +2043,7 @@ export class UI {
         <span class="icon icon-lg summary-chevron">expand_more</span>
       `;
       card.appendChild(summary);
+      if (wf.steps.length > 0 && this.workflowRunDialog) card.appendChild(this._createWorkflowRunBar(portalId, wf));
 
       const stepsDiv = document.createElement('div');
       stepsDiv.className = 'workflow-steps';
@@ -1267,6 +2201,174 @@ export class UI {
     });
   }
 
+  /**
+   * ワークフローカードに表示する実行バー（進行中の実行の進み具合・前回の完了日時と、実行／再開ボタン）を作成します。
+   * @private
+   * @param {string} portalId
+   * @param {Workflow} wf
+   * @returns {HTMLElement}
+   */
+  _createWorkflowRunBar(portalId, wf) {
+    const bar = document.createElement('div');
+    bar.className = 'workflow-run-bar';
+
+    const status = document.createElement('span');
+    status.className = 'workflow-run-status';
+    const run = this.workflowRunManager.getActiveRun(portalId, wf.id);
+    const [lastRun] = this.workflowRunManager.getHistory(portalId, wf.id);
+    const scheduleStatus = this.workflowRunManager.getScheduleStatus(portalId, wf);
+    const texts = [];
+    if (scheduleStatus) {
+      texts.push(`${describeSchedule(wf.schedule)}（${this._describeScheduleStatus(scheduleStatus)}）`);
+      if (scheduleStatus.state !== 'upcoming') bar.classList.add('due');
+    }
+    if (run) {
+      const { done, total } = this.workflowRunManager.getProgress(run);
+      texts.push(`${run.pausedAt ? '一時停止中' : '実行中'}（${done} / ${total}）`);
+      bar.classList.add('in-progress');
+    }
+    if (lastRun) {
+      texts.push(`前回の完了: ${new Date(lastRun.finishedAt).toLocaleDateString('ja-JP')}`);
+    }
+    status.textContent = texts.join(' ・ ') || 'まだ実行していません';
+    bar.appendChild(status);
+
+    if (workflowRecurrence(wf, toDateKey(new Date()))) {
+      const icsBtn = document.createElement('button');
+      icsBtn.type = 'button';
+      icsBtn.className = 'action-btn';
+      icsBtn.innerHTML = '<span class="icon icon-sm">calendar_add_on</span>';
+      icsBtn.title = 'このフローをカレンダー（.ics）に書き出す';
+      icsBtn.addEventListener('click', () => this._exportWorkflowAsCalendar(wf.id));
+      bar.appendChild(icsBtn);
+    }
+    bar.appendChild(this._createWorkflowRunButton(portalId, wf));
+    return bar;
+  }
+
+  /**
+   * ワークフローの実行ボタン（進行中の実行があれば「再開」）を作成します。
+   * @private
+   * @param {string} portalId
+   * @param {Workflow} wf
+   * @returns {HTMLButtonElement}
+   */
+  _createWorkflowRunButton(portalId, wf) {
+    const run = this.workflowRunManager.getActiveRun(portalId, wf.id);
+    const runBtn = document.createElement('button');
+    runBtn.type = 'button';
+    runBtn.className = run ? 'primary-btn' : 'secondary-btn';
+    runBtn.style.cssText = 'font-size:0.8rem;padding:4px 12px;';
+    runBtn.innerHTML = run
+      ? '<span class="icon icon-sm">play_arrow</span> 再開'
+      : '<span class="icon icon-sm">play_circle</span> 実行';
+    runBtn.addEventListener('click', () => this.workflowRunDialog.open(wf));
+    return runBtn;
+  }
+
+  /**
+   * 予定の期限の状態を「今日が予定日」「3日超過（10月25日（土））」「次回 11月25日（火）」のような文字列にします。
+   * @private
+   * @param {ScheduleStatus} status
+   * @returns {string}
+   */
+  _describeScheduleStatus(status) {
+    if (status.state === 'due') return '今日が予定日';
+    if (status.state === 'overdue') return `${status.overdueDays}日超過・${formatDateKey(status.occurrence)}`;
+    return status.occurrence ? `次回 ${formatDateKey(status.occurrence)}` : '次の予定日はありません';
+  }
+
+  /**
+   * 現在のポータルで予定日が今日か期限切れのワークフローを、期限を過ぎた日数の多い順に返します。
+   * @private
+   * @returns {Array<{workflow: Workflow, status: ScheduleStatus}>}
+   */
+  _getDueWorkflows() {
+    if (!this.workflowManager || !this.workflowRunManager || !this.workflowRunDialog) return [];
+    const portalId = this.configManager.getActivePortalId();
+    return this.workflowManager.getWorkflows(portalId)
+      .map(workflow => ({ workflow, status: this.workflowRunManager.getScheduleStatus(portalId, workflow) }))
+      .filter(({ status }) => status && status.state !== 'upcoming')
+      .sort((a, b) => b.status.overdueDays - a.status.overdueDays);
+  }
+
+  /**
+   * 予定日が今日か期限切れのワークフローの一覧を作成します（ワークフローモードと思い出しモードの先頭に表示）。
+   * @private
+   * @param {Array<{workflow: Workflow, status: ScheduleStatus}>} dueWorkflows
+   * @returns {HTMLElement}
+   */
+  _createDueWorkflowSection(dueWorkflows) {
+    const portalId = this.configManager.getActivePortalId();
+    const section = document.createElement('div');
+    section.className = 'memory-section workflow-due-section';
+
+    const sectionHeader = document.createElement('div');
+    sectionHeader.className = 'memory-section-header';
+    sectionHeader.innerHTML = `
+      <span class="icon icon-sm" style="color:var(--danger)">event_upcoming</span>
+      <span>予定日の作業フロー</span>
+      <span class="memory-count">${dueWorkflows.length}件</span>
+    `;
+    section.appendChild(sectionHeader);
+
+    const list = document.createElement('ul');
+    list.className = 'workflow-due-list';
+    dueWorkflows.forEach(({ workflow, status }) => {
+      const item = document.createElement('li');
+      item.className = `workflow-due-item ${status.state}`;
+
+      const title = document.createElement('button');
+      title.type = 'button';
+      title.className = 'workflow-due-title';
+      title.innerHTML = '<span class="icon icon-sm">account_tree</span> ';
+      title.appendChild(document.createTextNode(workflow.title));
+      title.title = 'ワークフローを表示';
+      title.addEventListener('click', () => this.revealItem(portalId, { type: 'workflow', id: workflow.id }));
+
+      const label = document.createElement('span');
+      label.className = 'workflow-due-status';
+      label.textContent = `${describeSchedule(workflow.schedule)}・${this._describeScheduleStatus(status)}`;
+
+      item.appendChild(title);
+      item.appendChild(label);
+      item.appendChild(this._createWorkflowRunButton(portalId, workflow));
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * 現在のポータルのワークフローを Markdown としてダウンロードします（リンク一覧は含めません）。
+   * @private
+   */
+  _exportWorkflowAsMarkdown() {
+    const portalId = this.configManager.getActivePortalId();
+    const portal = this.configManager.getActivePortal();
+    const workflows = this.workflowManager ? this.workflowManager.getWorkflows(portalId) : [];
+
+    if (workflows.length === 0) {
+      alert('エクスポートするワークフローがありません。');
+      return;
+    }
+    this.dataManager.exportMarkdown([{ id: portalId, title: portal?.title || portalId, subtitle: portal?.subtitle || '' }], { includeLinks: false });
+  }
+
+  /**
+   * 現在のポータルの繰り返しの予定・頻度のあるワークフローを iCalendar（.ics）としてダウンロードします。
+   * @private
+   * @param {string|null} [workflowId=null] - 1つのワークフローだけを書き出す場合のID。
+   */
+  _exportWorkflowAsCalendar(workflowId = null) {
+    const portalId = this.configManager.getActivePortalId();
+    const portal = this.configManager.getActivePortal();
+    const count = this.dataManager.exportCalendar(portalId, { title: portal?.title || portalId, workflowId });
+    if (count === 0) {
+      alert('カレンダーに書き出せるワークフローがありません。\n繰り返しの予定、または頻度（毎日・週次・月次）を設定してください。');
+    }
+  }
+
   /**
    * ワークフロービューの内容をPDFエクスポート用HTMLとして新規ウィンドウで開きます。
    * ブラウザの印刷機能でPDFとして保存可能です。
@@ -1395,16 +2497,19 @@ export class UI {
    * @param {string} catId - 親カテゴリのID。
    * @param {number} catIndex - 親カテゴリのインデックス。
    * @param {number} linkIndex - リンクのインデックス。
+   * @param {object} [options]
+   * @param {boolean} [options.sortable=true] - 編集モードでドラッグ・ドロップによる並び替えを有効にするか。
    * @returns {HTMLDivElement} 作成されたラッパー要素。
    */
-  _createTableRow(link, catId, catIndex, linkIndex) {
+  _createTableRow(link, catId, catIndex, linkIndex, { sortable = true } = {}) {
     const wrapper = document.createElement('div');
     wrapper.className = 'table-row-wrapper';
+    wrapper.dataset.linkId = link.id;
 
-    if (this.isEditMode) {
+    if (this.isEditMode && sortable) {
       wrapper.draggable = true;
       wrapper.addEventListener('dragstart', (e) => this._handleDragStart(e, { type: 'link', catIndex, index: linkIndex }));
-      wrapper.addEventListener('dragover', (e) => this._handleDragOver(e));
+      wrapper.addEventListener('dragover', (e) => this._handleDragOver(e, { type: 'link', catIndex, index: linkIndex }));
       wrapper.addEventListener('drop', (e) => this._handleDrop(e, { type: 'link', catIndex, index: linkIndex }));
       wrapper.addEventListener('dragend', (e) => this._handleDragEnd(e));
     }
@@ -1460,7 +2565,7 @@ export class UI {
 
       const editBtn = this._createCardActionButton('<span class="icon icon-sm">edit</span>', () => this.linkDialog.open(catId, link.id), 'リンクを編集');
       const delBtn = this._createCardActionButton('<span class="icon icon-sm">delete</span>', () => {
-        if (confirm(`リンク「${link.title}」を削除しますか？`)) {
+        if (confirm(`リンク「${link.title}」をゴミ箱に移動しますか？`)) {
           this.dataManager.deleteLink(catId, link.id);
           this.render();
         }
@@ -1468,6 +2573,9 @@ export class UI {
       delBtn.classList.add('btn-delete');
 
       cardActions.appendChild(editBtn);
+      if (this.portalTransferDialog?.hasOtherPortals()) {
+        cardActions.appendChild(this._createCardActionButton('<span class="icon icon-sm">drive_file_move</span>', () => this.portalTransferDialog.open('link', catId, link.id), '別のポータルへ移動・コピー'));
+      }
       cardActions.appendChild(delBtn);
       wrapper.appendChild(cardActions);
     }
@@ -1506,10 +2614,8 @@ export class UI {
    * @param {DragInfo} info - ドラッグ中の要素に関する情報。
    */
   _handleDragStart(e, info) {
-    // summary要素でのdragstartがdetails要素に伝播しないようにする
-    if (e.target.tagName === 'SUMMARY') {
-      e.stopPropagation();
-    }
+    // リンクやsummary要素でのdragstartが親のdetails要素（カテゴリ）に伝播しないようにする
+    e.stopPropagation();
     this.draggedInfo = info;
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', null); // Firefoxで必須
@@ -1532,23 +2638,46 @@ export class UI {
   /**
    * ドラッグ中の要素がドロップターゲット上にあるときに呼び出されます。
    * ドロップ位置に応じてプレースホルダーを挿入します。
+   * リンクをカテゴリ（リンク以外の部分）の上に重ねた場合は、そのカテゴリの末尾に移動する位置を示します。
+   * 閉じているカテゴリの場合は、カテゴリ自体をドロップ先として強調表示します。
    * @private
    * @param {DragEvent} e - ドラッグイベントオブジェクト。
+   * @param {object} targetInfo - ドロップターゲットの情報。
+   * @param {'category'|'link'} targetInfo.type - ドロップターゲットの要素タイプ。
    */
-  _handleDragOver(e) {
+  _handleDragOver(e, targetInfo) {
     e.preventDefault(); // ドロップを許可する
     const targetElement = e.currentTarget;
     
     // プレースホルダーが存在しない場合や、ターゲットがプレースホルダー自身の場合は処理しない
-    if (!this.placeholder || targetElement.classList.contains('drag-placeholder')) {
+    if (!this.draggedInfo || !this.placeholder || targetElement.classList.contains('drag-placeholder')) {
         return;
     }
 
-    const rect = targetElement.getBoundingClientRect();
     const isCategory = this.draggedInfo.type === 'category';
-    // 垂直方向のD&D（カテゴリ）か水平方向のD&D（リンク）かで中央点を計算
-    const midpoint = isCategory ? rect.top + rect.height / 2 : rect.left + rect.width / 2;
-    const clientPos = isCategory ? e.clientY : e.clientX;
+    // カテゴリをリンクの上に重ねた場合は、親のdetails要素（カテゴリ）で処理する
+    if (isCategory && targetInfo.type === 'link') {
+        return;
+    }
+    e.stopPropagation();
+    this._clearDropTarget();
+
+    if (!isCategory && targetInfo.type === 'category') {
+        const linkList = targetElement.querySelector('.link-list');
+        if (targetElement.open && linkList) {
+            linkList.insertBefore(this.placeholder, linkList.querySelector('.add-link-placeholder'));
+        } else {
+            this.placeholder.remove();
+            targetElement.classList.add('drop-target');
+        }
+        return;
+    }
+
+    const rect = targetElement.getBoundingClientRect();
+    // 垂直方向のD&D（カテゴリ・テーブル行）か水平方向のD&D（リンクカード）かで中央点を計算
+    const isVertical = isCategory || targetElement.classList.contains('table-row-wrapper');
+    const midpoint = isVertical ? rect.top + rect.height / 2 : rect.left + rect.width / 2;
+    const clientPos = isVertical ? e.clientY : e.clientX;
 
     // プレースホルダーを挿入する位置を決定
     if (clientPos < midpoint) {
@@ -1564,7 +2693,7 @@ export class UI {
 
   /**
    * ドラッグ中の要素がドロップされたときに呼び出されます。
-   * データの並び替えを行い、UIを更新します。
+   * データの並び替え（リンクは別のカテゴリへの移動を含む）を行い、UIを更新します。
    * @private
    * @param {DragEvent} e - ドラッグイベントオブジェクト。
    * @param {object} dropTargetInfo - ドロップターゲットの情報。
@@ -1580,19 +2709,19 @@ export class UI {
 
     // ドロップターゲットがプレースホルダー自身なら何もしない
     if (e.currentTarget.classList.contains('drag-placeholder')) return;
+
+    if (this.draggedInfo.type === 'link') {
+        this._dropLink(e, dropTargetInfo);
+        return;
+    }
     
     let fromIndex = this.draggedInfo.index;
     let toIndex = dropTargetInfo.index;
-    
-    // 異なるカテゴリ間でのリンク移動は許可しない
-    if (this.draggedInfo.type === 'link' && this.draggedInfo.catIndex !== dropTargetInfo.catIndex) {
-        this._cleanupDragStyles(); // クリーンアップのみ行って終了
-        return;
-    }
 
     // toIndexをプレースホルダーの位置に基づいて再計算する
-    // e.currentTarget.parentNode は .link-list または #app-container
-    const children = Array.from(e.currentTarget.parentNode.children);
+    // e.currentTarget.parentNode は #app-container。先頭のスマートコレクションなどカテゴリ以外の要素は数えない
+    const children = Array.from(e.currentTarget.parentNode.children)
+      .filter(el => el === this.placeholder || el.dataset.categoryId !== undefined);
     const placeholderIndex = children.indexOf(this.placeholder);
     
     if (placeholderIndex !== -1) {
@@ -1609,21 +2738,52 @@ export class UI {
        }
     }
 
-    if (this.draggedInfo.type === 'category') {
-        if (fromIndex !== toIndex) {
-            this.dataManager.moveCategory(fromIndex, toIndex);
-        }
-    } else if (this.draggedInfo.type === 'link') {
-        // 同じカテゴリ内でリンクを移動
-        if (fromIndex !== toIndex) { // fromIndexとtoIndexが異なる場合のみ移動
-            this.dataManager.moveLink(this.draggedInfo.catIndex, fromIndex, toIndex);
-        }
+    if (fromIndex !== toIndex) {
+        this.dataManager.moveCategory(fromIndex, toIndex);
     }
     
     this._cleanupDragStyles(); // ドラッグスタイルとプレースホルダーをクリーンアップ
     this.render(); // UIを即座に更新して変更を反映
   }
 
+  /**
+   * ドラッグ中のリンクを、プレースホルダーの位置（同じカテゴリ内または別のカテゴリ）へ移動します。
+   * カテゴリ（閉じている場合を含む）の上にドロップした場合、プレースホルダーが無ければそのカテゴリの末尾へ移動します。
+   * @private
+   * @param {DragEvent} e - ドラッグイベントオブジェクト。
+   * @param {{type: 'category'|'link', index: number, catIndex?: number}} dropTargetInfo - ドロップターゲットの情報。
+   */
+  _dropLink(e, dropTargetInfo) {
+    const { catIndex: fromCatIndex, index: fromIndex } = this.draggedInfo;
+    const toCatIndex = dropTargetInfo.type === 'link' ? dropTargetInfo.catIndex : dropTargetInfo.index;
+    // e.currentTarget はリンクの場合 .link-list 内の要素、カテゴリの場合は details 要素
+    const linkList = dropTargetInfo.type === 'link' ? e.currentTarget.parentNode : e.currentTarget.querySelector('.link-list');
+
+    let toIndex;
+    const placeholderIndex = linkList ? Array.from(linkList.children).indexOf(this.placeholder) : -1;
+    if (placeholderIndex !== -1) {
+        toIndex = placeholderIndex;
+        // 同じカテゴリ内で後ろへ移動する場合、元の要素が取り除かれる分だけインデックスを詰める
+        if (fromCatIndex === toCatIndex && fromIndex < placeholderIndex) {
+            toIndex--;
+        }
+    } else if (dropTargetInfo.type === 'link') {
+        toIndex = dropTargetInfo.index;
+    }
+
+    this.dataManager.moveLinkToCategory(fromCatIndex, fromIndex, toCatIndex, toIndex);
+    this._cleanupDragStyles();
+    this.render();
+  }
+
+  /**
+   * 閉じたカテゴリに付けたドロップ先の強調表示を解除します。
+   * @private
+   */
+  _clearDropTarget() {
+    document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+  }
+
   /**
    * ドラッグ操作が終了したときに呼び出されます。
    * @private
@@ -1644,6 +2804,8 @@ export class UI {
         draggingElement.classList.remove('dragging');
     }
     
+    this._clearDropTarget();
+
     // プレースホルダーをDOMから削除
     if (this.placeholder) {
       this.placeholder.remove();
@@ -20,9 +20,15 @@
  * @property {string} description - ワークフローの説明
  * @property {string[]} tags - タグ配列
  * @property {string} freq - 頻度 ('daily'|'weekly'|'monthly'|'rare')
+ * @property {WorkflowSchedule} [schedule] - 繰り返しの予定（予定日の計算に使用。省略可）
  * @property {WorkflowStep[]} steps - ステップ配列
  */
 
+/**
+ * @description `_generateId` の連番。同じミリ秒に続けて生成しても ID が重複しないようにします。
+ */
+let idSequence = 0;
+
 /**
  * @class WorkflowManager
  * @brief ポータルごとのワークフローを管理します。
@@ -101,15 +107,16 @@ export class WorkflowManager {
   }
 
   /**
-   * ワークフローを削除します。
+   * ワークフローをゴミ箱に移動します。
    * @param {string} portalId
    * @param {string} workflowId
    */
   deleteWorkflow(portalId, workflowId) {
-    if (this.dataManager.allWorkflows[portalId]) {
-      this.dataManager.allWorkflows[portalId] =
-        this.dataManager.allWorkflows[portalId].filter(w => w.id !== workflowId);
-      this.dataManager.markAsDirty();
+    const workflows = this.dataManager.allWorkflows[portalId] || [];
+    const index = workflows.findIndex(w => w.id === workflowId);
+    if (index !== -1) {
+      const [wf] = workflows.splice(index, 1);
+      this.dataManager.moveToTrash(portalId, 'workflow', wf, { index });
     }
   }
 
@@ -168,6 +175,6 @@ export class WorkflowManager {
    * @private
    */
   _generateId(prefix) {
-    return `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    return `${prefix}_${Date.now()}_${idSequence++}`;
   }
 }
@@ -0,0 +1,324 @@
+/**
+ * @file workflowRunManager.js
+ * @brief ワークフローの実行（ステップのチェック・メモ・一時停止）と完了した実行の記録をlocalStorageで管理するクラス。
+ * @module WorkflowRunManager
+ */
+
+import { getScheduleStatus, toDateKey } from './workflowSchedule.js';
+
+/**
+ * @typedef {object} WorkflowRunStep
+ * @property {string} title - ステップのタイトル（開始時点の内容）。
+ * @property {string} memo - ステップのメモ（開始時点の内容）。
+ * @property {string|null} linkId - 関連リンクのID。
+ * @property {number|null} checkedAt - チェックした日時（未チェックは `null`）。
+ */
+
+/**
+ * @typedef {object} WorkflowRun
+ * @property {string} id - 実行のID。
+ * @property {string} portalId - ワークフローが属するポータルのID。
+ * @property {string} workflowId - ワークフローのID。
+ * @property {string} workflowTitle - ワークフローのタイトル（開始時点の内容）。
+ * @property {number} startedAt - 開始日時。
+ * @property {number|null} pausedAt - 一時停止した日時（実行中は `null`）。
+ * @property {number|null} finishedAt - 完了した日時（完了前は `null`）。
+ * @property {string|null} [occurrence] - この実行で実施済みにした予定日（`YYYY-MM-DD`。予定の無いフローや予定分としない場合は `null`）。
+ * @property {number} currentStep - 表示中のステップの位置。
+ * @property {Array<WorkflowRunStep>} steps - ステップごとのチェック状態。
+ * @property {string} notes - この実行のメモ。
+ */
+
+/**
+ * @constant {number} HISTORY_LIMIT
+ * @description 記録しておく完了した実行の最大数（古いものから削除します）。
+ */
+const HISTORY_LIMIT = 200;
+
+/**
+ * @constant {number} OCCURRENCE_LIMIT
+ * @description ワークフローごとに記録しておく実施済みの予定日の最大数（古い日付から削除します）。
+ */
+const OCCURRENCE_LIMIT = 100;
+
+/**
+ * @class WorkflowRunManager
+ * @brief ワークフローごとに進行中の実行を1つ保持し、完了した実行を開始・終了日時とともに記録します。
+ *        ステップは開始時点の内容を写し取るため、実行中にフローを編集しても進行状況は崩れません。
+ *        data.json は汚染しません。
+ */
+export class WorkflowRunManager {
+  static STORAGE_KEY = 'portalWorkflowRuns_v1';
+
+  /**
+   * @property {{active: Object<string, Object<string, WorkflowRun>>, history: Array<WorkflowRun>, occurrences: Object<string, Object<string, string[]>>}} _data
+   *           進行中の実行（ポータルID → ワークフローID）、完了した実行（古い順）、実施済みの予定日（ポータルID → ワークフローID）。
+   *           実施済みの予定日は、完了した実行の記録が上限で削除されても残るように別に保持します。
+   */
+  _data = { active: {}, history: [], occurrences: {} };
+
+  constructor() {
+    this._data = this._load();
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(WorkflowRunManager.STORAGE_KEY)) || {};
+      const loaded = { active: data.active || {}, history: Array.isArray(data.history) ? data.history : [], occurrences: data.occurrences || {} };
+      // 実施済みの予定日を別に保持する前の記録は、完了した実行から復元する
+      if (!data.occurrences) {
+        loaded.history.forEach(run => {
+          if (run.occurrence) this._addOccurrence(loaded.occurrences, run.portalId, run.workflowId, run.occurrence);
+        });
+      }
+      return loaded;
+    } catch {
+      return { active: {}, history: [], occurrences: {} };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    localStorage.setItem(WorkflowRunManager.STORAGE_KEY, JSON.stringify(this._data));
+  }
+
+  /**
+   * 進行中の実行を返します。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @returns {WorkflowRun|null}
+   */
+  getActiveRun(portalId, workflowId) {
+    return this._data.active[portalId]?.[workflowId] || null;
+  }
+
+  /**
+   * ワークフローの実行を開始します。進行中の実行がある場合は破棄して最初からやり直します。
+   * @param {string} portalId
+   * @param {Workflow} workflow
+   * @param {number} [now=Date.now()] - 現在時刻（テスト用）。
+   * @returns {WorkflowRun}
+   */
+  startRun(portalId, workflow, now = Date.now()) {
+    const run = {
+      id: `run_${now}_${Math.floor(Math.random() * 1000)}`,
+      portalId,
+      workflowId: workflow.id,
+      workflowTitle: workflow.title,
+      startedAt: now,
+      pausedAt: null,
+      finishedAt: null,
+      currentStep: 0,
+      steps: workflow.steps.map(step => ({
+        title: step.title,
+        memo: step.memo || '',
+        linkId: step.linkId || null,
+        checkedAt: null
+      })),
+      notes: ''
+    };
+    if (!this._data.active[portalId]) this._data.active[portalId] = {};
+    this._data.active[portalId][workflow.id] = run;
+    this._save();
+    return run;
+  }
+
+  /**
+   * 進行中の実行を取得し、変更を加えて保存します。
+   * @private
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {function(WorkflowRun): void} change
+   * @returns {WorkflowRun|null} 進行中の実行が無い場合は `null`。
+   */
+  _updateRun(portalId, workflowId, change) {
+    const run = this.getActiveRun(portalId, workflowId);
+    if (!run) return null;
+    change(run);
+    this._save();
+    return run;
+  }
+
+  /**
+   * ステップのチェックを付けたり外したりします。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {number} stepIndex
+   * @param {boolean} checked
+   * @param {number} [now=Date.now()] - 現在時刻（テスト用）。
+   * @returns {WorkflowRun|null}
+   */
+  setStepChecked(portalId, workflowId, stepIndex, checked, now = Date.now()) {
+    return this._updateRun(portalId, workflowId, run => {
+      const step = run.steps[stepIndex];
+      if (step) step.checkedAt = checked ? (step.checkedAt || now) : null;
+    });
+  }
+
+  /**
+   * 表示するステップを移動します（範囲外の位置は丸めます）。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {number} stepIndex
+   * @returns {WorkflowRun|null}
+   */
+  setCurrentStep(portalId, workflowId, stepIndex) {
+    return this._updateRun(portalId, workflowId, run => {
+      run.currentStep = Math.max(0, Math.min(stepIndex, run.steps.length - 1));
+    });
+  }
+
+  /**
+   * 実行のメモを更新します。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {string} notes
+   * @returns {WorkflowRun|null}
+   */
+  setNotes(portalId, workflowId, notes) {
+    return this._updateRun(portalId, workflowId, run => { run.notes = notes; });
+  }
+
+  /**
+   * 実行を一時停止します。進行状況はそのまま残り、後で再開できます。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {number} [now=Date.now()] - 現在時刻（テスト用）。
+   * @returns {WorkflowRun|null}
+   */
+  pauseRun(portalId, workflowId, now = Date.now()) {
+    return this._updateRun(portalId, workflowId, run => { run.pausedAt = now; });
+  }
+
+  /**
+   * 一時停止した実行を再開します。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @returns {WorkflowRun|null}
+   */
+  resumeRun(portalId, workflowId) {
+    return this._updateRun(portalId, workflowId, run => { run.pausedAt = null; });
+  }
+
+  /**
+   * 実行を完了し、完了した実行として記録します。未チェックのステップが残っていても完了できます。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {number} [now=Date.now()] - 現在時刻（テスト用）。
+   * @param {string|null} [occurrence=null] - この実行で実施済みにする予定日（`YYYY-MM-DD`）。
+   * @returns {WorkflowRun|null} 記録した実行（進行中の実行が無い場合は `null`）。
+   */
+  completeRun(portalId, workflowId, now = Date.now(), occurrence = null) {
+    const run = this.getActiveRun(portalId, workflowId);
+    if (!run) return null;
+    run.pausedAt = null;
+    run.finishedAt = now;
+    run.occurrence = occurrence;
+    this._removeActive(portalId, workflowId);
+    if (occurrence) this._addOccurrence(this._data.occurrences, portalId, workflowId, occurrence);
+    this._data.history.push(run);
+    if (this._data.history.length > HISTORY_LIMIT) {
+      this._data.history.splice(0, this._data.history.length - HISTORY_LIMIT);
+    }
+    this._save();
+    return run;
+  }
+
+  /**
+   * 進行中の実行を記録せずに破棄します。
+   * @param {string} portalId
+   * @param {string} workflowId
+   */
+  cancelRun(portalId, workflowId) {
+    if (!this.getActiveRun(portalId, workflowId)) return;
+    this._removeActive(portalId, workflowId);
+    this._save();
+  }
+
+  /**
+   * @private
+   * @param {string} portalId
+   * @param {string} workflowId
+   */
+  _removeActive(portalId, workflowId) {
+    delete this._data.active[portalId][workflowId];
+    if (Object.keys(this._data.active[portalId]).length === 0) delete this._data.active[portalId];
+  }
+
+  /**
+   * 実施済みの予定日を記録します。ワークフローごとに新しい日付から OCCURRENCE_LIMIT 件まで残します。
+   * @private
+   * @param {Object<string, Object<string, string[]>>} occurrences
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @param {string} occurrence - 予定日（`YYYY-MM-DD`）。
+   */
+  _addOccurrence(occurrences, portalId, workflowId, occurrence) {
+    if (!occurrences[portalId]) occurrences[portalId] = {};
+    const dates = new Set(occurrences[portalId][workflowId] || []);
+    dates.add(occurrence);
+    occurrences[portalId][workflowId] = [...dates].sort().reverse().slice(0, OCCURRENCE_LIMIT);
+  }
+
+  /**
+   * ワークフローの完了した実行を新しい順で返します。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @returns {Array<WorkflowRun>}
+   */
+  getHistory(portalId, workflowId) {
+    return this._data.history
+      .filter(run => run.portalId === portalId && run.workflowId === workflowId)
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+  }
+
+  /**
+   * ワークフローの実施済みの予定日を新しい順で返します。完了した実行の記録が削除された後も残ります。
+   * @param {string} portalId
+   * @param {string} workflowId
+   * @returns {string[]}
+   */
+  getSatisfiedOccurrences(portalId, workflowId) {
+    return [...(this._data.occurrences[portalId]?.[workflowId] || [])];
+  }
+
+  /**
+   * 繰り返しの予定があるワークフローの期限の状態を、完了した実行の記録をもとに判定します。
+   * @param {string} portalId
+   * @param {Workflow} workflow
+   * @param {string} [todayKey] - 今日の日付（`YYYY-MM-DD`。テスト用）。
+   * @returns {ScheduleStatus|null} 予定の無いワークフローは `null`。
+   */
+  getScheduleStatus(portalId, workflow, todayKey = toDateKey(new Date())) {
+    if (!workflow.schedule) return null;
+    return getScheduleStatus(workflow.schedule, this.getSatisfiedOccurrences(portalId, workflow.id), todayKey);
+  }
+
+  /**
+   * 実行の進み具合（チェック済みのステップ数と全ステップ数）を返します。
+   * @param {WorkflowRun} run
+   * @returns {{ done: number, total: number }}
+   */
+  getProgress(run) {
+    return { done: run.steps.filter(step => step.checkedAt).length, total: run.steps.length };
+  }
+
+  /**
+   * 実行にかかった時間を「○時間○分」形式に変換します（一時停止していた時間も含みます）。
+   * @param {WorkflowRun} run
+   * @returns {string}
+   */
+  formatDuration(run) {
+    const minutes = Math.max(0, Math.round(((run.finishedAt || Date.now()) - run.startedAt) / 60000));
+    if (minutes < 60) return `${minutes}分`;
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}日${hours}時間`;
+    return `${hours}時間${minutes % 60}分`;
+  }
+}
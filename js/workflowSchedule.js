@@ -0,0 +1,187 @@
+/**
+ * @file workflowSchedule.js
+ * @brief ワークフローの繰り返しの予定（毎月25日・平日・毎年3月1日など）から予定日を求め、期限の状態を判定するユーティリティ。
+ *        日付はすべてローカル時刻の `YYYY-MM-DD` 形式の文字列で扱います。
+ * @module workflowSchedule
+ */
+
+/**
+ * @typedef {object} WorkflowSchedule
+ * @property {'daily'|'weekdays'|'weekly'|'monthly'|'yearly'} type - 繰り返しの種類。
+ * @property {number[]} [weekdays] - 曜日（0 = 日曜 〜 6 = 土曜。`weekly` のみ）。
+ * @property {number} [day] - 日（1〜31。月の日数を超える場合は月末。`monthly`・`yearly` のみ）。
+ * @property {number} [month] - 月（1〜12。`yearly` のみ）。
+ * @property {string} [start] - 予定を数え始める日（`YYYY-MM-DD`。これより前の予定日は無視します）。
+ */
+
+/**
+ * @typedef {object} ScheduleStatus
+ * @property {'overdue'|'due'|'upcoming'} state - 期限切れ／今日が予定日／次の予定日を待っている。
+ * @property {string|null} occurrence - 対象の予定日（期限切れ・今日の場合はその日、それ以外は次の予定日）。
+ * @property {number} overdueDays - 期限を過ぎた日数（期限切れ以外は 0）。
+ */
+
+/**
+ * @constant {number} SEARCH_DAYS
+ * @description 予定日を探す最大の日数（毎年の予定でも必ず見つかる長さ）。
+ */
+const SEARCH_DAYS = 400;
+
+/**
+ * @constant {string[]} WEEKDAY_LABELS
+ * @description 曜日の表示名（日曜始まり）。
+ */
+export const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 日付を `YYYY-MM-DD`（ローカル時刻）に変換します。
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * `YYYY-MM-DD` をローカル時刻の0時の Date に変換します。
+ * @param {string} key
+ * @returns {Date}
+ */
+function parseDateKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * 日付に日数を足します。
+ * @param {string} key
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * 2つの日付の間の日数（`to - from`）を返します。
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+}
+
+/**
+ * 指定した日が予定日かどうかを返します（予定の開始日より前は常に `false`）。
+ * @param {WorkflowSchedule} schedule
+ * @param {string} key - 日付（`YYYY-MM-DD`）。
+ * @returns {boolean}
+ */
+export function matchesSchedule(schedule, key) {
+  if (schedule.start && key < schedule.start) return false;
+  const date = parseDateKey(key);
+  const weekday = date.getDay();
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  switch (schedule.type) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return weekday >= 1 && weekday <= 5;
+    case 'weekly':
+      return (schedule.weekdays || []).includes(weekday);
+    case 'monthly':
+      return date.getDate() === Math.min(schedule.day, lastDay);
+    case 'yearly':
+      return date.getMonth() + 1 === schedule.month && date.getDate() === Math.min(schedule.day, lastDay);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 指定した日以降で最初の予定日を返します。
+ * @param {WorkflowSchedule} schedule
+ * @param {string} fromKey - この日を含めて探します。
+ * @returns {string|null} 見つからない場合は `null`。
+ */
+export function nextOccurrence(schedule, fromKey) {
+  const start = schedule.start && schedule.start > fromKey ? schedule.start : fromKey;
+  for (let i = 0; i < SEARCH_DAYS; i++) {
+    const key = addDays(start, i);
+    if (matchesSchedule(schedule, key)) return key;
+  }
+  return null;
+}
+
+/**
+ * 指定した日以前で最も新しい予定日を返します。
+ * @param {WorkflowSchedule} schedule
+ * @param {string} toKey - この日を含めて探します。
+ * @returns {string|null} 予定の開始日以降に見つからない場合は `null`。
+ */
+export function previousOccurrence(schedule, toKey) {
+  for (let i = 0; i < SEARCH_DAYS; i++) {
+    const key = addDays(toKey, -i);
+    if (schedule.start && key < schedule.start) return null;
+    if (matchesSchedule(schedule, key)) return key;
+  }
+  return null;
+}
+
+/**
+ * 予定の期限の状態を判定します。
+ * 今日以前で最も新しい予定日が実施済みでなければ「今日が予定日」または「期限切れ」、
+ * 実施済みであれば（前倒しで実施済みの予定日を飛ばした）次の予定日を待っている状態です。
+ * それより前の予定日を実施しなかった場合は、新しい予定日に置き換わったものとして扱います。
+ * @param {WorkflowSchedule} schedule
+ * @param {Iterable<string>} satisfied - 実施済みの予定日。
+ * @param {string} todayKey - 今日の日付（`YYYY-MM-DD`）。
+ * @returns {ScheduleStatus}
+ */
+export function getScheduleStatus(schedule, satisfied, todayKey) {
+  const done = new Set(satisfied);
+  const last = previousOccurrence(schedule, todayKey);
+  if (last && !done.has(last)) {
+    const overdueDays = daysBetween(last, todayKey);
+    return { state: overdueDays > 0 ? 'overdue' : 'due', occurrence: last, overdueDays };
+  }
+  let next = nextOccurrence(schedule, addDays(todayKey, 1));
+  while (next && done.has(next)) next = nextOccurrence(schedule, addDays(next, 1));
+  return { state: 'upcoming', occurrence: next, overdueDays: 0 };
+}
+
+/**
+ * 予定を「毎月 25日」のような表示用の文字列にします。
+ * @param {WorkflowSchedule} schedule
+ * @returns {string}
+ */
+export function describeSchedule(schedule) {
+  switch (schedule.type) {
+    case 'daily':
+      return '毎日';
+    case 'weekdays':
+      return '平日（月〜金）';
+    case 'weekly':
+      return `毎週 ${[...(schedule.weekdays || [])].sort((a, b) => a - b).map(d => WEEKDAY_LABELS[d]).join('・')}曜日`;
+    case 'monthly':
+      return `毎月 ${schedule.day >= 31 ? '末日' : `${schedule.day}日`}`;
+    case 'yearly':
+      return `毎年 ${schedule.month}月${schedule.day}日`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * 日付を「10月25日（土）」のような表示用の文字列にします。
+ * @param {string} key
+ * @returns {string}
+ */
+export function formatDateKey(key) {
+  const date = parseDateKey(key);
+  return `${date.getMonth() + 1}月${date.getDate()}日（${WEEKDAY_LABELS[date.getDay()]}）`;
+}
@@ -0,0 +1,62 @@
+// test/bookmarkHtml.test.js
+import { parseBookmarkHtml, exportBookmarkHtml, ROOT_FOLDER_TITLE } from '../js/bookmarkHtml.js';
+
+describe('bookmarkHtml', () => {
+  const chromeExport = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://github.com/" ADD_DATE="1700000000">GitHub</A>
+        <DT><H3 ADD_DATE="1700000000">Docs</H3>
+        <DL><p>
+            <DT><A HREF="https://developer.mozilla.org/" TAGS="web,ref">MDN</A>
+            <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://example.com/">Loose &amp; free</A>
+</DL><p>
+`;
+
+  test('parseBookmarkHtml() should map folders with links to categories in document order', () => {
+    const folders = parseBookmarkHtml(chromeExport);
+    expect(folders.map(f => [f.title, f.path, f.links.map(l => l.title)])).toEqual([
+      ['Bookmarks bar', ['Bookmarks bar'], ['GitHub']],
+      ['Docs', ['Bookmarks bar', 'Docs'], ['MDN']],
+      [ROOT_FOLDER_TITLE, [], ['Loose & free']]
+    ]);
+    expect(folders[1].links[0]).toEqual({ title: 'MDN', url: 'https://developer.mozilla.org/', tags: ['web', 'ref'] });
+  });
+
+  test('parseBookmarkHtml() should skip schemes outside the allowlist regardless of case', () => {
+    const html = `<DL><p>
+      <DT><A HREF="JavaScript:alert(1)">Mixed case</A>
+      <DT><A HREF=" data:text/html,<script>alert(1)</script>">Data</A>
+      <DT><A HREF="VBScript:msgbox(1)">VB</A>
+      <DT><A HREF="place:sort=8">Firefox query</A>
+      <DT><A HREF="HTTPS://Example.com/">Upper</A>
+      <DT><A HREF="opendir:\\\\server\\share">Share</A>
+    </DL><p>`;
+    const [folder] = parseBookmarkHtml(html);
+    expect(folder.links.map(l => l.title)).toEqual(['Upper', 'Share']);
+  });
+
+  test('parseBookmarkHtml() should reject files without bookmarks', () => {
+    expect(() => parseBookmarkHtml('<html><body><p>nothing</p></body></html>')).toThrow('ブックマークが見つかりません');
+  });
+
+  test('exportBookmarkHtml() should write a file that reads back into the same categories', () => {
+    const categories = [
+      { id: 'cat1', title: 'Tools <dev>', links: [{ id: 'l1', title: 'Search "q"', url: 'https://example.com/?a=1&b=2', tags: ['x'] }] },
+      { id: 'cat2', title: 'Empty', links: [] }
+    ];
+    const html = exportBookmarkHtml(categories, 'My Portal', new Date('2026-01-01T00:00:00Z'));
+    expect(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>')).toBe(true);
+    expect(html).toContain('ADD_DATE="1767225600"');
+    expect(parseBookmarkHtml(html)).toEqual([
+      { key: expect.any(String), title: 'Tools <dev>', path: ['My Portal', 'Tools <dev>'], links: [{ title: 'Search "q"', url: 'https://example.com/?a=1&b=2', tags: ['x'] }] }
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+import { scorePaletteText, rankPaletteItems } from '../js/commandPalette.js';
+
+describe('commandPalette', () => {
+  test('scorePaletteText() should prefer prefix, word and substring matches over scattered ones', () => {
+    expect(scorePaletteText('git', 'GitHub')).toBe(3);
+    expect(scorePaletteText('hub', 'Git Hub')).toBe(2.5);
+    expect(scorePaletteText('hub', 'GitHub')).toBe(2);
+    expect(scorePaletteText('gth', 'GitHub')).toBe(0.5);
+    expect(scorePaletteText('xyz', 'GitHub')).toBeNull();
+    expect(scorePaletteText('', 'GitHub')).toBe(0);
+  });
+
+  test('scorePaletteText() should require every term and ignore width, kana and romaji differences', () => {
+    expect(scorePaletteText('edit mode', 'Toggle edit mode')).toBe(5);
+    expect(scorePaletteText('edit view', 'Toggle edit mode')).toBeNull();
+    expect(scorePaletteText('ｶｸﾃｲ', '確定申告 かくてい')).not.toBeNull();
+    expect(scorePaletteText('kakutei', 'カクテイ申告')).toBe(3);
+  });
+
+  const items = [
+    { key: 'cmd:save', title: '保存' },
+    { key: 'link:a', title: 'GitHub', detail: '開発' },
+    { key: 'link:b', title: 'GitLab', detail: '開発' },
+    { key: 'link:c', title: 'Jira', detail: '開発' }
+  ];
+
+  test('rankPaletteItems() should list recent items first when the query is empty', () => {
+    expect(rankPaletteItems(items, '', ['link:c', 'link:a']).map(i => i.key)).toEqual(['link:c', 'link:a', 'cmd:save', 'link:b']);
+  });
+
+  test('rankPaletteItems() should filter by score and break ties with recency', () => {
+    expect(rankPaletteItems(items, 'git').map(i => i.key)).toEqual(['link:a', 'link:b']);
+    expect(rankPaletteItems(items, 'git', ['link:b']).map(i => i.key)).toEqual(['link:b', 'link:a']);
+    // 補足（カテゴリ名）でも見つかるが、表示名の一致より後になる
+    expect(rankPaletteItems(items, '開発').map(i => i.key)).toEqual(['link:a', 'link:b', 'link:c']);
+    expect(rankPaletteItems([...items, { key: 'cat', title: '開発' }], '開発')[0].key).toBe('cat');
+  });
+});
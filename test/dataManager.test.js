@@ -1,5 +1,8 @@
 // test/dataManager.test.js
-import { DataManager } from '../js/dataManager.js';
+import { DataManager, SaveConflictError, LINK_TABLE_DEFAULT_CATEGORY } from '../js/dataManager.js';
+import { WorkflowManager } from '../js/workflowManager.js';
+import { CURRENT_SCHEMA_VERSION, DataValidationError } from '../js/schema.js';
+import { planMerge } from '../js/documentMerge.js';
 
 describe('DataManager', () => {
   let dataManager;
@@ -46,6 +49,13 @@ describe('DataManager', () => {
     expect(dataManager.getLink('nonExistentCat', 'link1')).toBeUndefined();
   });
 
+  test('_generateId() should not repeat ids generated within the same millisecond', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const ids = Array.from({ length: 500 }, () => dataManager._generateId('link'));
+    Date.now.mockRestore();
+    expect(new Set(ids).size).toBe(500);
+  });
+
   // --- カテゴリ操作 ---
 
   test('addCategory() should add a new category', () => {
@@ -85,6 +95,14 @@ describe('DataManager', () => {
     expect(dataManager.hasUnsavedChanges).toBe(true);
   });
 
+  test('deleteCategory() should move the category and its links to the trash', () => {
+    dataManager.deleteCategory('cat1');
+    expect(dataManager.getTrash()).toEqual([
+      expect.objectContaining({ type: 'category', index: 0, item: initialData[0], deletedAt: expect.any(String) })
+    ]);
+    expect(dataManager.toDocument().trash.default).toHaveLength(1);
+  });
+
   test('deleteCategory() should not delete a non-existent category', () => {
     dataManager.deleteCategory('nonExistentCat');
     const data = dataManager.getData();
@@ -173,6 +191,13 @@ describe('DataManager', () => {
     expect(dataManager.hasUnsavedChanges).toBe(true);
   });
 
+  test('deleteLink() should remember the original category and position in the trash', () => {
+    dataManager.deleteLink('cat1', 'link1');
+    expect(dataManager.getTrash()).toEqual([
+      expect.objectContaining({ type: 'link', catId: 'cat1', catTitle: 'Category 1', index: 0, item: initialData[0].links[0] })
+    ]);
+  });
+
   test('deleteLink() should not delete a non-existent link', () => {
     dataManager.deleteLink('cat1', 'nonExistentLink');
     const category = dataManager.getCategory('cat1');
@@ -225,4 +250,666 @@ describe('DataManager', () => {
     dataManager.updateLink('cat1', 'link1', { title: 'x' });
     expect(onDirtyMock).toHaveBeenCalledTimes(2);
   });
-});
\ No newline at end of file
+
+  describe('moveLinkToCategory()', () => {
+    beforeEach(() => {
+      dataManager.addCategory('Second');
+      dataManager.addLink(dataManager.getData()[1].id, { title: 'Other', url: 'http://other.com' });
+      dataManager.resetHistory();
+      dataManager.markAsClean();
+    });
+
+    test('should move a link into another category at the given position', () => {
+      dataManager.moveLinkToCategory(0, 0, 1, 0);
+      const [first, second] = dataManager.getData();
+      expect(first.links).toEqual([]);
+      expect(second.links.map(l => l.id)).toEqual(['link1', second.links[1].id]);
+      expect(second.links[1].title).toBe('Other');
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+    });
+
+    test('should append to the end when no position is given', () => {
+      dataManager.moveLinkToCategory(0, 0, 1);
+      expect(dataManager.getData()[1].links.map(l => l.title)).toEqual(['Other', 'Link 1']);
+    });
+
+    test('should be undoable as a single step', () => {
+      dataManager.moveLinkToCategory(0, 0, 1);
+      dataManager.undo();
+      expect(dataManager.getData()[0].links.map(l => l.id)).toEqual(['link1']);
+      expect(dataManager.getData()[1].links.map(l => l.title)).toEqual(['Other']);
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+
+    test('should do nothing for the same position or an invalid index', () => {
+      dataManager.moveLinkToCategory(0, 0, 0, 0);
+      dataManager.moveLinkToCategory(0, 5, 1);
+      dataManager.moveLinkToCategory(0, 0, 9);
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+      expect(dataManager.undo()).toBe(false);
+    });
+  });
+
+  describe('transfer between portals', () => {
+    beforeEach(() => {
+      dataManager.allPortals = {
+        default: dataManager.data,
+        other: [{ id: 'cat9', title: 'Category 1', links: [{ id: 'link1', title: 'Taken', url: 'http://taken.com' }] }]
+      };
+      dataManager.allWorkflows = {
+        default: [{ id: 'wf1', title: 'Flow', steps: [{ step: 1, title: 'Open', linkId: 'link1' }] }]
+      };
+      dataManager.resetHistory();
+    });
+
+    test('transferCategory() should move a category and keep free IDs', () => {
+      const moved = dataManager.transferCategory('cat2', 'other');
+      expect(moved.id).toBe('cat2');
+      expect(dataManager.getCategory('cat2')).toBeUndefined();
+      expect(dataManager.allPortals.other.map(c => c.id)).toEqual(['cat9', 'cat2']);
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+    });
+
+    test('transferCategory() should copy with new IDs only where they collide', () => {
+      const copied = dataManager.transferCategory('cat1', 'other', { copy: true });
+      expect(copied.id).toBe('cat1');
+      expect(copied.links[0].id).not.toBe('link1');
+      expect(copied.links[0].title).toBe('Link 1');
+      expect(dataManager.getLink('cat1', 'link1')).toBeDefined();
+    });
+
+    test('transferLink() should add to the same-titled category or create one', () => {
+      dataManager.addLink('cat2', { title: 'Two', url: 'http://two.com' });
+      const linkId = dataManager.getCategory('cat2').links[0].id;
+      const created = dataManager.transferLink('cat2', linkId, 'other');
+      expect(created.catId).toBe('cat2');
+      expect(created.link.id).toBe(linkId);
+      expect(dataManager.getCategory('cat2').links).toEqual([]);
+
+      const merged = dataManager.transferLink('cat1', 'link1', 'other', { copy: true });
+      expect(merged.catId).toBe('cat9');
+      expect(dataManager.allPortals.other[0].links.map(l => l.title)).toEqual(['Taken', 'Link 1']);
+    });
+
+    test('transferLink() should use the chosen target category', () => {
+      dataManager.allPortals.other.push({ id: 'cat8', title: 'Elsewhere', links: [] });
+      const result = dataManager.transferLink('cat1', 'link1', 'other', { targetCatId: 'cat8' });
+      expect(result.catId).toBe('cat8');
+      expect(dataManager.allPortals.other[1].links.length).toBe(1);
+    });
+
+    test('should refuse the active portal and undo both portals in one step', () => {
+      expect(dataManager.transferCategory('cat1', 'default')).toBeNull();
+      dataManager.transferCategory('cat1', 'other');
+      dataManager.undo();
+      expect(dataManager.getCategory('cat1')).toBeDefined();
+      expect(dataManager.allPortals.other.map(c => c.id)).toEqual(['cat9']);
+    });
+
+    test('countWorkflowReferences() should count steps that point at the links', () => {
+      expect(dataManager.countWorkflowReferences('default', ['link1'])).toBe(1);
+      expect(dataManager.countWorkflowReferences('default', ['link2'])).toBe(0);
+      expect(dataManager.countWorkflowReferences('other', ['link1'])).toBe(0);
+    });
+  });
+
+  describe('link table import', () => {
+    const entries = [
+      { category: 'Category 2', link: { title: 'New', url: 'https://new.example.com' } },
+      { category: 'Fresh', link: { title: 'Dup', url: 'http://example.com/' } },
+      { category: '', link: { title: 'Loose', url: 'https://loose.example.com' } },
+      { category: 'Fresh', link: { title: 'No URL', url: '' } },
+      { category: 'Fresh', link: { title: 'Again', url: 'https://NEW.example.com' } }
+    ];
+
+    test('planLinkTableImport() should flag duplicates, missing URLs and new categories', () => {
+      const plan = dataManager.planLinkTableImport('default', entries);
+      expect(plan.map(p => p.status)).toEqual(['new', 'duplicate', 'new', 'invalid', 'duplicate']);
+      expect(plan[1].duplicateOf).toBe('Category 1');
+      expect(plan[4].duplicateOf).toBe('Category 2');
+      expect(plan.map(p => p.newCategory)).toEqual([false, true, true, true, true]);
+      expect(plan[2].catTitle).toBe(LINK_TABLE_DEFAULT_CATEGORY);
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+
+    test('importLinkTable() should add rows to their categories and skip duplicates', () => {
+      const result = dataManager.importLinkTable('default', entries);
+      expect(result).toEqual({ categories: 1, links: 2, skipped: 3 });
+      expect(dataManager.getCategory('cat2').links.map(l => l.title)).toEqual(['New']);
+      expect(dataManager.getData()[2]).toMatchObject({ title: LINK_TABLE_DEFAULT_CATEGORY, links: [{ title: 'Loose' }] });
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+    });
+
+    test('importLinkTable() should put everything in the chosen category when asked to keep duplicates', () => {
+      const result = dataManager.importLinkTable('default', entries, { targetCatId: 'cat2', skipDuplicates: false });
+      expect(result).toEqual({ categories: 0, links: 4, skipped: 1 });
+      expect(dataManager.getCategory('cat2').links.length).toBe(4);
+    });
+
+    test('importLinkTable() should assign ids that are not in use and keep the badge from the table', () => {
+      jest.spyOn(dataManager, '_generateId').mockReturnValueOnce('link1').mockReturnValueOnce('cat2');
+      const rows = [{ category: 'Category 2', link: { title: 'A', url: 'https://a.example.com', badge: 'video' } }, entries[2]];
+      dataManager.importLinkTable('default', rows);
+
+      const ids = dataManager.getData().flatMap(c => [c.id, ...c.links.map(l => l.id)]);
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(dataManager.getCategory('cat2').links[0]).toMatchObject({ icon: 'link', badge: 'video', memo: '' });
+    });
+  });
+
+  describe('Markdown export', () => {
+    test('exportMarkdown() should download one file covering every given portal', () => {
+      dataManager.activePortalId = 'default';
+      dataManager.allPortals.other = [{ id: 'c9', title: 'Other Cat', links: [] }];
+      dataManager.allWorkflows = { other: [{ id: 'wf1', title: 'Flow', steps: [] }] };
+      const downloads = [];
+      dataManager._download = (...args) => downloads.push(args);
+
+      dataManager.exportMarkdown([{ id: 'default', title: 'Main' }, { id: 'other', title: 'Sub' }]);
+      expect(downloads[0][1]).toBe('portals.md');
+      expect(downloads[0][2]).toBe('text/markdown');
+      expect(downloads[0][0]).toContain('# Main');
+      expect(downloads[0][0]).toContain('- [Link 1](http://example.com)');
+      expect(downloads[0][0]).toContain('### Other Cat');
+      expect(downloads[0][0]).toContain('### Flow');
+
+      dataManager.exportMarkdown([{ id: 'other', title: 'Sub' }], { includeWorkflows: false });
+      expect(downloads[1][1]).toBe('other.md');
+      expect(downloads[1][0]).not.toContain('Flow');
+    });
+  });
+
+  describe('calendar export', () => {
+    test('exportCalendar() should download only workflows with a schedule or frequency, per portal or per workflow', () => {
+      dataManager.allWorkflows = { default: [
+        { id: 'wf1', title: 'Close', freq: 'rare', schedule: { type: 'monthly', day: 25, start: '2026-01-01' }, steps: [{ step: 1, title: 'Open', linkId: 'link1' }] },
+        { id: 'wf2', title: 'Weekly', freq: 'weekly', steps: [] },
+        { id: 'wf3', title: 'Someday', freq: 'rare', steps: [] }
+      ] };
+      const downloads = [];
+      dataManager._download = (...args) => downloads.push(args);
+
+      expect(dataManager.exportCalendar('default', { title: 'Main' })).toBe(2);
+      expect(downloads[0][1]).toBe('default.ics');
+      expect(downloads[0][2]).toBe('text/calendar');
+      expect(downloads[0][0]).toContain('X-WR-CALNAME:Main');
+      expect(downloads[0][0]).toContain('URL:http://example.com');
+      expect(downloads[0][0]).not.toContain('Someday');
+
+      expect(dataManager.exportCalendar('default', { workflowId: 'wf1' })).toBe(1);
+      expect(downloads[1][1]).toBe('default-wf1.ics');
+      expect(dataManager.exportCalendar('default', { workflowId: 'wf3' })).toBe(0);
+      expect(downloads).toHaveLength(2);
+    });
+  });
+
+  // --- 元に戻す／やり直す ---
+
+  describe('undo() / redo()', () => {
+    beforeEach(() => {
+      dataManager.resetHistory();
+    });
+
+    test('should undo and redo a category mutation', () => {
+      dataManager.deleteCategory('cat1');
+      expect(dataManager.undo()).toBe(true);
+      expect(dataManager.getData()).toEqual(initialData);
+      expect(dataManager.redo()).toBe(true);
+      expect(dataManager.getCategory('cat1')).toBeUndefined();
+    });
+
+    test('should undo link moves and updates step by step', () => {
+      dataManager.addLink('cat1', { title: 'Link 2', url: 'http://two.com' });
+      dataManager.moveLink(0, 1, 0);
+      dataManager.updateLink('cat1', 'link1', { title: 'Renamed' });
+
+      dataManager.undo();
+      expect(dataManager.getLink('cat1', 'link1').title).toBe('Link 1');
+      dataManager.undo();
+      expect(dataManager.getCategory('cat1').links[0].id).toBe('link1');
+      dataManager.undo();
+      expect(dataManager.getCategory('cat1').links.length).toBe(1);
+      expect(dataManager.undo()).toBe(false);
+    });
+
+    test('should include workflows in the history', () => {
+      dataManager.allWorkflows.default = [];
+      dataManager.resetHistory();
+      dataManager.allWorkflows.default.push({ id: 'wf1', title: 'Flow', steps: [] });
+      dataManager.markAsDirty();
+      dataManager.undo();
+      expect(dataManager.allWorkflows.default).toEqual([]);
+    });
+
+    test('undoing back to the saved state should mark the data clean', () => {
+      dataManager.addCategory('Test');
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+      dataManager.undo();
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+      expect(onDirtyMock).toHaveBeenCalledTimes(2);
+      dataManager.redo();
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+    });
+
+    test('undoing past a save should mark the data dirty again', () => {
+      dataManager.addCategory('Test');
+      dataManager.markAsClean();
+      dataManager.undo();
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+      dataManager.redo();
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+  });
+
+  // --- 下書きの自動保存 ---
+
+  describe('drafts', () => {
+    let draftManagerMock;
+
+    beforeEach(() => {
+      draftManagerMock = { saveDraft: jest.fn(), clearDraft: jest.fn() };
+      dataManager.resetHistory();
+      dataManager.draftManager = draftManagerMock;
+    });
+
+    test('should save a draft of the whole document on every change', () => {
+      dataManager.addCategory('Draft');
+      expect(draftManagerMock.saveDraft).toHaveBeenCalledTimes(1);
+      const [portalId, doc] = draftManagerMock.saveDraft.mock.calls[0];
+      expect(portalId).toBe('default');
+      expect(doc.portals.default.length).toBe(3);
+    });
+
+    test('should clear the draft when the data becomes clean', () => {
+      dataManager.addCategory('Draft');
+      dataManager.undo();
+      expect(draftManagerMock.clearDraft).toHaveBeenCalledWith('default');
+      dataManager.redo();
+      dataManager.markAsClean();
+      expect(draftManagerMock.clearDraft).toHaveBeenCalledTimes(2);
+    });
+
+    test('restoreDocument() should replace the data as an undoable change', () => {
+      const draftDoc = { portals: { default: [{ id: 'cat9', title: 'Restored', links: [] }] }, workflows: {} };
+      dataManager.restoreDocument(draftDoc);
+      expect(dataManager.getData()).toEqual(draftDoc.portals.default);
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+      dataManager.undo();
+      expect(dataManager.getData()).toEqual(initialData);
+    });
+
+    test('applyDraftPortal() should restore only the draft portal and keep changes saved later in other portals', async () => {
+      const jsonFile = (value) => new File([JSON.stringify(value)], 'data.json', { type: 'application/json' });
+      const saved = { schemaVersion: CURRENT_SCHEMA_VERSION, portals: { a: [{ id: 'catA', title: 'A', links: [] }], b: [{ id: 'catB', title: 'B', links: [] }] }, workflows: {} };
+
+      // ポータル A を編集し、保存せずに B へ切り替える（A の下書きが残る）
+      const sessionA = new DataManager();
+      await sessionA.loadFromFile(jsonFile(saved), 'a');
+      sessionA.draftManager = draftManagerMock;
+      sessionA.addCategory('A draft');
+      const draftDocument = draftManagerMock.saveDraft.mock.calls.at(-1)[1];
+
+      // ポータル B を編集して保存する
+      const sessionB = new DataManager();
+      await sessionB.loadFromFile(jsonFile(saved), 'b');
+      sessionB.addCategory('B saved');
+      const savedLater = sessionB.toDocument();
+
+      // A に戻って下書きを復元する
+      const sessionA2 = new DataManager();
+      await sessionA2.loadFromFile(jsonFile(savedLater), 'a');
+      sessionA2.restoreDocument(sessionA2.applyDraftPortal(draftDocument));
+
+      expect(sessionA2.getData().map(c => c.title)).toEqual(['A', 'A draft']);
+      expect(sessionA2.allPortals.b.map(c => c.title)).toEqual(['B', 'B saved']);
+    });
+  });
+
+  // --- 保存 ---
+
+  describe('save()', () => {
+    beforeEach(() => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:mock');
+      global.URL.revokeObjectURL = jest.fn();
+    });
+
+    const createDataFileMock = ({ granted = true, writeError = null } = {}) => ({
+      isConnected: () => true,
+      ensurePermission: jest.fn(async () => granted),
+      write: jest.fn(async () => { if (writeError) throw writeError; })
+    });
+
+    test('should download data.json when no data file is connected', async () => {
+      dataManager.addCategory('Test');
+      const result = await dataManager.save('default');
+      expect(result.method).toBe('download');
+      expect(URL.createObjectURL).toHaveBeenCalled();
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+
+    test('should write to the connected data file when permission is granted', async () => {
+      const dataFile = createDataFileMock();
+      dataManager.dataFile = dataFile;
+      const result = await dataManager.save('default');
+      expect(result.method).toBe('file');
+      expect(dataFile.write).toHaveBeenCalledTimes(1);
+      const written = JSON.parse(dataFile.write.mock.calls[0][0]);
+      expect(written.portals.default).toEqual(initialData);
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to download when permission is denied', async () => {
+      const dataFile = createDataFileMock({ granted: false });
+      dataManager.dataFile = dataFile;
+      const result = await dataManager.save('default');
+      expect(result.method).toBe('download');
+      expect(dataFile.write).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to download when writing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      dataManager.dataFile = createDataFileMock({ writeError: new Error('locked') });
+      const result = await dataManager.save('default');
+      expect(result.method).toBe('download');
+      expect(URL.createObjectURL).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  // --- スマートコレクション ---
+
+  describe('smart collections', () => {
+    test('addCollection() should store the search state per portal in the document', () => {
+      const collection = dataManager.addCollection('default', { title: '税務', query: 'tag:税務', tags: ['月末'], freq: 'monthly' });
+      expect(collection).toEqual({ id: expect.any(String), title: '税務', query: 'tag:税務', tags: ['月末'], freq: 'monthly', badge: '' });
+      expect(dataManager.getCollections('default')).toEqual([collection]);
+      expect(dataManager.getCollections('other')).toEqual([]);
+      expect(dataManager.toDocument().collections).toEqual({ default: [collection] });
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+    });
+
+    test('updateCollection() and deleteCollection() should change only the matching collection', () => {
+      const { id } = dataManager.addCollection('default', { title: 'A' });
+      expect(dataManager.updateCollection('default', id, { title: 'B', id: 'ignored' })).toBe(true);
+      expect(dataManager.getCollections('default')[0]).toEqual(expect.objectContaining({ id, title: 'B' }));
+      expect(dataManager.updateCollection('default', 'missing', { title: 'C' })).toBe(false);
+      expect(dataManager.deleteCollection('default', id)).toBe(true);
+      expect(dataManager.allCollections).toEqual({});
+    });
+
+    test('undo() should bring back a deleted collection', () => {
+      const { id } = dataManager.addCollection('default', { title: 'A' });
+      dataManager.deleteCollection('default', id);
+      dataManager.undo();
+      expect(dataManager.getCollections('default').map(c => c.id)).toEqual([id]);
+    });
+  });
+
+  // --- ゴミ箱 ---
+
+  describe('trash', () => {
+    test('restoreFromTrash() should put a category back at its original position', () => {
+      dataManager.deleteCategory('cat1');
+      const [entry] = dataManager.getTrash();
+      expect(dataManager.restoreFromTrash(entry.id)).toBe(true);
+      expect(dataManager.getData()).toEqual(initialData);
+      expect(dataManager.getTrash()).toEqual([]);
+    });
+
+    test('restoreFromTrash() should bring back the deleted category together with a link', () => {
+      dataManager.deleteLink('cat1', 'link1');
+      dataManager.deleteCategory('cat1');
+      const linkEntry = dataManager.getTrash().find(e => e.type === 'link');
+      dataManager.restoreFromTrash(linkEntry.id);
+      expect(dataManager.getData()).toEqual(initialData);
+      expect(dataManager.getTrash()).toEqual([]);
+    });
+
+    test('restoreFromTrash() should recreate a missing category for an orphaned link', () => {
+      dataManager.deleteLink('cat1', 'link1');
+      const [entry] = dataManager.getTrash();
+      dataManager.data = dataManager.data.filter(c => c.id !== 'cat1');
+      dataManager.restoreFromTrash(entry.id);
+      expect(dataManager.getCategory('cat1')).toEqual(expect.objectContaining({ title: 'Category 1', links: initialData[0].links }));
+    });
+
+    test('WorkflowManager.deleteWorkflow() should move the workflow to the trash of its portal', () => {
+      const workflowManager = new WorkflowManager(dataManager);
+      dataManager.allWorkflows = { default: [{ id: 'wf1', title: 'A', steps: [] }, { id: 'wf2', title: 'B', steps: [] }] };
+      workflowManager.deleteWorkflow('default', 'wf1');
+      expect(dataManager.allWorkflows.default.map(w => w.id)).toEqual(['wf2']);
+      const [entry] = dataManager.getTrash('default');
+      expect(entry).toEqual(expect.objectContaining({ type: 'workflow', index: 0 }));
+      dataManager.restoreFromTrash(entry.id, 'default');
+      expect(dataManager.allWorkflows.default.map(w => w.id)).toEqual(['wf1', 'wf2']);
+    });
+
+    test('undo() should take a deleted item back out of the trash', () => {
+      dataManager.resetHistory();
+      dataManager.deleteLink('cat1', 'link1');
+      dataManager.undo();
+      expect(dataManager.getData()).toEqual(initialData);
+      expect(dataManager.getTrash()).toEqual([]);
+    });
+
+    test('emptyTrash() and purgeExpiredTrash() should drop entries for good', () => {
+      dataManager.deleteLink('cat1', 'link1');
+      dataManager.deleteCategory('cat2');
+      dataManager.allTrash.default[0].deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+      expect(dataManager.purgeExpiredTrash()).toBe(1);
+      expect(dataManager.getTrash().map(e => e.type)).toEqual(['category']);
+      expect(dataManager.emptyTrash()).toBe(1);
+      expect(dataManager.getTrash()).toEqual([]);
+    });
+
+    test('loadFromFile() should purge expired trash as an unsaved change that can be undone', async () => {
+      const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+      const doc = {
+        schemaVersion: CURRENT_SCHEMA_VERSION, portals: { default: initialData }, workflows: {}, collections: {},
+        trash: { default: [{ id: 't1', type: 'category', deletedAt: old, index: 0, item: { id: 'c9', title: 'Old', links: [] } }] }
+      };
+      await dataManager.loadFromFile(new File([JSON.stringify(doc)], 'data.json', { type: 'application/json' }));
+      expect(dataManager.getTrash()).toEqual([]);
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+      expect(dataManager.getSavedDocument().trash.default).toHaveLength(1);
+
+      dataManager.undo();
+      expect(dataManager.getTrash().map(e => e.id)).toEqual(['t1']);
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+
+    test('loadFromFile() should leave the data clean when nothing in the trash has expired', async () => {
+      dataManager.addCategory('Unsaved');
+      await dataManager.loadFromFile(new File([JSON.stringify(initialData)], 'data.json', { type: 'application/json' }));
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+  });
+
+  // --- ブックマーク ---
+
+  test('importBookmarks() should add folders to matching categories and skip duplicate urls', () => {
+    const folders = [
+      { key: 'a', title: 'Category 1', path: ['Category 1'], links: [{ title: 'Dup', url: 'http://www.example.com/' }, { title: 'New', url: 'http://new.com' }] },
+      { key: 'b', title: 'Fresh', path: ['Bar', 'Fresh'], links: [{ title: 'F', url: 'http://f.com' }] }
+    ];
+    expect(dataManager.importBookmarks('default', folders)).toEqual({ categories: 1, links: 2, skipped: 1 });
+    expect(dataManager.getCategory('cat1').links.map(l => l.title)).toEqual(['Link 1', 'New']);
+    expect(dataManager.getData()[2]).toEqual(expect.objectContaining({ title: 'Fresh', isOpen: true, links: [expect.objectContaining({ url: 'http://f.com' })] }));
+    expect(dataManager.hasUnsavedChanges).toBe(true);
+  });
+
+  test('importBookmarks() should give imported links unused ids and the default icon, badge and memo', () => {
+    jest.spyOn(dataManager, '_generateId').mockReturnValueOnce('link1').mockReturnValueOnce('cat1');
+    const links = Array.from({ length: 200 }, (_, i) => ({ title: `B${i}`, url: `http://b${i}.com` }));
+    dataManager.importBookmarks('default', [{ key: 'a', title: 'Category 1', path: ['Category 1'], links }]);
+
+    const imported = dataManager.getCategory('cat1').links.slice(1);
+    const ids = dataManager.getData().flatMap(c => [c.id, ...c.links.map(l => l.id)]);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(imported[0]).toEqual({ id: expect.any(String), icon: 'link', badge: 'doc', memo: '', title: 'B0', url: 'http://b0.com' });
+  });
+
+  test('importBookmarks() should import into another portal without touching the active one', () => {
+    dataManager.importBookmarks('work', [{ key: 'a', title: 'Work', path: ['Work'], links: [{ title: 'W', url: 'http://w.com' }] }]);
+    expect(dataManager.allPortals.work.map(c => c.title)).toEqual(['Work']);
+    expect(dataManager.getData()).toEqual(initialData);
+  });
+
+  // --- 保存前の差分確認 ---
+
+  test('getSavedDocument() should keep the last loaded or saved document', () => {
+    dataManager.resetHistory();
+    dataManager.addCategory('New');
+    expect(dataManager.getSavedDocument().portals.default).toEqual(initialData);
+    dataManager.markAsClean();
+    expect(dataManager.getSavedDocument().portals.default.length).toBe(3);
+  });
+
+  // --- スキーマ・検証 ---
+
+  describe('schema migration and validation', () => {
+    const jsonFile = (value) => new File([JSON.stringify(value)], 'data.json', { type: 'application/json' });
+
+    test('loadFromFile() should migrate a legacy array into the target portal and keep other portals', async () => {
+      dataManager.allPortals = { other: [{ id: 'cat9', title: 'Other', links: [] }] };
+      await dataManager.loadFromFile(jsonFile(initialData), 'work');
+      expect(dataManager.getData()).toEqual(initialData);
+      expect(dataManager.allPortals.other).toBeDefined();
+      expect(dataManager.validationReport).toEqual(expect.objectContaining({ fromVersion: 0, migrated: true }));
+    });
+
+    test('importData() should keep workflows when importing a legacy array', async () => {
+      dataManager.allWorkflows = { default: [{ id: 'wf1', title: 'Flow', steps: [] }] };
+      await dataManager.importData(jsonFile(initialData), 'default');
+      expect(dataManager.allWorkflows.default).toHaveLength(1);
+    });
+
+    test('mergeImport() should apply a merge plan to the active portal as an undoable change', () => {
+      const plan = planMerge(
+        { categories: dataManager.getData(), workflows: [] },
+        { categories: [{ id: 'x', title: 'Category 2', links: [{ id: 'l9', title: 'New', url: 'http://new.com' }] }], workflows: [] }
+      );
+      dataManager.resetHistory();
+      expect(dataManager.mergeImport(plan)).toBe(1);
+      expect(dataManager.getCategory('cat2').links.map(l => l.id)).toEqual(['l9']);
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+      dataManager.undo();
+      expect(dataManager.getData()).toEqual(initialData);
+    });
+
+    test('importData() should reject invalid documents and leave the current data untouched', async () => {
+      const invalid = { portals: { default: [{ id: 'cat1', title: 'A', links: 'oops' }] } };
+      await expect(dataManager.importData(jsonFile(invalid), 'default')).rejects.toBeInstanceOf(DataValidationError);
+      expect(dataManager.getData()).toEqual(initialData);
+      expect(dataManager.hasUnsavedChanges).toBe(false);
+    });
+
+    test('load() should report validation errors as a failed result', async () => {
+      global.fetch = jest.fn(async () => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => ({ portals: 'oops' }) }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const result = await dataManager.load('default');
+      expect(result.success).toBe(false);
+      expect(result.error).toBeInstanceOf(DataValidationError);
+      console.error.mockRestore();
+      delete global.fetch;
+    });
+
+    test('save() should write the current schemaVersion', async () => {
+      const text = await new Promise(resolve => {
+        dataManager._download = (dataStr) => resolve(dataStr);
+        dataManager.save('default');
+      });
+      expect(JSON.parse(text).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    });
+  });
+
+  // --- コンパニオンサーバー ---
+
+  describe('companion server', () => {
+    const doc = { portals: { default: initialData }, workflows: {} };
+    const mockResponse = ({ status = 200, headers = {}, body = null }) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name] ?? null },
+      json: async () => body
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('load() should use the server API when it is available', async () => {
+      global.fetch = jest.fn(async () => mockResponse({ headers: { 'X-Portal-Server': '1', ETag: '"v1"' }, body: doc }));
+      const result = await dataManager.load('default');
+      expect(result.success).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('api/data');
+      expect(dataManager.server).toEqual({ etag: '"v1"' });
+    });
+
+    test('load() should fall back to data/data.json without the server', async () => {
+      global.fetch = jest.fn(async (url) => url === 'api/data'
+        ? mockResponse({ status: 404 })
+        : mockResponse({ body: doc }));
+      const result = await dataManager.load('default');
+      expect(result.success).toBe(true);
+      expect(global.fetch.mock.calls[1][0]).toBe('data/data.json');
+      expect(dataManager.server).toBeNull();
+    });
+
+    test('save() should PUT to the server with If-Match and keep the new ETag', async () => {
+      dataManager.server = { etag: '"v1"' };
+      global.fetch = jest.fn(async () => mockResponse({ headers: { ETag: '"v2"' } }));
+      const result = await dataManager.save('default');
+      expect(result.method).toBe('server');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('api/data');
+      expect(options.method).toBe('PUT');
+      expect(options.headers['If-Match']).toBe('"v1"');
+      expect(dataManager.server.etag).toBe('"v2"');
+    });
+
+    test('save() should throw SaveConflictError on 412 and stay dirty', async () => {
+      dataManager.server = { etag: '"v1"' };
+      dataManager.addCategory('Test');
+      global.fetch = jest.fn(async () => mockResponse({ status: 412 }));
+      await expect(dataManager.save('default')).rejects.toBeInstanceOf(SaveConflictError);
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+    });
+
+    test('checkExternalChanges() should ignore formatting-only differences and detect edits', async () => {
+      const serverDoc = { schemaVersion: CURRENT_SCHEMA_VERSION, portals: { default: initialData }, workflows: {} };
+      global.fetch = jest.fn(async () => mockResponse({ headers: { 'X-Portal-Server': '1', ETag: '"v1"' }, body: serverDoc }));
+      await dataManager.load('default');
+      expect(await dataManager.checkExternalChanges()).toBeNull();
+
+      const edited = JSON.parse(JSON.stringify(serverDoc));
+      edited.portals.default[1].title = 'Renamed elsewhere';
+      global.fetch = jest.fn(async () => mockResponse({ headers: { 'X-Portal-Server': '1', ETag: '"v2"' }, body: edited }));
+      const external = await dataManager.checkExternalChanges();
+      expect(external).toEqual(expect.objectContaining({ kind: 'server', etag: '"v2"' }));
+      expect(external.document.portals.default[1].title).toBe('Renamed elsewhere');
+    });
+
+    test('adoptExternalDocument() should merge external edits and accept them as the new base', async () => {
+      const serverDoc = { schemaVersion: CURRENT_SCHEMA_VERSION, portals: { default: initialData }, workflows: {} };
+      global.fetch = jest.fn(async () => mockResponse({ headers: { 'X-Portal-Server': '1', ETag: '"v1"' }, body: serverDoc }));
+      await dataManager.load('default');
+      dataManager.addCategory('Mine');
+
+      const edited = JSON.parse(JSON.stringify(serverDoc));
+      edited.portals.default[1].title = 'Renamed elsewhere';
+      global.fetch = jest.fn(async () => mockResponse({ headers: { 'X-Portal-Server': '1', ETag: '"v2"' }, body: edited }));
+      const external = await dataManager.checkExternalChanges();
+      const { document, conflicts } = dataManager.mergeExternalChanges(external);
+      expect(conflicts).toEqual([]);
+      dataManager.adoptExternalDocument(external, document);
+
+      expect(dataManager.getData().map(c => c.title)).toEqual(['Category 1', 'Renamed elsewhere', 'Mine']);
+      expect(dataManager.getSavedDocument().portals.default[1].title).toBe('Renamed elsewhere');
+      expect(dataManager.server.etag).toBe('"v2"');
+      expect(dataManager.hasUnsavedChanges).toBe(true);
+      expect(await dataManager.checkExternalChanges()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,295 @@
+// test/documentDiff.test.js
+import { diffDocuments, describeDiffEntry, revertDiffEntry } from '../js/documentDiff.js';
+
+describe('documentDiff', () => {
+  const base = {
+    portals: {
+      default: [
+        { id: 'cat1', title: 'Category 1', isOpen: true, links: [
+          { id: 'link1', title: 'Link 1', url: 'http://one.com' },
+          { id: 'link2', title: 'Link 2', url: 'http://two.com' }
+        ] },
+        { id: 'cat2', title: 'Category 2', isOpen: true, links: [] }
+      ]
+    },
+    workflows: { default: [{ id: 'wf1', title: 'Flow', steps: [] }] }
+  };
+  const clone = (doc) => JSON.parse(JSON.stringify(doc));
+
+  test('should return no entries for identical documents', () => {
+    expect(diffDocuments(base, clone(base))).toEqual([]);
+  });
+
+  test('should ignore category open state', () => {
+    const next = clone(base);
+    next.portals.default[0].isOpen = false;
+    expect(diffDocuments(base, next)).toEqual([]);
+  });
+
+  test('should detect added, removed, moved and changed links', () => {
+    const next = clone(base);
+    const [link1, link2] = next.portals.default[0].links;
+    link1.memo = 'memo';
+    next.portals.default[0].links = [link1];
+    next.portals.default[1].links.push(link2, { id: 'link3', title: 'Link 3', url: 'http://three.com' });
+    next.portals.default[0].links.shift();
+
+    const entries = diffDocuments(base, next);
+    expect(entries).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'link', action: 'moved', id: 'link2', fromCatTitle: 'Category 1', catTitle: 'Category 2' }),
+      expect.objectContaining({ type: 'link', action: 'added', id: 'link3' }),
+      expect.objectContaining({ type: 'link', action: 'removed', id: 'link1' })
+    ]));
+  });
+
+  test('should report reordered categories and links within a category', () => {
+    const next = clone(base);
+    next.portals.default.reverse();
+    next.portals.default[1].links.reverse();
+    next.portals.default[1].links.push({ id: 'link3', title: 'Link 3', url: 'http://three.com' });
+
+    expect(diffDocuments(base, next)).toEqual([
+      { portalId: 'default', type: 'portal', action: 'reordered', id: 'default', title: 'default' },
+      { portalId: 'default', type: 'category', action: 'reordered', id: 'cat1', title: 'Category 1' },
+      expect.objectContaining({ type: 'link', action: 'added', id: 'link3' })
+    ]);
+  });
+
+  test('should not report a reorder when only additions and removals shift positions', () => {
+    const next = clone(base);
+    next.portals.default.unshift({ id: 'cat0', title: 'New', links: [] });
+    next.portals.default[1].links.shift();
+    expect(diffDocuments(base, next).map(e => e.action)).toEqual(['added', 'removed']);
+  });
+
+  test('should detect category and workflow changes per portal', () => {
+    const next = clone(base);
+    next.portals.default[0].title = 'Renamed';
+    next.portals.default.pop();
+    next.portals.other = [];
+    next.workflows.default[0].title = 'Flow 2';
+
+    const entries = diffDocuments(base, next);
+    expect(entries).toEqual(expect.arrayContaining([
+      expect.objectContaining({ portalId: 'default', type: 'category', action: 'renamed', title: 'Renamed', fromTitle: 'Category 1' }),
+      expect.objectContaining({ portalId: 'default', type: 'category', action: 'removed', id: 'cat2' }),
+      expect.objectContaining({ portalId: 'other', type: 'portal', action: 'added' }),
+      expect.objectContaining({ portalId: 'default', type: 'workflow', action: 'renamed', fromTitle: 'Flow' })
+    ]));
+  });
+
+  test('should report field-level changes with before and after values', () => {
+    const next = clone(base);
+    next.portals.default[0].links[0].url = 'http://uno.com';
+    next.portals.default[0].links[0].memo = 'memo';
+
+    const entries = diffDocuments(base, next);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        type: 'link', action: 'changed', id: 'link1', fields: ['url', 'memo'],
+        changes: [
+          { field: 'url', before: 'http://one.com', after: 'http://uno.com' },
+          { field: 'memo', before: undefined, after: 'memo' }
+        ]
+      })
+    ]);
+  });
+
+  describe('workflow steps', () => {
+    const withSteps = (titles) => {
+      const doc = clone(base);
+      doc.workflows.default[0].steps = titles.map((title, i) => ({ step: i + 1, title, memo: '' }));
+      return doc;
+    };
+
+    test('should report an inserted step without renumbered steps as changes', () => {
+      const entries = diffDocuments(withSteps(['A', 'B', 'C']), withSteps(['A', 'X', 'B', 'C']));
+      expect(entries).toEqual([
+        expect.objectContaining({ type: 'step', action: 'added', title: 'X', index: 1, workflowId: 'wf1' })
+      ]);
+    });
+
+    test('should report edited and removed steps', () => {
+      const next = withSteps(['A', 'C']);
+      next.workflows.default[0].steps[0].memo = 'note';
+      const entries = diffDocuments(withSteps(['A', 'B', 'C']), next);
+      expect(entries).toEqual([
+        expect.objectContaining({ type: 'step', action: 'changed', index: 0, changes: [{ field: 'memo', before: '', after: 'note' }] }),
+        expect.objectContaining({ type: 'step', action: 'removed', title: 'B', index: 1 })
+      ]);
+    });
+
+    test('revertDiffEntry() should restore a removed step and renumber', () => {
+      const before = withSteps(['A', 'B', 'C']);
+      const next = withSteps(['A', 'C']);
+      const [entry] = diffDocuments(before, next);
+      const reverted = revertDiffEntry(before, next, entry);
+      expect(reverted.workflows.default[0].steps).toEqual(before.workflows.default[0].steps);
+    });
+  });
+
+  describe('revertDiffEntry()', () => {
+    const revertAll = (from, to) => {
+      let current = to;
+      let entries = diffDocuments(from, current);
+      while (entries.length > 0) {
+        current = revertDiffEntry(from, current, entries[0]);
+        entries = diffDocuments(from, current);
+      }
+      return current;
+    };
+
+    test('should revert a single change and leave the others', () => {
+      const next = clone(base);
+      next.portals.default[0].title = 'Renamed';
+      next.portals.default[1].links.push({ id: 'link3', title: 'Link 3', url: 'http://three.com' });
+
+      const rename = diffDocuments(base, next).find(e => e.action === 'renamed');
+      const reverted = revertDiffEntry(base, next, rename);
+      expect(reverted.portals.default[0].title).toBe('Category 1');
+      expect(diffDocuments(base, reverted)).toEqual([
+        expect.objectContaining({ type: 'link', action: 'added', id: 'link3' })
+      ]);
+      expect(next.portals.default[0].title).toBe('Renamed'); // 元のドキュメントは変更しない
+    });
+
+    test('should move a link back to its original position', () => {
+      const next = clone(base);
+      const [link1] = next.portals.default[0].links.splice(0, 1);
+      next.portals.default[1].links.push(link1);
+
+      const [moved] = diffDocuments(base, next);
+      expect(moved.action).toBe('moved');
+      expect(revertDiffEntry(base, next, moved).portals).toEqual(base.portals);
+    });
+
+    test('should restore the original order and keep newly added items in place', () => {
+      const next = clone(base);
+      next.portals.default.reverse();
+      next.portals.default[1].links.reverse();
+      next.portals.default[1].links.splice(1, 0, { id: 'link3', title: 'Link 3', url: 'http://three.com' });
+
+      const entries = diffDocuments(base, next);
+      let reverted = revertDiffEntry(base, next, entries.find(e => e.type === 'portal'));
+      expect(reverted.portals.default.map(c => c.id)).toEqual(['cat1', 'cat2']);
+      reverted = revertDiffEntry(base, reverted, entries.find(e => e.type === 'category'));
+      expect(reverted.portals.default[0].links.map(l => l.id)).toEqual(['link1', 'link3', 'link2']);
+      expect(diffDocuments(base, reverted)).toEqual([expect.objectContaining({ action: 'added', id: 'link3' })]);
+    });
+
+    test('should restore a removed category together with its links', () => {
+      const next = clone(base);
+      next.portals.default.shift();
+      expect(revertAll(base, next).portals).toEqual(base.portals);
+    });
+
+    test('should undo every kind of change one by one', () => {
+      const next = clone(base);
+      next.portals.default[0].links[1].title = 'Two';
+      next.portals.default[1].links.push(next.portals.default[0].links.shift());
+      next.portals.default.push({ id: 'cat3', title: 'New', links: [{ id: 'link9', title: 'L9', url: 'http://nine.com' }] });
+      next.portals.other = [];
+      next.workflows.default.push({ id: 'wf2', title: 'Flow 2', steps: [] });
+      next.workflows.default[0].steps.push({ step: 1, title: 'S', memo: '' });
+
+      expect(diffDocuments(base, revertAll(base, next))).toEqual([]);
+    });
+  });
+
+  describe('trash', () => {
+    const oldEntry = { id: 'trash_old', type: 'link', deletedAt: '2026-01-01T00:00:00.000Z', item: { id: 'link0', title: 'Old', url: 'http://old.com' }, index: 0, catId: 'cat1', catTitle: 'Category 1' };
+    const withTrash = { ...clone(base), trash: { default: [oldEntry] } };
+
+    test('should report emptied, restored or purged trash entries and revert them', () => {
+      const next = clone(withTrash);
+      next.trash = {};
+
+      const entries = diffDocuments(withTrash, next);
+      expect(entries).toEqual([{ portalId: 'default', type: 'trash', action: 'removed', id: 'trash_old', title: 'Old', itemType: 'link' }]);
+      expect(revertDiffEntry(withTrash, next, entries[0]).trash).toEqual(withTrash.trash);
+    });
+
+    test('should report a removal once and drop its trash entry when reverted', () => {
+      const next = clone(withTrash);
+      const [link1] = next.portals.default[0].links.splice(0, 1);
+      next.trash.default.unshift({ id: 'trash_new', type: 'link', deletedAt: '2026-02-01T00:00:00.000Z', item: link1, index: 0, catId: 'cat1', catTitle: 'Category 1' });
+
+      const entries = diffDocuments(withTrash, next);
+      expect(entries).toEqual([expect.objectContaining({ type: 'link', action: 'removed', id: 'link1' })]);
+
+      const reverted = revertDiffEntry(withTrash, next, entries[0]);
+      expect(reverted.portals).toEqual(withTrash.portals);
+      expect(reverted.trash).toEqual(withTrash.trash);
+    });
+
+    test('should report a restore from trash once and put the entry back when reverted', () => {
+      const next = clone(withTrash);
+      next.portals.default[0].links.unshift(next.trash.default.shift().item);
+
+      const entries = diffDocuments(withTrash, next);
+      expect(entries).toEqual([expect.objectContaining({ type: 'link', action: 'added', id: 'link0' })]);
+
+      const reverted = revertDiffEntry(withTrash, next, entries[0]);
+      expect(reverted.portals).toEqual(withTrash.portals);
+      expect(reverted.trash).toEqual(withTrash.trash);
+    });
+
+    test('should report an item trashed without a matching removal and revert it', () => {
+      const next = clone(base);
+      next.trash = { default: [oldEntry] };
+
+      const entries = diffDocuments(base, next);
+      expect(entries).toEqual([expect.objectContaining({ type: 'trash', action: 'added', id: 'trash_old' })]);
+      expect(revertDiffEntry(base, next, entries[0]).trash).toEqual({});
+    });
+  });
+
+  describe('collections', () => {
+    const withCollections = { ...clone(base), collections: { default: [
+      { id: 'col1', title: 'Docs', query: 'doc', tags: [], freq: '', badge: '' },
+      { id: 'col2', title: 'Daily', query: '', tags: [], freq: 'daily', badge: '' }
+    ] } };
+
+    test('should report added, removed, renamed and changed collections', () => {
+      const next = clone(withCollections);
+      next.collections.default[0].title = 'Manuals';
+      next.collections.default[0].tags = ['manual'];
+      next.collections.default.splice(1, 1);
+      next.collections.default.push({ id: 'col3', title: 'New', query: 'x', tags: [], freq: '', badge: '' });
+
+      expect(diffDocuments(withCollections, next)).toEqual([
+        { portalId: 'default', type: 'collection', action: 'renamed', id: 'col1', title: 'Manuals', fromTitle: 'Docs' },
+        expect.objectContaining({ type: 'collection', action: 'changed', id: 'col1', fields: ['tags'] }),
+        { portalId: 'default', type: 'collection', action: 'added', id: 'col3', title: 'New' },
+        { portalId: 'default', type: 'collection', action: 'removed', id: 'col2', title: 'Daily' }
+      ]);
+    });
+
+    test('should revert every collection change one by one', () => {
+      const next = clone(withCollections);
+      next.collections.default[1].freq = 'weekly';
+      next.collections.default.shift();
+      next.collections.other = [{ id: 'col9', title: 'Other', query: '', tags: [], freq: '', badge: '' }];
+
+      let current = next;
+      let entries = diffDocuments(withCollections, current);
+      while (entries.length > 0) {
+        current = revertDiffEntry(withCollections, current, entries[0]);
+        entries = diffDocuments(withCollections, current);
+      }
+      expect(current.collections).toEqual(withCollections.collections);
+    });
+  });
+
+  test('describeDiffEntry() should produce a readable label', () => {
+    expect(describeDiffEntry({ type: 'link', action: 'added', title: 'A', catTitle: 'C' })).toBe('リンク「A」を追加（C）');
+    expect(describeDiffEntry({ type: 'category', action: 'changed', title: 'C', fields: ['memo'] })).toBe('カテゴリ「C」を変更: memo');
+    expect(describeDiffEntry({ type: 'category', action: 'renamed', title: 'D', fromTitle: 'C' })).toBe('カテゴリ「C」の名前を「D」に変更');
+    expect(describeDiffEntry({ type: 'step', action: 'added', title: 'S', workflowTitle: 'W', index: 0 })).toBe('ステップ「S」を追加（W #1）');
+    expect(describeDiffEntry({ type: 'portal', action: 'reordered', title: 'default' })).toBe('カテゴリの並び順を変更');
+    expect(describeDiffEntry({ type: 'category', action: 'reordered', title: 'C' })).toBe('カテゴリ「C」内のリンクの並び順を変更');
+    expect(describeDiffEntry({ type: 'collection', action: 'removed', title: 'Docs' })).toBe('スマートコレクション「Docs」を削除');
+    expect(describeDiffEntry({ type: 'trash', action: 'added', title: 'A', itemType: 'link' })).toBe('リンク「A」をゴミ箱に追加');
+    expect(describeDiffEntry({ type: 'trash', action: 'removed', title: 'C', itemType: 'category' })).toBe('カテゴリ「C」をゴミ箱から削除（復元または完全に削除）');
+  });
+});
@@ -0,0 +1,198 @@
+// test/documentMerge.test.js
+import { normalizeUrl, planMerge, applyMergePlan, mergeThreeWay } from '../js/documentMerge.js';
+
+describe('documentMerge', () => {
+  let counter;
+  const createId = (prefix) => `${prefix}_new${++counter}`;
+
+  const mine = {
+    categories: [
+      { id: 'cat1', title: 'Tools', isOpen: true, links: [
+        { id: 'link1', title: 'GitHub', url: 'https://github.com/' },
+        { id: 'link2', title: 'Docs', url: 'https://example.com/docs', memo: 'mine' }
+      ] }
+    ],
+    workflows: [{ id: 'wf1', title: 'Daily', freq: 'daily', steps: [] }]
+  };
+
+  beforeEach(() => {
+    counter = 0;
+  });
+
+  test('normalizeUrl() should ignore case, www, trailing slashes and tracking params', () => {
+    expect(normalizeUrl('HTTPS://WWW.Example.com/path/?utm_source=x&b=2&a=1#')).toBe('https://example.com/path?a=1&b=2');
+    expect(normalizeUrl('http://example.com:80')).toBe('http://example.com');
+    expect(normalizeUrl('https://example.com/Path#section')).toBe('https://example.com/Path#section');
+    expect(normalizeUrl(' opendir:C:\\work\\ ')).toBe('opendir:C:\\work');
+  });
+
+  test('planMerge() should skip identical items and report new links in matching categories', () => {
+    const theirs = {
+      categories: [
+        { id: 'other-id', title: ' tools ', links: [
+          { id: 'x1', title: 'GitHub', url: 'https://www.github.com' },
+          { id: 'x2', title: 'MDN', url: 'https://developer.mozilla.org/' }
+        ] }
+      ],
+      workflows: []
+    };
+    const plan = planMerge(mine, theirs);
+    expect(plan.identical).toBe(1);
+    expect(plan.items).toEqual([
+      expect.objectContaining({ type: 'link', status: 'new', catId: 'cat1', defaultResolution: 'theirs' })
+    ]);
+  });
+
+  test('planMerge() should report conflicts matched by id or url with field changes', () => {
+    const theirs = {
+      categories: [{ id: 'cat1', title: 'Tools', links: [{ id: 'link2', title: 'Docs', url: 'https://example.com/docs', memo: 'theirs' }] }],
+      workflows: [{ id: 'wfX', title: 'Daily', freq: 'weekly', steps: [] }]
+    };
+    const plan = planMerge(mine, theirs);
+    expect(plan.items).toEqual([
+      expect.objectContaining({
+        type: 'link', status: 'conflict', matchedBy: 'id',
+        changes: [{ field: 'memo', before: 'mine', after: 'theirs' }],
+        options: ['mine', 'theirs', 'both'], defaultResolution: 'mine'
+      }),
+      expect.objectContaining({ type: 'workflow', status: 'conflict', matchedBy: 'title' })
+    ]);
+  });
+
+  test('planMerge() should keep unmatched links together with a new category', () => {
+    const theirs = {
+      categories: [{ id: 'cat9', title: 'News', links: [
+        { id: 'n1', title: 'News', url: 'https://news.example.com' },
+        { id: 'n2', title: 'GitHub (copy)', url: 'https://github.com' }
+      ] }]
+    };
+    const plan = planMerge(mine, theirs);
+    const category = plan.items.find(i => i.type === 'category');
+    expect(category.status).toBe('new');
+    expect(category.links.map(l => l.id)).toEqual(['n1']);
+    expect(plan.items.find(i => i.type === 'link')).toEqual(expect.objectContaining({ status: 'conflict', matchedBy: 'url' }));
+  });
+
+  test('applyMergePlan() should apply mine / theirs / both per item without touching the input', () => {
+    const theirs = {
+      categories: [
+        { id: 'cat1', title: 'Tools', links: [
+          { id: 'link1', title: 'GitHub!', url: 'https://github.com/' },
+          { id: 'link2', title: 'Docs', url: 'https://example.com/docs', memo: 'theirs' },
+          { id: 'x3', title: 'New', url: 'https://new.example.com' }
+        ] },
+        { id: 'cat9', title: 'News', links: [{ id: 'n1', title: 'News', url: 'https://news.example.com' }] }
+      ],
+      workflows: [{ id: 'wf1', title: 'Daily', freq: 'weekly', steps: [] }, { id: 'wf2', title: 'Weekly', steps: [] }]
+    };
+    const plan = planMerge(mine, theirs);
+    const keyOf = (predicate) => plan.items.find(predicate).key;
+    const resolutions = {
+      [keyOf(i => i.theirs.id === 'link1')]: 'theirs',
+      [keyOf(i => i.theirs.id === 'link2')]: 'both',
+      [keyOf(i => i.theirs.id === 'cat9')]: 'mine',
+      [keyOf(i => i.theirs.id === 'wf1')]: 'theirs'
+    };
+
+    const result = applyMergePlan(mine, plan, resolutions, createId);
+    const links = result.categories[0].links;
+    expect(links.map(l => l.id)).toEqual(['link1', 'link2', 'link_new1', 'x3']);
+    expect(links[0].title).toBe('GitHub!');
+    expect(links[1].memo).toBe('mine');
+    expect(links[2].memo).toBe('theirs');
+    expect(result.categories).toHaveLength(1);
+    expect(result.workflows.map(w => [w.id, w.freq])).toEqual([['wf1', 'weekly'], ['wf2', undefined]]);
+    expect(result.applied).toBe(5);
+    expect(mine.categories[0].links).toHaveLength(2);
+  });
+
+  test('applyMergePlan() should assign fresh ids when imported ids are already used', () => {
+    const theirs = { categories: [{ id: 'cat9', title: 'News', links: [{ id: 'cat1', title: 'Odd id', url: 'https://odd.example.com' }] }] };
+    const result = applyMergePlan(mine, planMerge(mine, theirs), {}, createId);
+    expect(result.categories[1].id).toBe('cat9');
+    expect(result.categories[1].links[0].id).toBe('link_new1');
+  });
+
+  test('applyMergePlan() should keep generating until the new id is unused', () => {
+    const theirs = {
+      categories: [{ id: 'cat1', title: 'Tools', links: [{ id: 'link2', title: 'Docs!', url: 'https://example.com/docs' }] }],
+      workflows: [{ id: 'wf1', title: 'Daily', freq: 'weekly', steps: [] }]
+    };
+    const plan = planMerge(mine, theirs);
+    const resolutions = Object.fromEntries(plan.items.map(item => [item.key, 'both']));
+    const ids = ['link1', 'link2', 'link_fresh', 'wf1', 'wf_fresh'];
+    const result = applyMergePlan(mine, plan, resolutions, () => ids.shift());
+    expect(result.categories[0].links.map(l => l.id)).toEqual(['link1', 'link2', 'link_fresh']);
+    expect(result.workflows.map(w => w.id)).toEqual(['wf1', 'wf_fresh']);
+  });
+  describe('mergeThreeWay()', () => {
+    const doc = (links, workflows = [{ id: 'wf1', title: 'Daily', steps: [] }]) => ({
+      schemaVersion: 2,
+      portals: { default: [{ id: 'cat1', title: 'Tools', isOpen: true, links }] },
+      workflows: { default: workflows }
+    });
+    const link = (id, title, extra = {}) => ({ id, title, url: `https://${id}.example.com`, ...extra });
+    const base = doc([link('a', 'A'), link('b', 'B'), link('c', 'C')]);
+
+    test('should take one-sided changes from both sides without conflicts', () => {
+      const mineDoc = doc([link('a', 'A mine'), link('b', 'B'), link('c', 'C'), link('m', 'Mine')]);
+      const theirsDoc = doc([link('a', 'A'), link('b', 'B theirs'), link('t', 'Theirs')], [{ id: 'wf1', title: 'Daily', steps: [] }, { id: 'wf2', title: 'New', steps: [] }]);
+      const { document, conflicts, theirsApplied } = mergeThreeWay(base, mineDoc, theirsDoc, {}, createId);
+      expect(conflicts).toEqual([]);
+      expect(document.portals.default[0].links.map(l => [l.id, l.title])).toEqual([
+        ['a', 'A mine'], ['b', 'B theirs'], ['m', 'Mine'], ['t', 'Theirs']
+      ]);
+      expect(document.workflows.default.map(w => w.id)).toEqual(['wf1', 'wf2']);
+      expect(theirsApplied).toBe(4);
+    });
+
+    test('should report conflicting edits and resolve them per item', () => {
+      const mineDoc = doc([link('a', 'A mine'), link('b', 'B')]);
+      const theirsDoc = doc([link('a', 'A theirs'), link('b', 'B', { memo: 'edited' }), link('c', 'C')]);
+      const first = mergeThreeWay(base, mineDoc, theirsDoc, {}, createId);
+      expect(first.conflicts).toEqual([
+        expect.objectContaining({
+          key: 'default:link:a', type: 'link', options: ['mine', 'theirs', 'both'],
+          changes: [{ field: 'title', before: 'A mine', after: 'A theirs' }]
+        })
+      ]);
+      expect(first.document.portals.default[0].links.map(l => l.title)).toEqual(['A mine', 'B']);
+
+      const second = mergeThreeWay(base, mineDoc, theirsDoc, { 'default:link:a': 'both' }, createId);
+      expect(second.document.portals.default[0].links.map(l => [l.id, l.title])).toEqual([
+        ['a', 'A mine'], ['link_new1', 'A theirs'], ['b', 'B']
+      ]);
+    });
+
+    test('should take trash entries added or removed on either side', () => {
+      const entry = (id) => ({ id, type: 'link', item: link(id, id), index: 0, catId: 'cat1', deletedAt: '2026-10-01T00:00:00.000Z' });
+      const withTrash = (trash) => ({ ...base, trash: { default: trash } });
+      const { document } = mergeThreeWay(
+        withTrash([entry('old')]), withTrash([entry('old'), entry('mine')]), withTrash([entry('theirs')]), {}, createId
+      );
+      expect(document.trash.default.map(e => e.id)).toEqual(['mine', 'theirs']);
+    });
+
+    test('should merge smart collections per item and keep mine on conflicting edits', () => {
+      const col = (id, title) => ({ id, title, query: '', tags: [], freq: '', badge: '' });
+      const withCollections = (collections) => ({ ...base, collections: { default: collections } });
+      const { document } = mergeThreeWay(
+        withCollections([col('a', 'A'), col('b', 'B'), col('c', 'C')]),
+        withCollections([col('a', 'A mine'), col('b', 'B mine'), col('c', 'C')]),
+        withCollections([col('a', 'A'), col('b', 'B theirs'), col('d', 'D')]),
+        {}, createId
+      );
+      expect(document.collections.default.map(c => [c.id, c.title])).toEqual([['a', 'A mine'], ['b', 'B mine'], ['d', 'D']]);
+    });
+
+    test('should report edits against deletions as conflicts', () => {
+      const mineDoc = doc([link('a', 'A'), link('b', 'B')]);
+      const theirsDoc = doc([link('a', 'A'), link('b', 'B'), link('c', 'C!')]);
+      const { conflicts, document } = mergeThreeWay(base, mineDoc, theirsDoc, { 'default:link:c': 'theirs' }, createId);
+      expect(conflicts).toEqual([
+        expect.objectContaining({ key: 'default:link:c', mineDeleted: true, theirsDeleted: false, options: ['mine', 'theirs'] })
+      ]);
+      expect(document.portals.default[0].links.map(l => l.title)).toEqual(['A', 'B', 'C!']);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// test/historyManager.test.js
+import { HistoryManager } from '../js/historyManager.js';
+
+describe('HistoryManager', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new HistoryManager(3);
+    history.reset('s0');
+  });
+
+  test('should start at the saved state with nothing to undo or redo', () => {
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.isAtSaved()).toBe(true);
+  });
+
+  test('record() should push the previous state and clear the redo stack', () => {
+    history.record('s1');
+    history.record('s2');
+    expect(history.undo()).toBe('s1');
+    expect(history.canRedo()).toBe(true);
+    history.record('s3');
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBe('s1');
+  });
+
+  test('record() should ignore a snapshot identical to the current state', () => {
+    expect(history.record('s0')).toBe(false);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('undo() and redo() should walk back and forth through the states', () => {
+    history.record('s1');
+    history.record('s2');
+    expect(history.undo()).toBe('s1');
+    expect(history.undo()).toBe('s0');
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toBe('s1');
+    expect(history.redo()).toBe('s2');
+    expect(history.redo()).toBeNull();
+  });
+
+  test('should keep at most `limit` undo entries', () => {
+    ['s1', 's2', 's3', 's4', 's5'].forEach(s => history.record(s));
+    expect(history.undoStack.length).toBe(3);
+    expect(history.undo()).toBe('s4');
+    expect(history.undo()).toBe('s3');
+    expect(history.undo()).toBe('s2');
+    expect(history.undo()).toBeNull();
+  });
+
+  test('isAtSaved() should follow the saved state through undo and redo', () => {
+    history.record('s1');
+    expect(history.isAtSaved()).toBe(false);
+    history.markSaved();
+    history.record('s2');
+    expect(history.isAtSaved()).toBe(false);
+    history.undo();
+    expect(history.isAtSaved()).toBe(true);
+    history.undo();
+    expect(history.isAtSaved()).toBe(false);
+    history.redo();
+    expect(history.isAtSaved()).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+import { scheduleToRRule, workflowRecurrence, escapeIcalText, renderWorkflowCalendar } from '../js/icalExport.js';
+
+describe('icalExport', () => {
+  test('scheduleToRRule() should convert each rule and keep days past the end of the month on the last day', () => {
+    expect(scheduleToRRule({ type: 'daily' })).toBe('FREQ=DAILY');
+    expect(scheduleToRRule({ type: 'weekdays' })).toBe('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+    expect(scheduleToRRule({ type: 'weekly', weekdays: [4, 0] })).toBe('FREQ=WEEKLY;BYDAY=SU,TH');
+    expect(scheduleToRRule({ type: 'weekly', weekdays: [] })).toBeNull();
+    expect(scheduleToRRule({ type: 'monthly', day: 25 })).toBe('FREQ=MONTHLY;BYMONTHDAY=25');
+    expect(scheduleToRRule({ type: 'monthly', day: 30 })).toBe('FREQ=MONTHLY;BYMONTHDAY=28,29,30;BYSETPOS=-1');
+    expect(scheduleToRRule({ type: 'monthly', day: 31 })).toBe('FREQ=MONTHLY;BYMONTHDAY=-1');
+    expect(scheduleToRRule({ type: 'yearly', month: 3, day: 1 })).toBe('FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=1');
+    expect(scheduleToRRule({ type: 'yearly', month: 2, day: 29 })).toBe('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=28,29;BYSETPOS=-1');
+  });
+
+  test('workflowRecurrence() should start at the first occurrence, or today for a plain frequency', () => {
+    expect(workflowRecurrence({ schedule: { type: 'monthly', day: 25, start: '2026-10-26' } }, '2026-11-01'))
+      .toEqual({ rrule: 'FREQ=MONTHLY;BYMONTHDAY=25', start: '2026-11-25' });
+    expect(workflowRecurrence({ schedule: { type: 'yearly', month: 3, day: 1 } }, '2026-10-19'))
+      .toEqual({ rrule: 'FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=1', start: '2027-03-01' });
+    expect(workflowRecurrence({ freq: 'weekly' }, '2026-10-19')).toEqual({ rrule: 'FREQ=WEEKLY', start: '2026-10-19' });
+    expect(workflowRecurrence({ freq: 'rare' }, '2026-10-19')).toBeNull();
+  });
+
+  test('escapeIcalText() should escape special characters and newlines', () => {
+    expect(escapeIcalText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+  });
+
+  test('renderWorkflowCalendar() should emit one recurring all-day event per scheduled workflow', () => {
+    const categories = [{ id: 'cat1', title: 'Docs', links: [
+      { id: 'link1', title: 'Share', url: 'opendir:\\\\server\\share', badge: 'local' },
+      { id: 'link2', title: '会計システム', url: 'https://example.com/books?a=1,2' }
+    ] }];
+    const workflows = [
+      {
+        id: 'wf1', title: '月次締め', description: '毎月の締め作業', tags: ['経理', '月次'], freq: 'monthly',
+        schedule: { type: 'monthly', day: 25, start: '2026-10-01' },
+        steps: [
+          { step: 1, title: '資料を集める', memo: '共有フォルダ', linkId: 'link1' },
+          { step: 2, title: '仕訳を入力', memo: '', linkId: 'link2' }
+        ]
+      },
+      { id: 'wf2', title: 'Someday', freq: 'rare', steps: [] }
+    ];
+    const { ics, count } = renderWorkflowCalendar(
+      { portalId: 'default', title: 'Main', categories, workflows },
+      { now: new Date(Date.UTC(2026, 9, 19, 3, 4, 5)) }
+    );
+
+    expect(count).toBe(1);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    const unfolded = ics.replace(/\r\n /g, '');
+    const lines = unfolded.split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'X-WR-CALNAME:Main',
+      'UID:default-wf1@study-portal',
+      'DTSTAMP:20261019T030405Z',
+      'DTSTART;VALUE=DATE:20261025',
+      'DTEND;VALUE=DATE:20261026',
+      'RRULE:FREQ=MONTHLY;BYMONTHDAY=25',
+      'SUMMARY:月次締め',
+      'URL:https://example.com/books?a=1,2',
+      'CATEGORIES:経理,月次',
+      'TRIGGER:PT9H'
+    ]));
+    expect(lines.find(line => line.startsWith('DESCRIPTION:毎月'))).toBe(
+      'DESCRIPTION:毎月の締め作業\\n\\n手順:\\n1. 資料を集める\\n   共有フォルダ\\n   Share: \\\\\\\\server\\\\share'
+      + '\\n2. 仕訳を入力\\n   会計システム: https://example.com/books?a=1\\,2'
+    );
+    expect(unfolded).not.toContain('Someday');
+
+    // 折り返した行はどれも 75 オクテット以内
+    ics.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+  });
+});
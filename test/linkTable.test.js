@@ -0,0 +1,47 @@
+// test/linkTable.test.js
+import { exportLinkTable, parseDelimited, guessColumnMapping, rowsToLinks, LINK_TABLE_COLUMNS } from '../js/linkTable.js';
+
+describe('linkTable', () => {
+  const categories = [
+    {
+      id: 'cat1',
+      title: 'Dev, Tools',
+      links: [
+        { id: 'link1', title: 'GitHub', url: 'https://github.com', badge: 'code', memo: 'say "hi"\nsecond line', tags: ['git', 'code'], iconFill: 1 }
+      ]
+    },
+    { id: 'cat2', title: 'Empty', links: [] }
+  ];
+
+  test('exportLinkTable() should write a header and quote cells that need it', () => {
+    const csv = exportLinkTable(categories);
+    const [header, row] = csv.split('\r\n');
+    expect(header).toBe(LINK_TABLE_COLUMNS.map(c => c.key).join(','));
+    expect(row.startsWith('"Dev, Tools",GitHub,https://github.com,code,"say ""hi""')).toBe(true);
+  });
+
+  test('parseDelimited() should round-trip the export as CSV and TSV', () => {
+    [',', '\t'].forEach(delimiter => {
+      const rows = parseDelimited('\uFEFF' + exportLinkTable(categories, delimiter));
+      expect(rows.length).toBe(2);
+      const [entry] = rowsToLinks(rows.slice(1), rows[0]);
+      expect(entry.category).toBe('Dev, Tools');
+      expect(entry.link).toEqual({ title: 'GitHub', url: 'https://github.com', badge: 'code', memo: 'say "hi"\nsecond line', tags: ['git', 'code'], iconFill: 1 });
+    });
+  });
+
+  test('guessColumnMapping() should map known headers, including Japanese names', () => {
+    expect(guessColumnMapping(['名前', 'URL', '説明', 'Owner'])).toEqual({ mapping: ['title', 'url', 'memo', ''], hasHeader: true });
+  });
+
+  test('guessColumnMapping() should detect a missing header from URL values', () => {
+    expect(guessColumnMapping(['https://a.com', 'A', 'x'])).toEqual({ mapping: ['url', 'title', ''], hasHeader: false });
+    expect(guessColumnMapping(['Dev', 'A', 'https://a.com'])).toEqual({ mapping: ['', 'title', 'url'], hasHeader: false });
+  });
+
+  test('rowsToLinks() should derive missing titles and ignore unmapped columns', () => {
+    const entries = rowsToLinks([['', 'https://example.com/docs/guide.html', 'ignored'], ['No URL', '', '']], ['title', 'url', '']);
+    expect(entries[0]).toEqual({ category: '', link: { title: 'guide - example.com', url: 'https://example.com/docs/guide.html' } });
+    expect(entries[1].link.url).toBe('');
+  });
+});
@@ -0,0 +1,52 @@
+// test/linkTextParser.test.js
+import { parseLinkText, titleFromUrl } from '../js/linkTextParser.js';
+
+describe('linkTextParser', () => {
+  test('should read Markdown link lists with trailing notes', () => {
+    const links = parseLinkText('- [Google](https://google.com) - search engine\n* [Wiki](https://en.wikipedia.org/wiki/Foo_(bar))');
+    expect(links).toEqual([
+      { title: 'Google', url: 'https://google.com', titleFromUrl: false, memo: 'search engine' },
+      { title: 'Wiki', url: 'https://en.wikipedia.org/wiki/Foo_(bar)', titleFromUrl: false }
+    ]);
+  });
+
+  test('should read TSV rows pasted from a spreadsheet and skip the header', () => {
+    const links = parseLinkText('Name\tURL\tBadge\tMemo\nGitHub\thttps://github.com\tcode\tgit hosting\n\thttps://example.com/docs/getting-started.html');
+    expect(links).toEqual([
+      { title: 'GitHub', url: 'https://github.com', titleFromUrl: false, memo: 'git hosting', badge: 'code' },
+      { title: 'getting started - example.com', url: 'https://example.com/docs/getting-started.html', titleFromUrl: true }
+    ]);
+  });
+
+  test('should read CSV rows with quoted cells', () => {
+    const links = parseLinkText('title,url\n"Acme, Inc",https://acme.com,tool');
+    expect(links).toEqual([{ title: 'Acme, Inc', url: 'https://acme.com', titleFromUrl: false, badge: 'tool' }]);
+  });
+
+  test('should derive titles for bare URL lists and drop duplicates', () => {
+    const links = parseLinkText('https://a.com\nhttps://b.com/x/y-z\nwww.c.com.\nhttps://a.com');
+    expect(links.map(l => [l.title, l.url])).toEqual([
+      ['a.com', 'https://a.com'],
+      ['y z - b.com', 'https://b.com/x/y-z'],
+      ['c.com', 'https://www.c.com']
+    ]);
+    expect(links.every(l => l.titleFromUrl)).toBe(true);
+  });
+
+  test('should read free text, including a title on the line before a URL', () => {
+    const links = parseLinkText('My page\nhttps://mine.example.org\n\nCheck out https://foo.com/bar (really) now.\nBoth https://x.com and https://y.com');
+    expect(links.map(l => l.title)).toEqual(['My page', 'Check out', 'x.com', 'y.com']);
+    expect(links[1]).toMatchObject({ url: 'https://foo.com/bar', memo: '(really) now.' });
+  });
+
+  test('should return an empty list when there are no URLs', () => {
+    expect(parseLinkText('just some words\nand more')).toEqual([]);
+    expect(parseLinkText('')).toEqual([]);
+  });
+
+  test('titleFromUrl() should fall back to the host or the input', () => {
+    expect(titleFromUrl('https://www.qiita.com/')).toBe('qiita.com');
+    expect(titleFromUrl('https://example.com/%E3%83%86%E3%82%B9%E3%83%88.html')).toBe('テスト - example.com');
+    expect(titleFromUrl('not a url')).toBe('not a url');
+  });
+});
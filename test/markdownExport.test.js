@@ -0,0 +1,60 @@
+// test/markdownExport.test.js
+import { escapeMarkdown, renderPortalMarkdown, renderPortalsMarkdown } from '../js/markdownExport.js';
+
+describe('markdownExport', () => {
+  const categories = [
+    {
+      id: 'cat1',
+      title: 'Docs',
+      links: [
+        { id: 'link1', title: 'MDN [web]', url: 'https://developer.mozilla.org/a (b)', badge: 'doc', memo: 'Reference\nfor *all*', tags: ['web', 'ref'] },
+        { id: 'link2', title: 'Share', url: 'opendir:\\\\server\\share', badge: 'local', memo: '' }
+      ]
+    },
+    { id: 'cat2', title: 'Empty', links: [] }
+  ];
+  const workflows = [{
+    id: 'wf1',
+    title: 'Monthly close',
+    freq: 'monthly',
+    tags: ['finance'],
+    description: 'Close the books',
+    steps: [
+      { step: 1, title: 'Open docs', memo: 'check first', linkId: 'link1' },
+      { step: 2, title: '', memo: '', linkId: 'link2' },
+      { step: 3, title: 'Done', memo: '', linkId: 'missing' }
+    ]
+  }];
+
+  test('escapeMarkdown should escape markup characters and join lines', () => {
+    expect(escapeMarkdown('a *b* [c]\n  d_e')).toBe('a \\*b\\* \\[c\\] d\\_e');
+    expect(escapeMarkdown(undefined)).toBe('');
+  });
+
+  test('should render a heading per category and bullet links with badge, memo and tags', () => {
+    const md = renderPortalMarkdown({ title: 'Portal', subtitle: 'Team links', categories });
+    expect(md).toContain('# Portal\n\nTeam links\n\n## リンク\n\n### Docs\n\n');
+    expect(md).toContain('- [MDN \\[web\\]](https://developer.mozilla.org/a%20%28b%29) `Docs` — Reference for \\*all\\* （タグ: web, ref）\n');
+    expect(md).toContain('- Share: `\\\\server\\share` `Local`');
+    expect(md).toContain('### Empty\n\n（リンクはありません）');
+    expect(md).not.toContain('## ワークフロー');
+  });
+
+  test('should render workflows as numbered steps with resolved links and memos', () => {
+    const md = renderPortalMarkdown({ title: 'Portal', categories, workflows }, { includeLinks: false });
+    expect(md).not.toContain('## リンク');
+    expect(md).toContain('## ワークフロー\n\n### Monthly close\n\n頻度: 月次 / タグ: finance\n\nClose the books\n\n');
+    expect(md).toContain('1. **Open docs** — [MDN \\[web\\]](https://developer.mozilla.org/a%20%28b%29)\n   check first\n');
+    expect(md).toContain('2. Share: `\\\\server\\share`\n');
+    expect(md).toContain('3. **Done**\n');
+  });
+
+  test('should join several portals with horizontal rules', () => {
+    const md = renderPortalsMarkdown([
+      { title: 'A', categories },
+      { title: 'B', categories: [] }
+    ], { includeWorkflows: false });
+    expect(md).toMatch(/\n\n---\n\n# B\n\n## リンク\n$/);
+    expect(md.startsWith('# A\n')).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+// test/portalServer.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPortalServer } from '../tools/portalServer.js';
+
+describe('portalServer', () => {
+  let tmpDir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-server-'));
+    fs.mkdirSync(path.join(tmpDir, 'data'));
+    fs.writeFileSync(path.join(tmpDir, 'data', 'data.json'), JSON.stringify({ portals: { default: [] }, workflows: {} }));
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<!DOCTYPE html><title>portal</title>');
+
+    server = createPortalServer({ root: tmpDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('GET /api/data should return the document with an ETag', async () => {
+    const res = await fetch(`${baseUrl}/api/data`);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('etag')).toMatch(/^"[0-9a-f]+"$/);
+    expect(res.headers.get('x-portal-server')).toBe('1');
+    expect(await res.json()).toEqual({ portals: { default: [] }, workflows: {} });
+  });
+
+  test('PUT /api/data should write the document when If-Match matches', async () => {
+    const etag = (await fetch(`${baseUrl}/api/data`)).headers.get('etag');
+    const body = JSON.stringify({ portals: { default: [{ id: 'cat1', title: 'A', links: [] }] }, workflows: {} });
+    const res = await fetch(`${baseUrl}/api/data`, { method: 'PUT', headers: { 'If-Match': etag }, body });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('etag')).not.toBe(etag);
+    expect(fs.readFileSync(path.join(tmpDir, 'data', 'data.json'), 'utf8')).toBe(body);
+  });
+
+  test('PUT /api/data should reject a stale ETag with 412', async () => {
+    const res = await fetch(`${baseUrl}/api/data`, { method: 'PUT', headers: { 'If-Match': '"stale"' }, body: '{}' });
+    expect(res.status).toBe(412);
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'data', 'data.json'), 'utf8')).portals).toBeDefined();
+  });
+
+  test('PUT /api/data should reject invalid JSON with 400', async () => {
+    const res = await fetch(`${baseUrl}/api/data`, { method: 'PUT', body: '{not json' });
+    expect(res.status).toBe(400);
+  });
+
+  test('should serve static files and block path traversal', async () => {
+    const index = await fetch(`${baseUrl}/`);
+    expect(index.status).toBe(200);
+    expect(index.headers.get('content-type')).toContain('text/html');
+
+    const traversal = await fetch(`${baseUrl}/..%2F..%2Fetc%2Fpasswd`);
+    expect([403, 404]).toContain(traversal.status);
+  });
+
+  test('should answer 400 to a malformed percent-encoding and keep serving', async () => {
+    const res = await fetch(`${baseUrl}/%E0%A4%A`);
+    expect(res.status).toBe(400);
+    expect((await fetch(`${baseUrl}/`)).status).toBe(200);
+  });
+
+  test('should serve only the app files, not dot-paths or other directories', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'js'));
+    fs.writeFileSync(path.join(tmpDir, 'js', 'app.js'), 'export {};');
+    fs.mkdirSync(path.join(tmpDir, '.git'));
+    fs.writeFileSync(path.join(tmpDir, '.git', 'config'), '[core]');
+    fs.writeFileSync(path.join(tmpDir, 'js', '.env'), 'SECRET=1');
+    fs.mkdirSync(path.join(tmpDir, 'test'));
+    fs.writeFileSync(path.join(tmpDir, 'test', 'a.test.js'), '');
+
+    expect((await fetch(`${baseUrl}/js/app.js`)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/data/data.json`)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/.git/config`)).status).toBe(403);
+    expect((await fetch(`${baseUrl}/js/.env`)).status).toBe(403);
+    expect((await fetch(`${baseUrl}/test/a.test.js`)).status).toBe(403);
+  });
+});
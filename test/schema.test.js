@@ -0,0 +1,191 @@
+// test/schema.test.js
+import {
+  CURRENT_SCHEMA_VERSION, DataValidationError,
+  detectSchemaVersion, migrateDocument, validateDocument, parseDocument
+} from '../js/schema.js';
+
+describe('schema', () => {
+  const categories = [
+    { id: 'cat1', title: 'Category 1', links: [{ id: 'link1', title: 'Link 1', url: 'http://example.com', badge: 'doc', freq: 'daily' }] }
+  ];
+
+  test('detectSchemaVersion() should identify each format', () => {
+    expect(detectSchemaVersion(categories)).toBe(0);
+    expect(detectSchemaVersion({ portals: {} })).toBe(1);
+    expect(detectSchemaVersion({ schemaVersion: 2, portals: {} })).toBe(2);
+    expect(detectSchemaVersion({ foo: 1 })).toBeNull();
+    expect(detectSchemaVersion('text')).toBeNull();
+  });
+
+  test('migrateDocument() should upgrade the legacy bare array into the given portal', () => {
+    const { document, fromVersion } = migrateDocument(categories, { portalId: 'work' });
+    expect(fromVersion).toBe(0);
+    expect(document).toEqual({ schemaVersion: CURRENT_SCHEMA_VERSION, portals: { work: categories }, workflows: {}, trash: {}, collections: {} });
+    expect(document.portals.work).not.toBe(categories);
+  });
+
+  test('migrateDocument() should add schemaVersion and workflows to version 1 documents', () => {
+    const { document, fromVersion } = migrateDocument({ portals: { default: categories } });
+    expect(fromVersion).toBe(1);
+    expect(document.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(document.workflows).toEqual({});
+  });
+
+  test('migrateDocument() should add an empty trash to version 2 documents', () => {
+    const { document } = migrateDocument({ schemaVersion: 2, portals: { default: categories }, workflows: {} });
+    expect(document.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(document.trash).toEqual({});
+  });
+
+  test('migrateDocument() should add empty smart collections to version 3 documents', () => {
+    const { document } = migrateDocument({ schemaVersion: 3, portals: { default: categories }, workflows: {}, trash: {} });
+    expect(document.schemaVersion).toBe(4);
+    expect(document.collections).toEqual({});
+  });
+
+  test('migrateDocument() should reject unknown and newer formats', () => {
+    expect(() => migrateDocument({ foo: 1 })).toThrow(DataValidationError);
+    try {
+      migrateDocument({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, portals: {} });
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e).toBeInstanceOf(DataValidationError);
+      expect(e.report.errors[0].message).toContain(`schemaVersion ${CURRENT_SCHEMA_VERSION + 1}`);
+    }
+  });
+
+  test('validateDocument() should accept a valid document', () => {
+    const doc = { schemaVersion: 2, portals: { default: categories }, workflows: { default: [{ id: 'wf1', title: 'Flow', freq: 'weekly', steps: [] }] } };
+    expect(validateDocument(doc)).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('validateDocument() should report precise paths for errors and warnings', () => {
+    const doc = {
+      schemaVersion: 2,
+      portals: {
+        default: [
+          { title: 'No id', links: [] },
+          { id: 'cat2', title: 'Bad links', links: 'oops' },
+          { id: 'cat3', title: 'Links', links: [
+            { title: 'No id', url: 'http://a.com' },
+            { id: 'l2', title: 'Bad', url: 'http://b.com', freq: 'hourly', badge: 'unknown' }
+          ] }
+        ]
+      },
+      workflows: { default: [{ id: 'wf1', title: 'Flow', freq: 'yearly', steps: null }] }
+    };
+    const { errors, warnings } = validateDocument(doc);
+    expect(errors.map(e => e.path)).toEqual([
+      'portals.default[0].id',
+      'portals.default[1].links',
+      'portals.default[2].links[0].id',
+      'workflows.default[0].steps'
+    ]);
+    expect(warnings.map(w => w.path)).toEqual([
+      'portals.default[2].links[1].freq',
+      'portals.default[2].links[1].badge',
+      'workflows.default[0].freq'
+    ]);
+  });
+
+  test('validateDocument() should validate trash entries', () => {
+    const doc = {
+      portals: { default: categories },
+      workflows: {},
+      trash: { default: [
+        { id: 't1', type: 'link', item: { id: 'l9', title: 'Old', url: 'http://old.com' }, index: 0, deletedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 't2', type: 'portal', item: null, deletedAt: 'yesterday' }
+      ] }
+    };
+    const { errors, warnings } = validateDocument(doc);
+    expect(errors.map(e => e.path)).toEqual(['trash.default[1].type', 'trash.default[1].item']);
+    expect(warnings.map(w => w.path)).toEqual(['trash.default[1].deletedAt']);
+  });
+
+  test('validateDocument() should validate smart collections', () => {
+    const doc = {
+      portals: { default: categories },
+      workflows: {},
+      collections: { default: [
+        { id: 'col1', title: 'Monthly', query: 'tag:税務', tags: [], freq: 'monthly', badge: '' },
+        { id: 'col1', title: 'Dup', query: 1, tags: 'x', freq: 'yearly', badge: 'unknown' }
+      ] }
+    };
+    const { errors, warnings } = validateDocument(doc);
+    expect(errors.map(e => e.path)).toEqual(['collections.default[1].id', 'collections.default[1].query', 'collections.default[1].tags']);
+    expect(warnings.map(w => w.path)).toEqual(['collections.default[1].freq', 'collections.default[1].badge']);
+    expect(validateDocument({ ...doc, collections: [] }).errors.map(e => e.path)).toEqual(['collections']);
+  });
+
+  test('validateDocument() should warn about invalid workflow schedules', () => {
+    const workflow = (id, schedule) => ({ id, title: id, steps: [], schedule });
+    const doc = {
+      portals: { default: categories },
+      workflows: { default: [
+        workflow('wf1', { type: 'monthly', day: 25, start: '2026-01-01' }),
+        workflow('wf2', { type: 'yearly', month: 2, day: 29 }),
+        workflow('wf3', { type: 'weekly', weekdays: [] }),
+        workflow('wf4', { type: 'yearly', month: 4, day: 31 }),
+        workflow('wf5', { type: 'monthly', day: 0, start: '2026/01/01' }),
+        workflow('wf6', { type: 'hourly' }),
+        workflow('wf7', null)
+      ] }
+    };
+    const { errors, warnings } = validateDocument(doc);
+    expect(errors).toEqual([]);
+    expect(warnings.map(w => w.path)).toEqual([
+      'workflows.default[2].schedule.weekdays',
+      'workflows.default[3].schedule.day',
+      'workflows.default[4].schedule.day',
+      'workflows.default[4].schedule.start',
+      'workflows.default[5].schedule.type'
+    ]);
+  });
+
+  test('validateDocument() should warn about duplicate ids within a portal', () => {
+    const doc = { portals: { default: [{ id: 'dup', title: 'A', links: [{ id: 'dup', title: 'B', url: 'http://b.com' }] }] }, workflows: {} };
+    const { errors, warnings } = validateDocument(doc);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      expect.objectContaining({ path: 'portals.default[0].links[0].id' })
+    ]);
+  });
+
+  test('parseDocument() should assign new ids to duplicates, keeping the first occurrence', () => {
+    const json = { schemaVersion: CURRENT_SCHEMA_VERSION, portals: { default: [
+      { id: 'c1', title: 'A', links: [{ id: 'l1', title: 'A1', url: 'http://a.com' }, { id: 'l1', title: 'A2', url: 'http://b.com' }] },
+      { id: 'c1', title: 'B', links: [{ id: 'l1_2', title: 'B1', url: 'http://c.com' }, { id: 'l1', title: 'B2', url: 'http://d.com' }] }
+    ] }, workflows: {} };
+    const { document, report } = parseDocument(json);
+    const [a, b] = document.portals.default;
+    expect([a.id, b.id]).toEqual(['c1', 'c1_2']);
+    expect(a.links.map(l => l.id)).toEqual(['l1', 'l1_3']);
+    expect(b.links.map(l => l.id)).toEqual(['l1_2', 'l1_4']);
+    expect(report.warnings.map(w => w.path)).toEqual([
+      'portals.default[0].links[1].id',
+      'portals.default[1].id',
+      'portals.default[1].links[1].id'
+    ]);
+    // 元の値は変更しない
+    expect(json.portals.default[0].links[1].id).toBe('l1');
+  });
+
+  test('parseDocument() should throw with the full report when there are errors', () => {
+    try {
+      parseDocument({ portals: { default: [{ id: 'cat1', title: 'A', links: {} }] } });
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e).toBeInstanceOf(DataValidationError);
+      expect(e.report).toEqual(expect.objectContaining({ fromVersion: 1, toVersion: CURRENT_SCHEMA_VERSION, migrated: true }));
+      expect(e.report.errors).toHaveLength(1);
+    }
+  });
+
+  test('parseDocument() should return warnings without throwing', () => {
+    const withWarning = [{ id: 'cat1', title: 'A', links: [{ id: 'l1', title: 'L', url: 'http://a.com', badge: 'mystery' }] }];
+    const { document, report } = parseDocument(withWarning);
+    expect(document.portals.default).toEqual(withWarning);
+    expect(report.errors).toEqual([]);
+    expect(report.warnings).toHaveLength(1);
+  });
+});
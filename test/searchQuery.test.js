@@ -0,0 +1,254 @@
+// test/searchQuery.test.js
+import {
+  parseSearchQuery, matchesSearchQuery, evaluateSearchQuery, findMatchRanges, fuzzyFind, fuzzyTolerance,
+  getSearchCompletionContext, applySearchCompletion
+} from '../js/searchQuery.js';
+import { SearchManager } from '../js/searchManager.js';
+import { MemoryManager } from '../js/memoryManager.js';
+
+describe('searchQuery', () => {
+  const links = [
+    { link: { id: 'l1', title: 'freee 会計', url: 'https://freee.co.jp', tags: ['税務', '会計'], keywords: ['確定申告'], badge: 'tool', freq: 'daily', memo: 'old account' }, cat: '総合' },
+    { link: { id: 'l2', title: 'GitHub', url: 'https://github.com/org', tags: ['dev'], badge: 'code', freq: 'weekly', memo: 'repos' }, cat: '開発' },
+    { link: { id: 'l3', title: '共有フォルダ', url: 'opendir:\\\\server\\tax', tags: ['税務'], badge: 'local', freq: 'monthly', memo: '' }, cat: '総合 ポータル' }
+  ];
+  const run = (query) => {
+    const { node, errors } = parseSearchQuery(query);
+    expect(errors).toEqual([]);
+    return links.filter(({ link, cat }) => matchesSearchQuery(node, link, cat)).map(({ link }) => link.id);
+  };
+
+  test('should match plain words against title, memo, tags and keywords', () => {
+    expect(run('')).toEqual(['l1', 'l2', 'l3']);
+    expect(run('確定')).toEqual(['l1']);
+    expect(run('github repos')).toEqual(['l2']);
+    expect(run('"old account"')).toEqual(['l1']);
+    expect(run('"account old"')).toEqual([]);
+  });
+
+  test('should filter by fields', () => {
+    expect(run('tag:税務')).toEqual(['l1', 'l3']);
+    expect(run('tag:税')).toEqual([]);
+    expect(run('badge:tool')).toEqual(['l1']);
+    expect(run('badge:Docs')).toEqual([]);
+    expect(run('freq:週次')).toEqual(['l2']);
+    expect(run('cat:"総合 ポータル"')).toEqual(['l3']);
+    expect(run('is:local')).toEqual(['l3']);
+    expect(run('is:web url:github')).toEqual(['l2']);
+    expect(run('カテゴリ:開発')).toEqual(['l2']);
+  });
+
+  test('should combine conditions with AND, OR, NOT and parentheses', () => {
+    expect(run('tag:税務 -memo:old')).toEqual(['l3']);
+    expect(run('badge:code OR is:local')).toEqual(['l2', 'l3']);
+    expect(run('badge:code | freq:daily')).toEqual(['l1', 'l2']);
+    expect(run('NOT tag:税務')).toEqual(['l2']);
+    expect(run('tag:税務 AND (freq:daily OR freq:weekly)')).toEqual(['l1']);
+    expect(run('https://github.com')).toEqual([]);
+  });
+
+  test('should report syntax errors and still search with what it understood', () => {
+    const cases = {
+      'tag:税務 "open': '引用符',
+      '(tag:税務': '括弧',
+      'tag:税務)': '対応する',
+      'foo:bar': '不明な検索項目',
+      'badge:nope': '不明なバッジ',
+      'freq:often': '頻度',
+      'is:remote': 'is:',
+      'OR dev': 'OR',
+      'dev NOT': '否定'
+    };
+    Object.entries(cases).forEach(([query, message]) => {
+      const { errors } = parseSearchQuery(query);
+      expect(errors.length).toBe(1);
+      expect(errors[0].message).toContain(message);
+    });
+    const { node } = parseSearchQuery('tag:税務 badge:nope');
+    expect(links.filter(({ link }) => matchesSearchQuery(node, link)).map(({ link }) => link.id)).toEqual(['l1', 'l3']);
+    expect(parseSearchQuery('tag: 10:30').errors).toEqual([]);
+  });
+
+  test('should find the completion context at the caret', () => {
+    expect(getSearchCompletionContext('dev tag:税', 9)).toEqual({ field: 'tag', prefix: '税', start: 8, end: 9 });
+    expect(getSearchCompletionContext('-cat:"総合 ポ', 10)).toEqual({ field: 'cat', prefix: '総合 ポ', start: 5, end: 10 });
+    expect(getSearchCompletionContext('ta', 2)).toEqual({ field: null, prefix: 'ta', start: 0, end: 2 });
+    expect(getSearchCompletionContext('url:git', 7)).toBeNull();
+    expect(getSearchCompletionContext('dev ', 4)).toBeNull();
+  });
+
+  test('should apply a completion, quoting values with spaces', () => {
+    const text = 'cat:総 dev';
+    const context = getSearchCompletionContext(text, 5);
+    expect(applySearchCompletion(text, context, '総合 ポータル')).toEqual({ text: 'cat:"総合 ポータル" dev', caret: 14 });
+    const field = getSearchCompletionContext('ta', 2);
+    expect(applySearchCompletion('ta', field, 'tag:')).toEqual({ text: 'tag:', caret: 4 });
+  });
+
+  describe('SearchManager', () => {
+    const data = [
+      { id: 'c1', title: '総合', links: links.filter(l => l.cat === '総合').map(l => l.link) },
+      { id: 'c2', title: '開発', links: [links[1].link] },
+      { id: 'c3', title: '総合 ポータル', links: [links[2].link] }
+    ];
+    const searchManager = new SearchManager({ getData: () => data });
+
+    test('search() should apply the query together with the UI filters', () => {
+      expect(searchManager.search('tag:税務').map(r => r.link.id)).toEqual(['l1', 'l3']);
+      expect(searchManager.search('tag:税務', { freq: 'monthly' }).map(r => r.link.id)).toEqual(['l3']);
+      expect(searchManager.search('cat:開発')[0].catTitle).toBe('開発');
+    });
+
+    test('getCompletions() should suggest tags, categories and field names', () => {
+      expect(searchManager.getCompletions('tag', '税').map(c => c.value)).toEqual(['税務']);
+      expect(searchManager.getCompletions('cat', 'ポータル').map(c => c.value)).toEqual(['総合 ポータル']);
+      expect(searchManager.getCompletions('freq', 'w').map(c => c.value)).toEqual(['weekly']);
+      expect(searchManager.getCompletions(null, 't').map(c => c.value)).toEqual(['tag:', 'title:', 'cat:']);
+      expect(searchManager.getCompletions(null, '')).toEqual([]);
+    });
+  });
+});
+
+describe('search ranking', () => {
+  const data = [
+    {
+      id: 'c1',
+      title: 'Misc',
+      links: [
+        { id: 'memo', title: 'Notes', url: 'https://a', memo: 'see github for details', tags: [] },
+        { id: 'sub', title: 'My GitHub mirror', url: 'https://b', tags: [] },
+        { id: 'tag', title: 'Repos', url: 'https://c', tags: ['github'] },
+        { id: 'prefix', title: 'GitHub Actions', url: 'https://d', tags: [] },
+        { id: 'other', title: 'Jira', url: 'https://e', tags: [] }
+      ]
+    }
+  ];
+
+  test('evaluateSearchQuery() should weight fields and match quality', () => {
+    const score = (query, link) => evaluateSearchQuery(parseSearchQuery(query).node, link).score;
+    const [memo, sub, tag, prefix] = data[0].links;
+    expect(score('github', tag)).toBe(15);
+    expect(score('github', prefix)).toBe(16);
+    expect(score('github', sub)).toBe(16);
+    expect(score('github', memo)).toBe(4);
+    expect(score('githbu', prefix)).toBe(4);
+    expect(score('"githbu"', prefix)).toBe(0);
+    expect(score('github OR jira', prefix)).toBe(16);
+    expect(score('-jira github', prefix)).toBe(16);
+  });
+
+  test('should tolerate typos only for longer terms', () => {
+    expect(fuzzyTolerance('git')).toBe(0);
+    expect(fuzzyTolerance('gitub')).toBe(1);
+    expect(fuzzyTolerance('documentation')).toBe(2);
+    expect(fuzzyFind('my github mirror', 'gihtub', 1)).toEqual({ start: 3, end: 9 });
+    expect(fuzzyFind('my github mirror', 'gitlab', 1)).toBeNull();
+  });
+
+  test('search() should rank by score, then frecency, then data order', () => {
+    const now = Date.now();
+    const visits = { other: { visitCount: 50, lastVisited: now }, memo: { visitCount: 3, lastVisited: now - 100 * 86400000 } };
+    const memoryManager = { getFrecency: (id) => visits[id] ? visits[id].visitCount * (id === 'memo' ? 0.1 : 1) : 0 };
+    const searchManager = new SearchManager({ getData: () => data });
+    expect(searchManager.search('github').map(r => r.link.id)).toEqual(['sub', 'prefix', 'tag', 'memo']);
+    expect(searchManager.search('gthub').map(r => r.link.id)).toEqual(['sub', 'prefix', 'tag']);
+
+    searchManager.memoryManager = memoryManager;
+    expect(searchManager.search('').map(r => r.link.id)).toEqual(['other', 'memo', 'sub', 'tag', 'prefix']);
+    expect(searchManager.getAllLinks().map(r => r.link.id)).toEqual(['memo', 'sub', 'tag', 'prefix', 'other']);
+  });
+
+  test('findMatchRanges() should merge exact hits and fall back to fuzzy hits in titles', () => {
+    const { node } = parseSearchQuery('git hub -notes');
+    expect(findMatchRanges(node, 'My GitHub mirror', 'title')).toEqual([[3, 9]]);
+    expect(findMatchRanges(node, 'notes', 'memo')).toEqual([]);
+    expect(findMatchRanges(parseSearchQuery('gihtub').node, 'My GitHub', 'title')).toEqual([[3, 9]]);
+    expect(findMatchRanges(parseSearchQuery('gihtub').node, 'My GitHub', 'memo')).toEqual([]);
+    expect(findMatchRanges(parseSearchQuery('title:hub').node, 'hub hub', 'memo')).toEqual([]);
+  });
+});
+
+describe('MemoryManager.getFrecency()', () => {
+  test('should weight visit counts by recency', () => {
+    localStorage.clear();
+    const memory = new MemoryManager();
+    const now = Date.now();
+    memory._data = { a: { visitCount: 4, lastVisited: now - 86400000 }, b: { visitCount: 4, lastVisited: now - 20 * 86400000 } };
+    expect(memory.getFrecency('a', now)).toBe(4);
+    expect(memory.getFrecency('b', now)).toBe(2);
+    expect(memory.getFrecency('none', now)).toBe(0);
+  });
+});
+
+describe('Japanese-aware search', () => {
+  const data = [
+    {
+      id: 'c1',
+      title: '税務',
+      links: [
+        { id: 'tax', title: 'e-Tax', url: 'https://www.e-tax.nta.go.jp', tags: ['確定申告'], keywords: ['かくていしんこく'] },
+        { id: 'db', title: 'データベース', url: 'https://db', tags: ['ﾂｰﾙ'] },
+        { id: 'other', title: 'Other', url: 'https://o' }
+      ]
+    }
+  ];
+  const searchManager = new SearchManager({ getData: () => data });
+  const ids = (query, filters) => searchManager.search(query, filters).map(r => r.link.id);
+
+  test('should find links through kana, width and romaji variants of their keywords', () => {
+    expect(ids('かくていしんこく')).toEqual(['tax']);
+    expect(ids('カクテイ')).toEqual(['tax']);
+    expect(ids('ｶｸﾃｲ')).toEqual(['tax']);
+    expect(ids('kakuteishinkoku')).toEqual(['tax']);
+    expect(ids('kakuteishinkoku', { romaji: false })).toEqual([]);
+    expect(ids('ﾃﾞｰﾀ')).toEqual(['db']);
+    expect(ids('でたべす')).toEqual(['db']);
+    expect(ids('tag:ツール')).toEqual(['db']);
+    expect(ids('タグ：確定申告')).toEqual(['tax']);
+  });
+
+  test('should highlight the original characters of normalized matches', () => {
+    expect(findMatchRanges(parseSearchQuery('ﾃﾞｰﾀ').node, 'データベース', 'title')).toEqual([[0, 3]]);
+    expect(findMatchRanges(parseSearchQuery('でた', { romaji: true }).node, 'ﾃﾞｰﾀ', 'title')).toEqual([[0, 4]]);
+    expect(findMatchRanges(parseSearchQuery('deta', { romaji: true }).node, 'データ', 'title')).toEqual([[0, 3]]);
+  });
+
+  test('getCompletions() should match normalized prefixes', () => {
+    expect(searchManager.getCompletions('tag', 'つ').map(c => c.value)).toEqual(['ﾂｰﾙ']);
+    expect(searchManager.getCompletions('tag', 'ｶｸ')).toEqual([]);
+  });
+});
+
+describe('search across all portals', () => {
+  const dataManager = {
+    activePortalId: 'work',
+    // 現在のポータルは編集中のデータ（getData）を使い、allPortals の古い内容は使わない
+    getData: () => [{ id: 'w1', title: '業務', links: [{ id: 'a', title: '経費精算', url: 'https://a', tags: ['経理'] }] }],
+    allPortals: {
+      work: [{ id: 'w1', title: '業務', links: [] }],
+      home: [{ id: 'h1', title: '家計', links: [{ id: 'b', title: '経費メモ', url: 'https://b', tags: ['家計'] }] }]
+    },
+    allWorkflows: {
+      work: [{ id: 'wf1', title: '月末処理', description: '', tags: [], freq: 'monthly', steps: [{ title: '経費を締める', memo: '' }] }],
+      home: [{ id: 'wf2', title: '確定申告', description: '経費の領収書を集める', tags: ['税務'], freq: 'rare', steps: [] }]
+    }
+  };
+  const searchManager = new SearchManager(dataManager);
+
+  test('search() should only look at the active portal by default', () => {
+    expect(searchManager.search('経費').map(r => [r.portalId, r.link.id])).toEqual([['work', 'a']]);
+  });
+
+  test('search() should include every portal, active portal first, when the scope is "all"', () => {
+    const results = searchManager.search('経費', { scope: 'all' });
+    expect(results.map(r => [r.portalId, r.catTitle, r.link.id])).toEqual([['work', '業務', 'a'], ['home', '家計', 'b']]);
+    expect(searchManager.getAllTags('all')).toEqual(['家計', '経理']);
+  });
+
+  test('searchWorkflows() should match titles, descriptions and steps in scope', () => {
+    expect(searchManager.searchWorkflows('経費').map(r => r.workflow.id)).toEqual(['wf1']);
+    expect(searchManager.searchWorkflows('経費', { scope: 'all' }).map(r => [r.portalId, r.workflow.id])).toEqual([['work', 'wf1'], ['home', 'wf2']]);
+    expect(searchManager.searchWorkflows('tag:税務 freq:rare', { scope: 'all' }).map(r => r.workflow.id)).toEqual(['wf2']);
+    expect(searchManager.searchWorkflows('確定', { scope: 'all' })[0].score).toBeGreaterThan(0);
+  });
+});
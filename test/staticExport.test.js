@@ -0,0 +1,71 @@
+// test/staticExport.test.js
+import { renderStaticPortal } from '../js/staticExport.js';
+import { createLinkCardElement } from '../js/linkCard.js';
+
+describe('staticExport', () => {
+  const categories = [
+    {
+      id: 'cat1',
+      title: 'Docs <main>',
+      isOpen: false,
+      links: [
+        { id: 'link1', title: 'MDN & co', url: 'https://developer.mozilla.org/', icon: 'menu_book', badge: 'doc', memo: 'Reference', tags: ['web'] },
+        { id: 'link2', title: 'Share', url: 'opendir:\\\\server\\share', icon: '📁', badge: 'local', memo: '' }
+      ]
+    }
+  ];
+  const workflows = [{ id: 'wf1', title: 'Morning', description: 'Daily check', steps: [{ step: 1, title: 'Read docs', memo: 'first', linkId: 'link1' }] }];
+
+  const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+  test('should render categories and cards with the app card markup', () => {
+    const html = renderStaticPortal({ title: 'My Portal', subtitle: 'Shared', categories, generatedAt: new Date(2026, 0, 1) });
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    const doc = parse(html);
+    expect(doc.title).toBe('My Portal');
+    expect(doc.querySelector('style').textContent).toContain('.link-card');
+    const details = doc.querySelector('details.category');
+    expect(details.open).toBe(false);
+    expect(details.querySelector('summary').textContent).toBe('Docs <main>2 件');
+
+    const web = doc.querySelector('.link-card-wrapper');
+    const expected = createLinkCardElement(categories[0].links[0]);
+    expect(web.querySelector('a.link-card').getAttribute('href')).toBe('https://developer.mozilla.org/');
+    expect(web.querySelector('.header-row').outerHTML).toBe(expected.querySelector('.header-row').outerHTML);
+    expect(web.querySelector('.link-tags').textContent).toBe('#web');
+    expect(web.getAttribute('data-search')).toContain('docs <main>');
+  });
+
+  test('should style every icon size used by the cards and fall back when the icon font is unavailable', () => {
+    const doc = parse(renderStaticPortal({ title: 'P', categories }));
+    const css = doc.querySelector('style').textContent;
+    const sizes = new Set([...doc.querySelectorAll('.icon')].flatMap(el => [...el.classList].filter(c => c.startsWith('icon-'))));
+    expect(sizes.has('icon-lg')).toBe(true);
+    sizes.forEach(size => expect(css).toContain(`.${size} {`));
+    expect(css).toContain('.icons-offline .icon');
+    expect(doc.querySelector('script').textContent).toContain('icons-offline');
+    expect(doc.querySelector('.generated').textContent).toContain('オフライン');
+  });
+
+  test('should render opendir: links as copyable paths instead of anchors', () => {
+    const doc = parse(renderStaticPortal({ title: 'P', categories }));
+    const local = doc.querySelectorAll('.link-card-wrapper')[1];
+    expect(local.querySelector('a')).toBeNull();
+    expect(local.querySelector('.link-local-path').textContent).toBe('\\\\server\\share');
+    expect(local.querySelector('.local-copy-btn').getAttribute('data-path')).toBe('\\\\server\\share');
+  });
+
+  test('should include workflows only when given', () => {
+    expect(parse(renderStaticPortal({ title: 'P', categories })).querySelector('.workflows')).toBeNull();
+    const doc = parse(renderStaticPortal({ title: 'P', categories, workflows }));
+    const step = doc.querySelector('.workflows li');
+    expect(step.querySelector('a').getAttribute('href')).toBe('https://developer.mozilla.org/');
+    expect(step.querySelector('.step-memo').textContent).toBe('first');
+  });
+
+  test('should embed the filter script', () => {
+    const doc = parse(renderStaticPortal({ title: 'P', categories }));
+    expect(doc.getElementById('filter')).not.toBeNull();
+    expect(doc.querySelector('script').textContent).toContain('data-search');
+  });
+});
@@ -0,0 +1,33 @@
+// test/textNormalize.test.js
+import { normalizeForSearch, normalizeWithOffsets, romajiToHiragana } from '../js/textNormalize.js';
+
+describe('textNormalize', () => {
+  test('normalizeForSearch() should fold width, case, katakana and long vowels', () => {
+    expect(normalizeForSearch('ｶｸﾃｲ')).toBe('かくてい');
+    expect(normalizeForSearch('カクテイ')).toBe('かくてい');
+    expect(normalizeForSearch('ＧｉｔＨｕｂ')).toBe('github');
+    expect(normalizeForSearch('ﾃﾞｰﾀﾍﾞｰｽ')).toBe('でたべす');
+    expect(normalizeForSearch('コンピューター')).toBe(normalizeForSearch('コンピュータ'));
+    expect(normalizeForSearch('ヴァイオリン')).toBe('ゔぁいおりん');
+    expect(normalizeForSearch(undefined)).toBe('');
+  });
+
+  test('normalizeWithOffsets() should map normalized positions back to the source', () => {
+    const { text, offsets } = normalizeWithOffsets('ﾃﾞｰﾀA');
+    expect(text).toBe('でたa');
+    expect(offsets).toEqual([0, 3, 4, 5]);
+  });
+
+  test('romajiToHiragana() should convert romaji input', () => {
+    expect(romajiToHiragana('kakuteishinkoku')).toBe('かくていしんこく');
+    expect(romajiToHiragana('kakuteisinkoku')).toBe('かくていしんこく');
+    expect(romajiToHiragana('konnichiha')).toBe('こんにちは');
+    expect(romajiToHiragana('kippu')).toBe('きっぷ');
+    expect(romajiToHiragana('matcha')).toBe('まっちゃ');
+    expect(romajiToHiragana("kan'i")).toBe('かんい');
+    expect(romajiToHiragana('shinbun')).toBe('しんぶん');
+    expect(romajiToHiragana('kyouto')).toBe('きょうと');
+    expect(romajiToHiragana('github')).toBeNull();
+    expect(romajiToHiragana('確定')).toBeNull();
+  });
+});
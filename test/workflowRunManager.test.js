@@ -0,0 +1,121 @@
+import { WorkflowRunManager } from '../js/workflowRunManager.js';
+
+describe('WorkflowRunManager', () => {
+  const workflow = {
+    id: 'wf1',
+    title: '月次締め',
+    steps: [
+      { step: 1, title: '請求書を確認', memo: '', linkId: 'link1' },
+      { step: 2, title: '仕訳を入力', memo: '前月分も確認', linkId: null },
+      { step: 3, title: '報告', memo: '' }
+    ]
+  };
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new WorkflowRunManager();
+  });
+
+  test('startRun() should snapshot the steps and persist the run per portal and workflow', () => {
+    const edited = JSON.parse(JSON.stringify(workflow));
+    const run = manager.startRun('portal1', edited, 1000);
+
+    expect(run).toMatchObject({ portalId: 'portal1', workflowId: 'wf1', workflowTitle: '月次締め', startedAt: 1000, currentStep: 0, notes: '' });
+    expect(run.steps).toEqual([
+      { title: '請求書を確認', memo: '', linkId: 'link1', checkedAt: null },
+      { title: '仕訳を入力', memo: '前月分も確認', linkId: null, checkedAt: null },
+      { title: '報告', memo: '', linkId: null, checkedAt: null }
+    ]);
+    expect(new WorkflowRunManager().getActiveRun('portal1', 'wf1')).toEqual(run);
+    expect(manager.getActiveRun('portal2', 'wf1')).toBeNull();
+
+    // 後からフローを編集しても実行中のステップは変わらない
+    edited.steps[0].title = '変更後';
+    expect(manager.getActiveRun('portal1', 'wf1').steps[0].title).toBe('請求書を確認');
+  });
+
+  test('should check steps, move between steps, keep notes and survive pause and resume', () => {
+    manager.startRun('portal1', workflow, 1000);
+    manager.setStepChecked('portal1', 'wf1', 0, true, 2000);
+    manager.setStepChecked('portal1', 'wf1', 1, true, 3000);
+    manager.setStepChecked('portal1', 'wf1', 1, false, 4000);
+    manager.setCurrentStep('portal1', 'wf1', 5);
+    manager.setNotes('portal1', 'wf1', '請求書が1件遅れている');
+    manager.pauseRun('portal1', 'wf1', 5000);
+
+    const reloaded = new WorkflowRunManager();
+    const run = reloaded.getActiveRun('portal1', 'wf1');
+    expect(run.steps.map(step => step.checkedAt)).toEqual([2000, null, null]);
+    expect(run.currentStep).toBe(2);
+    expect(run.notes).toBe('請求書が1件遅れている');
+    expect(run.pausedAt).toBe(5000);
+    expect(reloaded.getProgress(run)).toEqual({ done: 1, total: 3 });
+
+    expect(reloaded.resumeRun('portal1', 'wf1').pausedAt).toBeNull();
+  });
+
+  test('completeRun() should record the run with start and end timestamps, newest first', () => {
+    manager.startRun('portal1', workflow, 1000);
+    manager.completeRun('portal1', 'wf1', 61000);
+    manager.startRun('portal1', workflow, 100000);
+    manager.setStepChecked('portal1', 'wf1', 0, true, 110000);
+    const second = manager.completeRun('portal1', 'wf1', 100000 + 90 * 60000);
+
+    expect(manager.getActiveRun('portal1', 'wf1')).toBeNull();
+    const history = new WorkflowRunManager().getHistory('portal1', 'wf1');
+    expect(history.map(run => [run.startedAt, run.finishedAt])).toEqual([[100000, 100000 + 90 * 60000], [1000, 61000]]);
+    expect(history[0]).toEqual(second);
+    expect(manager.formatDuration(history[0])).toBe('1時間30分');
+    expect(manager.formatDuration(history[1])).toBe('1分');
+    expect(manager.getHistory('portal1', 'other')).toEqual([]);
+  });
+
+  test('cancelRun() should discard the run without recording it', () => {
+    manager.startRun('portal1', workflow, 1000);
+    manager.cancelRun('portal1', 'wf1');
+
+    expect(manager.getActiveRun('portal1', 'wf1')).toBeNull();
+    expect(manager.getHistory('portal1', 'wf1')).toEqual([]);
+    expect(manager.completeRun('portal1', 'wf1')).toBeNull();
+    expect(manager.setNotes('portal1', 'wf1', 'x')).toBeNull();
+  });
+
+  test('getScheduleStatus() should treat runs completed for an occurrence as satisfying it', () => {
+    const scheduled = { ...workflow, schedule: { type: 'monthly', day: 25, start: '2026-09-01' } };
+    expect(manager.getScheduleStatus('portal1', workflow)).toBeNull();
+    expect(manager.getScheduleStatus('portal1', scheduled, '2026-09-26').state).toBe('overdue');
+
+    manager.startRun('portal1', scheduled, 1000);
+    const run = manager.completeRun('portal1', 'wf1', 2000, '2026-09-25');
+    expect(run.occurrence).toBe('2026-09-25');
+    manager.startRun('portal1', scheduled, 3000);
+    manager.completeRun('portal1', 'wf1', 4000);
+
+    expect(manager.getSatisfiedOccurrences('portal1', 'wf1')).toEqual(['2026-09-25']);
+    expect(manager.getScheduleStatus('portal1', scheduled, '2026-09-26')).toEqual({ state: 'upcoming', occurrence: '2026-10-25', overdueDays: 0 });
+  });
+
+  test('should keep done occurrences after the completed-run history is trimmed', () => {
+    const yearly = { ...workflow, id: 'wfYear', schedule: { type: 'yearly', month: 3, day: 1, start: '2026-01-01' } };
+    const daily = { ...workflow, id: 'wfDay' };
+    manager.startRun('portal1', yearly, 1000);
+    manager.completeRun('portal1', 'wfYear', 2000, '2026-03-01');
+    for (let i = 0; i < 200; i++) {
+      manager.startRun('portal2', daily, 3000 + i * 2);
+      manager.completeRun('portal2', 'wfDay', 3001 + i * 2);
+    }
+
+    const reloaded = new WorkflowRunManager();
+    expect(reloaded.getHistory('portal1', 'wfYear')).toEqual([]);
+    expect(reloaded.getScheduleStatus('portal1', yearly, '2026-10-19')).toEqual({ state: 'upcoming', occurrence: '2027-03-01', overdueDays: 0 });
+  });
+
+  test('should recover done occurrences from runs saved before they were stored separately', () => {
+    localStorage.setItem(WorkflowRunManager.STORAGE_KEY, JSON.stringify({
+      active: {},
+      history: [{ id: 'r1', portalId: 'portal1', workflowId: 'wf1', startedAt: 1, finishedAt: 2, occurrence: '2026-09-25', steps: [], notes: '' }]
+    }));
+    expect(new WorkflowRunManager().getSatisfiedOccurrences('portal1', 'wf1')).toEqual(['2026-09-25']);
+  });
+});
@@ -0,0 +1,60 @@
+import {
+  toDateKey, addDays, matchesSchedule, nextOccurrence, previousOccurrence, getScheduleStatus, describeSchedule, formatDateKey
+} from '../js/workflowSchedule.js';
+
+describe('workflowSchedule', () => {
+  const monthly25 = { type: 'monthly', day: 25 };
+  const weekdays = { type: 'weekdays' };
+  const march1 = { type: 'yearly', month: 3, day: 1 };
+
+  test('toDateKey() and addDays() should work with local dates across month and year ends', () => {
+    expect(toDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    expect(addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+
+  test('matchesSchedule() should follow each rule and clamp days past the end of the month', () => {
+    expect(matchesSchedule(weekdays, '2026-10-19')).toBe(true); // 月曜
+    expect(matchesSchedule(weekdays, '2026-10-18')).toBe(false); // 日曜
+    expect(matchesSchedule({ type: 'weekly', weekdays: [0, 4] }, '2026-10-22')).toBe(true); // 木曜
+    expect(matchesSchedule(monthly25, '2026-10-25')).toBe(true);
+    expect(matchesSchedule({ type: 'monthly', day: 31 }, '2026-02-28')).toBe(true);
+    expect(matchesSchedule({ type: 'monthly', day: 31 }, '2026-03-30')).toBe(false);
+    expect(matchesSchedule(march1, '2027-03-01')).toBe(true);
+    expect(matchesSchedule({ type: 'yearly', month: 2, day: 29 }, '2027-02-28')).toBe(true);
+    expect(matchesSchedule({ type: 'daily', start: '2026-10-20' }, '2026-10-19')).toBe(false);
+  });
+
+  test('nextOccurrence() and previousOccurrence() should include the given day and respect the start date', () => {
+    expect(nextOccurrence(monthly25, '2026-10-25')).toBe('2026-10-25');
+    expect(nextOccurrence(monthly25, '2026-10-26')).toBe('2026-11-25');
+    expect(nextOccurrence(weekdays, '2026-10-17')).toBe('2026-10-19');
+    expect(nextOccurrence(march1, '2026-10-19')).toBe('2027-03-01');
+    expect(previousOccurrence(monthly25, '2026-10-19')).toBe('2026-09-25');
+    expect(previousOccurrence({ ...march1, start: '2026-10-01' }, '2026-10-19')).toBeNull();
+    expect(nextOccurrence({ type: 'daily', start: '2026-11-01' }, '2026-10-19')).toBe('2026-11-01');
+  });
+
+  test('getScheduleStatus() should report due, overdue and upcoming occurrences', () => {
+    const schedule = { ...monthly25, start: '2026-09-01' };
+    expect(getScheduleStatus(schedule, [], '2026-09-25')).toEqual({ state: 'due', occurrence: '2026-09-25', overdueDays: 0 });
+    expect(getScheduleStatus(schedule, [], '2026-09-28')).toEqual({ state: 'overdue', occurrence: '2026-09-25', overdueDays: 3 });
+    expect(getScheduleStatus(schedule, ['2026-09-25'], '2026-09-28')).toEqual({ state: 'upcoming', occurrence: '2026-10-25', overdueDays: 0 });
+    // 新しい予定日が来たら、実施しなかった古い予定日は置き換わる
+    expect(getScheduleStatus(schedule, [], '2026-10-26').occurrence).toBe('2026-10-25');
+    // 前倒しで実施済みの予定日は飛ばす
+    expect(getScheduleStatus(schedule, ['2026-09-25', '2026-10-25'], '2026-10-20').occurrence).toBe('2026-11-25');
+    // 開始日より前の予定日は期限切れにしない
+    expect(getScheduleStatus({ ...march1, start: '2026-10-19' }, [], '2026-10-19')).toEqual({ state: 'upcoming', occurrence: '2027-03-01', overdueDays: 0 });
+  });
+
+  test('describeSchedule() and formatDateKey() should produce Japanese labels', () => {
+    expect(describeSchedule({ type: 'daily' })).toBe('毎日');
+    expect(describeSchedule(weekdays)).toBe('平日（月〜金）');
+    expect(describeSchedule({ type: 'weekly', weekdays: [4, 1] })).toBe('毎週 月・木曜日');
+    expect(describeSchedule(monthly25)).toBe('毎月 25日');
+    expect(describeSchedule({ type: 'monthly', day: 31 })).toBe('毎月 末日');
+    expect(describeSchedule(march1)).toBe('毎年 3月1日');
+    expect(formatDateKey('2026-10-25')).toBe('10月25日（日）');
+  });
+});
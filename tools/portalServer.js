@@ -0,0 +1,231 @@
+/**
+ * @file portalServer.js
+ * @brief ポータルアプリを配信し、data.json を REST API で読み書きするローカル用コンパニオンサーバー。
+ *        外部依存なし（Node.js 標準モジュールのみ）で動作します。
+ *
+ * 使い方:
+ *   npm run serve                 # http://localhost:8080/ で起動
+ *   node tools/portalServer.js --port 3000 --host 0.0.0.0
+ *
+ * API:
+ *   GET  /api/data  ... data.json を返します（ETag 付き）
+ *   PUT  /api/data  ... data.json を置き換えます。If-Match が現在の ETag と異なる場合は 412 を返します。
+ * @module portalServer
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @constant {object} MIME_TYPES
+ * @description 静的ファイル配信時の拡張子と Content-Type の対応表。
+ */
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * @constant {string[]} STATIC_ENTRIES
+ * @description 静的配信するルート直下のファイル・ディレクトリ（アプリの動作に必要なものだけ。.git や test などは配信しません）。
+ */
+const STATIC_ENTRIES = ['index.html', 'style.css', 'js', 'data'];
+
+/**
+ * @constant {number} MAX_BODY_BYTES
+ * @description PUT で受け付ける最大サイズ（バイト）。
+ */
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * 文字列の内容から ETag を計算します。
+ * @param {string} text
+ * @returns {string} ダブルクォートで囲まれた ETag。
+ */
+function computeEtag(text) {
+  return `"${crypto.createHash('sha1').update(text).digest('hex')}"`;
+}
+
+/**
+ * JSON レスポンスを返します。
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {object} [headers={}]
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'X-Portal-Server': '1', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * リクエストボディを文字列として読み込みます。
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * ポータル用の HTTP サーバーを作成します（listen はしません）。
+ * @param {object} [options={}]
+ * @param {string} [options.root] - 静的配信するルートディレクトリ（既定: リポジトリルート。配信するのは STATIC_ENTRIES だけです）。
+ * @param {string} [options.dataFile] - 読み書きする data.json のパス（既定: <root>/data/data.json）。
+ * @returns {http.Server}
+ */
+function createPortalServer({ root = path.resolve(__dirname, '..'), dataFile } = {}) {
+  const rootDir = path.resolve(root);
+  const dataPath = path.resolve(dataFile || path.join(rootDir, 'data', 'data.json'));
+
+  const handleGetData = (req, res) => {
+    let text;
+    try {
+      text = fs.readFileSync(dataPath, 'utf8');
+    } catch (e) {
+      sendJson(res, 404, { error: 'data.json not found' });
+      return;
+    }
+    const etag = computeEtag(text);
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag, 'X-Portal-Server': '1' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES['.json'],
+      'Cache-Control': 'no-store',
+      ETag: etag,
+      'X-Portal-Server': '1'
+    });
+    res.end(req.method === 'HEAD' ? undefined : text);
+  };
+
+  const handlePutData = async (req, res) => {
+    let body;
+    try {
+      body = await readBody(req);
+      JSON.parse(body);
+    } catch (e) {
+      sendJson(res, e.status || 400, { error: e.status ? e.message : 'Invalid JSON' });
+      return;
+    }
+
+    const current = fs.existsSync(dataPath) ? fs.readFileSync(dataPath, 'utf8') : null;
+    const currentEtag = current !== null ? computeEtag(current) : null;
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && ifMatch !== '*' && ifMatch !== currentEtag) {
+      sendJson(res, 412, { error: 'data.json has been modified' }, currentEtag ? { ETag: currentEtag } : {});
+      return;
+    }
+
+    // 一時ファイルに書いてからリネームし、書き込み途中のファイルが読まれないようにする
+    const tmpPath = `${dataPath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+    fs.writeFileSync(tmpPath, body, 'utf8');
+    fs.renameSync(tmpPath, dataPath);
+
+    const etag = computeEtag(body);
+    sendJson(res, 200, { ok: true, etag }, { ETag: etag });
+  };
+
+  const handleStatic = (req, res, pathname) => {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Bad request');
+      return;
+    }
+    const filePath = path.resolve(rootDir, '.' + relative);
+    const segments = path.relative(rootDir, filePath).split(path.sep);
+    // ルートの外、アプリ以外のファイル、ドットで始まるファイル・ディレクトリは配信しない
+    if (filePath === rootDir || !filePath.startsWith(rootDir + path.sep)
+      || !STATIC_ENTRIES.includes(segments[0]) || segments.some(segment => segment.startsWith('.'))) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+    fs.readFile(filePath, (err, content) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+      const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+      res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+      res.end(req.method === 'HEAD' ? undefined : content);
+    });
+  };
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api/data') {
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        handleGetData(req, res);
+      } else if (req.method === 'PUT') {
+        handlePutData(req, res).catch(e => {
+          console.error(e);
+          sendJson(res, 500, { error: 'Failed to write data.json' });
+        });
+      } else {
+        sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD, PUT' });
+      }
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    handleStatic(req, res, pathname);
+  });
+}
+
+/**
+ * コマンドライン引数から `--name value` 形式のオプションを取り出します。
+ * @param {string[]} argv
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getArg(argv, name) {
+  const index = argv.indexOf(`--${name}`);
+  return index !== -1 ? argv[index + 1] : undefined;
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const port = Number(getArg(argv, 'port') || process.env.PORT || 8080);
+  const host = getArg(argv, 'host') || process.env.HOST || '127.0.0.1';
+  const dataFile = getArg(argv, 'data');
+  createPortalServer({ dataFile }).listen(port, host, () => {
+    console.log(`Portal server running at http://${host === '0.0.0.0' ? 'localhost' : host}:${port}/`);
+  });
+}
+
+module.exports = { createPortalServer, computeEtag };